@@ -0,0 +1,164 @@
+'use strict';
+
+const zlib = require('zlib');
+
+// Valid compressions
+const GZIP_COMPRESSION = 'gzip';
+const DEFLATE_COMPRESSION = 'deflate';
+const NO_COMPRESSION = 'none';
+
+// The magic number prefix of gzip compressed data
+const GZIP_MAGIC_NUMBER = new Buffer([0x1F, 0x8B]);
+// The compression method (i.e. deflate) of the first byte of a zlib (i.e. deflate) compressed data header
+const ZLIB_DEFLATE_METHOD = 0x08;
+
+/**
+ * Utilities for detecting, decompressing and compressing gzip or deflate (i.e. zlib) compressed message payloads.
+ *
+ * Compressed payloads are recognised either by their gzip magic number or zlib header, or by a "content-encoding"
+ * envelope, which is a JSON object with ONLY a contentEncoding property (i.e. "gzip" or "deflate") and a data property
+ * containing the base 64 encoded compressed payload, e.g. {"contentEncoding": "gzip", "data": "H4sIAAAAAAAA..."}. The
+ * envelope form is used wherever a payload must be text (e.g. an SQS message body).
+ *
+ * @module aws-stream-consumer/compression
+ * @author Byron du Preez
+ */
+module.exports = {
+  GZIP_COMPRESSION: GZIP_COMPRESSION,
+  DEFLATE_COMPRESSION: DEFLATE_COMPRESSION,
+  NO_COMPRESSION: NO_COMPRESSION,
+  isValidCompression: isValidCompression,
+  isCompressing: isCompressing,
+  detectCompression: detectCompression,
+  decompressData: decompressData,
+  decodeData: decodeData,
+  compressData: compressData,
+  isContentEncodingEnvelope: isContentEncodingEnvelope,
+  toContentEncodingEnvelope: toContentEncodingEnvelope,
+  fromContentEncodingEnvelope: fromContentEncodingEnvelope
+};
+
+/**
+ * Returns true if the given compression is undefined or one of "gzip", "deflate" or "none"; otherwise false.
+ * @param {*} compression - the compression to check
+ * @returns {boolean} true if valid; false otherwise
+ */
+function isValidCompression(compression) {
+  return compression === undefined || compression === GZIP_COMPRESSION || compression === DEFLATE_COMPRESSION ||
+    compression === NO_COMPRESSION;
+}
+
+/**
+ * Returns true if the given compression actually compresses (i.e. is "gzip" or "deflate"); otherwise false.
+ * @param {string|undefined} compression - the compression to check
+ * @returns {boolean} true if compressing; false otherwise
+ */
+function isCompressing(compression) {
+  return compression === GZIP_COMPRESSION || compression === DEFLATE_COMPRESSION;
+}
+
+/**
+ * Detects whether the given data is gzip compressed (by its magic number) or deflate compressed (by its zlib header).
+ * Note that neither can be mistaken for the start of a UTF-8 JSON object or array, but a zlib header can be mistaken
+ * for the start of other uncompressed data (e.g. the text "8O"), so data detected as deflate compressed may still fail
+ * to inflate.
+ * @param {Buffer} data - the data to check
+ * @returns {string|undefined} "gzip" or "deflate" (if compressed); otherwise undefined
+ */
+function detectCompression(data) {
+  if (!Buffer.isBuffer(data) || data.length < 2) {
+    return undefined;
+  }
+  if (data[0] === GZIP_MAGIC_NUMBER[0] && data[1] === GZIP_MAGIC_NUMBER[1]) {
+    return GZIP_COMPRESSION;
+  }
+  // A zlib header's first byte has the deflate method in its low nibble & a window size of at most 32K in its high
+  // nibble, its second byte has no preset dictionary flag and the first two bytes (as a big-endian number) must be a
+  // multiple of 31
+  if ((data[0] & 0x0F) === ZLIB_DEFLATE_METHOD && (data[0] >> 4) <= 7 && (data[1] & 0x20) === 0 &&
+    ((data[0] << 8) | data[1]) % 31 === 0) {
+    return DEFLATE_COMPRESSION;
+  }
+  return undefined;
+}
+
+/**
+ * Decompresses the given data using the given compression.
+ * @param {Buffer} data - the compressed data
+ * @param {string} compression - the compression used, i.e. "gzip" or "deflate"
+ * @returns {Buffer} the decompressed data
+ * @throws {Error} if the compression is not supported or if the data cannot be decompressed
+ */
+function decompressData(data, compression) {
+  switch (compression) {
+    case GZIP_COMPRESSION: return zlib.gunzipSync(data);
+    case DEFLATE_COMPRESSION: return zlib.inflateSync(data);
+    default: throw new Error(`Cannot decompress data with an unsupported compression (${compression})`);
+  }
+}
+
+/**
+ * Decodes the given data into a UTF-8 string, first decompressing it if it is gzip or deflate compressed. Since a zlib
+ * header can be mistaken for the start of uncompressed data, data that appears to be deflate compressed, but cannot be
+ * inflated, is decoded as is.
+ * @param {Buffer} data - the data to decode
+ * @returns {string} the decoded (and decompressed) data
+ * @throws {Error} if the data appears to be gzip compressed, but cannot be decompressed
+ */
+function decodeData(data) {
+  const compression = detectCompression(data);
+  if (compression === DEFLATE_COMPRESSION) {
+    try {
+      return decompressData(data, compression).toString('utf8');
+    } catch (err) {
+      return data.toString('utf8');
+    }
+  }
+  return (compression ? decompressData(data, compression) : data).toString('utf8');
+}
+
+/**
+ * Compresses the given UTF-8 string or data using the given compression.
+ * @param {string|Buffer} data - the data to compress
+ * @param {string} compression - the compression to use, i.e. "gzip" or "deflate"
+ * @returns {Buffer} the compressed data
+ * @throws {Error} if the compression is not supported
+ */
+function compressData(data, compression) {
+  switch (compression) {
+    case GZIP_COMPRESSION: return zlib.gzipSync(data);
+    case DEFLATE_COMPRESSION: return zlib.deflateSync(data);
+    default: throw new Error(`Cannot compress data with an unsupported compression (${compression})`);
+  }
+}
+
+/**
+ * Returns true if the given value is a "content-encoding" envelope, i.e. an object with ONLY a supported contentEncoding
+ * and a string data property; otherwise false.
+ * @param {*} value - the value to check
+ * @returns {boolean} true if a content-encoding envelope; false otherwise
+ */
+function isContentEncodingEnvelope(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value) && isCompressing(value.contentEncoding) &&
+    typeof value.data === 'string' && Object.keys(value).length === 2;
+}
+
+/**
+ * Compresses the given UTF-8 string using the given compression and wraps the result in a "content-encoding" envelope.
+ * @param {string} data - the data to compress
+ * @param {string} compression - the compression to use, i.e. "gzip" or "deflate"
+ * @returns {{contentEncoding: string, data: string}} the content-encoding envelope
+ */
+function toContentEncodingEnvelope(data, compression) {
+  return {contentEncoding: compression, data: compressData(data, compression).toString('base64')};
+}
+
+/**
+ * Unwraps and decompresses the data of the given "content-encoding" envelope into a UTF-8 string.
+ * @param {{contentEncoding: string, data: string}} envelope - the content-encoding envelope
+ * @returns {string} the decompressed data
+ * @throws {Error} if the data cannot be decompressed
+ */
+function fromContentEncodingEnvelope(envelope) {
+  return decompressData(new Buffer(envelope.data, 'base64'), envelope.contentEncoding).toString('utf8');
+}
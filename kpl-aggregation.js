@@ -0,0 +1,281 @@
+'use strict';
+
+const crypto = require('crypto');
+
+const Strings = require('core-functions/strings');
+const stringify = Strings.stringify;
+
+// The magic number prefix of every Kinesis Producer Library (KPL) aggregated record's data
+const KPL_MAGIC_NUMBER = new Buffer([0xF3, 0x89, 0x9A, 0xC2]);
+// The size of the MD5 checksum suffix of every KPL aggregated record's data
+const MD5_DIGEST_SIZE_IN_BYTES = 16;
+
+// Protocol buffer wire types
+const VARINT_WIRE_TYPE = 0;
+const FIXED64_WIRE_TYPE = 1;
+const LENGTH_DELIMITED_WIRE_TYPE = 2;
+const FIXED32_WIRE_TYPE = 5;
+
+/**
+ * Utilities for detecting and de-aggregating Kinesis records that were aggregated by the Kinesis Producer Library (KPL).
+ *
+ * A KPL aggregated record's data consists of the KPL magic number, followed by an AggregatedRecord protocol buffer
+ * message and lastly by the MD5 checksum of the protocol buffer message, where the AggregatedRecord message is defined as:
+ *
+ *   message AggregatedRecord {
+ *     repeated string partition_key_table = 1;
+ *     repeated string explicit_hash_key_table = 2;
+ *     repeated Record records = 3;
+ *   }
+ *   message Record {
+ *     required uint64 partition_key_index = 1;
+ *     optional uint64 explicit_hash_key_index = 2;
+ *     required bytes data = 3;
+ *     repeated Tag tags = 4;
+ *   }
+ *   message Tag {
+ *     required string key = 1;
+ *     optional string value = 2;
+ *   }
+ *
+ * @module aws-stream-consumer/kpl-aggregation
+ * @author Byron du Preez
+ */
+module.exports = {
+  KPL_MAGIC_NUMBER: KPL_MAGIC_NUMBER,
+  isAggregatedData: isAggregatedData,
+  decodeAggregatedData: decodeAggregatedData,
+  deaggregateKinesisRecord: deaggregateKinesisRecord,
+  getParentRecord: getParentRecord,
+  FOR_TESTING_ONLY: {
+    decodeAggregatedRecord: decodeAggregatedRecord
+  }
+};
+
+/**
+ * Returns true if the given data starts with the KPL magic number and is long enough to also contain an MD5 checksum;
+ * otherwise false.
+ * @param {Buffer} data - the decoded data of a Kinesis record
+ * @returns {boolean} true if the given data appears to be KPL aggregated; false otherwise
+ */
+function isAggregatedData(data) {
+  return Buffer.isBuffer(data) && data.length >= KPL_MAGIC_NUMBER.length + MD5_DIGEST_SIZE_IN_BYTES &&
+    data.slice(0, KPL_MAGIC_NUMBER.length).equals(KPL_MAGIC_NUMBER);
+}
+
+/**
+ * Verifies the MD5 checksum of the given KPL aggregated data and, if valid, decodes its AggregatedRecord protocol buffer
+ * message.
+ * @param {Buffer} data - the decoded data of a KPL aggregated Kinesis record
+ * @returns {{partitionKeyTable: string[], explicitHashKeyTable: string[], records: Object[]}|undefined} the decoded
+ * AggregatedRecord (if the data is KPL aggregated and its checksum is valid); otherwise undefined
+ * @throws {Error} if the AggregatedRecord protocol buffer message is malformed
+ */
+function decodeAggregatedData(data) {
+  if (!isAggregatedData(data)) {
+    return undefined;
+  }
+  const messageEnd = data.length - MD5_DIGEST_SIZE_IN_BYTES;
+  const message = data.slice(KPL_MAGIC_NUMBER.length, messageEnd);
+  const checksum = data.slice(messageEnd);
+
+  const expectedChecksum = crypto.createHash('md5').update(message).digest();
+  if (!checksum.equals(expectedChecksum)) {
+    return undefined;
+  }
+  return decodeAggregatedRecord(message);
+}
+
+/**
+ * De-aggregates the given Kinesis stream event record into its KPL sub-records (if it is a KPL aggregated record with a
+ * valid checksum). Each sub-record is a copy of the given record with its own partition key, explicit hash key (if any),
+ * base 64 encoded data and sub-sequence number, and with a non-enumerable link back to the given parent record.
+ *
+ * If the given record is not a KPL aggregated record or if its checksum does not match, then (as per the Kinesis Client
+ * Library) it is returned as is in a single element array.
+ *
+ * @param {Record} record - a Kinesis stream event record
+ * @param {Object|undefined} [context] - an optional context to use for logging (nothing is logged without one)
+ * @returns {Record[]} the de-aggregated sub-records or the given record
+ * @throws {Error} if the record's KPL aggregated data is malformed
+ */
+function deaggregateKinesisRecord(record, context) {
+  if (!record || !record.kinesis || typeof record.kinesis.data !== 'string') {
+    return [record];
+  }
+  const data = new Buffer(record.kinesis.data, 'base64');
+  if (!isAggregatedData(data)) {
+    return [record];
+  }
+
+  const aggregatedRecord = decodeAggregatedData(data);
+  if (!aggregatedRecord) {
+    if (context && context.warn) context.warn(`KPL aggregated record with partition key (${record.kinesis.partitionKey}) & sequence number (${record.kinesis.sequenceNumber}) failed its MD5 checksum - treating it as a non-aggregated record`);
+    return [record];
+  }
+
+  return aggregatedRecord.records.map((subRecord, i) => {
+    const partitionKey = aggregatedRecord.partitionKeyTable[subRecord.partitionKeyIndex];
+    if (partitionKey === undefined) {
+      throw new Error(`KPL aggregated record with sequence number (${record.kinesis.sequenceNumber}) has sub-record (${i}) with an invalid partition key index (${subRecord.partitionKeyIndex})`);
+    }
+    const explicitHashKey = subRecord.explicitHashKeyIndex !== undefined ?
+      aggregatedRecord.explicitHashKeyTable[subRecord.explicitHashKeyIndex] : undefined;
+
+    const kinesis = {};
+    Object.getOwnPropertyNames(record.kinesis).forEach(name => kinesis[name] = record.kinesis[name]);
+    kinesis.partitionKey = partitionKey;
+    if (explicitHashKey !== undefined) {
+      kinesis.explicitHashKey = explicitHashKey;
+    } else {
+      delete kinesis.explicitHashKey;
+    }
+    kinesis.data = subRecord.data.toString('base64');
+    kinesis.subSequenceNumber = i;
+    kinesis.aggregated = true;
+
+    const userRecord = {};
+    Object.getOwnPropertyNames(record).forEach(name => userRecord[name] = record[name]);
+    userRecord.kinesis = kinesis;
+    Object.defineProperty(userRecord, 'parentRecord', {value: record, enumerable: false});
+    return userRecord;
+  });
+}
+
+/**
+ * Returns the KPL aggregated parent record of the given de-aggregated sub-record (if any).
+ * @param {Record} record - a Kinesis stream event record or de-aggregated sub-record
+ * @returns {Record|undefined} the parent record (if the given record is a de-aggregated sub-record); otherwise undefined
+ */
+function getParentRecord(record) {
+  return record ? record.parentRecord : undefined;
+}
+
+/**
+ * Decodes the given AggregatedRecord protocol buffer message.
+ * @param {Buffer} buffer - the AggregatedRecord protocol buffer message
+ * @returns {{partitionKeyTable: string[], explicitHashKeyTable: string[], records: Object[]}} the decoded AggregatedRecord
+ * @throws {Error} if the protocol buffer message is malformed
+ */
+function decodeAggregatedRecord(buffer) {
+  const aggregatedRecord = {partitionKeyTable: [], explicitHashKeyTable: [], records: []};
+  readFields(buffer, (fieldNumber, wireType, value) => {
+    switch (fieldNumber) {
+      case 1: aggregatedRecord.partitionKeyTable.push(toUtf8(value, wireType, 'partition_key_table')); break;
+      case 2: aggregatedRecord.explicitHashKeyTable.push(toUtf8(value, wireType, 'explicit_hash_key_table')); break;
+      case 3: aggregatedRecord.records.push(decodeRecord(toBytes(value, wireType, 'records'))); break;
+    }
+  });
+  return aggregatedRecord;
+}
+
+function decodeRecord(buffer) {
+  const record = {partitionKeyIndex: undefined, explicitHashKeyIndex: undefined, data: undefined, tags: []};
+  readFields(buffer, (fieldNumber, wireType, value) => {
+    switch (fieldNumber) {
+      case 1: record.partitionKeyIndex = toVarint(value, wireType, 'partition_key_index'); break;
+      case 2: record.explicitHashKeyIndex = toVarint(value, wireType, 'explicit_hash_key_index'); break;
+      case 3: record.data = toBytes(value, wireType, 'data'); break;
+      case 4: record.tags.push(decodeTag(toBytes(value, wireType, 'tags'))); break;
+    }
+  });
+  if (record.partitionKeyIndex === undefined || record.data === undefined) {
+    throw new Error(`KPL aggregated sub-record is missing its required partition_key_index or data (${stringify(record)})`);
+  }
+  return record;
+}
+
+function decodeTag(buffer) {
+  const tag = {key: undefined, value: undefined};
+  readFields(buffer, (fieldNumber, wireType, value) => {
+    switch (fieldNumber) {
+      case 1: tag.key = toUtf8(value, wireType, 'key'); break;
+      case 2: tag.value = toUtf8(value, wireType, 'value'); break;
+    }
+  });
+  return tag;
+}
+
+/**
+ * Reads each of the fields of the given protocol buffer message and passes its field number, wire type and value (a
+ * number for varint fields or a Buffer for all other fields) to the given callback.
+ * @param {Buffer} buffer - the protocol buffer message
+ * @param {function(number, number, (number|Buffer))} callback - the callback to invoke with each field
+ * @throws {Error} if the protocol buffer message is malformed
+ */
+function readFields(buffer, callback) {
+  let offset = 0;
+  while (offset < buffer.length) {
+    const key = readVarint(buffer, offset);
+    offset = key.offset;
+    const fieldNumber = Math.floor(key.value / 8);
+    const wireType = key.value % 8;
+
+    switch (wireType) {
+      case VARINT_WIRE_TYPE: {
+        const varint = readVarint(buffer, offset);
+        offset = varint.offset;
+        callback(fieldNumber, wireType, varint.value);
+        break;
+      }
+      case LENGTH_DELIMITED_WIRE_TYPE: {
+        const length = readVarint(buffer, offset);
+        const end = length.offset + length.value;
+        if (end > buffer.length) {
+          throw new Error(`Malformed protocol buffer message - field (${fieldNumber}) length (${length.value}) exceeds the remaining ${buffer.length - length.offset} bytes`);
+        }
+        callback(fieldNumber, wireType, buffer.slice(length.offset, end));
+        offset = end;
+        break;
+      }
+      case FIXED64_WIRE_TYPE:
+        offset = skip(buffer, offset, 8, fieldNumber);
+        break;
+      case FIXED32_WIRE_TYPE:
+        offset = skip(buffer, offset, 4, fieldNumber);
+        break;
+      default:
+        throw new Error(`Malformed protocol buffer message - field (${fieldNumber}) has an unsupported wire type (${wireType})`);
+    }
+  }
+}
+
+function readVarint(buffer, offset) {
+  let value = 0;
+  let multiplier = 1;
+  let i = offset;
+  while (i < buffer.length) {
+    const b = buffer[i++];
+    value += (b & 0x7F) * multiplier;
+    if ((b & 0x80) === 0) {
+      return {value: value, offset: i};
+    }
+    multiplier *= 128;
+  }
+  throw new Error(`Malformed protocol buffer message - truncated varint at offset (${offset})`);
+}
+
+function skip(buffer, offset, size, fieldNumber) {
+  if (offset + size > buffer.length) {
+    throw new Error(`Malformed protocol buffer message - truncated field (${fieldNumber}) at offset (${offset})`);
+  }
+  return offset + size;
+}
+
+function toVarint(value, wireType, name) {
+  if (wireType !== VARINT_WIRE_TYPE) {
+    throw new Error(`Malformed protocol buffer message - expected ${name} to be a varint, but found wire type (${wireType})`);
+  }
+  return value;
+}
+
+function toBytes(value, wireType, name) {
+  if (wireType !== LENGTH_DELIMITED_WIRE_TYPE) {
+    throw new Error(`Malformed protocol buffer message - expected ${name} to be length-delimited, but found wire type (${wireType})`);
+  }
+  return value;
+}
+
+function toUtf8(value, wireType, name) {
+  return toBytes(value, wireType, name).toString('utf8');
+}
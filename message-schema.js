@@ -0,0 +1,380 @@
+'use strict';
+
+const Strings = require('core-functions/strings');
+const stringify = Strings.stringify;
+
+/**
+ * Utilities for validating extracted messages against a configured message schema, which is either a single JSON Schema
+ * that applies to every message or a "discriminated" message schema that selects the JSON Schema to apply to each
+ * message by the value of its discriminator property, e.g.
+ *
+ *   {discriminator: 'type', schemas: {OrderPlaced: {...}, OrderCancelled: {...}}, defaultSchema: {...}}
+ *
+ * where the optional defaultSchema applies to messages with a missing or unknown discriminator value (and, if there is
+ * no defaultSchema, then such messages are invalid).
+ *
+ * Only the following subset of JSON Schema keywords is supported:
+ * type, enum, const, properties, required, additionalProperties, minProperties, maxProperties, items, additionalItems,
+ * minItems, maxItems, uniqueItems, minLength, maxLength, pattern, minimum, maximum, numeric exclusiveMinimum and
+ * exclusiveMaximum, multipleOf, allOf, anyOf, oneOf, not and local $ref (e.g. "#/definitions/address"). Since a message
+ * schema that relies on any other validation keyword (e.g. "format") would silently let invalid messages through, such
+ * unsupported keywords are reported by `findUnsupportedKeywords`, so that configuring such a schema can fail fast.
+ *
+ * @module aws-stream-consumer/message-schema
+ * @author Byron du Preez
+ */
+module.exports = {
+  isDiscriminatedMessageSchema: isDiscriminatedMessageSchema,
+  isValidMessageSchema: isValidMessageSchema,
+  findUnsupportedKeywords: findUnsupportedKeywords,
+  selectSchema: selectSchema,
+  validateMessage: validateMessage,
+  validateValue: validateValue,
+  areEqualValues: areEqualValues
+};
+
+/**
+ * Returns true if the given message schema is a "discriminated" message schema, i.e. an object with a discriminator
+ * property and a schemas property; otherwise false.
+ * @param {*} messageSchema - the message schema to check
+ * @returns {boolean} true if a discriminated message schema; false otherwise
+ */
+function isDiscriminatedMessageSchema(messageSchema) {
+  return isObject(messageSchema) && messageSchema.hasOwnProperty('discriminator') &&
+    messageSchema.hasOwnProperty('schemas');
+}
+
+/**
+ * Returns true if the given message schema is either a JSON Schema object or a discriminated message schema with a
+ * non-blank discriminator, an object of JSON Schema objects and an optional default JSON Schema object; otherwise false.
+ * @param {*} messageSchema - the message schema to check
+ * @returns {boolean} true if valid; false otherwise
+ */
+function isValidMessageSchema(messageSchema) {
+  if (!isObject(messageSchema)) {
+    return false;
+  }
+  if (isDiscriminatedMessageSchema(messageSchema)) {
+    const schemas = messageSchema.schemas;
+    return Strings.isNotBlank(messageSchema.discriminator) && isObject(schemas) &&
+      Object.keys(schemas).every(k => isObject(schemas[k])) &&
+      (messageSchema.defaultSchema === undefined || isObject(messageSchema.defaultSchema));
+  }
+  return true;
+}
+
+// The JSON Schema validation keywords that are NOT supported
+const UNSUPPORTED_KEYWORDS = ['format', 'patternProperties', 'dependencies', 'dependentRequired', 'dependentSchemas',
+  'propertyNames', 'if', 'then', 'else', 'contains', 'minContains', 'maxContains', 'unevaluatedProperties',
+  'unevaluatedItems', '$dynamicRef', '$recursiveRef'];
+
+/**
+ * Finds all of the unsupported JSON Schema keywords used anywhere in the given valid message schema, i.e. any of the
+ * validation keywords that are not supported, any draft-04 style boolean exclusiveMinimum or exclusiveMaximum and any
+ * $ref that is not local.
+ * @param {Object} messageSchema - a valid JSON Schema or discriminated message schema
+ * @returns {string[]} a list of descriptions of the unsupported keywords found (empty if none)
+ */
+function findUnsupportedKeywords(messageSchema) {
+  const unsupported = [];
+  if (isDiscriminatedMessageSchema(messageSchema)) {
+    const schemas = messageSchema.schemas;
+    Object.keys(schemas).forEach(k => findUnsupported(schemas[k], `schemas/${k}`, unsupported));
+    findUnsupported(messageSchema.defaultSchema, 'defaultSchema', unsupported);
+  } else {
+    findUnsupported(messageSchema, '', unsupported);
+  }
+  return unsupported;
+}
+
+function findUnsupported(schema, path, unsupported) {
+  if (!isObject(schema)) {
+    return;
+  }
+  UNSUPPORTED_KEYWORDS.filter(keyword => schema.hasOwnProperty(keyword))
+    .forEach(keyword => unsupported.push(`${keyword} at #${path}`));
+
+  ['exclusiveMinimum', 'exclusiveMaximum'].filter(keyword => typeof schema[keyword] === 'boolean')
+    .forEach(keyword => unsupported.push(`boolean ${keyword} at #${path}`));
+
+  if (schema.$ref !== undefined && schema.$ref !== '#' && (typeof schema.$ref !== 'string' || schema.$ref.indexOf('#/') !== 0)) {
+    unsupported.push(`non-local $ref (${schema.$ref}) at #${path}`);
+  }
+
+  // Sub-schemas
+  ['properties', 'definitions', '$defs'].filter(keyword => isObject(schema[keyword])).forEach(keyword =>
+    Object.keys(schema[keyword]).forEach(k => findUnsupported(schema[keyword][k], `${path}/${keyword}/${k}`, unsupported)));
+
+  ['additionalProperties', 'additionalItems', 'not'].forEach(keyword =>
+    findUnsupported(schema[keyword], `${path}/${keyword}`, unsupported));
+
+  ['items', 'allOf', 'anyOf', 'oneOf'].forEach(keyword => {
+    if (Array.isArray(schema[keyword])) {
+      schema[keyword].forEach((subSchema, i) => findUnsupported(subSchema, `${path}/${keyword}/${i}`, unsupported));
+    } else {
+      findUnsupported(schema[keyword], `${path}/${keyword}`, unsupported);
+    }
+  });
+}
+
+/**
+ * Selects the JSON Schema to apply to the given message from the given message schema.
+ * @param {Message} message - the message to be validated
+ * @param {Object} messageSchema - a JSON Schema or discriminated message schema
+ * @returns {Object|undefined} the selected JSON Schema (if any); otherwise undefined
+ */
+function selectSchema(message, messageSchema) {
+  if (!isDiscriminatedMessageSchema(messageSchema)) {
+    return messageSchema;
+  }
+  const messageType = message ? message[messageSchema.discriminator] : undefined;
+  const schemas = messageSchema.schemas;
+  return typeof messageType === 'string' && schemas.hasOwnProperty(messageType) ?
+    schemas[messageType] : messageSchema.defaultSchema;
+}
+
+/**
+ * Validates the given message against the JSON Schema selected for it from the given message schema and returns the
+ * resulting validation errors (if any).
+ * @param {Message} message - the message to validate
+ * @param {Object} messageSchema - a JSON Schema or discriminated message schema
+ * @param {string|undefined} [taskTrackingName] - the name of the message's task tracking property (if any), which is
+ * ignored during validation
+ * @returns {string[]} a list of validation errors (empty if the message is valid)
+ */
+function validateMessage(message, messageSchema, taskTrackingName) {
+  const schema = selectSchema(message, messageSchema);
+  if (!schema) {
+    const messageType = message ? message[messageSchema.discriminator] : undefined;
+    return [`message has no schema for its ${messageSchema.discriminator} (${JSON.stringify(messageType)})`];
+  }
+  if (taskTrackingName && isObject(message) && message.hasOwnProperty(taskTrackingName)) {
+    // Validate a shallow copy of the message without its task tracking
+    const copy = {};
+    Object.keys(message).filter(k => k !== taskTrackingName).forEach(k => copy[k] = message[k]);
+    return validateValue(copy, schema, 'message');
+  }
+  return validateValue(message, schema, 'message');
+}
+
+/**
+ * Validates the given value against the given JSON Schema and returns the resulting validation errors (if any).
+ * @param {*} value - the value to validate
+ * @param {Object|boolean} schema - the JSON Schema to validate against
+ * @param {string|undefined} [path] - the path to the value to use in validation errors (defaults to "value")
+ * @returns {string[]} a list of validation errors (empty if the value is valid)
+ */
+function validateValue(value, schema, path) {
+  const errors = [];
+  validate(value, schema, path ? path : 'value', schema, errors);
+  return errors;
+}
+
+function validate(value, schema, path, rootSchema, errors) {
+  if (schema === true || schema === undefined) {
+    return;
+  }
+  if (schema === false) {
+    errors.push(`${path} is not allowed`);
+    return;
+  }
+  if (!isObject(schema)) {
+    errors.push(`${path} has an invalid schema (${stringify(schema)})`);
+    return;
+  }
+  if (schema.$ref !== undefined) {
+    const referenced = resolveRef(schema.$ref, rootSchema);
+    if (referenced === undefined) {
+      errors.push(`${path} has an unresolvable schema $ref (${schema.$ref})`);
+    } else {
+      validate(value, referenced, path, rootSchema, errors);
+    }
+    return;
+  }
+
+  // Generic keywords
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => isOfType(value, type))) {
+      errors.push(`${path} must be of type ${types.join(' or ')}`);
+      return;
+    }
+  }
+  if (Array.isArray(schema.enum) && !schema.enum.some(v => areEqualValues(value, v))) {
+    errors.push(`${path} must be one of ${JSON.stringify(schema.enum)}`);
+  }
+  if (schema.hasOwnProperty('const') && !areEqualValues(value, schema.const)) {
+    errors.push(`${path} must be ${JSON.stringify(schema.const)}`);
+  }
+
+  // Type-specific keywords
+  if (isObject(value)) {
+    validateObject(value, schema, path, rootSchema, errors);
+  } else if (Array.isArray(value)) {
+    validateArray(value, schema, path, rootSchema, errors);
+  } else if (typeof value === 'string') {
+    validateString(value, schema, path, errors);
+  } else if (typeof value === 'number') {
+    validateNumber(value, schema, path, errors);
+  }
+
+  // Combining keywords
+  if (Array.isArray(schema.allOf)) {
+    schema.allOf.forEach(subSchema => validate(value, subSchema, path, rootSchema, errors));
+  }
+  if (Array.isArray(schema.anyOf) && !schema.anyOf.some(subSchema => isValid(value, subSchema, rootSchema))) {
+    errors.push(`${path} must match at least one of its anyOf schemas`);
+  }
+  if (Array.isArray(schema.oneOf)) {
+    const matches = schema.oneOf.filter(subSchema => isValid(value, subSchema, rootSchema)).length;
+    if (matches !== 1) {
+      errors.push(`${path} must match exactly one of its oneOf schemas, but matched ${matches}`);
+    }
+  }
+  if (schema.not !== undefined && isValid(value, schema.not, rootSchema)) {
+    errors.push(`${path} must not match its not schema`);
+  }
+}
+
+function validateObject(value, schema, path, rootSchema, errors) {
+  const names = Object.keys(value);
+  if (Array.isArray(schema.required)) {
+    schema.required.filter(name => !value.hasOwnProperty(name) || value[name] === undefined)
+      .forEach(name => errors.push(`${path}.${name} is required`));
+  }
+  const properties = isObject(schema.properties) ? schema.properties : {};
+  names.forEach(name => {
+    if (properties.hasOwnProperty(name)) {
+      if (value[name] !== undefined) {
+        validate(value[name], properties[name], `${path}.${name}`, rootSchema, errors);
+      }
+    } else if (schema.additionalProperties !== undefined) {
+      validate(value[name], schema.additionalProperties, `${path}.${name}`, rootSchema, errors);
+    }
+  });
+  if (typeof schema.minProperties === 'number' && names.length < schema.minProperties) {
+    errors.push(`${path} must have at least ${schema.minProperties} properties`);
+  }
+  if (typeof schema.maxProperties === 'number' && names.length > schema.maxProperties) {
+    errors.push(`${path} must have at most ${schema.maxProperties} properties`);
+  }
+}
+
+function validateArray(value, schema, path, rootSchema, errors) {
+  if (Array.isArray(schema.items)) {
+    value.forEach((item, i) => validate(item, i < schema.items.length ? schema.items[i] : schema.additionalItems,
+      `${path}[${i}]`, rootSchema, errors));
+  } else if (schema.items !== undefined) {
+    value.forEach((item, i) => validate(item, schema.items, `${path}[${i}]`, rootSchema, errors));
+  }
+  if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+    errors.push(`${path} must have at least ${schema.minItems} items`);
+  }
+  if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+    errors.push(`${path} must have at most ${schema.maxItems} items`);
+  }
+  if (schema.uniqueItems === true && value.some((item, i) => value.findIndex(v => areEqualValues(v, item)) !== i)) {
+    errors.push(`${path} must have unique items`);
+  }
+}
+
+function validateString(value, schema, path, errors) {
+  // Count code points rather than UTF-16 code units
+  const length = Array.from(value).length;
+  if (typeof schema.minLength === 'number' && length < schema.minLength) {
+    errors.push(`${path} must have at least ${schema.minLength} characters`);
+  }
+  if (typeof schema.maxLength === 'number' && length > schema.maxLength) {
+    errors.push(`${path} must have at most ${schema.maxLength} characters`);
+  }
+  if (typeof schema.pattern === 'string' && !new RegExp(schema.pattern).test(value)) {
+    errors.push(`${path} must match pattern ${schema.pattern}`);
+  }
+}
+
+function validateNumber(value, schema, path, errors) {
+  if (typeof schema.minimum === 'number' && value < schema.minimum) {
+    errors.push(`${path} must be >= ${schema.minimum}`);
+  }
+  if (typeof schema.maximum === 'number' && value > schema.maximum) {
+    errors.push(`${path} must be <= ${schema.maximum}`);
+  }
+  if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+    errors.push(`${path} must be > ${schema.exclusiveMinimum}`);
+  }
+  if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+    errors.push(`${path} must be < ${schema.exclusiveMaximum}`);
+  }
+  if (typeof schema.multipleOf === 'number' && schema.multipleOf > 0) {
+    const quotient = value / schema.multipleOf;
+    if (Math.abs(quotient - Math.round(quotient)) > 1e-9) {
+      errors.push(`${path} must be a multiple of ${schema.multipleOf}`);
+    }
+  }
+}
+
+function isValid(value, schema, rootSchema) {
+  const errors = [];
+  validate(value, schema, 'value', rootSchema, errors);
+  return errors.length === 0;
+}
+
+function isOfType(value, type) {
+  switch (type) {
+    case 'object': return isObject(value);
+    case 'array': return Array.isArray(value);
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && isFinite(value);
+    case 'integer': return typeof value === 'number' && Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'null': return value === null;
+    default: return false;
+  }
+}
+
+/**
+ * Resolves the given local $ref (i.e. a JSON pointer into the root schema, e.g. "#/definitions/address").
+ * @param {string} ref - the $ref to resolve
+ * @param {Object} rootSchema - the root schema
+ * @returns {Object|boolean|undefined} the referenced schema (if resolvable); otherwise undefined
+ */
+function resolveRef(ref, rootSchema) {
+  if (ref === '#') {
+    return rootSchema;
+  }
+  if (typeof ref !== 'string' || ref.indexOf('#/') !== 0) {
+    return undefined;
+  }
+  return ref.substring(2).split('/')
+    .map(token => decodeURIComponent(token).replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((schema, token) => isObject(schema) && schema.hasOwnProperty(token) ? schema[token] : undefined, rootSchema);
+}
+
+/**
+ * Returns true if the given values are deeply equal, i.e. if they are strictly equal, both NaN, equal Buffers or arrays
+ * or plain objects with deeply equal elements or properties; otherwise false.
+ * @param {*} a - the first value
+ * @param {*} b - the second value
+ * @returns {boolean} true if deeply equal; false otherwise
+ */
+function areEqualValues(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (typeof a === 'number' && typeof b === 'number') {
+    return isNaN(a) && isNaN(b);
+  }
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object' || Array.isArray(a) !== Array.isArray(b)) {
+    return false;
+  }
+  if (Buffer.isBuffer(a) || Buffer.isBuffer(b)) {
+    return Buffer.isBuffer(a) && Buffer.isBuffer(b) && a.equals(b);
+  }
+  const aKeys = Object.keys(a);
+  const bKeys = Object.keys(b);
+  return aKeys.length === bKeys.length && aKeys.every(k => b.hasOwnProperty(k) && areEqualValues(a[k], b[k]));
+}
+
+function isObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+'use strict';
+
+const redrive = require('./redrive');
+const compression = require('./compression');
+
+require('core-functions/promises');
+
+const logging = require('logging-utils');
+const kinesisCache = require('aws-core-utils/kinesis-cache');
+
+const USAGE = `Usage: aws-stream-consumer-redrive [options]
+
+Redrives dumped DMQ and/or DRQ entries back into their source Kinesis streams.
+
+Options:
+  --file <path>                 the file from which to read the dumped entries (defaults to reading from stdin)
+  --task <name>                 only redrive messages with an incomplete task with this name (repeatable)
+  --error <pattern>             only redrive messages with an incomplete task whose error or reason matches this pattern
+  --from <time>                 only redrive items discarded at or after this ISO-8601 time
+  --to <time>                   only redrive items discarded at or before this ISO-8601 time
+  --stream <name>               only redrive items from this source stream (repeatable)
+  --task-tracking-name <name>   the name of the task tracking property on each message (defaults to "taskTracking")
+  --reset-attempts              reset the attempts of each message's tasks before redriving it
+  --compression <gzip|deflate>  compress each redriven message (to match the source stream consumer's compression)
+  --dry-run                     only log what would be redriven
+  --region <region>             the AWS region of the Kinesis streams (defaults to AWS_REGION)
+  --help                        show this usage`;
+
+/**
+ * A command line entry point for the redrive module.
+ * @module aws-stream-consumer/redrive-cli
+ * @author Byron du Preez
+ */
+module.exports = {
+  parseArgs: parseArgs,
+  main: main
+};
+
+/**
+ * Parses the given command line arguments into the input file, filters and options to use for a redrive.
+ * @param {string[]} args - the command line arguments (excluding the node executable and script)
+ * @returns {{file: string|undefined, region: string|undefined, help: boolean, filters: RedriveFilters, options: RedriveOptions}}
+ * the parsed arguments
+ * @throws {Error} if an argument is unknown or is missing its value
+ */
+function parseArgs(args) {
+  const parsed = {file: undefined, region: undefined, help: false, filters: {}, options: {}};
+
+  for (let i = 0; i < args.length; ++i) {
+    const arg = args[i];
+    const value = () => {
+      if (i + 1 >= args.length) {
+        throw new Error(`Missing value for argument (${arg})`);
+      }
+      return args[++i];
+    };
+    const compressionValue = () => {
+      const compressionArg = value();
+      if (!compression.isCompressing(compressionArg)) {
+        throw new Error(`Invalid value (${compressionArg}) for argument (${arg}), which must be "${compression.GZIP_COMPRESSION}" or "${compression.DEFLATE_COMPRESSION}"`);
+      }
+      return compressionArg;
+    };
+    switch (arg) {
+      case '--file': parsed.file = value(); break;
+      case '--task': (parsed.filters.taskNames = parsed.filters.taskNames || []).push(value()); break;
+      case '--error': parsed.filters.error = value(); break;
+      case '--from': parsed.filters.discardedFrom = value(); break;
+      case '--to': parsed.filters.discardedTo = value(); break;
+      case '--stream': (parsed.filters.sourceStreamNames = parsed.filters.sourceStreamNames || []).push(value()); break;
+      case '--task-tracking-name': parsed.options.taskTrackingName = value(); break;
+      case '--reset-attempts': parsed.options.resetAttempts = true; break;
+      case '--compression': parsed.options.compression = compressionValue(); break;
+      case '--dry-run': parsed.options.dryRun = true; break;
+      case '--region': parsed.region = value(); break;
+      case '--help': parsed.help = true; break;
+      default: throw new Error(`Unknown argument (${arg})`);
+    }
+  }
+  return parsed;
+}
+
+/**
+ * Runs a redrive with the given command line arguments.
+ * @param {string[]} args - the command line arguments (excluding the node executable and script)
+ * @param {Object|undefined} [context] - an optional context to use (e.g. with a pre-configured kinesis and/or s3)
+ * @returns {Promise.<number>} a promise of the exit code to use, which is non-zero if any of the selected items failed
+ * to be redriven
+ */
+function main(args, context) {
+  const ctx = context ? context : {};
+  if (!logging.isLoggingConfigured(ctx)) {
+    logging.configureDefaultLogging(ctx);
+  }
+
+  let parsed = undefined;
+  try {
+    parsed = parseArgs(args);
+  } catch (err) {
+    ctx.error(`${err.message}`);
+    console.error(USAGE);
+    return Promise.resolve(2);
+  }
+  if (parsed.help) {
+    console.log(USAGE);
+    return Promise.resolve(0);
+  }
+
+  return Promise.try(() => {
+    const region = parsed.region ? parsed.region : process.env.AWS_REGION;
+    if (!parsed.options.dryRun) {
+      kinesisCache.configureKinesis(ctx, {region: region});
+    }
+    if (!ctx.s3) {
+      const AWS = require('aws-sdk');
+      ctx.s3 = new AWS.S3({region: region});
+    }
+    const entriesPromise = parsed.file ? redrive.readDeadEntriesFromFile(parsed.file) :
+      redrive.readDeadEntriesFromStream(process.stdin);
+
+    return entriesPromise
+      .then(entries => redrive.redrive(entries, parsed.filters, parsed.options, ctx))
+      .then(results => results.some(result => result.error) ? 1 : 0);
+  }).catch(err => {
+    ctx.error(`Redrive failed - error (${err})`, err.stack);
+    return 2;
+  });
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
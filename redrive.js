@@ -0,0 +1,551 @@
+'use strict';
+
+const fs = require('fs');
+
+const Strings = require('core-functions/strings');
+const isBlank = Strings.isBlank;
+const isNotBlank = Strings.isNotBlank;
+const trim = Strings.trim;
+require('core-functions/promises');
+
+const states = require('task-utils/task-states');
+
+const logging = require('logging-utils');
+
+const compression = require('./compression');
+
+const DEFAULT_TASK_TRACKING_NAME = 'taskTracking';
+
+// Kinds of dead items that can be redriven
+const DMQ_KIND = 'dmq';
+const DRQ_KIND = 'drq';
+
+/**
+ * Utilities for redriving (i.e. replaying) rejected messages from a DMQ (i.e. Dead Message Queue) and unusable records
+ * from a DRQ (i.e. Dead Record Queue) back into their source Kinesis streams, once whatever caused them to be discarded
+ * has been fixed.
+ *
+ * Supports the rejected message "envelopes" and unusable records written by the default Kinesis and SQS DMQ and DRQ
+ * functions of the stream-processing module, either directly, or as dumped in the output of the AWS CLI's
+ * `kinesis get-records` (base 64 encoded Data) or `sqs receive-message` (Body) commands, and also resolves any S3 claim
+ * checks using the AWS S3 instance configured on context.s3. Any gzip or deflate compressed entries (see
+ * {@linkcode module:aws-stream-consumer/compression}) are decompressed.
+ * @module aws-stream-consumer/redrive
+ * @author Byron du Preez
+ */
+module.exports = {
+  // Reading of dumped DMQ/DRQ entries
+  parseDeadEntries: parseDeadEntries,
+  readDeadEntriesFromStream: readDeadEntriesFromStream,
+  readDeadEntriesFromFile: readDeadEntriesFromFile,
+
+  // Conversion, filtering & preparation of redrive items
+  toRedriveItems: toRedriveItems,
+  filterRedriveItems: filterRedriveItems,
+  resetRejectedTaskStates: resetRejectedTaskStates,
+  resetTaskTrackingAttempts: resetTaskTrackingAttempts,
+
+  // Redriving
+  redriveItems: redriveItems,
+  redrive: redrive,
+
+  // Valid redrive item kinds
+  DMQ_KIND: DMQ_KIND,
+  DRQ_KIND: DRQ_KIND
+};
+
+/**
+ * @typedef {Object} RedriveItem - a dead item (i.e. a rejected message or an unusable record) to be redriven
+ * @property {string} kind - the kind of item - "dmq" for a rejected message or "drq" for an unusable record
+ * @property {Object} entry - the original (unwrapped) DMQ envelope or DRQ record
+ * @property {string|undefined} [eventSource] - the event source of the item's source stream (e.g. "aws:kinesis")
+ * @property {string|undefined} [streamName] - the name of the item's source stream (note that a rejected message that was
+ * received from a retry stream is redriven to the original source stream named by its sourceStreamName marker instead)
+ * @property {string|undefined} [partitionKey] - the partition key with which to re-put the item
+ * @property {string|undefined} [explicitHashKey] - the optional explicit hash key with which to re-put the item
+ * @property {string|undefined} [sequenceNumber] - the sequence number of the item's source record
+ * @property {Date|undefined} [discardedAt] - when the item was discarded (if known)
+ * @property {Message|undefined} [message] - the rejected message (only for "dmq" items)
+ * @property {string|undefined} [skipReason] - the reason why the item cannot be redriven (if any)
+ */
+
+/**
+ * @typedef {Object} RedriveFilters - the filters with which to select the items to redrive
+ * @property {string[]|undefined} [taskNames] - only select rejected messages with an incomplete task with one of these names
+ * @property {RegExp|string|undefined} [error] - only select rejected messages with an incomplete task whose error or
+ * rejection reason matches this pattern
+ * @property {Date|string|undefined} [discardedFrom] - only select items that were discarded at or after this time
+ * @property {Date|string|undefined} [discardedTo] - only select items that were discarded at or before this time
+ * @property {string[]|undefined} [sourceStreamNames] - only select items from one of these source streams
+ */
+
+/**
+ * @typedef {Object} RedriveOptions - options to use when redriving
+ * @property {boolean|undefined} [dryRun] - whether to only log what would be redriven without re-putting anything
+ * @property {boolean|undefined} [resetAttempts] - whether to reset the attempts (and incomplete states) of the tasks
+ * tracked on each rejected message before re-putting it (the states of its rejected tasks are always reset)
+ * @property {string|undefined} [taskTrackingName] - the name of the task tracking property on each message (defaults
+ * to "taskTracking")
+ * @property {string|undefined} [compression] - the compression (i.e. "gzip" or "deflate") with which to compress each
+ * re-put rejected message (defaults to uncompressed), which should match the compression configured on the source
+ * stream's consumer
+ */
+
+/**
+ * @typedef {Object} RedriveResult - the result of redriving a single item
+ * @property {RedriveItem} item - the item
+ * @property {boolean} redriven - whether the item was redriven (or would have been redriven on a dry run) or not
+ * @property {boolean|undefined} [dryRun] - whether this was a dry run
+ * @property {string|undefined} [skipReason] - the reason why the item was skipped (if skipped)
+ * @property {Error|undefined} [error] - the error encountered while redriving the item (if any)
+ */
+
+/**
+ * Parses the given text dump of DMQ and/or DRQ entries, which can be: a JSON array of entries; the JSON output of an AWS
+ * CLI `kinesis get-records` (i.e. with a Records array) or `sqs receive-message` (i.e. with a Messages array) command;
+ * a single JSON entry; or newline-delimited JSON entries.
+ * @param {string} text - the text to parse
+ * @returns {Object[]} the parsed entries
+ */
+function parseDeadEntries(text) {
+  const trimmed = trim(text);
+  if (isBlank(trimmed)) {
+    return [];
+  }
+  let parsed = undefined;
+  try {
+    parsed = JSON.parse(trimmed);
+  } catch (err) {
+    // Not a single JSON value, so treat it as newline-delimited JSON
+    return trimmed.split(/\r?\n/).filter(line => isNotBlank(line)).map(line => JSON.parse(line));
+  }
+  if (Array.isArray(parsed)) {
+    return parsed;
+  }
+  if (parsed && Array.isArray(parsed.Records)) {
+    return parsed.Records;
+  }
+  if (parsed && Array.isArray(parsed.Messages)) {
+    return parsed.Messages;
+  }
+  return [parsed];
+}
+
+/**
+ * Reads and parses a dump of DMQ and/or DRQ entries from the given readable stream (see {@linkcode parseDeadEntries}).
+ * @param {stream.Readable} readable - the readable stream from which to read
+ * @returns {Promise.<Object[]>} a promise of the parsed entries
+ */
+function readDeadEntriesFromStream(readable) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    readable.on('data', chunk => chunks.push(typeof chunk === 'string' ? new Buffer(chunk, 'utf8') : chunk));
+    readable.on('error', reject);
+    readable.on('end', () => {
+      try {
+        resolve(parseDeadEntries(Buffer.concat(chunks).toString('utf8')));
+      } catch (err) {
+        reject(err);
+      }
+    });
+  });
+}
+
+/**
+ * Reads and parses a dump of DMQ and/or DRQ entries from the given file (see {@linkcode parseDeadEntries}).
+ * @param {string} path - the path of the file from which to read
+ * @returns {Promise.<Object[]>} a promise of the parsed entries
+ */
+function readDeadEntriesFromFile(path) {
+  return readDeadEntriesFromStream(fs.createReadStream(path));
+}
+
+/**
+ * Converts the given dumped DMQ and/or DRQ entries into redrive items, unwrapping any base 64 encoded Kinesis Data or
+ * SQS Body and resolving any S3 claim checks using the AWS S3 instance configured on context.s3 (if any).
+ * @param {Object[]} entries - the dumped entries
+ * @param {Object} context - the context to use, which must be configured with logging
+ * @returns {Promise.<RedriveItem[]>} a promise of the redrive items
+ */
+function toRedriveItems(entries, context) {
+  return Promise.all(entries.map(entry => Promise.try(() => unwrapEntry(entry, context)).then(
+    unwrapped => toRedriveItem(unwrapped),
+    err => {
+      context.error(`Failed to unwrap dead entry (${JSON.stringify(entry)}) - error (${err})`, err.stack);
+      return {kind: undefined, entry: entry, skipReason: `Failed to unwrap entry - ${err}`};
+    })
+  ));
+}
+
+function unwrapEntry(entry, context) {
+  if (entry && typeof entry.Data === 'string') {
+    // An entry from the output of `aws kinesis get-records`
+    return unwrapEntry(JSON.parse(compression.decodeData(new Buffer(entry.Data, 'base64'))), context);
+  }
+  if (entry && typeof entry.Body === 'string') {
+    // An entry from the output of `aws sqs receive-message`, whose discardedAt may only be present as an attribute
+    const parsedBody = JSON.parse(entry.Body);
+    const body = compression.isContentEncodingEnvelope(parsedBody) ?
+      JSON.parse(compression.fromContentEncodingEnvelope(parsedBody)) : parsedBody;
+    const discardedAt = entry.MessageAttributes && entry.MessageAttributes.discardedAt;
+    if (body && typeof body === 'object' && !body.discardedAt && discardedAt) {
+      body.discardedAt = discardedAt.StringValue;
+    }
+    return unwrapEntry(body, context);
+  }
+  if (entry && entry.claimCheck && !entry.message && !(entry.kinesis && entry.kinesis.data)) {
+    return resolveClaimCheck(entry.claimCheck, context).then(checkedIn => unwrapEntry(checkedIn, context));
+  }
+  return entry;
+}
+
+function resolveClaimCheck(claimCheck, context) {
+  if (!context.s3) {
+    return Promise.reject(new Error(`Cannot resolve claim check (${claimCheck.bucket}/${claimCheck.key}) without an AWS S3 instance configured on context.s3`));
+  }
+  return context.s3.getObject({Bucket: claimCheck.bucket, Key: claimCheck.key}).promise()
+    .then(result => JSON.parse(compression.decodeData(new Buffer(result.Body))));
+}
+
+function toRedriveItem(entry) {
+  if (entry && entry.message && entry.source) {
+    return toRedriveItemFromRejectedMessageEnvelope(entry);
+  }
+  if (entry && entry.eventSource && entry.eventSourceARN) {
+    return toRedriveItemFromUnusableRecord(entry);
+  }
+  const item = {kind: undefined, entry: entry, skipReason: 'Unrecognised entry'};
+  if (entry && entry.oversized) {
+    item.kind = entry.source ? DMQ_KIND : DRQ_KIND;
+    item.skipReason = 'Oversized entry was discarded as a summary without its payload';
+  }
+  return item;
+}
+
+function toRedriveItemFromRejectedMessageEnvelope(envelope) {
+  const source = envelope.source;
+  const item = {
+    kind: DMQ_KIND,
+    entry: envelope,
+    eventSource: isNotBlank(source.eventSource) ? source.eventSource : inferLegacyEnvelopeEventSource(envelope),
+    streamName: source.streamName,
+    partitionKey: source.partitionKeyOrKeys,
+    explicitHashKey: source.explicitHashKey,
+    sequenceNumber: source.sequenceNumber,
+    discardedAt: toDate(envelope.discardedAt),
+    message: envelope.message
+  };
+  if (!item.eventSource) {
+    item.skipReason = 'Cannot determine the event source of a rejected message envelope without an eventSource';
+  }
+  return withSkipReasonIfNotRedrivable(item);
+}
+
+/**
+ * Infers the event source of a rejected message envelope that was written before envelopes recorded their eventSource,
+ * which could only have come from a Kinesis or a DynamoDB stream. A DynamoDB envelope is recognised by its keys (i.e.
+ * the JSON of the DynamoDB record's Keys in its partitionKeyOrKeys) or by its message being a DynamoDB stream event
+ * record, while a Kinesis envelope is only recognised by a source stream name and a partition key that are NOT DynamoDB
+ * keys.
+ * @param {Object} envelope - the rejected message envelope without a source eventSource
+ * @returns {string|undefined} "aws:dynamodb" or "aws:kinesis" (if inferable); otherwise undefined
+ */
+function inferLegacyEnvelopeEventSource(envelope) {
+  const source = envelope.source;
+  const message = envelope.message;
+  if (isDynamoDBKeysJson(source.partitionKeyOrKeys) ||
+    (message && typeof message === 'object' && (message.eventSource === 'aws:dynamodb' || !!message.dynamodb))) {
+    return 'aws:dynamodb';
+  }
+  return isNotBlank(source.streamName) && isNotBlank(source.partitionKeyOrKeys) ? 'aws:kinesis' : undefined;
+}
+
+const DYNAMODB_ATTRIBUTE_VALUE_TYPES = ['S', 'N', 'B', 'BOOL', 'NULL', 'M', 'L', 'SS', 'NS', 'BS'];
+
+function isDynamoDBKeysJson(partitionKeyOrKeys) {
+  if (typeof partitionKeyOrKeys !== 'string' || partitionKeyOrKeys.trim().indexOf('{') !== 0) {
+    return false;
+  }
+  try {
+    const keys = JSON.parse(partitionKeyOrKeys);
+    const names = keys && typeof keys === 'object' && !Array.isArray(keys) ? Object.getOwnPropertyNames(keys) : [];
+    return names.length > 0 && names.every(name => {
+      const value = keys[name];
+      const types = value && typeof value === 'object' ? Object.getOwnPropertyNames(value) : [];
+      return types.length === 1 && DYNAMODB_ATTRIBUTE_VALUE_TYPES.indexOf(types[0]) !== -1;
+    });
+  } catch (err) {
+    return false;
+  }
+}
+
+function toRedriveItemFromUnusableRecord(record) {
+  const item = {
+    kind: DRQ_KIND,
+    entry: record,
+    eventSource: record.eventSource,
+    streamName: toKinesisStreamName(record.eventSourceARN),
+    partitionKey: record.kinesis ? record.kinesis.partitionKey : undefined,
+    explicitHashKey: record.kinesis ? record.kinesis.explicitHashKey : undefined,
+    sequenceNumber: record.kinesis ? record.kinesis.sequenceNumber : undefined,
+    discardedAt: toDate(record.discardedAt)
+  };
+  if (!item.skipReason && !(record.kinesis && typeof record.kinesis.data === 'string')) {
+    item.skipReason = 'Unusable record has no Kinesis data';
+  }
+  return withSkipReasonIfNotRedrivable(item);
+}
+
+function withSkipReasonIfNotRedrivable(item) {
+  if (item.skipReason) {
+    return item;
+  }
+  if (item.eventSource !== 'aws:kinesis') {
+    item.skipReason = `Cannot redrive to a source stream with eventSource (${item.eventSource})`;
+  } else if (isBlank(item.streamName)) {
+    item.skipReason = 'Missing source stream name';
+  } else if (isBlank(item.partitionKey)) {
+    item.skipReason = 'Missing source partition key';
+  }
+  return item;
+}
+
+function toKinesisStreamName(eventSourceARN) {
+  // e.g. arn:aws:kinesis:us-west-2:123456789012:stream/TestStream_DEV
+  const resource = isNotBlank(eventSourceARN) ? eventSourceARN.split(':').slice(5).join(':') : '';
+  return resource.indexOf('stream/') === 0 ? resource.substring(7) : undefined;
+}
+
+function toDate(value) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
+/**
+ * Selects the given redrive items that match ALL of the given filters (if any). Note that task name and error filters
+ * only match rejected messages and that discarded time range filters only match items with a known discardedAt.
+ * @param {RedriveItem[]} items - the items to filter
+ * @param {RedriveFilters|undefined} [filters] - the filters to apply
+ * @param {string|undefined} [taskTrackingName] - the name of the task tracking property on each message
+ * @returns {RedriveItem[]} the matching items
+ */
+function filterRedriveItems(items, filters, taskTrackingName) {
+  if (!filters) {
+    return items;
+  }
+  const trackingName = isNotBlank(taskTrackingName) ? taskTrackingName : DEFAULT_TASK_TRACKING_NAME;
+  const taskNames = Array.isArray(filters.taskNames) && filters.taskNames.length > 0 ? filters.taskNames : undefined;
+  const errorPattern = filters.error instanceof RegExp ? filters.error :
+    isNotBlank(filters.error) ? new RegExp(filters.error) : undefined;
+  const from = toDate(filters.discardedFrom);
+  const to = toDate(filters.discardedTo);
+  const streamNames = Array.isArray(filters.sourceStreamNames) && filters.sourceStreamNames.length > 0 ?
+    filters.sourceStreamNames : undefined;
+
+  return items.filter(item => {
+    if (streamNames && streamNames.indexOf(toRedriveStreamName(item, trackingName)) === -1) {
+      return false;
+    }
+    if ((from || to) && (!item.discardedAt || (from && item.discardedAt < from) || (to && item.discardedAt > to))) {
+      return false;
+    }
+    if (taskNames || errorPattern) {
+      const incompleteTaskLikes = getAllTaskLikes(item.message, trackingName).filter(task => !isTaskLikeCompleted(task));
+      return incompleteTaskLikes.some(task =>
+        (!taskNames || taskNames.indexOf(task.name) !== -1) &&
+        (!errorPattern || (task.state && (errorPattern.test(`${task.state.error}`) || errorPattern.test(`${task.state.reason}`))))
+      );
+    }
+    return true;
+  });
+}
+
+function getAllTaskLikes(message, taskTrackingName) {
+  const taskTracking = message ? message[taskTrackingName] : undefined;
+  if (!taskTracking) {
+    return [];
+  }
+  const taskLikes = [];
+  const collect = task => {
+    if (task && typeof task === 'object') {
+      taskLikes.push(task);
+      if (Array.isArray(task.subTasks)) task.subTasks.forEach(collect);
+    }
+  };
+  [taskTracking.ones, taskTracking.alls].forEach(tasksByName => {
+    if (tasksByName && typeof tasksByName === 'object') {
+      Object.getOwnPropertyNames(tasksByName).forEach(name => collect(tasksByName[name]));
+    }
+  });
+  return taskLikes;
+}
+
+function isTaskLikeCompleted(taskLike) {
+  return !!(taskLike.state && taskLike.state.completed);
+}
+
+/**
+ * Resets the states of any of the rejected (e.g. Rejected or Discarded), but NOT completed, tasks (and sub-tasks) tracked
+ * on the given rejected message to Unstarted, so that the redriven message's rejected tasks will be executed again
+ * (since the task tracking state of a message is reused when its tasks are reconstructed).
+ * @param {Message} message - the rejected message to update
+ * @param {string|undefined} [taskTrackingName] - the name of the task tracking property on the message
+ * @returns {Message} the updated message
+ */
+function resetRejectedTaskStates(message, taskTrackingName) {
+  const trackingName = isNotBlank(taskTrackingName) ? taskTrackingName : DEFAULT_TASK_TRACKING_NAME;
+  getAllTaskLikes(message, trackingName).forEach(task => {
+    if (task.state && task.state.rejected && !isTaskLikeCompleted(task)) {
+      task.state = JSON.parse(JSON.stringify(states.TaskState.UNSTARTED));
+    }
+  });
+  return message;
+}
+
+/**
+ * Resets the attempts of all of the tasks (and sub-tasks) tracked on the given rejected message to zero and resets the
+ * states of any of its incomplete tasks to Unstarted, so that the redriven message gets a fresh set of attempts.
+ * @param {Message} message - the rejected message to update
+ * @param {string|undefined} [taskTrackingName] - the name of the task tracking property on the message
+ * @returns {Message} the updated message
+ */
+function resetTaskTrackingAttempts(message, taskTrackingName) {
+  const trackingName = isNotBlank(taskTrackingName) ? taskTrackingName : DEFAULT_TASK_TRACKING_NAME;
+  getAllTaskLikes(message, trackingName).forEach(task => {
+    task.attempts = 0;
+    task.lastExecutedAt = undefined;
+    if (!isTaskLikeCompleted(task)) {
+      task.state = JSON.parse(JSON.stringify(states.TaskState.UNSTARTED));
+    }
+  });
+  return message;
+}
+
+/**
+ * Redrives the given items by re-putting each redrivable item to its source Kinesis stream, in order and one at a time,
+ * using the AWS Kinesis instance configured on context.kinesis. A rejected message is re-put as the original message
+ * (with its task tracking state) and an unusable record is re-put as its original Kinesis data. Items that cannot be
+ * redriven are skipped and failures to re-put an item do NOT stop the redrive of the remaining items.
+ * @param {RedriveItem[]} items - the items to redrive
+ * @param {RedriveOptions|undefined} [options] - the redrive options
+ * @param {Object} context - the context to use, which must be configured with logging and with context.kinesis (unless
+ * this is a dry run)
+ * @returns {Promise.<RedriveResult[]>} a promise of the result of redriving each item
+ */
+function redriveItems(items, options, context) {
+  const dryRun = !!(options && options.dryRun);
+  const resetAttempts = !!(options && options.resetAttempts);
+  const contentEncoding = options && compression.isCompressing(options.compression) ? options.compression : undefined;
+  const taskTrackingName = options && isNotBlank(options.taskTrackingName) ? options.taskTrackingName :
+    DEFAULT_TASK_TRACKING_NAME;
+
+  const sequenceNumbersForOrdering = {};
+  const results = [];
+
+  const redriveNext = i => {
+    if (i >= items.length) {
+      return Promise.resolve(results);
+    }
+    const item = items[i];
+    if (item.skipReason) {
+      context.warn(`Skipping ${item.kind ? item.kind.toUpperCase() : 'unknown'} item from stream (${item.streamName}) with sequence number (${item.sequenceNumber}) - ${item.skipReason}`);
+      results.push({item: item, redriven: false, skipReason: item.skipReason});
+      return redriveNext(i + 1);
+    }
+    const streamName = toRedriveStreamName(item, taskTrackingName);
+    const request = toPutRecordRequest(item, streamName, resetAttempts, taskTrackingName, contentEncoding);
+    const key = `${streamName}|${item.partitionKey}`;
+    if (sequenceNumbersForOrdering[key]) {
+      request.SequenceNumberForOrdering = sequenceNumbersForOrdering[key];
+    }
+    if (dryRun) {
+      context.info(`DRY RUN - would redrive ${item.kind.toUpperCase()} item with sequence number (${item.sequenceNumber}) to stream (${streamName}) with partition key (${item.partitionKey})`);
+      results.push({item: item, redriven: true, dryRun: true});
+      return redriveNext(i + 1);
+    }
+    return context.kinesis.putRecord(request).promise().then(
+      result => {
+        sequenceNumbersForOrdering[key] = result.SequenceNumber;
+        context.info(`Redrove ${item.kind.toUpperCase()} item with sequence number (${item.sequenceNumber}) to stream (${streamName}) as sequence number (${result.SequenceNumber})`);
+        results.push({item: item, redriven: true});
+        return redriveNext(i + 1);
+      },
+      err => {
+        context.error(`Failed to redrive ${item.kind.toUpperCase()} item with sequence number (${item.sequenceNumber}) to stream (${streamName}) - error (${err})`, err.stack);
+        results.push({item: item, redriven: false, error: err});
+        return redriveNext(i + 1);
+      }
+    );
+  };
+
+  return redriveNext(0);
+}
+
+/**
+ * Returns the name of the stream to which to redrive the given item, i.e. the original source stream named by the
+ * sourceStreamName marker on the task tracking of a rejected message that was received from a retry stream (if any);
+ * otherwise the item's source stream name.
+ * @param {RedriveItem} item - the item to be redriven
+ * @param {string} taskTrackingName - the name of the task tracking property on the item's message
+ * @returns {string|undefined} the name of the stream to which to redrive the item
+ */
+function toRedriveStreamName(item, taskTrackingName) {
+  const taskTracking = item.kind === DMQ_KIND && item.message ? item.message[taskTrackingName] : undefined;
+  return taskTracking && isNotBlank(taskTracking.sourceStreamName) ? taskTracking.sourceStreamName : item.streamName;
+}
+
+function toPutRecordRequest(item, streamName, resetAttempts, taskTrackingName, contentEncoding) {
+  let data = undefined;
+  if (item.kind === DMQ_KIND) {
+    const message = JSON.parse(JSON.stringify(item.message));
+    data = JSON.stringify(resetAttempts ? resetTaskTrackingAttempts(message, taskTrackingName) :
+      resetRejectedTaskStates(message, taskTrackingName));
+    if (contentEncoding) {
+      data = compression.compressData(data, contentEncoding);
+    }
+  } else {
+    data = new Buffer(item.entry.kinesis.data, 'base64');
+  }
+  const request = {
+    StreamName: streamName,
+    PartitionKey: item.partitionKey,
+    Data: data
+  };
+  if (item.explicitHashKey) {
+    request.ExplicitHashKey = item.explicitHashKey;
+  }
+  return request;
+}
+
+/**
+ * Redrives the given dumped DMQ and/or DRQ entries by converting them into redrive items, selecting the items that
+ * match the given filters and then redriving the selected items (see {@linkcode redriveItems}).
+ * @param {Object[]} entries - the dumped entries (see {@linkcode parseDeadEntries})
+ * @param {RedriveFilters|undefined} [filters] - the filters with which to select the items to redrive
+ * @param {RedriveOptions|undefined} [options] - the redrive options
+ * @param {Object} context - the context to use
+ * @returns {Promise.<RedriveResult[]>} a promise of the result of redriving each selected item
+ */
+function redrive(entries, filters, options, context) {
+  if (!logging.isLoggingConfigured(context)) {
+    logging.configureDefaultLogging(context);
+  }
+  const taskTrackingName = options ? options.taskTrackingName : undefined;
+
+  return toRedriveItems(entries, context)
+    .then(items => {
+      const selected = filterRedriveItems(items, filters, taskTrackingName);
+      context.info(`Selected ${selected.length} of ${items.length} dead items to redrive${options && options.dryRun ? ' (DRY RUN)' : ''}`);
+      return redriveItems(selected, options, context);
+    })
+    .then(results => {
+      const redriven = results.filter(r => r.redriven).length;
+      const skipped = results.filter(r => r.skipReason).length;
+      const failed = results.filter(r => r.error).length;
+      context.info(`${options && options.dryRun ? 'DRY RUN - would have redriven' : 'Redrove'} ${redriven}, skipped ${skipped} & failed to redrive ${failed} of ${results.length} dead items`);
+      return results;
+    });
+}
@@ -6,7 +6,7 @@ const stages = require('aws-core-utils/stages');
 const streamEvents = require('aws-core-utils/stream-events');
 
 const Strings = require('core-functions/strings');
-//const isBlank = Strings.isBlank;
+const isBlank = Strings.isBlank;
 const isNotBlank = Strings.isNotBlank;
 // const trim = Strings.trim;
 const stringify = Strings.stringify;
@@ -29,11 +29,29 @@ const taskUtils = require('task-utils/task-utils');
 const logging = require('logging-utils');
 //const stageHandling = require('aws-core-utils/stages');
 const streamProcessing = require('./stream-processing');
+const kplAggregation = require('./kpl-aggregation');
+const messageSchema = require('./message-schema');
 //const kinesisCache = require('aws-core-utils/kinesis-cache');
 
 // Phase task names
+const LOADING_TASK_NAME = 'loading';
 const PROCESSING_TASK_NAME = 'processing';
 const FINALISING_TASK_NAME = 'finalising';
+
+// Default finalising timeout to use if no finalisingTimeoutMs is configured
+const DEFAULT_FINALISING_TIMEOUT_MS = 500;
+
+// The delimiter with which to join the transformed data of multiple messages extracted from the same Firehose record
+const NEWLINE = 0x0a;
+const NEWLINE_DELIMITER = new Buffer([NEWLINE]);
+
+// The names of the task methods that change a task's state, which a task's execution may no longer call once the task
+// has been timed out by its per-task timeout
+const STATE_CHANGING_TASK_METHODS = ['complete', 'succeed', 'completeAs', 'timeout', 'timeoutAs', 'fail', 'failAs',
+  'reject', 'discard', 'abandon', 'rejectAs', 'reset'];
+
+// The execution guard of the latest execution of each task, which records whether that execution was timed out
+const executionGuards = new WeakMap();
 // Finalising sub-task names
 // const SAVE_MESSAGES_TASK_TRACKING_STATE_TASK_NAME = 'saveMessagesTaskTrackingState';
 // const HANDLE_INCOMPLETE_MESSAGES_TASK_NAME = 'handleIncompleteMessages';
@@ -56,26 +74,51 @@ module.exports = {
 
   validateTaskDefinitions: validateTaskDefinitions,
 
+  setTaskTimeoutMs: setTaskTimeoutMs,
+  getTaskTimeoutMs: getTaskTimeoutMs,
+  setTaskMaxConcurrency: setTaskMaxConcurrency,
+  getTaskMaxConcurrency: getTaskMaxConcurrency,
+
   getTaskTracking: getTaskTracking,
   getProcessOneTasksByName: getProcessOneTasksByName,
   getProcessOneTask: getProcessOneTask,
   getProcessAllTasksByName: getProcessAllTasksByName,
   getProcessAllTask: getProcessAllTask,
   setRecord: setRecord,
+  getRecord: getRecord,
+  getMessageIndex: getMessageIndex,
+  getValidationErrors: getValidationErrors,
+  getMessageId: getMessageId,
 
   summarizeStreamConsumerResults: summarizeStreamConsumerResults,
+  toBatchItemFailuresResponse: toBatchItemFailuresResponse,
+  toFirehoseTransformationResponse: toFirehoseTransformationResponse,
   awaitStreamConsumerResults: awaitStreamConsumerResults,
   awaitAndLogStreamConsumerResults: awaitAndLogStreamConsumerResults,
 
   FOR_TESTING_ONLY: {
     logStreamEvent: logStreamEvent,
-    processStreamEventRecords: processStreamEventRecords,
-    processStreamEventRecord: processStreamEventRecord,
+    extractMessagesFromStreamEventRecords: extractMessagesFromStreamEventRecords,
+    deaggregateRecord: deaggregateRecord,
+    extractMessageOrUnusableRecord: extractMessageOrUnusableRecord,
     extractMessageFromStreamEventRecord: extractMessageFromStreamEventRecord,
+    validateMessage: validateMessage,
+    rejectInvalidMessages: rejectInvalidMessages,
+    loadAllMessagesSucceededTaskNames: loadAllMessagesSucceededTaskNames,
+    completeAlreadySucceededTasks: completeAlreadySucceededTasks,
+    deferMessagesNotYetDueForRetry: deferMessagesNotYetDueForRetry,
+    loadTaskTrackingStateOfAllMessages: loadTaskTrackingStateOfAllMessages,
+    executeProcessOneAndAllTasks: executeProcessOneAndAllTasks,
     executeProcessOneTasks: executeProcessOneTasks,
     executeProcessOneTask: executeProcessOneTask,
     executeProcessAllTasks: executeProcessAllTasks,
     executeProcessAllTask: executeProcessAllTask,
+    executeTaskWithTimeout: executeTaskWithTimeout,
+    executeProcessOneTasksInOrder: executeProcessOneTasksInOrder,
+    groupMessagesByOrderingKey: groupMessagesByOrderingKey,
+    createProcessOneWorkQueue: createProcessOneWorkQueue,
+    createWorkQueue: createWorkQueue,
+    calculateProcessingTimeoutMs: calculateProcessingTimeoutMs,
     createTimeoutPromise: createTimeoutPromise,
     createCompletedPromise: createCompletedPromise,
     discardAnyUnusableRecords: discardAnyUnusableRecords,
@@ -84,7 +127,8 @@ module.exports = {
     handleAnyIncompleteMessages: handleAnyIncompleteMessages,
     isMessageIncomplete: isMessageIncomplete,
     discardAnyRejectedMessages: discardAnyRejectedMessages,
-    isMessageFinalisedButRejected: isMessageFinalisedButRejected
+    isMessageFinalisedButRejected: isMessageFinalisedButRejected,
+    toTransformedData: toTransformedData
   }
 };
 
@@ -109,6 +153,9 @@ function isStreamConsumerConfigured(context) {
  * DynamoDB stream records. Any error thrown must subsequently trigger a replay of all the records in the current batch
  * until the Lambda can be fixed.
  *
+ * If the configured stream type is "auto", then the stream type is resolved from the event sources of the given event's
+ * records. Otherwise, the given event (if any) must match the configured stream type.
+ *
  * Note that if either the given event or AWS context are undefined, then everything other than the region, stage and
  * AWS context will be configured. This missing configuration must be configured before invoking processStreamEvent by
  * invoking {@linkcode stages#configureRegionStageAndAwsContext}. This separation of configuration is primarily useful
@@ -120,13 +167,17 @@ function isStreamConsumerConfigured(context) {
  * @param {AwsEvent|undefined} [event] - the AWS event, which was passed to your lambda
  * @param {AwsContext|undefined} [awsContext] - the AWS context, which was passed to your lambda
  * @return {StreamConsumerContext|StreamProcessing} the given context object configured with full or partial stream consumer settings
- * @throws {Error} an error if event and awsContext are specified and the region and/or stage cannot be resolved
+ * @throws {Error} an error if event and awsContext are specified and the region and/or stage cannot be resolved, or if
+ * the given event's records come from mixed event sources or do not match the configured stream type
  */
 function configureStreamConsumer(context, settings, options, event, awsContext) {
   // Configure stream processing and all of the standard settings (including logging, stage handling, etc)
   streamProcessing.configureStreamProcessing(context, settings ? settings.streamProcessingSettings : undefined,
     options ? options.streamProcessingOptions : undefined, settings, options, event, awsContext, false);
 
+  // Fail fast if the event's records come from mixed event sources or do not match the configured stream type
+  streamProcessing.validateEventStreamType(event, context);
+
   return context;
 }
 
@@ -171,11 +222,17 @@ function generateHandlerFunction(moduleScopeContext, moduleScopeSettings, module
           // Optionally log the result at the given log level
           log('Result: ', result, logEventResultAtLogLevel, context);
 
+          // Respond with a Firehose transformation response (if transforming Firehose records) or with a partial batch
+          // response (if reporting batch item failures); otherwise with the result
+          const response = streamProcessing.isFirehoseStreamType(context) ?
+            toFirehoseTransformationResponse(event.records, result, context) :
+            streamProcessing.isReportingBatchItemFailures(context) ? toBatchItemFailuresResponse(result, context) : result;
+
           // Log the given success message (if any)
           if (isNotBlank(successMsg)) context.info(successMsg);
 
           // Succeed the Lambda callback
-          callback(null, result);
+          callback(null, response);
         })
         .catch(err => {
           // Log the error encountered
@@ -270,7 +327,8 @@ function processStreamEvent(event, processOneTaskDefsOrNone, processAllTaskDefsO
 
   if (context.debugEnabled) logStreamEvent(event, "Processing stream event", false, context);
 
-  const records = event.Records;
+  // Firehose data transformation events list their records in a records property instead of a Records property
+  const records = streamProcessing.isFirehoseStreamType(context) ? event.records : event.Records;
   if (!records || records.length <= 0) {
     logStreamEvent(event, "Missing Records on stream event", true, context);
     processingTask.complete([], false, false);
@@ -282,42 +340,56 @@ function processStreamEvent(event, processOneTaskDefsOrNone, processAllTaskDefsO
     return Promise.resolve(streamConsumerResults);
   }
 
-  // Convert all of the parsable Kinesis event's records back into their original message object forms; skipping &
-  // logging all unparseable records
-  const results = processStreamEventRecords(records, processOneTaskDefs, processAllTaskDefs, context);
-  const messages = results[0];
-  const processOneTasksPromise = results[1];
-  const processAllTasksPromise = results[2];
-  const unusableRecords = results[3];
-
-  const processedPromise = Promise.all([processOneTasksPromise, processAllTasksPromise]);
-
-  // Discard all unusable records
-  const discardUnusableRecordsPromise = discardAnyUnusableRecords(unusableRecords, records, context);
-
-  // Set a timeout to trigger when a configurable percentage of the remaining time in millis is reached, which will give
-  // us a bit of time to finalise at least some of the message processing before we run out of time to complete
-  // everything in this invocation
-  const cancellable = {};
-  const timeoutMs = calculateTimeoutMs(context.streamProcessing.timeoutAtPercentageOfRemainingTime, context);
-  const timeoutPromise = createTimeoutPromise(processingTask, timeoutMs, cancellable, context)
-    .then(timeoutTriggered => {
-      if (timeoutTriggered) { // If the timeout triggered then
-        // timeout any and all of the process one and all tasks on the messages (using the timeout error set on the processing task by createTimeoutPromise
-        timeoutMessagesProcessOneAndAllTasks(messages, processingTask.error, context);
-      }
-      return timeoutTriggered;
-    });
+  // Convert all of the usable stream event's records back into their original message object forms; skipping &
+  // logging all unusable records
+  const messagesAndUnusableRecords = extractMessagesFromStreamEventRecords(records, context);
+  const messages = messagesAndUnusableRecords[0];
+  const unusableRecords = messagesAndUnusableRecords[1];
+
+  // Load the previous task tracking state of the entire batch of messages (if any) BEFORE starting any of their tasks,
+  // since any failure to do so must trigger a replay of the batch rather than re-execute the messages' tasks without
+  // their previous attempts and states
+  return loadTaskTrackingStateOfAllMessages(messages, context, processOneTaskDefs)
+    .then(() => {
+      // Create a bounded work queue through which to schedule the processOne tasks (if any maximum concurrency is configured)
+      const workQueue = createProcessOneWorkQueue(processOneTaskDefs, context);
+
+      // Start execution of all of the processOne and processAll tasks on the messages
+      const promises = executeProcessOneAndAllTasks(messages, processOneTaskDefs, processAllTaskDefs, context, workQueue);
+      const processOneTasksPromise = promises[0];
+      const processAllTasksPromise = promises[1];
+
+      const processedPromise = Promise.all([processOneTasksPromise, processAllTasksPromise]);
+
+      // Discard all unusable records
+      const discardUnusableRecordsPromise = discardAnyUnusableRecords(unusableRecords, records, context);
+
+      // Set a timeout to trigger when a configurable percentage of the remaining time in millis is reached (or earlier,
+      // if necessary, to leave the configured finalising reserve), which will give us time to finalise the message
+      // processing before we run out of time to complete everything in this invocation
+      const cancellable = {};
+      const timeoutMs = calculateProcessingTimeoutMs(context);
+      const timeoutPromise = createTimeoutPromise(processingTask, timeoutMs, cancellable, context)
+        .then(timeoutTriggered => {
+          if (timeoutTriggered) { // If the timeout triggered then
+            // stop starting any processOne tasks that are still queued, which will leave them incomplete
+            if (workQueue) workQueue.close();
+            // timeout any and all of the process one and all tasks on the messages (using the timeout error set on the processing task by createTimeoutPromise
+            timeoutMessagesProcessOneAndAllTasks(messages, processingTask.error, context);
+          }
+          return timeoutTriggered;
+        });
 
-  // Build a completed promise that will only continue once the processedPromise and discardUnusableRecordsPromise promises have complete
-  const completedPromise = createCompletedPromise(processingTask, processedPromise, messages, cancellable, context);
+      // Build a completed promise that will only continue once the processedPromise and discardUnusableRecordsPromise promises have complete
+      const completedPromise = createCompletedPromise(processingTask, processedPromise, messages, cancellable, context);
 
-  const completedVsTimeoutPromise = Promise.race([completedPromise, timeoutPromise]);
+      const completedVsTimeoutPromise = Promise.race([completedPromise, timeoutPromise]);
 
-  // Whichever finishes first, finalise message processing as best as possible, e.g. by handling any incomplete
-  // messages (e.g. by ideally avoiding replaying all of them)
-  return completedVsTimeoutPromise
-    .then(results => finaliseMessageProcessing(messages, unusableRecords, discardUnusableRecordsPromise, context))
+      // Whichever finishes first, finalise message processing as best as possible, e.g. by handling any incomplete
+      // messages (e.g. by ideally avoiding replaying all of them)
+      return completedVsTimeoutPromise
+        .then(results => finaliseMessageProcessing(messages, unusableRecords, discardUnusableRecordsPromise, context));
+    })
     .catch(err => {
       context.error(`Stream consumer failed with error (${err})`, err.stack);
       return Promise.reject(err);
@@ -357,6 +429,22 @@ function validateTaskDefinitions(processOneTaskDefs, processAllTaskDefs, context
         context.error(errMsg);
         throw new Error(errMsg);
       }
+      // Any per-task timeouts configured must be positive numbers of milliseconds
+      const invalidTimeoutTaskDefs = taskDefs.filter(d => d.timeoutMs !== undefined && !isValidTaskTimeoutMs(d.timeoutMs));
+      if (invalidTimeoutTaskDefs.length > 0) {
+        // This Lambda is unusable, so trigger an exception to put all records back until it can be fixed!
+        const errMsg = `FATAL - ${name} must only have task timeouts that are positive numbers of milliseconds, but found ${stringify(invalidTimeoutTaskDefs.map(d => `${d.name}: ${d.timeoutMs}`))}! Fix your Lambda and redeploy ASAP, since this issue is blocking all of your stream's shards!`;
+        context.error(errMsg);
+        throw new Error(errMsg);
+      }
+      // Any per-task maximum concurrencies configured must be positive integers
+      const invalidConcurrencyTaskDefs = taskDefs.filter(d => d.maxConcurrency !== undefined && !streamProcessing.isValidMaxConcurrency(d.maxConcurrency));
+      if (invalidConcurrencyTaskDefs.length > 0) {
+        // This Lambda is unusable, so trigger an exception to put all records back until it can be fixed!
+        const errMsg = `FATAL - ${name} must only have task maximum concurrencies that are positive integers, but found ${stringify(invalidConcurrencyTaskDefs.map(d => `${d.name}: ${d.maxConcurrency}`))}! Fix your Lambda and redeploy ASAP, since this issue is blocking all of your stream's shards!`;
+        context.error(errMsg);
+        throw new Error(errMsg);
+      }
     }
   }
 
@@ -385,6 +473,68 @@ function validateTaskDefinitions(processOneTaskDefs, processAllTaskDefs, context
   }
 }
 
+/**
+ * Sets the per-task timeout on the given executable task definition, which will be used to timeout any task created from
+ * this task definition (and only that task) if its execution takes longer than the given number of milliseconds.
+ * @param {TaskDef} taskDef - the task definition on which to set the timeout
+ * @param {number|undefined} timeoutMs - the number of milliseconds to allow each execution of the task to take (or
+ * undefined to remove any per-task timeout from the task definition)
+ * @returns {TaskDef} the given task definition
+ * @throws {Error} if the given task definition is not a TaskDef or the given timeout is not a positive number
+ */
+function setTaskTimeoutMs(taskDef, timeoutMs) {
+  if (!(taskDef instanceof TaskDef)) {
+    throw new Error(`Cannot set a task timeout on an invalid task definition (${stringify(taskDef)})`);
+  }
+  if (timeoutMs !== undefined && !isValidTaskTimeoutMs(timeoutMs)) {
+    throw new Error(`Cannot set an invalid task timeout (${timeoutMs}) on task definition (${taskDef.name}) - the timeout must be a positive number of milliseconds`);
+  }
+  Object.defineProperty(taskDef, 'timeoutMs', {value: timeoutMs, enumerable: false, writable: true, configurable: true});
+  return taskDef;
+}
+
+/**
+ * Returns the per-task timeout (if any) configured on the given task definition.
+ * @param {TaskDef|undefined} taskDef - the task definition
+ * @returns {number|undefined} the task definition's timeout in milliseconds (if any); otherwise undefined
+ */
+function getTaskTimeoutMs(taskDef) {
+  return taskDef && isValidTaskTimeoutMs(taskDef.timeoutMs) ? taskDef.timeoutMs : undefined;
+}
+
+/**
+ * Sets the per-task maximum concurrency on the given executable processOne task definition, which limits the number of
+ * tasks created from this task definition that are allowed to execute concurrently across the batch of messages.
+ * @param {TaskDef} taskDef - the task definition on which to set the maximum concurrency
+ * @param {number|undefined} maxConcurrency - the maximum number of concurrent executions of the task (or undefined to
+ * remove any per-task maximum concurrency from the task definition)
+ * @returns {TaskDef} the given task definition
+ * @throws {Error} if the given task definition is not a TaskDef or the given maximum concurrency is not a positive integer
+ */
+function setTaskMaxConcurrency(taskDef, maxConcurrency) {
+  if (!(taskDef instanceof TaskDef)) {
+    throw new Error(`Cannot set a task maximum concurrency on an invalid task definition (${stringify(taskDef)})`);
+  }
+  if (maxConcurrency !== undefined && !streamProcessing.isValidMaxConcurrency(maxConcurrency)) {
+    throw new Error(`Cannot set an invalid task maximum concurrency (${maxConcurrency}) on task definition (${taskDef.name}) - the maximum concurrency must be a positive integer`);
+  }
+  Object.defineProperty(taskDef, 'maxConcurrency', {value: maxConcurrency, enumerable: false, writable: true, configurable: true});
+  return taskDef;
+}
+
+/**
+ * Returns the per-task maximum concurrency (if any) configured on the given task definition.
+ * @param {TaskDef|undefined} taskDef - the task definition
+ * @returns {number|undefined} the task definition's maximum concurrency (if any); otherwise undefined
+ */
+function getTaskMaxConcurrency(taskDef) {
+  return taskDef && streamProcessing.isValidMaxConcurrency(taskDef.maxConcurrency) ? taskDef.maxConcurrency : undefined;
+}
+
+function isValidTaskTimeoutMs(timeoutMs) {
+  return typeof timeoutMs === 'number' && Number.isFinite(timeoutMs) && timeoutMs > 0;
+}
+
 function logStreamEvent(event, prefix, asError, context) {
   try {
     const text = (prefix ? prefix + " - " : "") + JSON.stringify(event, null, 2);
@@ -398,124 +548,306 @@ function logStreamEvent(event, prefix, asError, context) {
 }
 
 /**
- * Extracts a message from each of the given stream event records and then starts execution of all the tasks defined by
- * the given processOne task definitions against each message. When the entire batch of messages has been extracted from
- * all of the event's records, then starts execution of all the tasks defined by the given processAll task definitions
- * against the entire batch of messages. Finally returns an array containing: an array of zero or more successfully
- * extracted message objects; a second array of zero or more processOne task promises; a third array of zero or more
- * processAll task promises; and a fourth array of zero or more unusable, unparseable records.
+ * Extracts a message from each of the given stream event records and returns an array containing: an array of zero or
+ * more successfully extracted message objects; and a second array of zero or more unusable, unparseable records. Any
+ * Kinesis Producer Library (KPL) aggregated record is first de-aggregated into its sub-records, from each of which a
+ * message is then extracted.
  *
  * @param {Record[]} records - an AWS stream event's records
- * @param {TaskDef[]} processOneTaskDefs - a list of zero or more "processOne" task definitions that will be used to
- * generate the tasks to be executed on each successfully extracted message independently
- * @param {TaskDef[]} processAllTaskDefs - a list of zero or more "processAll" task definitions that will be used to
- * generate the tasks to be executed on all of the event's messages collectively
  * @param {StreamConsumerContext} context - the context with stream consumer configuration to use
- * @return {[Message[],Promise,Promise,Record[]]} an array containing: an array of zero or more successfully extracted
- * message objects; a promise that will complete when all of the processOne task promises complete (if any); a promise
- * that will complete when all of the processAll task promises complete (if any); and an array of zero or more unusable,
- * unparseable records.
+ * @return {[Message[],Record[]]} an array containing: an array of zero or more successfully extracted message objects;
+ * and an array of zero or more unusable, unparseable records
  */
-function processStreamEventRecords(records, processOneTaskDefs, processAllTaskDefs, context) {
+function extractMessagesFromStreamEventRecords(records, context) {
   if (!records || records.length <= 0) {
     context.error(`Stream event records required`);
     // Records not provided, so just return an empty array of empty arrays
-    return [[], Promise.resolve([]), Promise.resolve([]), []];
+    return [[], []];
   }
 
-  // Convert all of the Kinesis event's records back into their original message object forms and kick off all
-  // processOne tasks on each message extracted
-  let msgAndPromiseOrUnusableList = records.map(record => processStreamEventRecord(record, processOneTaskDefs, context));
-
-  // Collect all of the defined (successfully extracted) messages
-  const messages = msgAndPromiseOrUnusableList.map(msgAndPromiseOrUnusable => msgAndPromiseOrUnusable[0])
-    .filter(m => !!m);
-
-  // Collect all of the defined processOne tasks promises
-  const processOneTasksPromises = msgAndPromiseOrUnusableList.map(msgAndPromiseOrUnusable => msgAndPromiseOrUnusable[1])
-    .filter(ps => !!ps);
+  // Convert all of the stream event's (de-aggregated) records back into their original message object forms
+  const messageOrUnusableRecordList = [];
+  records.forEach(record => {
+    const userRecords = deaggregateRecord(record, context);
+    if (userRecords) {
+      userRecords.forEach(userRecord => messageOrUnusableRecordList.push(extractMessageOrUnusableRecord(userRecord, context)));
+    } else {
+      messageOrUnusableRecordList.push([[], record]);
+    }
+  });
 
-  // Create a single promise that will wait for all of the processOne tasks' promises to complete
-  const processOneTasksPromise = processOneTasksPromises.length > 0 ?
-    Promise.all(processOneTasksPromises) : Promise.resolve([]);
+  // Collect all of the successfully extracted messages
+  const messages = messageOrUnusableRecordList.reduce((acc, messagesOrUnusableRecord) =>
+    acc.concat(messagesOrUnusableRecord[0]), []);
 
   // Collect all of the defined unusable records
-  const unusableRecords = msgAndPromiseOrUnusableList.map(msgAndPromiseOrUnusable => msgAndPromiseOrUnusable[2])
+  const unusableRecords = messageOrUnusableRecordList.map(messageOrUnusableRecord => messageOrUnusableRecord[1])
     .filter(ur => !!ur);
 
-  // Start execution of all of the processAll tasks on the entire batch of messages extracted from the event's records
-  const processAllTasksPromiseOrUndefined = executeProcessAllTasks(messages, processAllTaskDefs, context);
-
-  const processAllTasksPromise = processAllTasksPromiseOrUndefined ?
-    processAllTasksPromiseOrUndefined : Promise.resolve([]);
-
-  return [messages, processOneTasksPromise, processAllTasksPromise, unusableRecords];
+  return [messages, unusableRecords];
 }
 
+/**
+ * De-aggregates the given stream event record into its sub-records, if it is a Kinesis Producer Library (KPL) aggregated
+ * Kinesis record; otherwise returns the given record in a single element array.
+ *
+ * Any error encountered is logged, but no errors are allowed to escape from this function.
+ *
+ * @param {Record} record - an AWS stream event record
+ * @param {StreamConsumerContext} context - the context with stream consumer configuration to use
+ * @return {Record[]|undefined} the de-aggregated sub-records or the given record (if not aggregated); or undefined if
+ * the record is a malformed KPL aggregated record, which is consequently unusable
+ */
+function deaggregateRecord(record, context) {
+  try {
+    const userRecords = kplAggregation.deaggregateKinesisRecord(record, context);
+    if (userRecords.length !== 1 || userRecords[0] !== record) {
+      if (context.debugEnabled) context.debug(`De-aggregated KPL aggregated record with sequence number (${record.kinesis.sequenceNumber}) into ${userRecords.length} sub-records`);
+    }
+    return userRecords;
+  } catch (err) {
+    context.error(`Failed to de-aggregate KPL aggregated record - error (${stringify(err)}) - discarding record (${stringify(record)})`, err.stack);
+    return undefined;
+  }
+}
 
 /**
- * First attempts to extract the original message object from the given stream event record and, if successful, creates
- * and starts tasks for the extracted message from the given processOneTaskDefs, each of which must have an execute
- * method that accepts a message and the given context as arguments and ideally returns a Promise.
+ * Attempts to extract the original message object(s) from the given stream event record and, if successful, gives each
+ * message its own task tracking with a link to the record from which it was extracted (and also its index within the
+ * record, if more than one message was extracted from the record) and validates each message against the configured
+ * message schema (if any).
  *
- * When this is done, returns an array containing: firstly the message object (if successfully extracted) or undefined
- * (if not); secondly a promise that will complete when all of the message's processOne tasks promises have completed
- * (or undefined if none); and lastly the unusable record (if unparseable) or undefined (if not).
+ * When this is done, returns an array containing: firstly an array of the zero or more extracted messages; and lastly
+ * the unusable record (if unparseable) or undefined (if not).
  *
  * Any and all errors encountered along the way are logged, but no errors are allowed to escape from this function.
  *
- * An empty array of processOneTaskDefs implies that the caller does not need to process each message independently and
- * it will simply be skipped and its result returned as undefined.
- *
  * @param {Record} record - an AWS stream event record
- * @param {TaskDef[]} processOneTaskDefs - a list of zero or more "processOne" task definitions that will be used to
- * generate the tasks to be executed on each successfully extracted message independently
  * @param {StreamConsumerContext} context - the context with stream consumer configuration to use
- * @return {[Message|undefined,Promise|undefined,Record|undefined]} an array containing: the parsed message or undefined;
- * a promise that will complete when all of the message's processOne tasks promises have completed (or undefined if none);
- * and the unusable record (or undefined if none)
+ * @return {[Message[],Record|undefined]} an array containing: the extracted messages (if any); and the unusable record
+ * (or undefined if none)
  */
-function processStreamEventRecord(record, processOneTaskDefs, context) {
+function extractMessageOrUnusableRecord(record, context) {
   try {
     if (streamProcessing.isKinesisStreamType(context)) {
       streamEvents.validateKinesisStreamEventRecord(record);
     } else if (streamProcessing.isDynamoDBStreamType(context)) {
       streamEvents.validateDynamoDBStreamEventRecord(record);
+    } else if (streamProcessing.isSQSStreamType(context)) {
+      streamProcessing.validateSQSEventRecord(record);
+    } else if (streamProcessing.isFirehoseStreamType(context)) {
+      streamProcessing.validateFirehoseRecord(record);
     } else {
       streamEvents.validateStreamEventRecord(record);
     }
   } catch (err) {
     context.error(err.message, err.stack);
-    // Record is not a valid Kinesis or DynamoDB stream event record, so return no message, no promises and the unusable record
-    return [undefined, undefined, record];
+    // Record is not a valid Kinesis, DynamoDB, SQS event or Firehose record, so return no messages and the unusable record
+    return [[], record];
   }
 
-  // Extract a message from the stream event record
-  const message = extractMessageFromStreamEventRecord(record, context);
+  // Extract the message or messages from the stream event record
+  const messageOrMessages = extractMessageFromStreamEventRecord(record, context);
 
-  // Check whether we successfully extracted a message or not
-  if (!message) {
-    // The record was unparseable, so return no message, no promises and the unusable record (to be discarded)
-    return [undefined, undefined, record];
+  // Check whether we successfully extracted a message or messages or not
+  if (!messageOrMessages) {
+    // The record was unparseable, so return no messages and the unusable record (to be discarded)
+    return [[], record];
+  }
+
+  if (Array.isArray(messageOrMessages)) {
+    if (messageOrMessages.length <= 0) {
+      context.warn(`No messages were extracted from stream event record (${stringify(record)})`);
+    }
+    // Give each message its own link to the record it came from and its index within the record
+    const multiple = messageOrMessages.length > 1;
+    messageOrMessages.forEach((message, i) => {
+      setRecord(message, record, context, multiple ? i : undefined);
+      validateMessage(message, context);
+    });
+    return [messageOrMessages, undefined];
   }
 
   // Give the message a link to the record it came from
-  setRecord(message, record, context);
+  setRecord(messageOrMessages, record, context);
+  validateMessage(messageOrMessages, context);
+
+  return [[messageOrMessages], undefined];
+}
+
+/**
+ * Validates the given message against the configured message schema (if any) and records any validation errors on the
+ * message's task tracking (see {@linkcode getValidationErrors}), so that all of its tasks will subsequently be rejected.
+ *
+ * Any error encountered is logged and recorded as a validation error, but no errors are allowed to escape from this
+ * function.
+ *
+ * @param {Message} message - the extracted message to validate
+ * @param {StreamConsumerContext} context - the context with stream consumer configuration to use
+ */
+function validateMessage(message, context) {
+  const schema = streamProcessing.getMessageSchema(context);
+  if (!schema) {
+    return;
+  }
+  let errors = undefined;
+  try {
+    errors = messageSchema.validateMessage(message, schema, context.streamProcessing.taskTrackingName);
+  } catch (err) {
+    context.error(`Failed to validate message against the configured message schema - error (${stringify(err)})`, err.stack);
+    errors = [`message could not be validated (${stringify(err)})`];
+  }
+  if (errors.length > 0) {
+    context.warn(`Message failed validation against the configured message schema with errors ${stringify(errors)} - rejecting message (${stringify(message)})`);
+    const taskTracking = getTaskTracking(message, context);
+    Object.defineProperty(taskTracking, 'validationErrors', {value: errors, writable: true, configurable: true, enumerable: false});
+  }
+}
+
+/**
+ * Returns the errors with which the given message failed validation against the configured message schema (if any).
+ * @param {Message} message - the message
+ * @param {StreamConsumerContext} context - the context with stream consumer configuration to use
+ * @returns {string[]|undefined} the validation errors (if the message is invalid); otherwise undefined
+ */
+function getValidationErrors(message, context) {
+  const taskTracking = getTaskTracking(message, context);
+  return taskTracking.validationErrors;
+}
+
+/**
+ * Rejects all of the incomplete processOne and processAll tasks of each of the given messages that failed validation
+ * against the configured message schema (if any) with their validation errors, so that none of their tasks will be
+ * executed and these invalid messages will instead be discarded as rejected messages when processing is finalised.
+ *
+ * @param {Message[]} messages - the entire batch of messages
+ * @param {TaskDef[]} processOneTaskDefs - a list of zero or more "processOne" task definitions
+ * @param {TaskDef[]} processAllTaskDefs - a list of zero or more "processAll" task definitions
+ * @param {StreamConsumerContext} context - the context with stream consumer configuration to use
+ * @returns {Message[]} the invalid messages (if any)
+ */
+function rejectInvalidMessages(messages, processOneTaskDefs, processAllTaskDefs, context) {
+  const invalidMessages = messages.filter(message => getValidationErrors(message, context));
+
+  invalidMessages.forEach(message => {
+    const errors = getValidationErrors(message, context);
+    const reason = `Invalid message - ${errors.join('; ')}`;
+    const error = new Error(reason);
+    error.validationErrors = errors;
+
+    const processOneTasks = taskUtils.replaceTasksWithNewTasksUpdatedFromOld(getProcessOneTasksByName(message, context), processOneTaskDefs)[0];
+    const processAllTasks = taskUtils.replaceTasksWithNewTasksUpdatedFromOld(getProcessAllTasksByName(message, context), processAllTaskDefs)[0];
+    processOneTasks.concat(processAllTasks).forEach(task => task.reject(reason, error, true));
+  });
 
-  // Execute all of the incomplete processOne tasks on the given message
-  const processOneTasksPromise = executeProcessOneTasks(message, processOneTaskDefs, context);
+  if (invalidMessages.length > 0) {
+    context.warn(`Rejected all tasks of ${invalidMessages.length} invalid message(s) out of ${messages.length} message(s)`);
+  }
+  return invalidMessages;
+}
+
+/**
+ * If a retry policy is configured, finds all of the given messages that are not yet due for retry, i.e. messages with
+ * any incomplete task that was already attempted and whose last execution was less than its retry policy delay ago
+ * (see {@linkcode streamProcessing.toRetryDelayMs}). The jitter (if any) of each task's delay is derived from the task's
+ * name, last executed at and attempts (see {@linkcode streamProcessing.toRetryJitterRandom}), so that every check of
+ * whether the same attempt is due for retry sees the same delay. None of the tasks of these deferred messages will be
+ * executed (or attempted) during this run, so that they will instead be handled as incomplete messages with their task
+ * tracking state untouched.
+ *
+ * @param {Message[]} messages - the entire batch of messages
+ * @param {TaskDef[]} processOneTaskDefs - a list of zero or more "processOne" task definitions
+ * @param {TaskDef[]} processAllTaskDefs - a list of zero or more "processAll" task definitions
+ * @param {StreamConsumerContext} context - the context with stream consumer configuration to use
+ * @returns {Message[]} the deferred messages (if any)
+ */
+function deferMessagesNotYetDueForRetry(messages, processOneTaskDefs, processAllTaskDefs, context) {
+  const retryPolicy = streamProcessing.getRetryPolicy(context);
+  if (!retryPolicy) {
+    return [];
+  }
+  const now = Date.now();
+
+  const deferredMessages = messages.filter(message => {
+    const processOneTasks = taskUtils.replaceTasksWithNewTasksUpdatedFromOld(getProcessOneTasksByName(message, context), processOneTaskDefs)[0];
+    const processAllTasks = taskUtils.replaceTasksWithNewTasksUpdatedFromOld(getProcessAllTasksByName(message, context), processAllTaskDefs)[0];
+
+    const incompleteTasks = processOneTasks.concat(processAllTasks).filter(task => !task.isFullyFinalised());
+    return incompleteTasks.some(task => {
+      const lastExecutedAt = task.attempts > 0 && task.lastExecutedAt ? Date.parse(task.lastExecutedAt) : NaN;
+      if (isNaN(lastExecutedAt)) {
+        return false;
+      }
+      const random = streamProcessing.toRetryJitterRandom(`${task.name}|${task.lastExecutedAt}|${task.attempts}`);
+      return lastExecutedAt + streamProcessing.toRetryDelayMs(task.attempts, retryPolicy, random) > now;
+    });
+  });
+
+  if (deferredMessages.length > 0) {
+    context.info(`Deferred ${deferredMessages.length} message(s) out of ${messages.length} message(s) that are not yet due for retry`);
+  }
+  return deferredMessages;
+}
+
+/**
+ * Starts execution of all the tasks defined by the given processOne task definitions against each of the given
+ * messages and then starts execution of all the tasks defined by the given processAll task definitions against the
+ * entire batch of messages. Returns an array containing: a promise that will complete when all of the processOne task
+ * promises complete (if any); and a promise that will complete when all of the processAll task promises complete (if any).
+ *
+ * @param {Message[]} messages - the entire batch of successfully extracted messages
+ * @param {TaskDef[]} processOneTaskDefs - a list of zero or more "processOne" task definitions that will be used to
+ * generate the tasks to be executed on each message independently
+ * @param {TaskDef[]} processAllTaskDefs - a list of zero or more "processAll" task definitions that will be used to
+ * generate the tasks to be executed on all of the event's messages collectively
+ * @param {StreamConsumerContext} context - the context with stream consumer configuration to use
+ * @param {WorkQueue|undefined} [workQueue] - an optional bounded work queue through which to schedule the processOne tasks
+ * @return {[Promise,Promise]} an array containing: a promise that will complete when all of the processOne task
+ * promises complete (if any); and a promise that will complete when all of the processAll task promises complete (if any)
+ */
+function executeProcessOneAndAllTasks(messages, processOneTaskDefs, processAllTaskDefs, context, workQueue) {
+  // Reject all of the tasks of any invalid messages up front, so that none of their tasks will be executed
+  rejectInvalidMessages(messages, processOneTaskDefs, processAllTaskDefs, context);
+
+  // Complete any processOne tasks that already succeeded on their messages, so that they will not be executed again
+  completeAlreadySucceededTasks(messages, processOneTaskDefs, context);
+
+  // Defer any messages that are not yet due for retry, so that none of their tasks will be executed during this run
+  const deferredMessages = new Set(deferMessagesNotYetDueForRetry(messages, processOneTaskDefs, processAllTaskDefs, context));
 
-  return [message, processOneTasksPromise, undefined];
+  let processOneTasksPromise = undefined;
+  if (workQueue && streamProcessing.isOrderedProcessing(context)) {
+    // Start execution of the processOne tasks on the messages in order per ordering key
+    processOneTasksPromise = executeProcessOneTasksInOrder(messages, processOneTaskDefs, context, workQueue, deferredMessages);
+  } else {
+    // Start execution of all of the processOne tasks on each message that is not deferred
+    const processOneTasksPromises = messages.filter(message => !deferredMessages.has(message))
+      .map(message => executeProcessOneTasks(message, processOneTaskDefs, context, workQueue))
+      .filter(ps => !!ps);
+
+    // Create a single promise that will wait for all of the processOne tasks' promises to complete
+    processOneTasksPromise = processOneTasksPromises.length > 0 ?
+      Promise.all(processOneTasksPromises) : Promise.resolve([]);
+  }
+
+  // Start execution of all of the processAll tasks on the entire batch of messages
+  const processAllTasksPromiseOrUndefined = executeProcessAllTasks(messages, processAllTaskDefs, context, deferredMessages);
+
+  const processAllTasksPromise = processAllTasksPromiseOrUndefined ?
+    processAllTasksPromiseOrUndefined : Promise.resolve([]);
+
+  return [processOneTasksPromise, processAllTasksPromise];
 }
 
 /**
- * Attempts to extract the message from the given stream event record using the configured extractMessageFromRecord
- * function on the given context, which was configured by {@linkcode configureStreamProcessing}. Logs any errors
- * encountered and the returns the extracted message (if defined and successfully extracted); otherwise undefined.
+ * Attempts to extract the message (or array of messages) from the given stream event record using the configured
+ * extractMessageFromRecord function on the given context, which was configured by {@linkcode configureStreamProcessing}.
+ * Logs any errors encountered and the returns the extracted message or array of messages (if defined and successfully
+ * extracted); otherwise undefined.
  *
- * @param {Record} record - the stream event record from which to extract a message
+ * @param {Record} record - the stream event record from which to extract a message or messages
  * @param {StreamConsumerContext} context - the context with stream consumer configuration to use
- * @returns {Message|undefined} - the extracted message (if successful); otherwise undefined
+ * @returns {Message|Message[]|undefined} - the extracted message or messages (if successful); otherwise undefined
  */
 function extractMessageFromStreamEventRecord(record, context) {
   // Get the configured extractMessageFromRecord function to be used to do the actual extraction
@@ -524,9 +856,9 @@ function extractMessageFromStreamEventRecord(record, context) {
   if (extractMessageFromRecord) {
     try {
       const msg = extractMessageFromRecord(record, context);
-      if (!msg || typeof msg !== 'object') {
+      if (!msg || typeof msg !== 'object' || (Array.isArray(msg) && !msg.every(m => m && typeof m === 'object' && !Array.isArray(m)))) {
         const fnName = isNotBlank(extractMessageFromRecord.name) ? extractMessageFromRecord.name : 'extract message from record';
-        context.error(`The message extracted from stream event record using the configured ${fnName} function MUST be an object (${stringify(msg)}) - discarding record (${stringify(record)})`);
+        context.error(`The message extracted from stream event record using the configured ${fnName} function MUST be an object or an array of objects (${stringify(msg)}) - discarding record (${stringify(record)})`);
         return undefined;
       }
       return msg;
@@ -570,9 +902,22 @@ function getProcessAllTask(messageOrMessages, taskName, context) {
   return taskUtils.getTask(tasksByName, taskName);
 }
 
-function setRecord(message, record, context) {
+function setRecord(message, record, context, messageIndex) {
   const taskTracking = getTaskTracking(message, context);
   Object.defineProperty(taskTracking, 'record', {value: record, writable: true, configurable: true, enumerable: false});
+  if (messageIndex !== undefined) {
+    Object.defineProperty(taskTracking, 'messageIndex', {value: messageIndex, writable: true, configurable: true, enumerable: false});
+  }
+}
+
+function getRecord(message, context) {
+  const taskTracking = getTaskTracking(message, context);
+  return taskTracking.record;
+}
+
+function getMessageIndex(message, context) {
+  const taskTracking = getTaskTracking(message, context);
+  return taskTracking.messageIndex;
 }
 
 function getTaskTracking(target, context) {
@@ -611,21 +956,16 @@ function getPhaseTask(target, taskName, context) {
  * @param {TaskDef[]} processOneTaskDefs - a list of zero or more "processOne" task definitions that will be used to
  * generate the tasks to be executed independently on the given message
  * @param {StreamConsumerContext} context - the context with stream consumer configuration to use
+ * @param {WorkQueue|undefined} [workQueue] - an optional bounded work queue through which to schedule the processOne
+ * tasks (if not defined, then all of the processOne tasks are started immediately)
  * @returns {Promise|undefined} a promise that will complete with all of the messages's processOne tasks' results when all of
  * these tasks' promises (if any) have completed
  */
-function executeProcessOneTasks(message, processOneTaskDefs, context) {
+function executeProcessOneTasks(message, processOneTaskDefs, context, workQueue) {
   if (!message) {
     return undefined;
   }
-  // Replaces all of the old processOne task-like objects with new tasks created from the given processOneTaskDefs and
-  // updates these new tasks with information from the old ones
-  const processOneTasksByName = getProcessOneTasksByName(message, context);
-  const newTasksAndAbandonedTasks = taskUtils.replaceTasksWithNewTasksUpdatedFromOld(processOneTasksByName, processOneTaskDefs);
-  const newTasks = newTasksAndAbandonedTasks[0];
-  //const abandonedTasks = newTasksAndAbandonedTasks[1];
-
-  const incompleteTasks = newTasks.filter(task => !task.isFullyFinalised());
+  const incompleteTasks = replaceProcessOneTasks(message, processOneTaskDefs, context);
 
   // Check whether the caller provided processOneTaskDefs to use or not
   if (processOneTaskDefs.length <= 0 || incompleteTasks.length <= 0) {
@@ -633,12 +973,238 @@ function executeProcessOneTasks(message, processOneTaskDefs, context) {
     // In the latter case, we assume that the caller did not need anything to be executed independently per message
     return undefined;
   }
-  // Start executing each of the new processOneTasks on the message and collect their promises
-  const processOneTasksPromises = incompleteTasks.map(task => executeProcessOneTask(task, message, context)).filter(p => !!p);
+  // Start executing (or schedule execution of) each of the new processOneTasks on the message and collect their promises
+  const processOneTasksPromises = incompleteTasks.map(task => workQueue ?
+    scheduleProcessOneTask(task, message, workQueue, context) : executeProcessOneTask(task, message, context)
+  ).filter(p => !!p);
 
   return processOneTasksPromises.length > 0 ? Promise.all(processOneTasksPromises) : undefined;
 }
 
+/**
+ * Replaces all of the old processOne task-like objects on the given message with new tasks created from the given
+ * processOne task definitions and updates these new tasks with information from the old ones.
+ * @param {Message} message - the message to be processed
+ * @param {TaskDef[]} processOneTaskDefs - a list of zero or more "processOne" task definitions
+ * @param {StreamConsumerContext} context - the context with stream consumer configuration to use
+ * @returns {Task[]} the message's new processOne tasks that are still incomplete
+ */
+function replaceProcessOneTasks(message, processOneTaskDefs, context) {
+  const processOneTasksByName = getProcessOneTasksByName(message, context);
+  const newTasksAndAbandonedTasks = taskUtils.replaceTasksWithNewTasksUpdatedFromOld(processOneTasksByName, processOneTaskDefs);
+  const newTasks = newTasksAndAbandonedTasks[0];
+  //const abandonedTasks = newTasksAndAbandonedTasks[1];
+
+  return newTasks.filter(task => !task.isFullyFinalised());
+}
+
+/**
+ * Executes the processOne tasks of the given messages in order, i.e. the processOne tasks of messages that share the
+ * same ordering key (i.e. the same Kinesis partition key or DynamoDB item key) are executed sequentially in sequence
+ * number order, while messages with different ordering keys are still processed concurrently (subject to the given work
+ * queue's limits). If any of a message's processOne tasks are still incomplete after execution (e.g. failed or timed
+ * out), then all of the later messages with the same ordering key are held back with their incomplete processOne tasks
+ * left unstarted, so that they will be handled as incomplete messages instead of being processed out of order. Any
+ * deferred message (i.e. not yet due for retry) is left untouched and likewise holds back all of its later messages.
+ *
+ * @param {Message[]} messages - the entire batch of messages to be processed
+ * @param {TaskDef[]} processOneTaskDefs - a list of zero or more "processOne" task definitions
+ * @param {StreamConsumerContext} context - the context with stream consumer configuration to use
+ * @param {WorkQueue} workQueue - the work queue through which to schedule the processOne tasks, which will be closed if
+ * the processing phase times out
+ * @param {Set.<Message>|undefined} [deferredMessages] - an optional set of messages that are not yet due for retry
+ * @returns {Promise.<boolean[]>} a promise that will complete when every ordering key's messages have been processed or
+ * held back, with a flag per ordering key indicating whether any of its messages were held back or left incomplete
+ */
+function executeProcessOneTasksInOrder(messages, processOneTaskDefs, context, workQueue, deferredMessages) {
+  // Replace all of the messages' processOne tasks and reset the incomplete ones of non-deferred messages up front, so
+  // that any message that is held back (or never reached) will be reported with unstarted, incomplete tasks
+  const incompleteTasksByMessage = new Map();
+  messages.forEach(message => {
+    const incompleteTasks = replaceProcessOneTasks(message, processOneTaskDefs, context);
+    if (!deferredMessages || !deferredMessages.has(message)) {
+      incompleteTasks.forEach(task => task.reset());
+    }
+    incompleteTasksByMessage.set(message, incompleteTasks);
+  });
+
+  if (processOneTaskDefs.length <= 0) {
+    return Promise.resolve([]);
+  }
+
+  const promises = groupMessagesByOrderingKey(messages, context).map(group =>
+    group.messages.reduce((promise, message) => promise.then(heldBack => {
+      const incompleteTasks = incompleteTasksByMessage.get(message);
+      if (workQueue.closed || incompleteTasks.length <= 0) {
+        return heldBack;
+      }
+      if (heldBack) {
+        context.warn(`Holding back message (${stringify(message)}) with ordering key (${group.key}), since an earlier message with the same key is incomplete`);
+        return true;
+      }
+      if (deferredMessages && deferredMessages.has(message)) {
+        // Hold back all later messages with the same key until this deferred message is due for retry
+        return true;
+      }
+      return Promise.all(incompleteTasks.map(task => scheduleProcessOneTask(task, message, workQueue, context)))
+        .then(() => incompleteTasks.some(task => !task.isFullyFinalised()));
+    }), Promise.resolve(false))
+  );
+
+  return Promise.all(promises);
+}
+
+/**
+ * Groups the given messages by the ordering keys of their records and sorts each group's messages in sequence number
+ * order. Any message without a resolvable ordering key is placed in a group of its own.
+ * @param {Message[]} messages - the messages to group
+ * @param {StreamConsumerContext} context - the context with stream consumer configuration to use
+ * @returns {{key: string|undefined, messages: Message[]}[]} the groups of messages
+ */
+function groupMessagesByOrderingKey(messages, context) {
+  const groups = [];
+  const groupsByKey = new Map();
+  messages.forEach(message => {
+    const record = getRecord(message, context);
+    const key = streamProcessing.toRecordOrderingKey(record);
+    let group = key !== undefined ? groupsByKey.get(key) : undefined;
+    if (!group) {
+      group = {key: key, messages: []};
+      groups.push(group);
+      if (key !== undefined) {
+        groupsByKey.set(key, group);
+      }
+    }
+    group.messages.push(message);
+  });
+
+  groups.forEach(group => group.messages.sort((a, b) => {
+    const recordA = getRecord(a, context);
+    const recordB = getRecord(b, context);
+    // Break ties between messages de-aggregated from the same KPL aggregated record by their sub-sequence numbers and
+    // between messages extracted from the same record by their indexes within the record
+    return streamProcessing.compareSequenceNumbers(streamProcessing.getRecordSequenceNumber(recordA),
+        streamProcessing.getRecordSequenceNumber(recordB)) ||
+      (streamProcessing.getRecordSubSequenceNumber(recordA) || 0) - (streamProcessing.getRecordSubSequenceNumber(recordB) || 0) ||
+      (getMessageIndex(a, context) || 0) - (getMessageIndex(b, context) || 0);
+  }));
+
+  return groups;
+}
+
+/**
+ * Schedules execution of the given processOne task on the given message through the given bounded work queue. The task
+ * is reset to an Unstarted state up front, so that a task that is still queued (and hence never started) when the
+ * processing phase times out will be reported as incomplete rather than with the outcome of its previous attempt.
+ *
+ * @param {Task} task - the processOne task to be executed
+ * @param {Message} message - the message to pass as the first argument to the given task's execute function
+ * @param {WorkQueue} workQueue - the bounded work queue through which to schedule the task's execution
+ * @param {StreamConsumerContext} context - the context to pass as the second argument to the given task's execute function
+ * @return {Promise} a promise to return the task's result (if successful) or undefined (if not or if never started)
+ */
+function scheduleProcessOneTask(task, message, workQueue, context) {
+  task.reset();
+  return workQueue.enqueue(task.name, getTaskMaxConcurrency(task.definition),
+    () => executeProcessOneTask(task, message, context));
+}
+
+/**
+ * Creates a bounded work queue through which to schedule the given processOne task definitions' tasks, but ONLY if a
+ * maximum concurrency is configured either globally (via the maxConcurrency stream processing setting) or on any of the
+ * given task definitions (via setTaskMaxConcurrency) or if ordered processing is configured; otherwise returns undefined.
+ * @param {TaskDef[]} processOneTaskDefs - the processOne task definitions
+ * @param {StreamConsumerContext} context - the context with stream consumer configuration to use
+ * @returns {WorkQueue|undefined} a bounded work queue (if any maximum concurrency is configured); otherwise undefined
+ */
+function createProcessOneWorkQueue(processOneTaskDefs, context) {
+  const maxConcurrency = streamProcessing.getMaxConcurrency(context);
+  const anyTaskMaxConcurrency = processOneTaskDefs.some(taskDef => !!getTaskMaxConcurrency(taskDef));
+  return maxConcurrency || anyTaskMaxConcurrency || streamProcessing.isOrderedProcessing(context) ?
+    createWorkQueue(maxConcurrency, context) : undefined;
+}
+
+/**
+ * Creates a work queue that starts each enqueued unit of work in order as soon as doing so will neither exceed the given
+ * overall maximum concurrency nor the unit of work's own per-name maximum concurrency. Once closed, the work queue stops
+ * starting any more work and resolves the promises of all of the work that is still queued with undefined.
+ * @param {number|undefined} maxConcurrency - the overall maximum number of units of work to run concurrently (or
+ * undefined for no overall limit)
+ * @param {StreamConsumerContext} context - the context with stream consumer configuration to use
+ * @returns {WorkQueue} a new work queue
+ */
+function createWorkQueue(maxConcurrency, context) {
+  const queued = [];
+  const runningByName = new Map();
+  let running = 0;
+  let closed = false;
+
+  function startAnyQueuedWork() {
+    let i = 0;
+    while (!closed && i < queued.length && (!maxConcurrency || running < maxConcurrency)) {
+      const work = queued[i];
+      const runningWithName = runningByName.get(work.name) || 0;
+      if (work.maxConcurrency && runningWithName >= work.maxConcurrency) {
+        // Skip over work that has reached its own maximum concurrency, so that other work can still start
+        ++i;
+        continue;
+      }
+      queued.splice(i, 1);
+      ++running;
+      runningByName.set(work.name, runningWithName + 1);
+
+      const finish = () => {
+        --running;
+        runningByName.set(work.name, runningByName.get(work.name) - 1);
+        startAnyQueuedWork();
+      };
+      Promise.try(work.start).then(
+        result => {
+          finish();
+          work.resolve(result);
+        },
+        err => {
+          finish();
+          work.reject(err);
+        });
+    }
+  }
+
+  return {
+    enqueue(name, workMaxConcurrency, start) {
+      if (closed) {
+        return Promise.resolve(undefined);
+      }
+      return new Promise((resolve, reject) => {
+        queued.push({name: name, maxConcurrency: workMaxConcurrency, start: start, resolve: resolve, reject: reject});
+        startAnyQueuedWork();
+      });
+    },
+
+    close() {
+      closed = true;
+      const neverStarted = queued.splice(0, queued.length);
+      if (neverStarted.length > 0) {
+        context.warn(`Closed work queue with ${neverStarted.length} queued task${neverStarted.length !== 1 ? 's' : ''} that never started ${stringify(Arrays.distinct(neverStarted.map(w => w.name)))}`);
+      }
+      neverStarted.forEach(work => work.resolve(undefined));
+      return neverStarted.length;
+    },
+
+    get closed() {
+      return closed;
+    },
+
+    get queuedCount() {
+      return queued.length;
+    },
+
+    get runningCount() {
+      return running;
+    }
+  };
+}
+
 /**
  * Starts asynchronous execution of the given processOne task's execute function with the given message and context as
  * arguments and returns a promise to return the task's result (if successful) or undefined (if not).
@@ -671,11 +1237,11 @@ function executeProcessOneTask(task, message, context) {
   // }
 
   // Asynchronously kick off independent processing of the task on the message
-  return task.execute(message, context).then(
+  return executeTaskWithTimeout(task, message, context).then(
     result => {
       context.info(`Task (${task.name}) success took ${Date.now() - startMs} ms`);
       context.trace(`Finished executing task (${task.name}) - state (${stringify(task.state)}) on message (${stringify(message)})`);
-      return result;
+      return saveSucceededTaskName(task, message, context).then(() => result);
     },
     err => {
       context.info(`Task (${task.name}) failure took ${Date.now() - startMs} ms`);
@@ -694,10 +1260,12 @@ function executeProcessOneTask(task, message, context) {
  * @param {TaskDef[]} processAllTaskDefs - a list of zero or more "processAll" task definitions that will be used to
  * generate the tasks to be executed on all of the event's messages collectively
  * @param {StreamConsumerContext} context - the context with stream consumer configuration to use
+ * @param {Set.<Message>|undefined} [deferredMessages] - an optional set of messages that are not yet due for retry, which
+ * must be excluded from every processAll task's execution
  * @returns {Promise|undefined} a promise that will complete with all of the processAll tasks' results when these tasks' promises
  * (if any) have completed
  */
-function executeProcessAllTasks(messages, processAllTaskDefs, context) {
+function executeProcessAllTasks(messages, processAllTaskDefs, context, deferredMessages) {
   if (!messages || messages.length <= 0) {
     return undefined;
   }
@@ -732,7 +1300,7 @@ function executeProcessAllTasks(messages, processAllTaskDefs, context) {
       const incompleteTasks = messageAndIncompleteTasks[1];
       // Check if the current message has an incomplete task with the current task definition's task name
       const incompleteTask = incompleteTasks.find(t => t.name === taskDef.name);
-      return incompleteTask ? message : undefined;
+      return incompleteTask && (!deferredMessages || !deferredMessages.has(message)) ? message : undefined;
     }).filter(m => !!m); // eliminate all of the undefined messages, which do NOT have the current task as an incomplete task
 
     // If there are any incomplete messages that still need to be processed with the current task definition, then
@@ -792,7 +1360,7 @@ function executeProcessAllTask(task, messages, context) {
   // }
 
   // Asynchronously kick off independent processing of the task on the messages
-  return task.execute(messages, context).then(
+  return executeTaskWithTimeout(task, messages, context).then(
     result => {
       context.info(`Task (${task.name}) success took ${Date.now() - startMs} ms`);
       context.trace(`Finished executing task (${task.name}) - state (${stringify(task.state)}) on messages (${stringify(messages)})`);
@@ -805,6 +1373,56 @@ function executeProcessAllTask(task, messages, context) {
     });
 }
 
+/**
+ * Executes the given task with the given message or messages and context and, if the task's definition has a per-task
+ * timeout configured, races the task's execution against its timeout. If the timeout triggers first, then ONLY the
+ * given task (and its sub-tasks and slave tasks, if any) will be timed out, which leaves its attempts as counted and
+ * allows the rest of the batch to continue, and the returned promise will be rejected with the timeout error. Since the
+ * task's execution cannot be cancelled, its execution guard is also marked as timed out, so that any late success,
+ * failure or state change by the still running execution is ignored.
+ * @param {Task} task - the processOne or processAll task to be executed
+ * @param {Message|Message[]} messageOrMessages - the message or messages to pass as the first argument to the task's
+ * execute function
+ * @param {StreamConsumerContext} context - the context to pass as the second argument to the task's execute function
+ * @returns {Promise} a promise to return the task's result or to reject with the error encountered or timeout error
+ */
+function executeTaskWithTimeout(task, messageOrMessages, context) {
+  const promise = task.execute(messageOrMessages, context);
+  const guard = executionGuards.get(task);
+
+  const timeoutMs = getTaskTimeoutMs(task.definition);
+  if (!timeoutMs) {
+    return promise;
+  }
+
+  const cancellable = {};
+  const timeoutPromise = Promise.delay(timeoutMs, cancellable).then(
+    triggered => {
+      if (!triggered) {
+        // The timeout was cancelled, since the task finished first
+        return undefined;
+      }
+      const timeoutError = new TimeoutError(`Ran out of time to complete task (${task.name}) within ${timeoutMs} ms`);
+      context.warn(`Timed out task (${task.name}) after ${timeoutMs} ms`);
+      if (guard) guard.timedOut = true;
+      task.timeout(timeoutError, false, true);
+      throw timeoutError;
+    });
+
+  const completingPromise = promise.then(
+    result => {
+      cancellable.cancelTimeout(true);
+      return result;
+    },
+    err => {
+      cancellable.cancelTimeout(true);
+      throw err;
+    }
+  );
+
+  return Promise.race([completingPromise, timeoutPromise]);
+}
+
 /**
  * An override task execute factory function that on invocation will return a task execute function that wraps the given
  * task's original execute function and supplements and alters its execution behaviour as follows:
@@ -816,6 +1434,9 @@ function executeProcessAllTask(task, messages, context) {
  *     - If the execute function throws an exception or returns a rejected promise, sets its state to Failed with the
  *       error encountered, but ONLY if the task is not already in a rejected or failed state.
  *     - Returns the result wrapped in a Promise.
+ *   - The execute function is invoked with a guarded stand-in for the task as its `this` and neither the outcome of the
+ *     execution nor any state changes attempted via its `this` are applied to the task once the execution has been
+ *     timed out by {@linkcode executeTaskWithTimeout}.
  *
  * @param {Task} task - the task to be executed
  * @param {Function} execute - the task's original execute function (provided by its task definition)
@@ -839,10 +1460,14 @@ function taskExecutePromiseFactory(task, execute) {
       task.incrementAttempts(true);
       task.updateLastExecutedAt(new Date(), true);
 
+      // Guard the task against any late outcome or state changes of this execution, once it has been timed out
+      const guard = {timedOut: false};
+      executionGuards.set(task, guard);
+
       // Then execute the actual execute function
       try {
         // Execute the task's function
-        const result = execute.apply(task, arguments);
+        const result = execute.apply(toGuardedTask(task, guard, logger), arguments);
 
         // If the result is a promise or array of promises or a non-promise, reduce it to a single promise
         const promise = Promise.allOrOne(result);
@@ -850,13 +1475,21 @@ function taskExecutePromiseFactory(task, execute) {
         return promise
           .then(
             result => {
-              // If this task is still in an unstarted state after its execute function completes then complete it
-              Task.completeTaskIfStillUnstarted(task, result, logger);
+              if (guard.timedOut) {
+                logger.warn(`Ignoring late success of timed out task (${task.name})`);
+              } else {
+                // If this task is still in an unstarted state after its execute function completes then complete it
+                Task.completeTaskIfStillUnstarted(task, result, logger);
+              }
               return result;
             },
             err => {
-              // If this task is not already in a failed or rejected state after its execute function fails then fail it
-              Task.failTaskIfNotRejectedNorFailed(task, err, logger);
+              if (guard.timedOut) {
+                logger.warn(`Ignoring late failure of timed out task (${task.name}) - error (${err})`);
+              } else {
+                // If this task is not already in a failed or rejected state after its execute function fails then fail it
+                Task.failTaskIfNotRejectedNorFailed(task, err, logger);
+              }
               return Promise.reject(err);
             }
           );
@@ -873,6 +1506,35 @@ function taskExecutePromiseFactory(task, execute) {
 
   return executeUpdateStateAndReturnPromise;
 }
+/**
+ * Returns a stand-in for the given task to be used as the `this` of the task's execute function, which delegates all of
+ * its method calls to the task, but ignores any calls to the task's state changing methods once the given execution
+ * guard has been timed out.
+ * @param {Task} task - the task to guard
+ * @param {{timedOut: boolean}} guard - the execution guard
+ * @param {Logging|Console} logger - the logger to use
+ * @returns {Task} a guarded stand-in for the task
+ */
+function toGuardedTask(task, guard, logger) {
+  const guardedTask = Object.create(task);
+  for (let proto = Object.getPrototypeOf(task); proto && proto !== Object.prototype; proto = Object.getPrototypeOf(proto)) {
+    Object.getOwnPropertyNames(proto).forEach(name => {
+      const descriptor = Object.getOwnPropertyDescriptor(proto, name);
+      if (name !== 'constructor' && typeof descriptor.value === 'function' && !guardedTask.hasOwnProperty(name)) {
+        const stateChanging = STATE_CHANGING_TASK_METHODS.indexOf(name) !== -1;
+        guardedTask[name] = function () {
+          if (stateChanging && guard.timedOut) {
+            logger.warn(`Ignoring late ${name} of timed out task (${task.name})`);
+            return undefined;
+          }
+          return task[name].apply(task, arguments);
+        };
+      }
+    });
+  }
+  return guardedTask;
+}
+
 // Replace the default task execute factory with the above factory
 if (Task.taskExecuteFactory === Task.defaultTaskExecuteFactory) {
   Task.taskExecuteFactory = taskExecutePromiseFactory;
@@ -891,6 +1553,27 @@ function calculateTimeoutMs(timeoutAtPercentageOfRemainingTime, context) {
   return Math.round(remainingTimeInMillis * timeoutAtPercentageOfRemainingTime);
 }
 
+/**
+ * Calculates the number of milliseconds to wait before timing out the processing phase, which is the configured
+ * timeoutAtPercentageOfRemainingTime of the Lambda's remaining time to execute, but capped to always leave the
+ * configured finalisingReserveMs (or finalisingTimeoutMs, if no reserve is configured) for the finalising phase.
+ * @param {StreamConsumerContext} context - the context with stream consumer configuration to use
+ * @returns {number} the number of milliseconds to wait
+ */
+function calculateProcessingTimeoutMs(context) {
+  const remainingTimeInMillis = context.awsContext.getRemainingTimeInMillis();
+  const timeoutMs = Math.round(remainingTimeInMillis * context.streamProcessing.timeoutAtPercentageOfRemainingTime);
+
+  const finalisingReserveMs = streamProcessing.getFinalisingReserveMs(context);
+  const reserveMs = finalisingReserveMs ? finalisingReserveMs : 0;
+  if (timeoutMs > remainingTimeInMillis - reserveMs) {
+    const cappedTimeoutMs = Math.max(remainingTimeInMillis - reserveMs, 0);
+    context.warn(`Capping processing timeout from ${timeoutMs} ms to ${cappedTimeoutMs} ms to leave ${reserveMs} ms of the remaining ${remainingTimeInMillis} ms for finalising`);
+    return cappedTimeoutMs;
+  }
+  return timeoutMs;
+}
+
 /**
  * Creates a promise that will timeout when the configured percentage or 90% (if not configured) of the remaining time
  * in millis is reached, which will give us hopefully enough time to finalise at least some of our message processing
@@ -979,6 +1662,247 @@ function createCompletedPromise(task, completingPromise, messages, cancellable,
   );
 }
 
+/**
+ * Attempts to load the previous task tracking state of the entire batch of messages using the configured
+ * loadTaskTrackingState function (see {@linkcode stream-processing-config#configureStreamProcessing}) within its own
+ * timeout, which is calculated from the configured loadingTimeoutAtPercentageOfRemainingTime (or, if not configured,
+ * from the configured timeoutAtPercentageOfRemainingTime). If loading fails or times out, then the returned promise
+ * will be rejected with the error encountered, which must subsequently trigger a replay of the entire batch.
+ * If idempotency is enabled, then the names of the given processOne tasks that already succeeded on each message are
+ * also loaded within the same timeout (see {@linkcode loadAllMessagesSucceededTaskNames}).
+ * @param {Message[]} messages - the entire batch of messages
+ * @param {StreamConsumerContext} context - the context with stream consumer configuration to use
+ * @param {TaskDef[]|undefined} [processOneTaskDefs] - the processOne task definitions (if any)
+ * @returns {Promise.<Message[]>} a promise that will resolve with the messages when their task tracking state has been
+ * loaded or that will reject with the error encountered or with a timeout error
+ */
+function loadTaskTrackingStateOfAllMessages(messages, context, processOneTaskDefs) {
+  // Create a task to track the state of the loading phase
+  const loadingTask = Task.createTask(TaskDef.defineTask(LOADING_TASK_NAME, noop));
+  loadingTask.incrementAttempts(true);
+  loadingTask.updateLastExecutedAt(new Date(), true);
+
+  const phaseTasksByName = getPhaseTasksByName(context, context);
+  phaseTasksByName[LOADING_TASK_NAME] = loadingTask;
+
+  // Set a timeout to trigger when the configured percentage of the remaining time in millis is reached
+  const cancellable = {};
+  const loadingTimeoutAtPercentage = streamProcessing.getLoadingTimeoutAtPercentageOfRemainingTime(context);
+  const timeoutMs = calculateTimeoutMs(loadingTimeoutAtPercentage ? loadingTimeoutAtPercentage :
+    context.streamProcessing.timeoutAtPercentageOfRemainingTime, context);
+  const timeoutPromise = createTimeoutPromise(loadingTask, timeoutMs, cancellable, context);
+
+  const loadedPromise = loadAllMessagesTaskTrackingState(messages, context)
+    .then(() => loadAllMessagesSucceededTaskNames(messages, processOneTaskDefs, context));
+
+  const completedPromise = createCompletedPromise(loadingTask, loadedPromise, messages, cancellable, context);
+
+  return Promise.race([completedPromise, timeoutPromise]).then(
+    results => {
+      if (Array.isArray(results)) {
+        return results;
+      }
+      // Loading must have timed out, so cannot safely start any tasks without the messages' previous task tracking state
+      const err = loadingTask.error;
+      context.error(`Timed out while loading task tracking state of ${messages.length} message(s) - forced to trigger a replay`);
+      return Promise.reject(err);
+    }
+  );
+}
+
+/**
+ * Attempts to load the task tracking state of all of the given messages using the configured loadTaskTrackingState
+ * function (see {@linkcode stream-processing-config#configureStreamProcessing}).
+ * @param {Message[]} messages - all of the messages
+ * @param {StreamConsumerContext} context - the context with stream consumer configuration to use
+ * @returns {Promise.<Message[]>} a promise that will complete when the configured loadTaskTrackingState function completes
+ */
+function loadAllMessagesTaskTrackingState(messages, context) {
+  const m = messages.length;
+  const ms = `${m} message${m !== 1 ? 's' : ''}`;
+
+  if (m <= 0) {
+    context.info(`No task tracking state to load, since ${ms}!`);
+    return Promise.resolve([]);
+  }
+
+  // Get the configured loadTaskTrackingState function to be used to do the actual loading
+  const loadTaskTrackingState = streamProcessing.getLoadTaskTrackingStateFunction(context);
+
+  if (loadTaskTrackingState) {
+    // Trigger the configured loadTaskTrackingState function to do the actual loading
+    return Promise.try(() => Promise.allOrOne(loadTaskTrackingState(messages, context)))
+      .then(results => {
+        context.info(`Loaded task tracking state of ${ms}`);
+        return messages;
+      })
+      .catch(err => {
+        // If load fails, then no choice left, but to throw an exception back to Lambda to force a replay of the batch of records
+        const fnName = isNotBlank(loadTaskTrackingState.name) ? loadTaskTrackingState.name : 'loadTaskTrackingState';
+        context.error(`Failed to load task tracking state of ${ms} using the configured ${fnName} function - error (${stringify(err)}) - forced to trigger a replay`, err.stack);
+        throw err;
+      });
+  } else {
+    const errMsg = `Cannot load task tracking state of ${ms} without a valid, configured loadTaskTrackingState function - forced to trigger a replay!`;
+    context.error(errMsg);
+    return Promise.reject(new Error(errMsg));
+  }
+}
+
+/**
+ * If idempotency is enabled, resolves the ID of each of the given messages using the configured extractMessageId
+ * function and then loads the names of the given processOne tasks that already succeeded on these messages (during
+ * previous replays or resubmissions) using the configured loadSucceededTaskNames function (see
+ * {@linkcode stream-processing-config#configureStreamProcessing}), so that these tasks can be completed without being
+ * executed again (see {@linkcode completeAlreadySucceededTasks}).
+ * @param {Message[]} messages - all of the messages
+ * @param {TaskDef[]|undefined} processOneTaskDefs - the processOne task definitions (if any)
+ * @param {StreamConsumerContext} context - the context with stream consumer configuration to use
+ * @returns {Promise.<Message[]>} a promise that will resolve with the messages when the succeeded task names have been
+ * loaded (or immediately if idempotency is not enabled) or that will reject with the error encountered
+ */
+function loadAllMessagesSucceededTaskNames(messages, processOneTaskDefs, context) {
+  if (!streamProcessing.isIdempotencyEnabled(context) || !processOneTaskDefs || processOneTaskDefs.length <= 0 ||
+    messages.length <= 0) {
+    return Promise.resolve(messages);
+  }
+  const extractMessageId = streamProcessing.getExtractMessageIdFunction(context);
+  const loadSucceededTaskNames = streamProcessing.getLoadSucceededTaskNamesFunction(context);
+
+  // Resolve the unique IDs of the messages
+  const messageIds = [];
+  messages.forEach(message => {
+    const messageId = resolveMessageId(message, extractMessageId, context);
+    if (messageId !== undefined && messageIds.indexOf(messageId) === -1) {
+      messageIds.push(messageId);
+    }
+  });
+
+  if (messageIds.length <= 0) {
+    context.warn(`Skipping load of succeeded task names, since could not resolve the IDs of any of ${messages.length} message(s)`);
+    return Promise.resolve(messages);
+  }
+
+  const taskNames = processOneTaskDefs.map(taskDef => taskDef.name);
+
+  return Promise.try(() => Promise.allOrOne(loadSucceededTaskNames(messageIds, taskNames, context)))
+    .then(succeededTaskNamesByMessageId => {
+      messages.forEach(message => {
+        const messageId = getMessageId(message, context);
+        const succeededTaskNames = messageId !== undefined && succeededTaskNamesByMessageId ?
+          succeededTaskNamesByMessageId[messageId] : undefined;
+        if (Array.isArray(succeededTaskNames) && succeededTaskNames.length > 0) {
+          const taskTracking = getTaskTracking(message, context);
+          Object.defineProperty(taskTracking, 'succeededTaskNames', {value: succeededTaskNames, writable: true, configurable: true, enumerable: false});
+        }
+      });
+      return messages;
+    })
+    .catch(err => {
+      // If load fails, then no choice left, but to throw an exception back to Lambda to force a replay of the batch of
+      // records rather than risk re-executing tasks that already succeeded
+      const fnName = isNotBlank(loadSucceededTaskNames.name) ? loadSucceededTaskNames.name : 'loadSucceededTaskNames';
+      context.error(`Failed to load succeeded task names of ${messageIds.length} message ID(s) using the configured ${fnName} function - error (${stringify(err)}) - forced to trigger a replay`, err.stack);
+      throw err;
+    });
+}
+
+/**
+ * Resolves the ID of the given message using the given extractMessageId function and remembers it on the message's task
+ * tracking (see {@linkcode getMessageId}). Any error encountered is logged, but no errors are allowed to escape from this
+ * function.
+ * @param {Message} message - the message
+ * @param {Function} extractMessageId - the configured extractMessageId function
+ * @param {StreamConsumerContext} context - the context with stream consumer configuration to use
+ * @returns {string|undefined} the message ID (if resolved); otherwise undefined
+ */
+function resolveMessageId(message, extractMessageId, context) {
+  const record = getRecord(message, context);
+  let messageId = undefined;
+  try {
+    messageId = extractMessageId(message, record, context);
+  } catch (err) {
+    context.error(`Failed to extract the ID of message (${stringify(message)}) - error (${stringify(err)})`, err.stack);
+  }
+  if (typeof messageId !== 'string' || isBlank(messageId)) {
+    context.warn(`Skipping idempotency of message, since could not resolve its ID (${stringify(messageId)}) from its record (${stringify(record)})`);
+    return undefined;
+  }
+  const taskTracking = getTaskTracking(message, context);
+  Object.defineProperty(taskTracking, 'messageId', {value: messageId, writable: true, configurable: true, enumerable: false});
+  return messageId;
+}
+
+/**
+ * Returns the ID of the given message that was resolved for idempotency purposes (if any).
+ * @param {Message} message - the message
+ * @param {StreamConsumerContext} context - the context with stream consumer configuration to use
+ * @returns {string|undefined} the message ID (if idempotency is enabled and the ID was resolved); otherwise undefined
+ */
+function getMessageId(message, context) {
+  const taskTracking = getTaskTracking(message, context);
+  return taskTracking.messageId;
+}
+
+function getSucceededTaskNames(message, context) {
+  const taskTracking = getTaskTracking(message, context);
+  return taskTracking.succeededTaskNames;
+}
+
+/**
+ * Completes each of the incomplete processOne tasks of the given messages that already succeeded on the message (as
+ * loaded by {@linkcode loadAllMessagesSucceededTaskNames}) without executing it again.
+ * @param {Message[]} messages - the entire batch of messages
+ * @param {TaskDef[]} processOneTaskDefs - a list of zero or more "processOne" task definitions
+ * @param {StreamConsumerContext} context - the context with stream consumer configuration to use
+ * @returns {Task[]} the tasks that were completed
+ */
+function completeAlreadySucceededTasks(messages, processOneTaskDefs, context) {
+  const completedTasks = [];
+  messages.forEach(message => {
+    const succeededTaskNames = getSucceededTaskNames(message, context);
+    if (!succeededTaskNames) {
+      return;
+    }
+    const processOneTasks = taskUtils.replaceTasksWithNewTasksUpdatedFromOld(getProcessOneTasksByName(message, context), processOneTaskDefs)[0];
+    processOneTasks.filter(task => !task.isFullyFinalised() && succeededTaskNames.indexOf(task.name) !== -1).forEach(task => {
+      task.complete(undefined, true, true);
+      completedTasks.push(task);
+    });
+  });
+  if (completedTasks.length > 0) {
+    context.info(`Completed ${completedTasks.length} processOne task(s) that already succeeded on their messages without executing them again`);
+  }
+  return completedTasks;
+}
+
+/**
+ * If idempotency is enabled, records that the given processOne task succeeded on the given message using the configured
+ * saveSucceededTaskName function, but ONLY if the task and all of its sub-tasks are completed. Any error encountered is
+ * logged, but no errors are allowed to escape from this function, since the task has already succeeded.
+ * @param {Task} task - the processOne task that was executed
+ * @param {Message} message - the message on which the task was executed
+ * @param {StreamConsumerContext} context - the context with stream consumer configuration to use
+ * @returns {Promise.<boolean>} a promise that will resolve with true if recorded; otherwise false
+ */
+function saveSucceededTaskName(task, message, context) {
+  const messageId = getMessageId(message, context);
+  if (!streamProcessing.isIdempotencyEnabled(context) || messageId === undefined || !isFullyCompleted(task)) {
+    return Promise.resolve(false);
+  }
+  const saveSucceededTaskNameFn = streamProcessing.getSaveSucceededTaskNameFunction(context);
+  return Promise.try(() => Promise.allOrOne(saveSucceededTaskNameFn(messageId, task.name, context)))
+    .then(() => true)
+    .catch(err => {
+      context.warn(`Failed to record that task (${task.name}) succeeded on message (${messageId}) - error (${stringify(err)})`);
+      return false;
+    });
+}
+
+function isFullyCompleted(task) {
+  return task.completed && task.subTasks.every(isFullyCompleted);
+}
+
 /**
  * Attempts to discard all of the given unusable records using the configured discardUnusableRecords function (see
  * {@linkcode stream-processing-config#configureStreamProcessing}).
@@ -1104,10 +2028,14 @@ function finaliseMessageProcessing(messages, unusableRecords, discardUnusableRec
     finalising: finalisingTask
   };
 
-  // Set a timeout to trigger at the last half a second, which will hopefully give us a enough time to complete all of
-  // the message finalising before the Lambda runs out of time to execute
+  // Set a timeout to trigger after the configured finalising timeout (or earlier, if the configured percentage of the
+  // remaining time is reached first), which will hopefully give us enough time to complete all of the message
+  // finalising before the Lambda runs out of time to execute
   const cancellable = {};
-  const timeoutMs = Math.min(500, calculateTimeoutMs(context.streamProcessing.timeoutAtPercentageOfRemainingTime, context));
+  const configuredFinalisingTimeoutMs = streamProcessing.getFinalisingTimeoutMs(context);
+  const finalisingTimeoutMs = configuredFinalisingTimeoutMs ? configuredFinalisingTimeoutMs : DEFAULT_FINALISING_TIMEOUT_MS;
+  const timeoutMs = Math.min(finalisingTimeoutMs,
+    calculateTimeoutMs(context.streamProcessing.timeoutAtPercentageOfRemainingTime, context));
   const timeoutPromise = createTimeoutPromise(finalisingTask, timeoutMs, cancellable, context);
 
   // Create a finalised promise that will ONLY complete when every one of the other finalising promises resolve
@@ -1161,13 +2089,28 @@ function completeStreamConsumerResults(streamConsumerResults, resultsOrErrors) {
   if (resultsOrErrors[0].error) streamConsumerResults.saveMessagesTaskTrackingStateError = resultsOrErrors[0].error;
 
   if (resultsOrErrors[1].result) streamConsumerResults.handledIncompleteMessages = resultsOrErrors[1].result;
-  if (resultsOrErrors[1].error) streamConsumerResults.handleIncompleteMessagesError = resultsOrErrors[1].error;
+  if (resultsOrErrors[1].error) {
+    streamConsumerResults.handleIncompleteMessagesError = resultsOrErrors[1].error;
+    // Report any incomplete messages that were handled before the handling failed
+    const handled = resultsOrErrors[1].error.handledIncompleteMessages;
+    if (Array.isArray(handled) && handled.length > 0) streamConsumerResults.handledIncompleteMessages = handled;
+  }
 
   if (resultsOrErrors[2].result) streamConsumerResults.discardedUnusableRecords = resultsOrErrors[2].result;
-  if (resultsOrErrors[2].error) streamConsumerResults.discardUnusableRecordsError = resultsOrErrors[2].error;
+  if (resultsOrErrors[2].error) {
+    streamConsumerResults.discardUnusableRecordsError = resultsOrErrors[2].error;
+    // Report any unusable records that were discarded before the discard failed
+    const discarded = resultsOrErrors[2].error.discardedUnusableRecords;
+    if (Array.isArray(discarded) && discarded.length > 0) streamConsumerResults.discardedUnusableRecords = discarded;
+  }
 
   if (resultsOrErrors[3].result) streamConsumerResults.discardedRejectedMessages = resultsOrErrors[3].result;
-  if (resultsOrErrors[3].error) streamConsumerResults.discardRejectedMessagesError = resultsOrErrors[3].error;
+  if (resultsOrErrors[3].error) {
+    streamConsumerResults.discardRejectedMessagesError = resultsOrErrors[3].error;
+    // Report any rejected messages that were discarded before the discard failed
+    const discarded = resultsOrErrors[3].error.discardedRejectedMessages;
+    if (Array.isArray(discarded) && discarded.length > 0) streamConsumerResults.discardedRejectedMessages = discarded;
+  }
 }
 
 function logStreamConsumerResults(streamConsumerResults, context) {
@@ -1251,6 +2194,119 @@ function summarizeStreamConsumerResults(results) {
   return summary;
 }
 
+/**
+ * Converts the given stream consumer results into a Lambda partial batch response, which reports the batchItemFailures
+ * (if any) from which Lambda must resume processing of the stream (see {@linkcode streamProcessing.toBatchItemFailures}).
+ * @param {StreamConsumerResults} results - the full stream consumer results
+ * @param {StreamConsumerContext} context - the context with stream consumer configuration to use
+ * @returns {{batchItemFailures: {itemIdentifier: string}[]}} the partial batch response
+ * @throws {Error} an error if the batch item failures cannot be resolved
+ */
+function toBatchItemFailuresResponse(results, context) {
+  const messages = results && Array.isArray(results.messages) ? results.messages : [];
+  // Incomplete messages that were already resubmitted (rather than just reported) must NOT be replayed too
+  const reportingOnly = streamProcessing.getHandleIncompleteMessagesFunction(context) ===
+    streamProcessing.DEFAULTS.reportBatchItemFailuresIfIncomplete;
+  const resubmitted = !reportingOnly && results && Array.isArray(results.handledIncompleteMessages) ?
+    results.handledIncompleteMessages : [];
+  const incompleteMessages = messages.filter(message => isMessageIncomplete(message, context) &&
+    resubmitted.indexOf(message) === -1);
+  return {batchItemFailures: streamProcessing.toBatchItemFailures(incompleteMessages, context)};
+}
+
+/**
+ * Converts the given stream consumer results into the response of a Kinesis Data Firehose data transformation Lambda,
+ * which must return each of the given Firehose records with a transformation result of:
+ * - "Ok" if all of its messages completed, with the transformed data supplied by its messages' task results (see
+ *   {@linkcode toTransformedData}), delimited by newlines if more than one of its messages supplied transformed data,
+ *   or with its original data if none of its messages' tasks supplied any;
+ * - "Dropped" if all of its messages were rejected (and hence discarded to the DMQ) or if it was unusable (and hence
+ *   discarded to the DRQ) or yielded no messages; or
+ * - "ProcessingFailed" if any of its messages are still incomplete, so that Firehose delivers it to its processing
+ *   failure destination.
+ * @param {Record[]} records - the Firehose records of the Firehose data transformation event
+ * @param {StreamConsumerResults} results - the full stream consumer results
+ * @param {StreamConsumerContext} context - the context with stream consumer configuration to use
+ * @returns {{records: {recordId: string, result: string, data: string}[]}} the Firehose transformation response
+ */
+function toFirehoseTransformationResponse(records, results, context) {
+  const messages = results && Array.isArray(results.messages) ? results.messages : [];
+
+  // Group the messages by the Firehose records from which they were extracted
+  const messagesByRecord = new Map();
+  messages.forEach(message => {
+    const record = getRecord(message, context);
+    const recordMessages = messagesByRecord.get(record);
+    if (recordMessages) {
+      recordMessages.push(message);
+    } else {
+      messagesByRecord.set(record, [message]);
+    }
+  });
+
+  return {
+    records: (Array.isArray(records) ? records : []).map(record =>
+      toFirehoseTransformationResult(record, messagesByRecord.get(record), context))
+  };
+}
+
+function toFirehoseTransformationResult(record, recordMessages, context) {
+  if (!recordMessages || recordMessages.length <= 0) {
+    return {recordId: record.recordId, result: streamProcessing.FIREHOSE_DROPPED_RESULT, data: record.data};
+  }
+  if (recordMessages.some(message => isMessageIncomplete(message, context))) {
+    return {recordId: record.recordId, result: streamProcessing.FIREHOSE_PROCESSING_FAILED_RESULT, data: record.data};
+  }
+  const completedMessages = recordMessages.filter(message => !isMessageFinalisedButRejected(message, context));
+  if (completedMessages.length <= 0) {
+    return {recordId: record.recordId, result: streamProcessing.FIREHOSE_DROPPED_RESULT, data: record.data};
+  }
+  const transformedData = completedMessages.map(message => toTransformedData(message, context))
+    .filter(data => data !== undefined);
+  return {
+    recordId: record.recordId,
+    result: streamProcessing.FIREHOSE_OK_RESULT,
+    data: transformedData.length > 0 ? joinTransformedData(transformedData).toString('base64') : record.data
+  };
+}
+
+/**
+ * Joins the given transformed data of the messages of a single Firehose record, delimiting each from the next with a
+ * newline (unless it already ends with one), so that the messages' data remains separable in the delivered output.
+ * @param {Buffer[]} transformedData - the transformed data of the record's messages
+ * @returns {Buffer} the joined transformed data
+ */
+function joinTransformedData(transformedData) {
+  const chunks = [];
+  transformedData.forEach((data, i) => {
+    chunks.push(data);
+    if (i < transformedData.length - 1 && (data.length <= 0 || data[data.length - 1] !== NEWLINE)) {
+      chunks.push(NEWLINE_DELIMITER);
+    }
+  });
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Returns the transformed data supplied by the given message's processOne tasks, i.e. the result of the last of its
+ * processOne tasks (in task definition order) with a result (if any), as is (if a Buffer), as UTF-8 (if a string) or
+ * as JSON (otherwise).
+ * @param {Message} message - the message
+ * @param {StreamConsumerContext} context - the context with stream consumer configuration to use
+ * @returns {Buffer|undefined} the transformed data (if any); otherwise undefined
+ */
+function toTransformedData(message, context) {
+  const taskResults = taskUtils.getTasks(getProcessOneTasksByName(message, context))
+    .map(task => task.result)
+    .filter(result => result !== undefined && result !== null);
+
+  if (taskResults.length <= 0) {
+    return undefined;
+  }
+  const result = taskResults[taskResults.length - 1];
+  return Buffer.isBuffer(result) ? result : new Buffer(typeof result === 'string' ? result : JSON.stringify(result), 'utf8');
+}
+
 /**
  * If the given stream consumer results are full results, then returns a promise to log and return them; otherwise if
  * they are partial results, then returns a promise that will wait for the full results and then log and return them.
@@ -1331,6 +2387,11 @@ function saveAllMessagesTaskTrackingState(messages, context) {
  * First finds all of the incomplete messages in the given list of all messages being processed and then attempts to
  * handle all of these incomplete messages using the configured handleIncompleteMessages function (see {@linkcode
  * stream-processing-config#configureStreamProcessing}).
+ *
+ * If the configured function resolves with per-message resubmission outcomes (see {@linkcode
+ * streamProcessing.resubmitIncompleteMessagesToKinesisByPartitionKey}), then only the resubmitted messages are handled
+ * and the unsent messages are either left to be reported as batch item failures (if reportBatchItemFailures is enabled)
+ * or are exposed as the unhandledIncompleteMessages of the error with which to trigger a replay of the batch.
  * @param {Message[]} messages - all of the messages being processed
  * @param {StreamConsumerContext} context - the context with stream consumer configuration to use
  * @returns {Promise.<*>} a promise that will complete when the configured handleIncompleteMessages function completes
@@ -1363,6 +2424,9 @@ function handleAnyIncompleteMessages(messages, context) {
     // Trigger the configured handleIncompleteMessages function to do the actual handling of the incomplete messages
     return Promise.try(() => Promise.allOrOne(handleIncompleteMessages(messages, incompleteMessages, context)))
       .then(results => {
+        if (isResubmissionOutcomes(results)) {
+          return toResubmittedMessages(results, isOfMs, context);
+        }
         context.info(`Handled ${isOfMs} - results (${stringify(results)}`);
         return incompleteMessages;
       })
@@ -1379,6 +2443,28 @@ function handleAnyIncompleteMessages(messages, context) {
   }
 }
 
+function isResubmissionOutcomes(results) {
+  return Array.isArray(results) && results.length > 0 &&
+    results.every(result => result && typeof result === 'object' && typeof result.resubmitted === 'boolean' && !!result.message);
+}
+
+function toResubmittedMessages(outcomes, isOfMs, context) {
+  const resubmitted = outcomes.filter(o => o.resubmitted).map(o => o.message);
+  const unsent = outcomes.filter(o => !o.resubmitted);
+  const u = unsent.length;
+
+  if (u > 0 && !streamProcessing.isReportingBatchItemFailures(context)) {
+    // Without batch item failures, only a replay of the entire batch can recover the unsent messages
+    const lastError = unsent.map(o => o.error).filter(e => !!e).pop();
+    const err = lastError ? lastError : new Error(`Failed to resubmit ${u} of ${isOfMs}`);
+    err.handledIncompleteMessages = resubmitted;
+    err.unhandledIncompleteMessages = unsent.map(o => o.message);
+    throw err;
+  }
+  context.info(`Resubmitted ${resubmitted.length} of ${isOfMs}${u > 0 ? ` - reporting the ${u} unsent as batch item failures` : ''}`);
+  return resubmitted;
+}
+
 function isMessageIncomplete(message, context) {
   // Check all processOneTasks are fully finalised
   const processOneTasksByName = getProcessOneTasksByName(message, context);
@@ -2,11 +2,67 @@
 
 const MAX_PARTITION_KEY_SIZE = 256;
 
+// Kinesis putRecords request limits
+const MAX_PUT_RECORDS_COUNT = 500;
+const MAX_PUT_RECORDS_SIZE_IN_BYTES = 5 * 1024 * 1024;
+const MAX_PUT_RECORD_SIZE_IN_BYTES = 1024 * 1024;
+const MAX_PUT_RECORD_DATA_SIZE_IN_BYTES = MAX_PUT_RECORD_SIZE_IN_BYTES - MAX_PARTITION_KEY_SIZE;
+
+// SQS sendMessageBatch request limits (the maximum size applies to each message and to the entire batch)
+const MAX_SEND_MESSAGE_BATCH_COUNT = 10;
+const MAX_SQS_MESSAGE_SIZE_IN_BYTES = 256 * 1024;
+const SQS_MESSAGE_ATTRIBUTES_ALLOWANCE_IN_BYTES = 1024;
+
+// SQS changeMessageVisibilityBatch & deleteMessageBatch request limits
+const MAX_SQS_BATCH_ENTRIES_COUNT = 10;
+const MAX_VISIBILITY_TIMEOUT_IN_SECONDS = 12 * 60 * 60;
+
+// The domain of the SQS endpoints in each AWS partition (other than the default "aws" partition's "amazonaws.com")
+const SQS_DOMAINS_BY_PARTITION = {
+  'aws-cn': 'amazonaws.com.cn',
+  'aws-iso': 'c2s.ic.gov',
+  'aws-iso-b': 'sc2s.sgov.gov'
+};
+
+// DynamoDB batch request limits
+const MAX_BATCH_GET_ITEMS = 100;
+const MAX_BATCH_WRITE_ITEMS = 25;
+
+// Batch request retry settings
+const MAX_BATCH_ATTEMPTS = 5;
+const BATCH_RETRY_BASE_DELAY_MS = 50;
+const BATCH_RETRY_MAX_DELAY_MS = 1000;
+
+// Default number of seconds for which to keep idempotency records, i.e. 7 days (the maximum Kinesis retention period)
+const DEFAULT_IDEMPOTENCY_TTL_IN_SECONDS = 7 * 24 * 60 * 60;
+
+// Default name of the task tracking table used by the default DynamoDB task tracking implementations
+const DEFAULT_TASK_TRACKING_TABLE_NAME = 'MessageTaskTracking';
+
+// Default number of seconds for which to keep task tracking items, i.e. 7 days (the maximum Kinesis retention period)
+const DEFAULT_TASK_TRACKING_TTL_IN_SECONDS = 7 * 24 * 60 * 60;
+
+// Default factor by which a retry policy's delay grows with each additional attempt
+const DEFAULT_RETRY_MULTIPLIER = 2;
+
+// Default number of seconds for which incomplete SQS messages must stay invisible before they are redelivered
+const DEFAULT_VISIBILITY_TIMEOUT_IN_SECONDS = 30;
+
 // Setting names
 const STREAM_TYPE_SETTING = 'streamType';
 const TASK_TRACKING_NAME_SETTING = 'taskTrackingName';
 const TIMEOUT_AT_PERCENTAGE_OF_REMAINING_TIME_SETTING = 'timeoutAtPercentageOfRemainingTime';
+const LOADING_TIMEOUT_AT_PERCENTAGE_OF_REMAINING_TIME_SETTING = 'loadingTimeoutAtPercentageOfRemainingTime';
 const MAX_NUMBER_OF_ATTEMPTS_SETTING = 'maxNumberOfAttempts';
+const FINALISING_TIMEOUT_MS_SETTING = 'finalisingTimeoutMs';
+const FINALISING_RESERVE_MS_SETTING = 'finalisingReserveMs';
+const MAX_CONCURRENCY_SETTING = 'maxConcurrency';
+const ORDERED_PROCESSING_SETTING = 'orderedProcessing';
+const COMPRESSION_SETTING = 'compression';
+const MESSAGE_SCHEMA_SETTING = 'messageSchema';
+const IDEMPOTENCY_ENABLED_SETTING = 'idempotencyEnabled';
+const RETRY_POLICY_SETTING = 'retryPolicy';
+const REPORT_BATCH_ITEM_FAILURES_SETTING = 'reportBatchItemFailures';
 
 const EXTRACT_MESSAGE_FROM_RECORD_SETTING = 'extractMessageFromRecord';
 const LOAD_TASK_TRACKING_STATE_SETTING = 'loadTaskTrackingState';
@@ -14,14 +70,45 @@ const SAVE_TASK_TRACKING_STATE_SETTING = 'saveTaskTrackingState';
 const HANDLE_INCOMPLETE_MESSAGES_SETTING = 'handleIncompleteMessages';
 const DISCARD_UNUSABLE_RECORDS_SETTING = 'discardUnusableRecords';
 const DISCARD_REJECTED_MESSAGES_SETTING = 'discardRejectedMessages';
+const EXTRACT_MESSAGE_ID_SETTING = 'extractMessageId';
+const LOAD_SUCCEEDED_TASK_NAMES_SETTING = 'loadSucceededTaskNames';
+const SAVE_SUCCEEDED_TASK_NAME_SETTING = 'saveSucceededTaskName';
 
 const TASK_TRACKING_TABLE_NAME_SETTING = 'taskTrackingTableName';
+const TASK_TRACKING_TTL_IN_SECONDS_SETTING = 'taskTrackingTtlInSeconds';
 const DEAD_RECORD_QUEUE_NAME_SETTING = 'deadRecordQueueName';
 const DEAD_MESSAGE_QUEUE_NAME_SETTING = 'deadMessageQueueName';
+const DEAD_LETTER_QUEUE_TYPE_SETTING = 'deadLetterQueueType';
+const DEAD_RECORD_QUEUE_URL_SETTING = 'deadRecordQueueUrl';
+const DEAD_MESSAGE_QUEUE_URL_SETTING = 'deadMessageQueueUrl';
+const CLAIM_CHECK_BUCKET_NAME_SETTING = 'claimCheckBucketName';
+const CLAIM_CHECK_THRESHOLD_IN_BYTES_SETTING = 'claimCheckThresholdInBytes';
+const IDEMPOTENCY_TABLE_NAME_SETTING = 'idempotencyTableName';
+const IDEMPOTENCY_TTL_IN_SECONDS_SETTING = 'idempotencyTtlInSeconds';
+const RETRY_STREAM_NAME_SETTING = 'retryStreamName';
+const UNWRAP_SNS_NOTIFICATIONS_SETTING = 'unwrapSNSNotifications';
+const VISIBILITY_TIMEOUT_IN_SECONDS_SETTING = 'visibilityTimeoutInSeconds';
 
 // Valid stream types
 const KINESIS_STREAM_TYPE = "kinesis";
 const DYNAMODB_STREAM_TYPE = "dynamodb";
+const SQS_STREAM_TYPE = "sqs";
+const FIREHOSE_STREAM_TYPE = "firehose";
+// Pseudo stream type, which resolves the stream type from the incoming event's records
+const AUTO_STREAM_TYPE = "auto";
+
+// Valid Firehose record transformation results
+const FIREHOSE_OK_RESULT = 'Ok';
+const FIREHOSE_DROPPED_RESULT = 'Dropped';
+const FIREHOSE_PROCESSING_FAILED_RESULT = 'ProcessingFailed';
+
+// Valid dead letter queue types
+const KINESIS_DEAD_LETTER_QUEUE_TYPE = "kinesis";
+const SQS_DEAD_LETTER_QUEUE_TYPE = "sqs";
+
+// CloudWatch Logs subscription payload message types
+const CLOUDWATCH_LOGS_DATA_MESSAGE_TYPE = 'DATA_MESSAGE';
+const CLOUDWATCH_LOGS_CONTROL_MESSAGE_TYPE = 'CONTROL_MESSAGE';
 
 /**
  * Utilities for configuring stream processing, which configures and determines the processing behaviour of a stream
@@ -44,6 +131,12 @@ module.exports = {
   getDefaultDynamoDBStreamProcessingSettings: getDefaultDynamoDBStreamProcessingSettings,
   configureDefaultDynamoDBStreamProcessing: configureDefaultDynamoDBStreamProcessing,
 
+  getDefaultSQSStreamProcessingSettings: getDefaultSQSStreamProcessingSettings,
+  configureDefaultSQSStreamProcessing: configureDefaultSQSStreamProcessing,
+
+  getDefaultFirehoseStreamProcessingSettings: getDefaultFirehoseStreamProcessingSettings,
+  configureDefaultFirehoseStreamProcessing: configureDefaultFirehoseStreamProcessing,
+
   // Accessors for stream processing settings and functions
   getStreamProcessingSetting: getStreamProcessingSetting,
   getStreamProcessingFunction: getStreamProcessingFunction,
@@ -51,7 +144,42 @@ module.exports = {
   getStreamType: getStreamType,
   isKinesisStreamType: isKinesisStreamType,
   isDynamoDBStreamType: isDynamoDBStreamType,
+  isSQSStreamType: isSQSStreamType,
+  isFirehoseStreamType: isFirehoseStreamType,
+  resolveEventStreamType: resolveEventStreamType,
+  validateEventStreamType: validateEventStreamType,
   getMaxNumberOfAttempts: getMaxNumberOfAttempts,
+  getLoadingTimeoutAtPercentageOfRemainingTime: getLoadingTimeoutAtPercentageOfRemainingTime,
+  getFinalisingTimeoutMs: getFinalisingTimeoutMs,
+  getFinalisingReserveMs: getFinalisingReserveMs,
+  getMaxConcurrency: getMaxConcurrency,
+  isValidMaxConcurrency: isValidMaxConcurrency,
+  isOrderedProcessing: isOrderedProcessing,
+  getCompression: getCompression,
+  getMessageSchema: getMessageSchema,
+  isIdempotencyEnabled: isIdempotencyEnabled,
+  getIdempotencyTtlInSeconds: getIdempotencyTtlInSeconds,
+  getTaskTrackingTtlInSeconds: getTaskTrackingTtlInSeconds,
+  getRetryPolicy: getRetryPolicy,
+  isValidRetryPolicy: isValidRetryPolicy,
+  toRetryDelayMs: toRetryDelayMs,
+  toRetryJitterRandom: toRetryJitterRandom,
+  getSourceStreamName: getSourceStreamName,
+  isReportingBatchItemFailures: isReportingBatchItemFailures,
+  toBatchItemFailures: toBatchItemFailures,
+  isUnwrappingSNSNotifications: isUnwrappingSNSNotifications,
+  getVisibilityTimeoutInSeconds: getVisibilityTimeoutInSeconds,
+  // SQS event record utilities
+  validateSQSEventRecord: validateSQSEventRecord,
+  getSQSEventSourceQueueName: getSQSEventSourceQueueName,
+  // Firehose record utilities
+  validateFirehoseRecord: validateFirehoseRecord,
+  getFirehoseDeliveryStreamName: getFirehoseDeliveryStreamName,
+  // Record ordering utilities
+  toRecordOrderingKey: toRecordOrderingKey,
+  getRecordSequenceNumber: getRecordSequenceNumber,
+  getRecordSubSequenceNumber: getRecordSubSequenceNumber,
+  compareSequenceNumbers: compareSequenceNumbers,
   // Convenience accessors for specific stream processing functions
   getExtractMessageFromRecordFunction: getExtractMessageFromRecordFunction,
   getLoadTaskTrackingStateFunction: getLoadTaskTrackingStateFunction,
@@ -59,6 +187,9 @@ module.exports = {
   getHandleIncompleteMessagesFunction: getHandleIncompleteMessagesFunction,
   getDiscardUnusableRecordsFunction: getDiscardUnusableRecordsFunction,
   getDiscardRejectedMessagesFunction: getDiscardRejectedMessagesFunction,
+  getExtractMessageIdFunction: getExtractMessageIdFunction,
+  getLoadSucceededTaskNamesFunction: getLoadSucceededTaskNamesFunction,
+  getSaveSucceededTaskNameFunction: getSaveSucceededTaskNameFunction,
 
   /**
    * Default implementations of the stream processing functions, which are NOT meant to be used directly and are ONLY
@@ -71,6 +202,9 @@ module.exports = {
     // Default Kinesis extractMessageFromRecord function
     extractJsonMessageFromKinesisRecord: extractJsonMessageFromKinesisRecord,
 
+    // Alternative Kinesis extractMessageFromRecord function for streams fed by CloudWatch Logs subscription filters
+    extractLogEventMessagesFromCloudWatchLogsRecord: extractLogEventMessagesFromCloudWatchLogsRecord,
+
     // Default Kinesis loadTaskTrackingState function
     skipLoadTaskTrackingState: skipLoadTaskTrackingState,
 
@@ -80,12 +214,18 @@ module.exports = {
     // Default Kinesis handleIncompleteMessages function
     resubmitIncompleteMessagesToKinesis: resubmitIncompleteMessagesToKinesis,
 
+    // Alternative Kinesis handleIncompleteMessages function, which resubmits messages in ordered putRecords batches
+    resubmitIncompleteMessagesToKinesisByPartitionKey: resubmitIncompleteMessagesToKinesisByPartitionKey,
+
     // Default DynamoDB stream processing functions
     // ============================================
 
     // Default DynamoDB extractMessageFromRecord function
     useStreamEventRecordAsMessage: useStreamEventRecordAsMessage,
 
+    // Alternative DynamoDB extractMessageFromRecord function, which unmarshals the record's keys & images
+    extractUnmarshalledMessageFromDynamoDBRecord: extractUnmarshalledMessageFromDynamoDBRecord,
+
     // Default DynamoDB loadTaskTrackingState function
     loadTaskTrackingStateFromDynamoDB: loadTaskTrackingStateFromDynamoDB,
 
@@ -95,20 +235,66 @@ module.exports = {
     // Default DynamoDB handleIncompleteMessages function
     replayAllMessagesIfIncomplete: replayAllMessagesIfIncomplete,
 
-    // Default common Kinesis and DynamoDB stream processing functions
-    // ===============================================================
+    // Default SQS stream processing functions
+    // =======================================
+
+    // Default SQS extractMessageFromRecord function
+    extractJsonMessageFromSQSRecord: extractJsonMessageFromSQSRecord,
+
+    // Default SQS handleIncompleteMessages function
+    changeVisibilityOfIncompleteSQSMessages: changeVisibilityOfIncompleteSQSMessages,
+
+    // Default Firehose stream processing functions
+    // ============================================
+
+    // Default Firehose extractMessageFromRecord function
+    extractJsonMessageFromFirehoseRecord: extractJsonMessageFromFirehoseRecord,
+
+    // Default Firehose handleIncompleteMessages function
+    reportIncompleteFirehoseRecordsAsProcessingFailed: reportIncompleteFirehoseRecordsAsProcessingFailed,
+
+    // Default common Kinesis, DynamoDB, SQS and Firehose stream processing functions
+    // ==============================================================================
+
+    // Alternative handleIncompleteMessages function (selected by reportBatchItemFailures)
+    reportBatchItemFailuresIfIncomplete: reportBatchItemFailuresIfIncomplete,
 
     // Default discardUnusableRecords function
     discardUnusableRecordsToDRQ: discardUnusableRecordsToDRQ,
 
     // Default discardRejectedMessages function
     discardRejectedMessagesToDMQ: discardRejectedMessagesToDMQ,
+
+    // Alternative SQS discardUnusableRecords function (selected by deadLetterQueueType "sqs")
+    discardUnusableRecordsToSQSDRQ: discardUnusableRecordsToSQSDRQ,
+
+    // Alternative SQS discardRejectedMessages function (selected by deadLetterQueueType "sqs")
+    discardRejectedMessagesToSQSDMQ: discardRejectedMessagesToSQSDMQ,
+
+    // Default extractMessageId function (only used if idempotencyEnabled)
+    toMessageIdFromSourceStreamAndSequenceNumber: toMessageIdFromSourceStreamAndSequenceNumber,
+
+    // Default loadSucceededTaskNames function (only used if idempotencyEnabled)
+    loadSucceededTaskNamesFromDynamoDB: loadSucceededTaskNamesFromDynamoDB,
+
+    // Default saveSucceededTaskName function (only used if idempotencyEnabled)
+    saveSucceededTaskNameToDynamoDB: saveSucceededTaskNameToDynamoDB,
   },
   // Generic settings names
   STREAM_TYPE_SETTING: STREAM_TYPE_SETTING,
   TASK_TRACKING_NAME_SETTING: TASK_TRACKING_NAME_SETTING,
   TIMEOUT_AT_PERCENTAGE_OF_REMAINING_TIME_SETTING: TIMEOUT_AT_PERCENTAGE_OF_REMAINING_TIME_SETTING,
+  LOADING_TIMEOUT_AT_PERCENTAGE_OF_REMAINING_TIME_SETTING: LOADING_TIMEOUT_AT_PERCENTAGE_OF_REMAINING_TIME_SETTING,
   MAX_NUMBER_OF_ATTEMPTS_SETTING: MAX_NUMBER_OF_ATTEMPTS_SETTING,
+  FINALISING_TIMEOUT_MS_SETTING: FINALISING_TIMEOUT_MS_SETTING,
+  FINALISING_RESERVE_MS_SETTING: FINALISING_RESERVE_MS_SETTING,
+  MAX_CONCURRENCY_SETTING: MAX_CONCURRENCY_SETTING,
+  ORDERED_PROCESSING_SETTING: ORDERED_PROCESSING_SETTING,
+  COMPRESSION_SETTING: COMPRESSION_SETTING,
+  MESSAGE_SCHEMA_SETTING: MESSAGE_SCHEMA_SETTING,
+  IDEMPOTENCY_ENABLED_SETTING: IDEMPOTENCY_ENABLED_SETTING,
+  RETRY_POLICY_SETTING: RETRY_POLICY_SETTING,
+  REPORT_BATCH_ITEM_FAILURES_SETTING: REPORT_BATCH_ITEM_FAILURES_SETTING,
 
   // Generic functions settings names
   EXTRACT_MESSAGE_FROM_RECORD_SETTING: EXTRACT_MESSAGE_FROM_RECORD_SETTING,
@@ -117,15 +303,41 @@ module.exports = {
   HANDLE_INCOMPLETE_MESSAGES_SETTING: HANDLE_INCOMPLETE_MESSAGES_SETTING,
   DISCARD_UNUSABLE_RECORDS_SETTING: DISCARD_UNUSABLE_RECORDS_SETTING,
   DISCARD_REJECTED_MESSAGES_SETTING: DISCARD_REJECTED_MESSAGES_SETTING,
+  EXTRACT_MESSAGE_ID_SETTING: EXTRACT_MESSAGE_ID_SETTING,
+  LOAD_SUCCEEDED_TASK_NAMES_SETTING: LOAD_SUCCEEDED_TASK_NAMES_SETTING,
+  SAVE_SUCCEEDED_TASK_NAME_SETTING: SAVE_SUCCEEDED_TASK_NAME_SETTING,
 
   // Specialised settings names used by default processing function implementations
   TASK_TRACKING_TABLE_NAME_SETTING: TASK_TRACKING_TABLE_NAME_SETTING,
+  TASK_TRACKING_TTL_IN_SECONDS_SETTING: TASK_TRACKING_TTL_IN_SECONDS_SETTING,
   DEAD_RECORD_QUEUE_NAME_SETTING: DEAD_RECORD_QUEUE_NAME_SETTING,
   DEAD_MESSAGE_QUEUE_NAME_SETTING: DEAD_MESSAGE_QUEUE_NAME_SETTING,
+  DEAD_LETTER_QUEUE_TYPE_SETTING: DEAD_LETTER_QUEUE_TYPE_SETTING,
+  DEAD_RECORD_QUEUE_URL_SETTING: DEAD_RECORD_QUEUE_URL_SETTING,
+  DEAD_MESSAGE_QUEUE_URL_SETTING: DEAD_MESSAGE_QUEUE_URL_SETTING,
+  CLAIM_CHECK_BUCKET_NAME_SETTING: CLAIM_CHECK_BUCKET_NAME_SETTING,
+  CLAIM_CHECK_THRESHOLD_IN_BYTES_SETTING: CLAIM_CHECK_THRESHOLD_IN_BYTES_SETTING,
+  IDEMPOTENCY_TABLE_NAME_SETTING: IDEMPOTENCY_TABLE_NAME_SETTING,
+  IDEMPOTENCY_TTL_IN_SECONDS_SETTING: IDEMPOTENCY_TTL_IN_SECONDS_SETTING,
+  RETRY_STREAM_NAME_SETTING: RETRY_STREAM_NAME_SETTING,
+  UNWRAP_SNS_NOTIFICATIONS_SETTING: UNWRAP_SNS_NOTIFICATIONS_SETTING,
+  VISIBILITY_TIMEOUT_IN_SECONDS_SETTING: VISIBILITY_TIMEOUT_IN_SECONDS_SETTING,
 
   // Valid stream types
   KINESIS_STREAM_TYPE: KINESIS_STREAM_TYPE,
-  DYNAMODB_STREAM_TYPE: DYNAMODB_STREAM_TYPE
+  DYNAMODB_STREAM_TYPE: DYNAMODB_STREAM_TYPE,
+  SQS_STREAM_TYPE: SQS_STREAM_TYPE,
+  FIREHOSE_STREAM_TYPE: FIREHOSE_STREAM_TYPE,
+  AUTO_STREAM_TYPE: AUTO_STREAM_TYPE,
+
+  // Valid Firehose record transformation results
+  FIREHOSE_OK_RESULT: FIREHOSE_OK_RESULT,
+  FIREHOSE_DROPPED_RESULT: FIREHOSE_DROPPED_RESULT,
+  FIREHOSE_PROCESSING_FAILED_RESULT: FIREHOSE_PROCESSING_FAILED_RESULT,
+
+  // Valid dead letter queue types
+  KINESIS_DEAD_LETTER_QUEUE_TYPE: KINESIS_DEAD_LETTER_QUEUE_TYPE,
+  SQS_DEAD_LETTER_QUEUE_TYPE: SQS_DEAD_LETTER_QUEUE_TYPE
 };
 
 const regions = require('aws-core-utils/regions');
@@ -143,9 +355,13 @@ const isBlank = Strings.isBlank;
 const isNotBlank = Strings.isNotBlank;
 const trim = Strings.trim;
 const stringify = Strings.stringify;
+require('core-functions/promises');
 
 const logging = require('logging-utils');
 
+const compression = require('./compression');
+const messageSchema = require('./message-schema');
+
 // =====================================================================================================================
 // Stream processing configuration - configures and determines the processing behaviour of a stream consumer
 // =====================================================================================================================
@@ -165,6 +381,12 @@ function isStreamProcessingConfigured(context) {
  * by the given stream processing options (if any), but only if stream processing is not already configured on the given
  * context OR if forceConfiguration is true.
  *
+ * If the resolved stream type is "auto", then the actual stream type is resolved from the event sources of the given
+ * event's records (see {@linkcode resolveEventStreamType}) and the default settings for that stream type are used. Since
+ * this requires an event, if no event is given (or if stream processing is already configured and forceConfiguration
+ * is false), then only the standard context is configured and the configuration of stream processing is deferred to
+ * the first call with an event (e.g. from {@linkcode stream-consumer#configureStreamConsumer}).
+ *
  * Note that if either the given event or AWS context are undefined, then everything other than the region, stage and
  * AWS context will be configured. This missing configuration can be configured at a later point in your code by
  * invoking {@linkcode stages#configureRegionStageAndAwsContext}. This separation of configuration is primarily useful
@@ -181,6 +403,7 @@ function isStreamProcessingConfigured(context) {
  * will override any previously configured stream processing settings on the given context
  * @returns {StreamProcessing} the given context configured with stream processing settings, stage handling settings and
  * logging functionality
+ * @throws {Error} an error if the stream type is "auto" and cannot be resolved from the given (defined) event
  */
 function configureStreamProcessing(context, settings, options, standardSettings, standardOptions, event, awsContext, forceConfiguration) {
   const settingsAvailable = settings && typeof settings === 'object';
@@ -190,11 +413,33 @@ function configureStreamProcessing(context, settings, options, standardSettings,
   const streamProcessingWasConfigured = isStreamProcessingConfigured(context);
 
   // Attempt to discover what stream type is being configured
-  const streamType = resolveStreamType(settings, options);
+  const configuredStreamType = resolveStreamType(settings, options);
+
+  // If the stream type must be auto-detected, but stream processing must not be (re-)configured or there is no event yet
+  // from which to resolve it, then only configure the standard context and defer the configuration of stream processing
+  const autoDetect = configuredStreamType === AUTO_STREAM_TYPE;
+  const mustConfigure = forceConfiguration || !streamProcessingWasConfigured;
+  if (autoDetect && (!mustConfigure || !event)) {
+    contexts.configureStandardContext(context, standardSettings, standardOptions, event, awsContext, forceConfiguration);
+    if (mustConfigure) {
+      context.info(`Deferred configuration of stream processing with an "${AUTO_STREAM_TYPE}" stream type until an event is available from which to resolve its stream type`);
+    }
+    return context;
+  }
+
+  // If the stream type must be auto-detected, then resolve it from the event and replace the "auto" stream type on any
+  // given settings and options with the resolved stream type
+  const streamType = autoDetect ? resolveAutoDetectedStreamType(event, context) : configuredStreamType;
+  if (autoDetect) {
+    if (settingsAvailable) settings = Objects.merge({streamType: streamType}, Objects.copy(settings, false), true, false);
+    if (optionsAvailable) options = Objects.merge({streamType: streamType}, Objects.copy(options, true), true, false);
+  }
 
   // Determine the stream processing settings to be used
-  const defaultSettings = streamType === DYNAMODB_STREAM_TYPE ?
-    getDefaultDynamoDBStreamProcessingSettings(options) : getDefaultKinesisStreamProcessingSettings(options);
+  const defaultSettings = streamType === DYNAMODB_STREAM_TYPE ? getDefaultDynamoDBStreamProcessingSettings(options) :
+    streamType === SQS_STREAM_TYPE ? getDefaultSQSStreamProcessingSettings(options) :
+      streamType === FIREHOSE_STREAM_TYPE ? getDefaultFirehoseStreamProcessingSettings(options) :
+        getDefaultKinesisStreamProcessingSettings(options);
 
   const streamProcessingSettings = settingsAvailable ?
     Objects.merge(defaultSettings, settings, false, false) : defaultSettings;
@@ -266,6 +511,80 @@ function resolveStreamType(settings, options) {
   return isNotBlank(streamType) ? trim(streamType).toLowerCase() : streamType;
 }
 
+/**
+ * Attempts to resolve the stream type of the given AWS event from the event sources of its records, i.e. "kinesis",
+ * "dynamodb" or "sqs" for an event whose Records all have an "aws:kinesis", "aws:dynamodb" or "aws:sqs" eventSource
+ * respectively or "firehose" for a Kinesis Data Firehose data transformation event (whose records have no eventSource).
+ * Records without an eventSource are ignored, since they can only be treated as unusable records.
+ * @param {AwsEvent|undefined} [event] - the AWS event, which was passed to your lambda
+ * @param {StreamProcessing|undefined} [context] - the context to use for logging
+ * @returns {string|undefined} the stream type of the given event; or undefined if no event or no records with event sources
+ * @throws {Error} an error if the event's records come from mixed or unsupported event sources
+ */
+function resolveEventStreamType(event, context) {
+  if (!event || typeof event !== 'object') {
+    return undefined;
+  }
+  if (!Array.isArray(event.Records)) {
+    return Array.isArray(event.records) ? FIREHOSE_STREAM_TYPE : undefined;
+  }
+  const eventSources = event.Records.map(r => r && typeof r === 'object' ? r.eventSource : undefined).filter(isNotBlank)
+    .filter((s, i, eventSources) => eventSources.indexOf(s) === i);
+
+  if (eventSources.length > 1) {
+    const errMsg = `FATAL - Cannot process a stream event with records from mixed event sources (${eventSources.join(', ')}). Fix your Lambda's event source mappings, so that each of its events only contains records from a single type of event source, and redeploy ASAP, since this issue is blocking all of your stream's shards!`;
+    (context && context.error ? context.error : console.error)(errMsg);
+    throw new Error(errMsg);
+  }
+  const eventSource = eventSources[0];
+  const streamType = eventSource === 'aws:kinesis' ? KINESIS_STREAM_TYPE : eventSource === 'aws:dynamodb' ?
+    DYNAMODB_STREAM_TYPE : eventSource === 'aws:sqs' ? SQS_STREAM_TYPE : undefined;
+
+  if (eventSource && !streamType) {
+    const errMsg = `FATAL - Cannot process a stream event with records from an unsupported event source (${eventSource}). Fix your Lambda's event source mappings, so that it only receives events from Kinesis, DynamoDB or SQS, and redeploy ASAP, since this issue is blocking all of your stream's shards!`;
+    (context && context.error ? context.error : console.error)(errMsg);
+    throw new Error(errMsg);
+  }
+  return streamType;
+}
+
+/**
+ * Resolves the stream type to be used for an "auto" stream type from the given AWS event.
+ * @param {AwsEvent|undefined} [event] - the AWS event, which was passed to your lambda
+ * @param {StreamProcessing|undefined} [context] - the context to use for logging
+ * @returns {string} the stream type resolved from the given event
+ * @throws {Error} an error if the stream type cannot be resolved from the given event
+ */
+function resolveAutoDetectedStreamType(event, context) {
+  const streamType = resolveEventStreamType(event, context);
+  if (!streamType) {
+    const errMsg = `FATAL - Cannot auto-detect the stream type without an event containing at least one record with an event source. Fix your Lambda by configuring an explicit streamProcessing.streamType on its context via configureStreamProcessing (or by configuring it with its AWS event) and redeploy ASAP, since this issue is blocking all of your stream's shards!`;
+    (context && context.error ? context.error : console.error)(errMsg);
+    throw new Error(errMsg);
+  }
+  return streamType;
+}
+
+/**
+ * Validates that the stream type resolved from the given AWS event (if any) matches the stream type configured on the
+ * given context (if it is one of the supported stream types).
+ * @param {AwsEvent|undefined} [event] - the AWS event, which was passed to your lambda
+ * @param {StreamProcessing} context - the context configured with stream processing
+ * @throws {Error} an error if the event's records come from mixed event sources or from an event source that does not
+ * match the configured stream type
+ */
+function validateEventStreamType(event, context) {
+  const eventStreamType = resolveEventStreamType(event, context);
+  const streamType = getStreamType(context);
+  const supportedStreamTypes = [KINESIS_STREAM_TYPE, DYNAMODB_STREAM_TYPE, SQS_STREAM_TYPE, FIREHOSE_STREAM_TYPE];
+
+  if (eventStreamType && supportedStreamTypes.indexOf(streamType) !== -1 && eventStreamType !== streamType) {
+    const errMsg = `FATAL - Cannot process a ${eventStreamType} stream event with a stream consumer configured for stream type (${streamType}). Fix your Lambda by configuring a streamProcessing.streamType of "${eventStreamType}" (or "${AUTO_STREAM_TYPE}") on its context via configureStreamProcessing and redeploy ASAP, since this issue is blocking all of your stream's shards!`;
+    (context.error ? context.error : console.error)(errMsg);
+    throw new Error(errMsg);
+  }
+}
+
 /**
  * Configures the given context as a standard context with the given standard settings and standard options and ALSO
  * with the default Kinesis stream processing settings partially overridden by the given stream processing options (if
@@ -349,6 +668,91 @@ function configureDefaultDynamoDBStreamProcessing(context, options, standardSett
   return context;
 }
 
+/**
+ * Configures the given context as a standard context with the given standard settings and standard options and ALSO
+ * with the default SQS stream processing settings partially overridden by the given stream processing options (if
+ * any), but ONLY if stream processing is not already configured on the given context OR if forceConfiguration is true.
+ *
+ * Default SQS stream processing assumes the following:
+ * - The stream event record is an SQS event record
+ * - The message is a JSON object serialized within the SQS record's body, optionally wrapped in an SNS notification
+ * - See {@linkcode streamProcessing#extractJsonMessageFromSQSRecord} for the default extractMessageFromRecord
+ *   implementation
+ *
+ * This behaviour can be changed by providing an alternative extractMessageFromRecord function via
+ * {@linkcode configureStreamProcessing}.
+ *
+ * @see {@linkcode configureStreamProcessing} for more information.
+ *
+ * Note that if either the given event or AWS context are undefined, then everything other than the region, stage and
+ * AWS context will be configured. This missing configuration can be configured at a later point in your code by
+ * invoking {@linkcode stages#configureRegionStageAndAwsContext}. This separation of configuration is primarily useful
+ * for unit testing.
+ *
+ * @param {Object|StreamProcessing|StandardContext} context - the context onto which to configure the default stream processing settings
+ * @param {StreamProcessingOptions|undefined} [options] - optional stream processing options to use
+ * @param {StandardSettings|undefined} [standardSettings] - optional standard settings to use to configure dependencies
+ * @param {StandardOptions|undefined} [standardOptions] - optional standard options to use to configure dependencies
+ * @param {AwsEvent|undefined} [event] - the AWS event, which was passed to your lambda
+ * @param {AwsContext|undefined} [awsContext] - the AWS context, which was passed to your lambda
+ * @param {boolean|undefined} [forceConfiguration] - whether or not to force configuration of the given settings, which
+ * will override any previously configured stream processing and stage handling settings on the given context
+ * @return {StreamProcessing} the context object configured with SQS stream processing settings (either existing or defaults)
+ */
+function configureDefaultSQSStreamProcessing(context, options, standardSettings, standardOptions, event, awsContext, forceConfiguration) {
+  // Get the default SQS stream processing settings from the local options file
+  const settings = getDefaultSQSStreamProcessingSettings(options);
+
+  // Configure the context with the default stream processing settings defined above
+  configureStreamProcessingWithSettings(context, settings, standardSettings, standardOptions, event, awsContext, forceConfiguration);
+
+  return context;
+}
+
+/**
+ * Configures the given context as a standard context with the given standard settings and standard options and ALSO
+ * with the default Kinesis Data Firehose record transformation settings partially overridden by the given stream
+ * processing options (if any), but ONLY if stream processing is not already configured on the given context OR if
+ * forceConfiguration is true.
+ *
+ * Default Firehose stream processing assumes the following:
+ * - The event is a Firehose data transformation event, whose records are listed in its records property
+ * - The message is a JSON object serialized in base 64 format within the Firehose record's data property
+ * - See {@linkcode streamProcessing#extractJsonMessageFromFirehoseRecord} for the default extractMessageFromRecord
+ *   implementation
+ * - Each invocation is a single attempt, so no task tracking state is loaded or saved and any incomplete messages are
+ *   simply reported back to Firehose as processing failures
+ *
+ * This behaviour can be changed by providing an alternative extractMessageFromRecord function via
+ * {@linkcode configureStreamProcessing}.
+ *
+ * @see {@linkcode configureStreamProcessing} for more information.
+ *
+ * Note that if either the given event or AWS context are undefined, then everything other than the region, stage and
+ * AWS context will be configured. This missing configuration can be configured at a later point in your code by
+ * invoking {@linkcode stages#configureRegionStageAndAwsContext}. This separation of configuration is primarily useful
+ * for unit testing.
+ *
+ * @param {Object|StreamProcessing|StandardContext} context - the context onto which to configure the default stream processing settings
+ * @param {StreamProcessingOptions|undefined} [options] - optional stream processing options to use
+ * @param {StandardSettings|undefined} [standardSettings] - optional standard settings to use to configure dependencies
+ * @param {StandardOptions|undefined} [standardOptions] - optional standard options to use to configure dependencies
+ * @param {AwsEvent|undefined} [event] - the AWS event, which was passed to your lambda
+ * @param {AwsContext|undefined} [awsContext] - the AWS context, which was passed to your lambda
+ * @param {boolean|undefined} [forceConfiguration] - whether or not to force configuration of the given settings, which
+ * will override any previously configured stream processing and stage handling settings on the given context
+ * @return {StreamProcessing} the context object configured with Firehose stream processing settings (either existing or defaults)
+ */
+function configureDefaultFirehoseStreamProcessing(context, options, standardSettings, standardOptions, event, awsContext, forceConfiguration) {
+  // Get the default Firehose stream processing settings from the local options file
+  const settings = getDefaultFirehoseStreamProcessingSettings(options);
+
+  // Configure the context with the default stream processing settings defined above
+  configureStreamProcessingWithSettings(context, settings, standardSettings, standardOptions, event, awsContext, forceConfiguration);
+
+  return context;
+}
+
 /**
  * Returns the default Kinesis stream processing settings partially overridden by the given stream processing options
  * (if any).
@@ -367,14 +771,25 @@ function getDefaultKinesisStreamProcessingSettings(options) {
   const defaultOptions = loadDefaultKinesisStreamProcessingOptions();
   Objects.merge(defaultOptions, settings, false, false);
 
+  // When reporting batch item failures, incomplete messages are replayed by Lambda instead of being resubmitted along
+  // with their task tracking state, so their task tracking state must rather be loaded from & saved to DynamoDB
+  const reportingBatchItemFailures = settings.reportBatchItemFailures === true;
+  if (reportingBatchItemFailures && isBlank(settings.taskTrackingTableName)) {
+    settings.taskTrackingTableName = DEFAULT_TASK_TRACKING_TABLE_NAME;
+  }
+
   const defaultSettings = {
     // Configurable processing functions
     extractMessageFromRecord: extractJsonMessageFromKinesisRecord,
-    loadTaskTrackingState: skipLoadTaskTrackingState,
-    saveTaskTrackingState: skipSaveTaskTrackingState,
-    handleIncompleteMessages: resubmitIncompleteMessagesToKinesis,
-    discardUnusableRecords: discardUnusableRecordsToDRQ,
-    discardRejectedMessages: discardRejectedMessagesToDMQ,
+    loadTaskTrackingState: reportingBatchItemFailures ? loadTaskTrackingStateFromDynamoDB : skipLoadTaskTrackingState,
+    saveTaskTrackingState: reportingBatchItemFailures ? saveTaskTrackingStateToDynamoDB : skipSaveTaskTrackingState,
+    handleIncompleteMessages: reportingBatchItemFailures ? reportBatchItemFailuresIfIncomplete :
+      resubmitIncompleteMessagesToKinesis,
+    discardUnusableRecords: useSQSDeadLetterQueues(settings) ? discardUnusableRecordsToSQSDRQ : discardUnusableRecordsToDRQ,
+    discardRejectedMessages: useSQSDeadLetterQueues(settings) ? discardRejectedMessagesToSQSDMQ : discardRejectedMessagesToDMQ,
+    extractMessageId: toMessageIdFromSourceStreamAndSequenceNumber,
+    loadSucceededTaskNames: loadSucceededTaskNamesFromDynamoDB,
+    saveSucceededTaskName: saveSucceededTaskNameToDynamoDB,
   };
   return Objects.merge(defaultSettings, settings, false, false);
 }
@@ -402,13 +817,89 @@ function getDefaultDynamoDBStreamProcessingSettings(options) {
     extractMessageFromRecord: useStreamEventRecordAsMessage,
     loadTaskTrackingState: loadTaskTrackingStateFromDynamoDB,
     saveTaskTrackingState: saveTaskTrackingStateToDynamoDB,
-    handleIncompleteMessages: replayAllMessagesIfIncomplete,
-    discardUnusableRecords: discardUnusableRecordsToDRQ,
-    discardRejectedMessages: discardRejectedMessagesToDMQ,
+    handleIncompleteMessages: settings.reportBatchItemFailures === true ? reportBatchItemFailuresIfIncomplete :
+      replayAllMessagesIfIncomplete,
+    discardUnusableRecords: useSQSDeadLetterQueues(settings) ? discardUnusableRecordsToSQSDRQ : discardUnusableRecordsToDRQ,
+    discardRejectedMessages: useSQSDeadLetterQueues(settings) ? discardRejectedMessagesToSQSDMQ : discardRejectedMessagesToDMQ,
+    extractMessageId: toMessageIdFromSourceStreamAndSequenceNumber,
+    loadSucceededTaskNames: loadSucceededTaskNamesFromDynamoDB,
+    saveSucceededTaskName: saveSucceededTaskNameToDynamoDB,
+  };
+  return Objects.merge(defaultSettings, settings, false, false);
+}
+
+/**
+ * Returns the default SQS stream processing settings partially overridden by the given stream processing options (if
+ * any).
+ *
+ * This function is used internally by {@linkcode configureDefaultSQSStreamProcessing}, but could also be used in custom
+ * configurations to get the default settings as a base to be overridden with your custom settings before calling
+ * {@linkcode configureStreamProcessing}.
+ *
+ * @param {StreamProcessingOptions} [options] - optional stream processing options to use to override the default options
+ * @returns {StreamProcessingSettings} a stream processing settings object (including both property and function settings)
+ */
+function getDefaultSQSStreamProcessingSettings(options) {
+  const settings = options && typeof options === 'object' ? Objects.copy(options, true) : {};
+
+  // Load defaults from local default-sqs-options.json file
+  const defaultOptions = loadDefaultSQSStreamProcessingOptions();
+  Objects.merge(defaultOptions, settings, false, false);
+
+  const defaultSettings = {
+    // Configurable processing functions
+    extractMessageFromRecord: extractJsonMessageFromSQSRecord,
+    loadTaskTrackingState: loadTaskTrackingStateFromDynamoDB,
+    saveTaskTrackingState: saveTaskTrackingStateToDynamoDB,
+    handleIncompleteMessages: settings.reportBatchItemFailures === true ? reportBatchItemFailuresIfIncomplete :
+      changeVisibilityOfIncompleteSQSMessages,
+    discardUnusableRecords: useSQSDeadLetterQueues(settings) ? discardUnusableRecordsToSQSDRQ : discardUnusableRecordsToDRQ,
+    discardRejectedMessages: useSQSDeadLetterQueues(settings) ? discardRejectedMessagesToSQSDMQ : discardRejectedMessagesToDMQ,
+    extractMessageId: toMessageIdFromSourceStreamAndSequenceNumber,
+    loadSucceededTaskNames: loadSucceededTaskNamesFromDynamoDB,
+    saveSucceededTaskName: saveSucceededTaskNameToDynamoDB,
+  };
+  return Objects.merge(defaultSettings, settings, false, false);
+}
+
+/**
+ * Returns the default Kinesis Data Firehose record transformation settings partially overridden by the given stream
+ * processing options (if any).
+ *
+ * This function is used internally by {@linkcode configureDefaultFirehoseStreamProcessing}, but could also be used in
+ * custom configurations to get the default settings as a base to be overridden with your custom settings before calling
+ * {@linkcode configureStreamProcessing}.
+ *
+ * @param {StreamProcessingOptions} [options] - optional stream processing options to use to override the default options
+ * @returns {StreamProcessingSettings} a stream processing settings object (including both property and function settings)
+ */
+function getDefaultFirehoseStreamProcessingSettings(options) {
+  const settings = options && typeof options === 'object' ? Objects.copy(options, true) : {};
+
+  // Load defaults from local default-firehose-options.json file
+  const defaultOptions = loadDefaultFirehoseStreamProcessingOptions();
+  Objects.merge(defaultOptions, settings, false, false);
+
+  const defaultSettings = {
+    // Configurable processing functions
+    extractMessageFromRecord: extractJsonMessageFromFirehoseRecord,
+    loadTaskTrackingState: skipLoadTaskTrackingState,
+    saveTaskTrackingState: skipSaveTaskTrackingState,
+    handleIncompleteMessages: reportIncompleteFirehoseRecordsAsProcessingFailed,
+    discardUnusableRecords: useSQSDeadLetterQueues(settings) ? discardUnusableRecordsToSQSDRQ : discardUnusableRecordsToDRQ,
+    discardRejectedMessages: useSQSDeadLetterQueues(settings) ? discardRejectedMessagesToSQSDMQ : discardRejectedMessagesToDMQ,
+    extractMessageId: toMessageIdFromSourceStreamAndSequenceNumber,
+    loadSucceededTaskNames: loadSucceededTaskNamesFromDynamoDB,
+    saveSucceededTaskName: saveSucceededTaskNameToDynamoDB,
   };
   return Objects.merge(defaultSettings, settings, false, false);
 }
 
+function useSQSDeadLetterQueues(settings) {
+  return isNotBlank(settings.deadLetterQueueType) &&
+    trim(settings.deadLetterQueueType).toLowerCase() === SQS_DEAD_LETTER_QUEUE_TYPE;
+}
+
 /**
  * Loads the default Kinesis stream processing options from the local default-kinesis-options.json file and fills in any missing
  * options with the static default options.
@@ -424,12 +915,20 @@ function loadDefaultKinesisStreamProcessingOptions() {
     streamType: KINESIS_STREAM_TYPE,
     taskTrackingName: 'taskTracking',
     timeoutAtPercentageOfRemainingTime: 0.9,
+    loadingTimeoutAtPercentageOfRemainingTime: 0.25,
+    finalisingTimeoutMs: 500,
     maxNumberOfAttempts: 10,
     // Specialised settings needed by implementations using external task tracking
     // taskTrackingTableName: undefined,
+    taskTrackingTtlInSeconds: DEFAULT_TASK_TRACKING_TTL_IN_SECONDS,
     // Specialised settings needed by default implementations - e.g. DRQ and DMQ stream names
     deadRecordQueueName: 'DeadRecordQueue',
     deadMessageQueueName: 'DeadMessageQueue',
+    deadLetterQueueType: KINESIS_DEAD_LETTER_QUEUE_TYPE,
+    // retryStreamName: undefined,
+    // Specialised settings needed by the default idempotency implementations (only used if idempotencyEnabled)
+    idempotencyTableName: 'MessageIdempotency',
+    idempotencyTtlInSeconds: DEFAULT_IDEMPOTENCY_TTL_IN_SECONDS,
     // Kinesis & DynamoDB.DocumentClient options
     kinesisOptions: {},
     // dynamoDBDocClientOptions: undefined
@@ -452,12 +951,57 @@ function loadDefaultDynamoDBStreamProcessingOptions() {
     streamType: DYNAMODB_STREAM_TYPE,
     taskTrackingName: 'taskTracking',
     timeoutAtPercentageOfRemainingTime: 0.9,
+    loadingTimeoutAtPercentageOfRemainingTime: 0.25,
+    finalisingTimeoutMs: 500,
     maxNumberOfAttempts: 10,
     // Specialised settings needed by default DynamoDB implementations or implementations using external task tracking
-    taskTrackingTableName: 'MessageTaskTracking',
+    taskTrackingTableName: DEFAULT_TASK_TRACKING_TABLE_NAME,
+    taskTrackingTtlInSeconds: DEFAULT_TASK_TRACKING_TTL_IN_SECONDS,
+    // Specialised settings needed by default implementations - e.g. DRQ and DMQ stream names
+    deadRecordQueueName: 'DeadRecordQueue',
+    deadMessageQueueName: 'DeadMessageQueue',
+    deadLetterQueueType: KINESIS_DEAD_LETTER_QUEUE_TYPE,
+    // Specialised settings needed by the default idempotency implementations (only used if idempotencyEnabled)
+    idempotencyTableName: 'MessageIdempotency',
+    idempotencyTtlInSeconds: DEFAULT_IDEMPOTENCY_TTL_IN_SECONDS,
+    // Kinesis & DynamoDB.DocumentClient options
+    kinesisOptions: {},
+    dynamoDBDocClientOptions: {}
+  };
+
+  return Objects.merge(defaults, defaultOptions, false, false);
+}
+
+/**
+ * Loads the default SQS stream processing options from the local default-sqs-options.json file and fills in any missing
+ * options with the static default options.
+ * @returns {StreamProcessingOptions} the default stream processing options
+ */
+function loadDefaultSQSStreamProcessingOptions() {
+  const options = require('./default-sqs-options.json');
+  const defaultOptions = options && options.streamProcessingOptions && typeof options.streamProcessingOptions === 'object' ?
+    options.streamProcessingOptions : {};
+
+  const defaults = {
+    // Generic settings
+    streamType: SQS_STREAM_TYPE,
+    taskTrackingName: 'taskTracking',
+    timeoutAtPercentageOfRemainingTime: 0.9,
+    loadingTimeoutAtPercentageOfRemainingTime: 0.25,
+    finalisingTimeoutMs: 500,
+    maxNumberOfAttempts: 10,
+    // Specialised settings needed by default SQS implementations or implementations using external task tracking
+    taskTrackingTableName: DEFAULT_TASK_TRACKING_TABLE_NAME,
+    taskTrackingTtlInSeconds: DEFAULT_TASK_TRACKING_TTL_IN_SECONDS,
+    // unwrapSNSNotifications: undefined,
+    visibilityTimeoutInSeconds: DEFAULT_VISIBILITY_TIMEOUT_IN_SECONDS,
     // Specialised settings needed by default implementations - e.g. DRQ and DMQ stream names
     deadRecordQueueName: 'DeadRecordQueue',
     deadMessageQueueName: 'DeadMessageQueue',
+    deadLetterQueueType: KINESIS_DEAD_LETTER_QUEUE_TYPE,
+    // Specialised settings needed by the default idempotency implementations (only used if idempotencyEnabled)
+    idempotencyTableName: 'MessageIdempotency',
+    idempotencyTtlInSeconds: DEFAULT_IDEMPOTENCY_TTL_IN_SECONDS,
     // Kinesis & DynamoDB.DocumentClient options
     kinesisOptions: {},
     dynamoDBDocClientOptions: {}
@@ -466,6 +1010,39 @@ function loadDefaultDynamoDBStreamProcessingOptions() {
   return Objects.merge(defaults, defaultOptions, false, false);
 }
 
+/**
+ * Loads the default Firehose stream processing options from the local default-firehose-options.json file and fills in
+ * any missing options with the static default options.
+ * @returns {StreamProcessingOptions} the default stream processing options
+ */
+function loadDefaultFirehoseStreamProcessingOptions() {
+  const options = require('./default-firehose-options.json');
+  const defaultOptions = options && options.streamProcessingOptions && typeof options.streamProcessingOptions === 'object' ?
+    options.streamProcessingOptions : {};
+
+  const defaults = {
+    // Generic settings
+    streamType: FIREHOSE_STREAM_TYPE,
+    taskTrackingName: 'taskTracking',
+    timeoutAtPercentageOfRemainingTime: 0.9,
+    loadingTimeoutAtPercentageOfRemainingTime: 0.25,
+    finalisingTimeoutMs: 500,
+    maxNumberOfAttempts: 10,
+    // Specialised settings needed by default implementations - e.g. DRQ and DMQ stream names
+    deadRecordQueueName: 'DeadRecordQueue',
+    deadMessageQueueName: 'DeadMessageQueue',
+    deadLetterQueueType: KINESIS_DEAD_LETTER_QUEUE_TYPE,
+    // Specialised settings needed by the default idempotency implementations (only used if idempotencyEnabled)
+    idempotencyTableName: 'MessageIdempotency',
+    idempotencyTtlInSeconds: DEFAULT_IDEMPOTENCY_TTL_IN_SECONDS,
+    // Kinesis & DynamoDB.DocumentClient options
+    kinesisOptions: {},
+    // dynamoDBDocClientOptions: undefined
+  };
+
+  return Objects.merge(defaults, defaultOptions, false, false);
+}
+
 function validateStreamProcessingConfiguration(context) {
   if (!getExtractMessageFromRecordFunction(context)) {
     const errMsg = `FATAL - Cannot extract any messages from any stream event records without a valid, configured extractMessageFromRecord function. Fix your Lambda by configuring a valid streamProcessing.extractMessageFromRecord function on its context via configureStreamProcessing and redeploy ASAP, since this issue is blocking all of your stream's shards!`;
@@ -502,35 +1079,209 @@ function validateStreamProcessingConfiguration(context) {
     (context.error ? context.error : console.error)(errMsg);
     throw new Error(errMsg);
   }
-}
 
-/**
- * Returns the value of the named stream processing setting (if any) on the given context.
- * @param {StreamProcessing} context - the context from which to fetch the named setting's value
- * @param {string} settingName - the name of the stream processing setting
- * @returns {*|undefined} the value of the named setting (if any); otherwise undefined
- */
-function getStreamProcessingSetting(context, settingName) {
-  return context && context.streamProcessing && isNotBlank(settingName) && context.streamProcessing[settingName] ?
-    context.streamProcessing[settingName] : undefined;
-}
+  const finalisingTimeoutMs = context.streamProcessing[FINALISING_TIMEOUT_MS_SETTING];
+  if (finalisingTimeoutMs !== undefined && !isValidMilliseconds(finalisingTimeoutMs, false)) {
+    const errMsg = `FATAL - Cannot finalise message processing with an invalid streamProcessing.finalisingTimeoutMs (${stringify(finalisingTimeoutMs)}), which must be a positive number of milliseconds. Fix your Lambda by configuring a valid streamProcessing.finalisingTimeoutMs on its context via configureStreamProcessing and redeploy ASAP, since this issue is blocking all of your stream's shards!`;
+    (context.error ? context.error : console.error)(errMsg);
+    throw new Error(errMsg);
+  }
 
-/**
- * Returns the stream type configured on the given context.
- * @param {StreamProcessing} context - the context from which to fetch the stream type
- * @returns {string|undefined} the stream type (if any); otherwise undefined
- */
-function getStreamType(context) {
-  return getStreamProcessingSetting(context, STREAM_TYPE_SETTING);
-}
+  const finalisingReserveMs = context.streamProcessing[FINALISING_RESERVE_MS_SETTING];
+  if (finalisingReserveMs !== undefined && !isValidMilliseconds(finalisingReserveMs, true)) {
+    const errMsg = `FATAL - Cannot reserve time for finalising message processing with an invalid streamProcessing.finalisingReserveMs (${stringify(finalisingReserveMs)}), which must be a non-negative number of milliseconds. Fix your Lambda by configuring a valid streamProcessing.finalisingReserveMs on its context via configureStreamProcessing and redeploy ASAP, since this issue is blocking all of your stream's shards!`;
+    (context.error ? context.error : console.error)(errMsg);
+    throw new Error(errMsg);
+  }
 
-function isKinesisStreamType(context) {
-  return getStreamType(context) === KINESIS_STREAM_TYPE;
-}
+  const maxConcurrency = context.streamProcessing[MAX_CONCURRENCY_SETTING];
+  if (maxConcurrency !== undefined && !isValidMaxConcurrency(maxConcurrency)) {
+    const errMsg = `FATAL - Cannot bound the concurrency of message processing with an invalid streamProcessing.maxConcurrency (${stringify(maxConcurrency)}), which must be a positive integer. Fix your Lambda by configuring a valid streamProcessing.maxConcurrency on its context via configureStreamProcessing and redeploy ASAP, since this issue is blocking all of your stream's shards!`;
+    (context.error ? context.error : console.error)(errMsg);
+    throw new Error(errMsg);
+  }
 
-function isDynamoDBStreamType(context) {
-  return getStreamType(context) === DYNAMODB_STREAM_TYPE;
-}
+  const orderedProcessing = context.streamProcessing[ORDERED_PROCESSING_SETTING];
+  if (orderedProcessing !== undefined && typeof orderedProcessing !== 'boolean') {
+    const errMsg = `FATAL - Cannot process messages with an invalid streamProcessing.orderedProcessing (${stringify(orderedProcessing)}), which must be a boolean. Fix your Lambda by configuring a valid streamProcessing.orderedProcessing on its context via configureStreamProcessing and redeploy ASAP, since this issue is blocking all of your stream's shards!`;
+    (context.error ? context.error : console.error)(errMsg);
+    throw new Error(errMsg);
+  }
+
+  const claimCheckBucketName = context.streamProcessing[CLAIM_CHECK_BUCKET_NAME_SETTING];
+  if (claimCheckBucketName !== undefined && !(typeof claimCheckBucketName === 'string' &&
+      (isBlank(claimCheckBucketName) || isValidS3BucketName(getClaimCheckBucketName(context))))) {
+    const errMsg = `FATAL - Cannot check in oversized payloads with an invalid streamProcessing.claimCheckBucketName (${stringify(claimCheckBucketName)}), which must be a valid S3 bucket name (i.e. 3 to 63 lowercase letters, digits, dots or hyphens) once stage-qualified (${stringify(getClaimCheckBucketName(context))}). Fix your Lambda by configuring a valid streamProcessing.claimCheckBucketName on its context via configureStreamProcessing and redeploy ASAP, since this issue is blocking all of your stream's shards!`;
+    (context.error ? context.error : console.error)(errMsg);
+    throw new Error(errMsg);
+  }
+
+  const compressionSetting = context.streamProcessing[COMPRESSION_SETTING];
+  if (!compression.isValidCompression(compressionSetting)) {
+    const errMsg = `FATAL - Cannot compress resubmitted or discarded messages with an invalid streamProcessing.compression (${stringify(compressionSetting)}), which must be "${compression.GZIP_COMPRESSION}", "${compression.DEFLATE_COMPRESSION}" or "${compression.NO_COMPRESSION}". Fix your Lambda by configuring a valid streamProcessing.compression on its context via configureStreamProcessing and redeploy ASAP, since this issue is blocking all of your stream's shards!`;
+    (context.error ? context.error : console.error)(errMsg);
+    throw new Error(errMsg);
+  }
+
+  const messageSchemaSetting = context.streamProcessing[MESSAGE_SCHEMA_SETTING];
+  if (messageSchemaSetting !== undefined && !messageSchema.isValidMessageSchema(messageSchemaSetting)) {
+    const errMsg = `FATAL - Cannot validate messages with an invalid streamProcessing.messageSchema (${stringify(messageSchemaSetting)}), which must be a JSON Schema object or a {discriminator, schemas, defaultSchema} object. Fix your Lambda by configuring a valid streamProcessing.messageSchema on its context via configureStreamProcessing and redeploy ASAP, since this issue is blocking all of your stream's shards!`;
+    (context.error ? context.error : console.error)(errMsg);
+    throw new Error(errMsg);
+  }
+  const unsupportedKeywords = messageSchemaSetting !== undefined ?
+    messageSchema.findUnsupportedKeywords(messageSchemaSetting) : [];
+  if (unsupportedKeywords.length > 0) {
+    const errMsg = `FATAL - Cannot validate messages with a streamProcessing.messageSchema that uses unsupported JSON Schema keywords (${unsupportedKeywords.join(', ')}), which would be ignored. Fix your Lambda by configuring a streamProcessing.messageSchema that only uses the supported keywords (see message-schema.js) on its context via configureStreamProcessing and redeploy ASAP, since this issue is blocking all of your stream's shards!`;
+    (context.error ? context.error : console.error)(errMsg);
+    throw new Error(errMsg);
+  }
+
+  const idempotencyEnabled = context.streamProcessing[IDEMPOTENCY_ENABLED_SETTING];
+  if (idempotencyEnabled !== undefined && typeof idempotencyEnabled !== 'boolean') {
+    const errMsg = `FATAL - Cannot process messages with an invalid streamProcessing.idempotencyEnabled (${stringify(idempotencyEnabled)}), which must be a boolean. Fix your Lambda by configuring a valid streamProcessing.idempotencyEnabled on its context via configureStreamProcessing and redeploy ASAP, since this issue is blocking all of your stream's shards!`;
+    (context.error ? context.error : console.error)(errMsg);
+    throw new Error(errMsg);
+  }
+
+  if (idempotencyEnabled && isFirehoseStreamType(context)) {
+    const errMsg = `FATAL - Cannot suppress duplicate task executions for the ${FIREHOSE_STREAM_TYPE} stream type, since a task completed without re-execution has no result with which to transform its record. Fix your Lambda by disabling streamProcessing.idempotencyEnabled on its context via configureStreamProcessing and redeploy ASAP, since this issue is blocking all of your stream's shards!`;
+    (context.error ? context.error : console.error)(errMsg);
+    throw new Error(errMsg);
+  }
+
+  if (idempotencyEnabled) {
+    if (!getExtractMessageIdFunction(context) || !getLoadSucceededTaskNamesFunction(context) || !getSaveSucceededTaskNameFunction(context)) {
+      const errMsg = `FATAL - Cannot suppress duplicate task executions without valid, configured extractMessageId, loadSucceededTaskNames and saveSucceededTaskName functions. Fix your Lambda by configuring valid streamProcessing.extractMessageId, streamProcessing.loadSucceededTaskNames and streamProcessing.saveSucceededTaskName functions on its context via configureStreamProcessing (or by disabling streamProcessing.idempotencyEnabled) and redeploy ASAP, since this issue is blocking all of your stream's shards!`;
+      (context.error ? context.error : console.error)(errMsg);
+      throw new Error(errMsg);
+    }
+    const ttlInSeconds = context.streamProcessing[IDEMPOTENCY_TTL_IN_SECONDS_SETTING];
+    if (ttlInSeconds !== undefined && !(typeof ttlInSeconds === 'number' && Number.isInteger(ttlInSeconds) && ttlInSeconds > 0)) {
+      const errMsg = `FATAL - Cannot expire idempotency records with an invalid streamProcessing.idempotencyTtlInSeconds (${stringify(ttlInSeconds)}), which must be a positive integer. Fix your Lambda by configuring a valid streamProcessing.idempotencyTtlInSeconds on its context via configureStreamProcessing and redeploy ASAP, since this issue is blocking all of your stream's shards!`;
+      (context.error ? context.error : console.error)(errMsg);
+      throw new Error(errMsg);
+    }
+  }
+
+  const taskTrackingTtlInSeconds = context.streamProcessing[TASK_TRACKING_TTL_IN_SECONDS_SETTING];
+  if (taskTrackingTtlInSeconds !== undefined && !(typeof taskTrackingTtlInSeconds === 'number' && Number.isInteger(taskTrackingTtlInSeconds) && taskTrackingTtlInSeconds > 0)) {
+    const errMsg = `FATAL - Cannot expire task tracking items with an invalid streamProcessing.taskTrackingTtlInSeconds (${stringify(taskTrackingTtlInSeconds)}), which must be a positive integer. Fix your Lambda by configuring a valid streamProcessing.taskTrackingTtlInSeconds on its context via configureStreamProcessing and redeploy ASAP, since this issue is blocking all of your stream's shards!`;
+    (context.error ? context.error : console.error)(errMsg);
+    throw new Error(errMsg);
+  }
+
+  const retryPolicy = context.streamProcessing[RETRY_POLICY_SETTING];
+  if (retryPolicy !== undefined && !isValidRetryPolicy(retryPolicy)) {
+    const errMsg = `FATAL - Cannot delay the retrying of incomplete messages with an invalid streamProcessing.retryPolicy (${stringify(retryPolicy)}), which must be an object with a positive baseDelayMs and an optional multiplier (>= 1), maxDelayMs (>= baseDelayMs) and jitter (between 0 and 1). Fix your Lambda by configuring a valid streamProcessing.retryPolicy on its context via configureStreamProcessing and redeploy ASAP, since this issue is blocking all of your stream's shards!`;
+    (context.error ? context.error : console.error)(errMsg);
+    throw new Error(errMsg);
+  }
+  // Deferred messages are handled as incomplete messages, so a handler that immediately replays (or fails) incomplete
+  // messages would spin through the deferred messages without delaying their retries at all
+  const handleIncompleteMessages = getHandleIncompleteMessagesFunction(context);
+  if (retryPolicy !== undefined && (handleIncompleteMessages === replayAllMessagesIfIncomplete ||
+    handleIncompleteMessages === reportBatchItemFailuresIfIncomplete ||
+    handleIncompleteMessages === reportIncompleteFirehoseRecordsAsProcessingFailed)) {
+    const errMsg = `FATAL - Cannot delay the retrying of incomplete messages with a streamProcessing.retryPolicy, since the configured handleIncompleteMessages function (${handleIncompleteMessages.name}) does not delay the retrying of deferred messages. Fix your Lambda by configuring a handleIncompleteMessages function that resubmits incomplete messages (e.g. resubmitIncompleteMessagesToKinesis) or delays their redelivery (e.g. changeVisibilityOfIncompleteSQSMessages) or by removing streamProcessing.retryPolicy on its context via configureStreamProcessing and redeploy ASAP, since this issue is blocking all of your stream's shards!`;
+    (context.error ? context.error : console.error)(errMsg);
+    throw new Error(errMsg);
+  }
+
+  const reportBatchItemFailures = context.streamProcessing[REPORT_BATCH_ITEM_FAILURES_SETTING];
+  if (reportBatchItemFailures !== undefined && typeof reportBatchItemFailures !== 'boolean') {
+    const errMsg = `FATAL - Cannot respond to stream events with an invalid streamProcessing.reportBatchItemFailures (${stringify(reportBatchItemFailures)}), which must be a boolean. Fix your Lambda by configuring a valid streamProcessing.reportBatchItemFailures on its context via configureStreamProcessing and redeploy ASAP, since this issue is blocking all of your stream's shards!`;
+    (context.error ? context.error : console.error)(errMsg);
+    throw new Error(errMsg);
+  }
+  if (reportBatchItemFailures && !isKinesisStreamType(context) && !isDynamoDBStreamType(context) && !isSQSStreamType(context)) {
+    const errMsg = `FATAL - Cannot report batch item failures for a stream type (${stringify(getStreamType(context))}) other than "${KINESIS_STREAM_TYPE}", "${DYNAMODB_STREAM_TYPE}" or "${SQS_STREAM_TYPE}". Fix your Lambda by disabling streamProcessing.reportBatchItemFailures on its context via configureStreamProcessing and redeploy ASAP, since this issue is blocking all of your stream's shards!`;
+    (context.error ? context.error : console.error)(errMsg);
+    throw new Error(errMsg);
+  }
+  if (reportBatchItemFailures) {
+    // Only the reportBatchItemFailuresIfIncomplete handler (or, for Kinesis, the resubmitIncompleteMessagesToKinesisByPartitionKey
+    // handler, which reports its unsent messages) produces a partial batch response
+    const handleIncompleteMessages = getHandleIncompleteMessagesFunction(context);
+    if (handleIncompleteMessages !== reportBatchItemFailuresIfIncomplete &&
+      !(handleIncompleteMessages === resubmitIncompleteMessagesToKinesisByPartitionKey && isKinesisStreamType(context))) {
+      const errMsg = `FATAL - Cannot report batch item failures with the configured handleIncompleteMessages function (${handleIncompleteMessages.name}), which must be reportBatchItemFailuresIfIncomplete (or resubmitIncompleteMessagesToKinesisByPartitionKey for "${KINESIS_STREAM_TYPE}"). Fix your Lambda by configuring a valid streamProcessing.handleIncompleteMessages function (or by disabling streamProcessing.reportBatchItemFailures) on its context via configureStreamProcessing and redeploy ASAP, since this issue is blocking all of your stream's shards!`;
+      (context.error ? context.error : console.error)(errMsg);
+      throw new Error(errMsg);
+    }
+    // Replayed messages do NOT carry their task tracking state, so it must be loaded from & saved to a persistent store
+    const loadTaskTrackingState = getLoadTaskTrackingStateFunction(context);
+    const saveTaskTrackingState = getSaveTaskTrackingStateFunction(context);
+    if (loadTaskTrackingState === skipLoadTaskTrackingState || saveTaskTrackingState === skipSaveTaskTrackingState) {
+      const errMsg = `FATAL - Cannot report batch item failures without persistent task tracking, since the task tracking state of replayed messages would be lost. Fix your Lambda by configuring persistent streamProcessing.loadTaskTrackingState and streamProcessing.saveTaskTrackingState functions (e.g. loadTaskTrackingStateFromDynamoDB and saveTaskTrackingStateToDynamoDB) on its context via configureStreamProcessing and redeploy ASAP, since this issue is blocking all of your stream's shards!`;
+      (context.error ? context.error : console.error)(errMsg);
+      throw new Error(errMsg);
+    }
+    const taskTrackingTableName = context.streamProcessing[TASK_TRACKING_TABLE_NAME_SETTING];
+    if ((loadTaskTrackingState === loadTaskTrackingStateFromDynamoDB || saveTaskTrackingState === saveTaskTrackingStateToDynamoDB) &&
+      !(typeof taskTrackingTableName === 'string' && isNotBlank(taskTrackingTableName))) {
+      const errMsg = `FATAL - Cannot report batch item failures with DynamoDB task tracking without a valid streamProcessing.taskTrackingTableName (${stringify(taskTrackingTableName)}). Fix your Lambda by configuring a valid streamProcessing.taskTrackingTableName on its context via configureStreamProcessing and redeploy ASAP, since this issue is blocking all of your stream's shards!`;
+      (context.error ? context.error : console.error)(errMsg);
+      throw new Error(errMsg);
+    }
+  }
+
+  const unwrapSNSNotifications = context.streamProcessing[UNWRAP_SNS_NOTIFICATIONS_SETTING];
+  if (unwrapSNSNotifications !== undefined && typeof unwrapSNSNotifications !== 'boolean') {
+    const errMsg = `FATAL - Cannot extract messages with an invalid streamProcessing.unwrapSNSNotifications (${stringify(unwrapSNSNotifications)}), which must be a boolean. Fix your Lambda by configuring a valid streamProcessing.unwrapSNSNotifications on its context via configureStreamProcessing and redeploy ASAP, since this issue is blocking all of your stream's shards!`;
+    (context.error ? context.error : console.error)(errMsg);
+    throw new Error(errMsg);
+  }
+
+  const visibilityTimeoutInSeconds = context.streamProcessing[VISIBILITY_TIMEOUT_IN_SECONDS_SETTING];
+  if (visibilityTimeoutInSeconds !== undefined && !(typeof visibilityTimeoutInSeconds === 'number' &&
+    Number.isInteger(visibilityTimeoutInSeconds) && visibilityTimeoutInSeconds >= 0 &&
+    visibilityTimeoutInSeconds <= MAX_VISIBILITY_TIMEOUT_IN_SECONDS)) {
+    const errMsg = `FATAL - Cannot delay the redelivery of incomplete SQS messages with an invalid streamProcessing.visibilityTimeoutInSeconds (${stringify(visibilityTimeoutInSeconds)}), which must be an integer between 0 and ${MAX_VISIBILITY_TIMEOUT_IN_SECONDS}. Fix your Lambda by configuring a valid streamProcessing.visibilityTimeoutInSeconds on its context via configureStreamProcessing and redeploy ASAP, since this issue is blocking all of your stream's shards!`;
+    (context.error ? context.error : console.error)(errMsg);
+    throw new Error(errMsg);
+  }
+}
+
+function isValidMilliseconds(ms, allowZero) {
+  return typeof ms === 'number' && isFinite(ms) && (allowZero ? ms >= 0 : ms > 0);
+}
+
+/**
+ * Returns the value of the named stream processing setting (if any) on the given context.
+ * @param {StreamProcessing} context - the context from which to fetch the named setting's value
+ * @param {string} settingName - the name of the stream processing setting
+ * @returns {*|undefined} the value of the named setting (if any); otherwise undefined
+ */
+function getStreamProcessingSetting(context, settingName) {
+  return context && context.streamProcessing && isNotBlank(settingName) && context.streamProcessing[settingName] ?
+    context.streamProcessing[settingName] : undefined;
+}
+
+/**
+ * Returns the stream type configured on the given context.
+ * @param {StreamProcessing} context - the context from which to fetch the stream type
+ * @returns {string|undefined} the stream type (if any); otherwise undefined
+ */
+function getStreamType(context) {
+  return getStreamProcessingSetting(context, STREAM_TYPE_SETTING);
+}
+
+function isKinesisStreamType(context) {
+  return getStreamType(context) === KINESIS_STREAM_TYPE;
+}
+
+function isDynamoDBStreamType(context) {
+  return getStreamType(context) === DYNAMODB_STREAM_TYPE;
+}
+
+function isSQSStreamType(context) {
+  return getStreamType(context) === SQS_STREAM_TYPE;
+}
+
+function isFirehoseStreamType(context) {
+  return getStreamType(context) === FIREHOSE_STREAM_TYPE;
+}
 
 /**
  * Returns the maximum number of attempts configured on the given context.
@@ -541,6 +1292,280 @@ function getMaxNumberOfAttempts(context) {
   return getStreamProcessingSetting(context, MAX_NUMBER_OF_ATTEMPTS_SETTING);
 }
 
+/**
+ * Returns the percentage of the remaining time at which to timeout loading of task tracking state configured on the
+ * given context.
+ * @param {StreamProcessing} context - the context from which to fetch the loading timeout percentage
+ * @returns {number|undefined} the loading timeout percentage (if any); otherwise undefined
+ */
+function getLoadingTimeoutAtPercentageOfRemainingTime(context) {
+  return getStreamProcessingSetting(context, LOADING_TIMEOUT_AT_PERCENTAGE_OF_REMAINING_TIME_SETTING);
+}
+
+/**
+ * Returns the maximum number of milliseconds that the finalising phase is allowed to take, as configured on the given
+ * context.
+ * @param {StreamProcessing} context - the context from which to fetch the finalising timeout
+ * @returns {number|undefined} the finalising timeout in milliseconds (if any); otherwise undefined
+ */
+function getFinalisingTimeoutMs(context) {
+  return getStreamProcessingSetting(context, FINALISING_TIMEOUT_MS_SETTING);
+}
+
+/**
+ * Returns the number of milliseconds of the remaining time to reserve for the finalising phase, as configured on the
+ * given context, or the configured finalising timeout if no reserve is configured.
+ * @param {StreamProcessing} context - the context from which to fetch the finalising reserve
+ * @returns {number|undefined} the finalising reserve in milliseconds (if any); otherwise undefined
+ */
+function getFinalisingReserveMs(context) {
+  const finalisingReserveMs = context && context.streamProcessing ?
+    context.streamProcessing[FINALISING_RESERVE_MS_SETTING] : undefined;
+  return finalisingReserveMs !== undefined ? finalisingReserveMs : getFinalisingTimeoutMs(context);
+}
+
+/**
+ * Returns the maximum number of processOne task executions that are allowed to run concurrently, as configured on the
+ * given context.
+ * @param {StreamProcessing} context - the context from which to fetch the maximum concurrency
+ * @returns {number|undefined} the maximum concurrency (if any); otherwise undefined, i.e. unbounded
+ */
+function getMaxConcurrency(context) {
+  return getStreamProcessingSetting(context, MAX_CONCURRENCY_SETTING);
+}
+
+/**
+ * Returns true if the given maximum concurrency is a positive integer; false otherwise.
+ * @param {*} maxConcurrency - the maximum concurrency to check
+ * @returns {boolean} true if valid; false otherwise
+ */
+function isValidMaxConcurrency(maxConcurrency) {
+  return typeof maxConcurrency === 'number' && Number.isInteger(maxConcurrency) && maxConcurrency > 0;
+}
+
+/**
+ * Returns true if ordered processing is configured on the given context, in which case the processOne tasks of messages
+ * that share the same ordering key (i.e. Kinesis partition key or DynamoDB item key) are executed sequentially in
+ * sequence number order; otherwise returns false.
+ * @param {StreamProcessing} context - the context to check
+ * @returns {boolean} true if ordered processing is configured; false otherwise
+ */
+function isOrderedProcessing(context) {
+  return getStreamProcessingSetting(context, ORDERED_PROCESSING_SETTING) === true;
+}
+
+/**
+ * Returns the compression (i.e. "gzip" or "deflate") with which to compress the data of resubmitted messages and of
+ * unusable records and rejected messages discarded to the DRQ and DMQ, as configured on the given context.
+ * @param {StreamProcessing} context - the context from which to fetch the compression
+ * @returns {string|undefined} the compression (if any and if compressing); otherwise undefined, i.e. uncompressed
+ */
+function getCompression(context) {
+  const compressionSetting = getStreamProcessingSetting(context, COMPRESSION_SETTING);
+  return compression.isCompressing(compressionSetting) ? compressionSetting : undefined;
+}
+
+/**
+ * Returns the message schema (i.e. a JSON Schema or a discriminated message schema) against which every extracted
+ * message must be validated, as configured on the given context.
+ * @param {StreamProcessing} context - the context from which to fetch the message schema
+ * @returns {Object|undefined} the message schema (if any); otherwise undefined, i.e. no validation
+ */
+function getMessageSchema(context) {
+  return getStreamProcessingSetting(context, MESSAGE_SCHEMA_SETTING);
+}
+
+/**
+ * Returns true if idempotency (i.e. suppression of duplicate executions of processOne tasks that already succeeded on a
+ * message during a previous replay or resubmission) is enabled on the given context; otherwise returns false.
+ * @param {StreamProcessing} context - the context to check
+ * @returns {boolean} true if idempotency is enabled; false otherwise
+ */
+function isIdempotencyEnabled(context) {
+  return getStreamProcessingSetting(context, IDEMPOTENCY_ENABLED_SETTING) === true;
+}
+
+/**
+ * Returns the number of seconds for which a record of a processOne task that succeeded on a message must be kept, as
+ * configured on the given context.
+ * @param {StreamProcessing} context - the context from which to fetch the idempotency TTL
+ * @returns {number|undefined} the idempotency TTL in seconds (if any); otherwise undefined
+ */
+function getIdempotencyTtlInSeconds(context) {
+  return getStreamProcessingSetting(context, IDEMPOTENCY_TTL_IN_SECONDS_SETTING);
+}
+
+/**
+ * Returns the number of seconds for which a message's saved task tracking item must be kept, as configured on the given
+ * context.
+ * @param {StreamProcessing} context - the context from which to fetch the task tracking TTL
+ * @returns {number|undefined} the task tracking TTL in seconds (if any); otherwise undefined
+ */
+function getTaskTrackingTtlInSeconds(context) {
+  return getStreamProcessingSetting(context, TASK_TRACKING_TTL_IN_SECONDS_SETTING);
+}
+
+/**
+ * Returns the retry policy (i.e. the exponential backoff with which to delay the retrying of incomplete messages), as
+ * configured on the given context.
+ * @param {StreamProcessing} context - the context from which to fetch the retry policy
+ * @returns {RetryPolicy|undefined} the retry policy (if any); otherwise undefined, i.e. retry immediately
+ */
+function getRetryPolicy(context) {
+  return getStreamProcessingSetting(context, RETRY_POLICY_SETTING);
+}
+
+/**
+ * Returns true if the stream consumer must respond to each stream event with a Lambda partial batch response (i.e. with
+ * the batchItemFailures from which to resume) instead of failing the entire batch, as configured on the given context;
+ * otherwise returns false.
+ * @param {StreamProcessing} context - the context to check
+ * @returns {boolean} true if reporting batch item failures; false otherwise
+ */
+function isReportingBatchItemFailures(context) {
+  return getStreamProcessingSetting(context, REPORT_BATCH_ITEM_FAILURES_SETTING) === true;
+}
+
+/**
+ * Returns true if messages that arrive wrapped in SNS notifications (i.e. from an SNS topic subscribed to an SQS queue
+ * without raw message delivery) must be unwrapped from their notifications, as configured on the given context;
+ * otherwise returns false.
+ * @param {StreamProcessing} context - the context to check
+ * @returns {boolean} true if unwrapping SNS notifications; false otherwise
+ */
+function isUnwrappingSNSNotifications(context) {
+  return getStreamProcessingSetting(context, UNWRAP_SNS_NOTIFICATIONS_SETTING) === true;
+}
+
+/**
+ * Returns the number of seconds for which incomplete SQS messages must stay invisible before they are redelivered, as
+ * configured on the given context.
+ * @param {StreamProcessing} context - the context from which to fetch the visibility timeout
+ * @returns {number} the visibility timeout in seconds (if configured); otherwise the default visibility timeout
+ */
+function getVisibilityTimeoutInSeconds(context) {
+  const visibilityTimeoutInSeconds = context && context.streamProcessing ?
+    context.streamProcessing[VISIBILITY_TIMEOUT_IN_SECONDS_SETTING] : undefined;
+  return visibilityTimeoutInSeconds !== undefined ? visibilityTimeoutInSeconds : DEFAULT_VISIBILITY_TIMEOUT_IN_SECONDS;
+}
+
+/**
+ * Returns true if the given retry policy is an object with a positive baseDelayMs and an optional multiplier (which
+ * must be at least 1), an optional maxDelayMs (which must be at least the baseDelayMs) and an optional jitter (which
+ * must be between 0 and 1); false otherwise.
+ * @param {*} retryPolicy - the retry policy to check
+ * @returns {boolean} true if valid; false otherwise
+ */
+function isValidRetryPolicy(retryPolicy) {
+  return !!retryPolicy && typeof retryPolicy === 'object' && !Array.isArray(retryPolicy) &&
+    isValidMilliseconds(retryPolicy.baseDelayMs, false) &&
+    (retryPolicy.multiplier === undefined || (typeof retryPolicy.multiplier === 'number' && isFinite(retryPolicy.multiplier) && retryPolicy.multiplier >= 1)) &&
+    (retryPolicy.maxDelayMs === undefined || (isValidMilliseconds(retryPolicy.maxDelayMs, false) && retryPolicy.maxDelayMs >= retryPolicy.baseDelayMs)) &&
+    (retryPolicy.jitter === undefined || (typeof retryPolicy.jitter === 'number' && retryPolicy.jitter >= 0 && retryPolicy.jitter <= 1));
+}
+
+/**
+ * Calculates the number of milliseconds by which to delay the next attempt at a task that has already been attempted
+ * the given number of times using the given retry policy, i.e. baseDelayMs * multiplier ^ (attempts - 1) capped at
+ * maxDelayMs (if any) and then randomly reduced by up to its jitter fraction (if any).
+ * @param {number} attempts - the number of attempts already made
+ * @param {RetryPolicy} retryPolicy - the retry policy to use
+ * @param {number|undefined} [random] - an optional random number between 0 (inclusive) and 1 (exclusive) with which to
+ * apply the jitter (defaults to Math.random())
+ * @returns {number} the delay in milliseconds (or zero if never attempted)
+ */
+function toRetryDelayMs(attempts, retryPolicy, random) {
+  if (!attempts || attempts <= 0) {
+    return 0;
+  }
+  const multiplier = retryPolicy.multiplier !== undefined ? retryPolicy.multiplier : DEFAULT_RETRY_MULTIPLIER;
+  const delayMs = retryPolicy.baseDelayMs * Math.pow(multiplier, attempts - 1);
+  const cappedDelayMs = retryPolicy.maxDelayMs !== undefined ? Math.min(delayMs, retryPolicy.maxDelayMs) : delayMs;
+  const jitter = retryPolicy.jitter ? retryPolicy.jitter : 0;
+  return Math.round(cappedDelayMs * (1 - jitter * (random !== undefined ? random : Math.random())));
+}
+
+/**
+ * Derives a deterministic "random" number between 0 (inclusive) and 1 (exclusive) from the given seed (using a 32-bit
+ * FNV-1a hash of the seed), with which to apply the jitter of a retry policy to the delay of a specific attempt, so that
+ * repeated checks of whether the same attempt is due for retry all see the same delay.
+ * @param {string} seed - the seed, which should identify the attempt, e.g. its task's name, last executed at & attempts
+ * @returns {number} a number between 0 (inclusive) and 1 (exclusive)
+ */
+function toRetryJitterRandom(seed) {
+  let hash = 0x811c9dc5;
+  const s = String(seed);
+  for (let i = 0; i < s.length; ++i) {
+    hash = Math.imul(hash ^ s.charCodeAt(i), 0x01000193);
+  }
+  return (hash >>> 0) / 0x100000000;
+}
+
+/**
+ * Converts the given JSON into a Kinesis record's data, which is compressed if a compression is configured on the given
+ * context; otherwise left as is.
+ * @param {string} json - the JSON to convert
+ * @param {StreamProcessing} context - the context
+ * @returns {string|Buffer} the JSON (if uncompressed) or the compressed JSON
+ */
+function toKinesisData(json, context) {
+  const contentEncoding = getCompression(context);
+  return contentEncoding ? compression.compressData(json, contentEncoding) : json;
+}
+
+/**
+ * Converts the given JSON into an SQS message body, which must be text, so if a compression is configured on the given
+ * context, then the compressed JSON is wrapped in a "content-encoding" envelope; otherwise the JSON is left as is.
+ * @param {string} json - the JSON to convert
+ * @param {StreamProcessing} context - the context
+ * @returns {string} the JSON (if uncompressed) or the content-encoding envelope's JSON
+ */
+function toSQSMessageBody(json, context) {
+  const contentEncoding = getCompression(context);
+  return contentEncoding ? JSON.stringify(compression.toContentEncodingEnvelope(json, contentEncoding)) : json;
+}
+
+/**
+ * Returns the key by which to order the processing of the message(s) extracted from the given record, which is the
+ * Kinesis partition key of a Kinesis stream event record, a combination of all of the item keys of a DynamoDB stream
+ * event record or the message group ID of an SQS FIFO queue event record.
+ * @param {Record} record - the Kinesis, DynamoDB stream or SQS event record
+ * @returns {string|undefined} the ordering key of the record (if resolvable); otherwise undefined
+ */
+function toRecordOrderingKey(record) {
+  if (record && record.kinesis) {
+    return record.kinesis.partitionKey;
+  }
+  if (record && record.dynamodb && record.dynamodb.Keys) {
+    return dynamoDBUtils.toKeyValueStrings(record.dynamodb.Keys).sort().join('|');
+  }
+  if (record && record.eventSource === 'aws:sqs' && record.attributes && isNotBlank(record.attributes.MessageGroupId)) {
+    return record.attributes.MessageGroupId;
+  }
+  return undefined;
+}
+
+/**
+ * Returns the sequence number of the given Kinesis or DynamoDB stream event record or SQS FIFO queue event record.
+ * @param {Record} record - the Kinesis, DynamoDB stream or SQS event record
+ * @returns {string|undefined} the sequence number of the record (if any); otherwise undefined
+ */
+function getRecordSequenceNumber(record) {
+  return record && record.kinesis ? record.kinesis.sequenceNumber :
+    record && record.dynamodb ? record.dynamodb.SequenceNumber :
+      record && record.eventSource === 'aws:sqs' && record.attributes ? record.attributes.SequenceNumber : undefined;
+}
+
+/**
+ * Returns the sub-sequence number of the given Kinesis stream event record, if it was de-aggregated from a KPL
+ * aggregated record.
+ * @param {Record} record - the Kinesis or DynamoDB stream event record
+ * @returns {number|undefined} the sub-sequence number of the record (if any); otherwise undefined
+ */
+function getRecordSubSequenceNumber(record) {
+  return record && record.kinesis ? record.kinesis.subSequenceNumber : undefined;
+}
+
 /**
  * Returns the function configured at the named stream processing setting on the given context (if any and if it's a
  * real function); otherwise returns undefined.
@@ -565,7 +1590,10 @@ function getExtractMessageFromRecordFunction(context) {
 
 /**
  * A default extractMessageFromRecord function that attempts to extract and parse the original JSON message object from
- * the given Kinesis stream event record and returns the message (if parsable) or throws an error (if not).
+ * the given Kinesis stream event record and returns the message (if parsable) or throws an error (if not). Gzip or
+ * deflate compressed record data (detected by its magic number or header) is first decompressed and a parsed
+ * "content-encoding" envelope (see {@linkcode module:aws-stream-consumer/compression}) is unwrapped, decompressed and
+ * parsed in turn.
  *
  * @param {Record} record - a Kinesis stream event record
  * @param {StreamProcessing} context - the context
@@ -573,14 +1601,24 @@ function getExtractMessageFromRecordFunction(context) {
  * @throws {Error} an error if a message could not be successfully extracted from the given record
  */
 function extractJsonMessageFromKinesisRecord(record, context) {
-  // First convert the Kinesis record's kinesis.data field back from Base 64 to UTF-8
-  const msgData = new Buffer(record.kinesis.data, 'base64').toString('utf-8');
+  // First convert the Kinesis record's kinesis.data field back from Base 64 to UTF-8 (decompressing it if compressed)
+  let msgData = undefined;
+  try {
+    msgData = compression.decodeData(new Buffer(record.kinesis.data, 'base64'));
+  } catch (err) {
+    context.error(`Failed to decompress Kinesis record data (${record.kinesis.data})`, err.stack);
+    throw err;
+  }
 
   if (context.traceEnabled) context.trace(`Parsing Kinesis record data (${msgData})`);
 
   try {
     // Convert the decoded record data back into its original JSON message object form
-    return JSON.parse(msgData);
+    const message = JSON.parse(msgData);
+
+    // Unwrap, decompress & parse the message in a content-encoding envelope (if any)
+    return compression.isContentEncodingEnvelope(message) ?
+      JSON.parse(compression.fromContentEncodingEnvelope(message)) : message;
 
   } catch (err) {
     context.error(`Failed to parse decoded Kinesis record data (${msgData}) back to a JSON message object`, err.stack);
@@ -588,6 +1626,59 @@ function extractJsonMessageFromKinesisRecord(record, context) {
   }
 }
 
+/**
+ * An alternative Kinesis extractMessageFromRecord function that extracts the log events from the given Kinesis stream
+ * event record, which must carry a (usually gzip compressed) CloudWatch Logs subscription payload, i.e. a JSON object
+ * with messageType, owner, logGroup, logStream, subscriptionFilters & logEvents properties. Returns one message per log
+ * event, carrying the log event's id, timestamp, message (and extractedFields, if any) along with its payload's log
+ * group and stream metadata, or returns no messages for a CONTROL_MESSAGE payload (which CloudWatch Logs only sends to
+ * check that the stream is reachable).
+ *
+ * Since an incomplete log event message is resubmitted on its own, any other JSON object (i.e. a resubmitted log event
+ * message) is returned as is.
+ *
+ * @param {Record} record - a Kinesis stream event record
+ * @param {StreamProcessing} context - the context
+ * @return {Message[]|Message} the log event messages (if a CloudWatch Logs payload); otherwise the message object
+ * @throws {Error} an error if the record's data could not be parsed or is not a valid CloudWatch Logs payload
+ */
+function extractLogEventMessagesFromCloudWatchLogsRecord(record, context) {
+  // Decompress & parse the CloudWatch Logs subscription payload
+  const payload = extractJsonMessageFromKinesisRecord(record, context);
+
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload) || payload.messageType === undefined) {
+    // Not a CloudWatch Logs payload, so assume that it is a resubmitted log event message
+    return payload;
+  }
+
+  if (payload.messageType === CLOUDWATCH_LOGS_CONTROL_MESSAGE_TYPE) {
+    if (context.traceEnabled) context.trace(`Dropping CloudWatch Logs control message (${stringify(payload)})`);
+    return [];
+  }
+
+  if (payload.messageType !== CLOUDWATCH_LOGS_DATA_MESSAGE_TYPE || !Array.isArray(payload.logEvents)) {
+    const errMsg = `Kinesis record data is not a valid CloudWatch Logs payload with messageType (${payload.messageType}) & ${Array.isArray(payload.logEvents) ? payload.logEvents.length : 'no'} logEvents`;
+    context.error(errMsg);
+    throw new Error(errMsg);
+  }
+
+  return payload.logEvents.map(logEvent => {
+    const message = {
+      logGroup: payload.logGroup,
+      logStream: payload.logStream,
+      owner: payload.owner,
+      subscriptionFilters: payload.subscriptionFilters,
+      id: logEvent.id,
+      timestamp: logEvent.timestamp,
+      message: logEvent.message
+    };
+    if (logEvent.extractedFields) {
+      message.extractedFields = logEvent.extractedFields;
+    }
+    return message;
+  });
+}
+
 /**
  * A default extractMessageFromRecord function that simply returns the given stream event record as the message object
  * (if defined) or throws an error (if not).
@@ -609,55 +1700,286 @@ function useStreamEventRecordAsMessage(record, context) {
 }
 
 /**
- * Returns the discardUnusableRecords function configured on the given context (if any and if it's a real function);
- * otherwise returns undefined.
- * @param {StreamProcessing} context - the context from which to fetch the function
- * @returns {Function|undefined} the discardUnusableRecords function (if it's a function); otherwise undefined
+ * An alternative DynamoDB extractMessageFromRecord function that converts the given DynamoDB stream event record into a
+ * message with its eventID, eventName & tableName and with its Keys, NewImage & OldImage (if any) unmarshalled from
+ * their typed DynamoDB attribute value maps into plain objects (as keys, newImage & oldImage respectively). If the record
+ * has both a new and an old image, then the message also gets a changes object with the old & new values of each
+ * attribute that was added, removed or modified, e.g. {name: {oldValue: 'a', newValue: 'b'}}.
+ *
+ * Note that the raw record remains available via the message's task tracking (see stream-consumer's getRecord).
+ *
+ * @param {Record} record - a DynamoDB stream event record
+ * @param {StreamProcessing} context - the context
+ * @return {Message} the unmarshalled message
+ * @throws {Error} an error if the given record is not a DynamoDB stream event record or cannot be unmarshalled
  */
-function getDiscardUnusableRecordsFunction(context) {
-  return getStreamProcessingFunction(context, DISCARD_UNUSABLE_RECORDS_SETTING);
+function extractUnmarshalledMessageFromDynamoDBRecord(record, context) {
+  if (!record || typeof record !== 'object' || !record.dynamodb || typeof record.dynamodb !== 'object') {
+    const errMsg = `Cannot unmarshal a message from an invalid DynamoDB stream event record (${stringify(record)})`;
+    context.error(errMsg);
+    throw new Error(errMsg);
+  }
+  const dynamodb = record.dynamodb;
+  const message = {
+    eventID: record.eventID,
+    eventName: record.eventName,
+    tableName: trim(streamEvents.getDynamoDBEventSourceTableName(record)),
+    keys: dynamoDBUtils.toObjectFromDynamoDBMap(dynamodb.Keys)
+  };
+  if (dynamodb.NewImage) {
+    message.newImage = dynamoDBUtils.toObjectFromDynamoDBMap(dynamodb.NewImage);
+  }
+  if (dynamodb.OldImage) {
+    message.oldImage = dynamoDBUtils.toObjectFromDynamoDBMap(dynamodb.OldImage);
+  }
+  if (message.newImage && message.oldImage) {
+    message.changes = toImageChanges(message.oldImage, message.newImage);
+  }
+  if (context.traceEnabled) context.trace(`Unmarshalled DynamoDB stream event record into message (${stringify(message)})`);
+  return message;
 }
 
 /**
- * Discards all the given unusable stream event records to the DRQ (i.e. Dead Record Queue).
- * @param {Record[]} unusableRecords - the list of unusable records to discard
- * @param {StreamProcessing} context - the context to use
- * @return {Promise} a promise that will complete when all of its discard unusable record promises complete
+ * Returns the old & new values of each attribute that differs between the given old and new images.
+ * @param {Object} oldImage - the unmarshalled old image
+ * @param {Object} newImage - the unmarshalled new image
+ * @returns {Object.<string, {oldValue: *, newValue: *}>} the changes by attribute name
  */
-function discardUnusableRecordsToDRQ(unusableRecords, context) {
-  if (!unusableRecords || unusableRecords.length <= 0) {
-    return Promise.resolve([]);
-  }
-  const kinesis = getKinesis(context);
+function toImageChanges(oldImage, newImage) {
+  const changes = {};
+  const names = Object.keys(oldImage).concat(Object.keys(newImage).filter(name => !oldImage.hasOwnProperty(name)));
+  names.forEach(name => {
+    const oldValue = oldImage[name];
+    const newValue = newImage[name];
+    if (!messageSchema.areEqualValues(oldValue, newValue)) {
+      changes[name] = {oldValue: oldValue, newValue: newValue};
+    }
+  });
+  return changes;
+}
 
-  // Get the stage-qualified version of the DRQ stream name
-  const unqualifiedDeadRecordQueueName = context.streamProcessing.deadRecordQueueName;
-  const deadRecordQueueName = stages.toStageQualifiedStreamName(unqualifiedDeadRecordQueueName, context.stage, context);
+/**
+ * A default SQS extractMessageFromRecord function that attempts to parse the original JSON message object from the body
+ * of the given SQS event record and returns the message (if parsable) or throws an error (if not). A parsed
+ * "content-encoding" envelope (see {@linkcode module:aws-stream-consumer/compression}) is unwrapped, decompressed and
+ * parsed in turn. If unwrapSNSNotifications is configured, then a message that arrives wrapped in an SNS notification is
+ * also unwrapped from the notification's Message property.
+ *
+ * @param {Record} record - an SQS event record
+ * @param {StreamProcessing} context - the context
+ * @return {Message} the message object (if successfully extracted)
+ * @throws {Error} an error if a message could not be successfully extracted from the given record
+ */
+function extractJsonMessageFromSQSRecord(record, context) {
+  if (context.traceEnabled) context.trace(`Parsing SQS record body (${record.body})`);
 
-  // Discard all of the unusable records
-  const promises = unusableRecords.map(record => {
-    const request = toDRQPutRequestFromUnusableRecord(record, deadRecordQueueName, context);
-    return kinesis.putRecord(request).promise();
-  });
-  const m = unusableRecords.length;
-  const plural = m !== 1 ? 's' : '';
+  try {
+    const message = parseJsonMessage(record.body);
 
-  return Promise.all(promises)
-    .then(results => {
+    if (isUnwrappingSNSNotifications(context) && isSNSNotification(message)) {
+      if (context.traceEnabled) context.trace(`Unwrapping message from SNS notification (${message.MessageId}) from topic (${message.TopicArn})`);
+      return parseJsonMessage(message.Message);
+    }
+    return message;
+
+  } catch (err) {
+    context.error(`Failed to parse SQS record body (${record.body}) back to a JSON message object`, err.stack);
+    throw err;
+  }
+}
+
+/**
+ * Parses the given JSON back into its original message object form, first unwrapping, decompressing and parsing a
+ * "content-encoding" envelope (if any).
+ * @param {string} json - the JSON to parse
+ * @returns {Message} the message object
+ * @throws {Error} an error if the JSON cannot be parsed or decompressed
+ */
+function parseJsonMessage(json) {
+  const message = JSON.parse(json);
+  return compression.isContentEncodingEnvelope(message) ?
+    JSON.parse(compression.fromContentEncodingEnvelope(message)) : message;
+}
+
+/**
+ * Returns true if the given value is an SNS notification, i.e. an object with a Type of "Notification", a TopicArn and a
+ * string Message; false otherwise.
+ * @param {*} value - the value to check
+ * @returns {boolean} true if an SNS notification; false otherwise
+ */
+function isSNSNotification(value) {
+  return !!value && typeof value === 'object' && value.Type === 'Notification' && isNotBlank(value.TopicArn) &&
+    typeof value.Message === 'string';
+}
+
+/**
+ * Validates the given SQS event record and throws an error if it is not a valid SQS event record, i.e. if it does not
+ * have an "aws:sqs" eventSource, an eventSourceARN, a messageId and a string body.
+ * @param {Record} record - the SQS event record to validate
+ * @throws {Error} an error if the given record is not a valid SQS event record
+ */
+function validateSQSEventRecord(record) {
+  if (!record) {
+    throw new Error(`Missing entire SQS event record (${record})`);
+  }
+  if (record.eventSource !== 'aws:sqs') {
+    throw new Error(`Unexpected eventSource (${record.eventSource}) on SQS event record (${stringify(record)})`);
+  }
+  if (isBlank(record.eventSourceARN)) {
+    throw new Error(`Missing eventSourceARN property for SQS event record (${stringify(record)})`);
+  }
+  if (isBlank(record.messageId)) {
+    throw new Error(`Missing messageId property for SQS event record (${stringify(record)})`);
+  }
+  if (typeof record.body !== 'string') {
+    throw new Error(`Missing body property for SQS event record (${stringify(record)})`);
+  }
+}
+
+/**
+ * Extracts the name of the SQS queue from which the given SQS event record was received from its eventSourceARN.
+ * @param {Record} record - the SQS event record
+ * @returns {string} the queue name (if resolvable); otherwise an empty string
+ */
+function getSQSEventSourceQueueName(record) {
+  return record && isNotBlank(record.eventSourceARN) ? trim(arns.getArnResources(record.eventSourceARN).resource) : '';
+}
+
+/**
+ * A default Firehose extractMessageFromRecord function that attempts to convert the given Firehose record's data back
+ * from base 64 (decompressing it if compressed) into the original JSON message object and returns the message (if
+ * parsable) or throws an error (if not). A parsed "content-encoding" envelope is unwrapped, decompressed and parsed in
+ * turn.
+ *
+ * @param {Record} record - a Kinesis Data Firehose record
+ * @param {StreamProcessing} context - the context
+ * @return {Message} the message object (if successfully extracted)
+ * @throws {Error} an error if a message could not be successfully extracted from the given record
+ */
+function extractJsonMessageFromFirehoseRecord(record, context) {
+  // First convert the Firehose record's data field back from Base 64 to UTF-8 (decompressing it if compressed)
+  let msgData = undefined;
+  try {
+    msgData = compression.decodeData(new Buffer(record.data, 'base64'));
+  } catch (err) {
+    context.error(`Failed to decompress Firehose record data (${record.data})`, err.stack);
+    throw err;
+  }
+
+  if (context.traceEnabled) context.trace(`Parsing Firehose record data (${msgData})`);
+
+  try {
+    return parseJsonMessage(msgData);
+  } catch (err) {
+    context.error(`Failed to parse decoded Firehose record data (${msgData}) back to a JSON message object`, err.stack);
+    throw err;
+  }
+}
+
+/**
+ * Validates the given Firehose record and throws an error if it is not a valid Kinesis Data Firehose record, i.e. if it
+ * does not have a recordId and string data.
+ * @param {Record} record - the Firehose record to validate
+ * @throws {Error} an error if the record is not a valid Firehose record
+ */
+function validateFirehoseRecord(record) {
+  if (!record) {
+    throw new Error(`Missing entire Firehose record (${record})`);
+  }
+  if (isBlank(record.recordId)) {
+    throw new Error(`Missing recordId property for Firehose record (${stringify(record)})`);
+  }
+  if (typeof record.data !== 'string') {
+    throw new Error(`Missing data property for Firehose record (${stringify(record)})`);
+  }
+}
+
+/**
+ * Returns true if the given record is a Kinesis Data Firehose record, which (unlike Kinesis, DynamoDB stream and SQS
+ * event records) carries no eventSource, but has a recordId; false otherwise.
+ * @param {Record|undefined} record - the record to check
+ * @returns {boolean} true if a Firehose record; false otherwise
+ */
+function isFirehoseRecord(record) {
+  return !!record && !record.eventSource && isNotBlank(record.recordId);
+}
+
+/**
+ * Extracts the name of the Kinesis Data Firehose delivery stream that is being transformed from the deliveryStreamArn
+ * of the Firehose event configured on the given context, since Firehose records do not identify their delivery stream.
+ * @param {StreamProcessing} context - the context
+ * @returns {string} the delivery stream name (if resolvable); otherwise an empty string
+ */
+function getFirehoseDeliveryStreamName(context) {
+  const arn = context && context.event ? context.event.deliveryStreamArn : undefined;
+  return isNotBlank(arn) ? trim(arns.getArnResources(arn).resource) : '';
+}
+
+/**
+ * Returns the discardUnusableRecords function configured on the given context (if any and if it's a real function);
+ * otherwise returns undefined.
+ * @param {StreamProcessing} context - the context from which to fetch the function
+ * @returns {Function|undefined} the discardUnusableRecords function (if it's a function); otherwise undefined
+ */
+function getDiscardUnusableRecordsFunction(context) {
+  return getStreamProcessingFunction(context, DISCARD_UNUSABLE_RECORDS_SETTING);
+}
+
+/**
+ * Discards all the given unusable stream event records to the DRQ (i.e. Dead Record Queue) using as few Kinesis
+ * putRecords calls as possible and retrying only the failed entries of each call. If any of the unusable records still
+ * could not be discarded, then rejects with the last error encountered, on which the records that were discarded and the
+ * records that could not be discarded are exposed as its discardedUnusableRecords and undiscardedUnusableRecords
+ * properties respectively.
+ * @param {Record[]} unusableRecords - the list of unusable records to discard
+ * @param {StreamProcessing} context - the context to use
+ * @return {Promise.<Record[]>} a promise of all of the discarded unusable records
+ */
+function discardUnusableRecordsToDRQ(unusableRecords, context) {
+  if (!unusableRecords || unusableRecords.length <= 0) {
+    return Promise.resolve([]);
+  }
+  const kinesis = getKinesis(context);
+
+  // Get the stage-qualified version of the DRQ stream name
+  const unqualifiedDeadRecordQueueName = context.streamProcessing.deadRecordQueueName;
+  const deadRecordQueueName = stages.toStageQualifiedStreamName(unqualifiedDeadRecordQueueName, context.stage, context);
+
+  const m = unusableRecords.length;
+  const plural = m !== 1 ? 's' : '';
+
+  // Discard all of the unusable records
+  return Promise.try(() => unusableRecords.map(record => toDRQPutRequestFromUnusableRecord(record, deadRecordQueueName, context)))
+    .then(requests => putRecordsInBatchesWithClaimChecks(kinesis, deadRecordQueueName, unusableRecords, requests,
+      record => toUnusableRecordClaimCheck(record, context), context))
+    .then(outcome => {
+      const discarded = outcome[0];
+      const undiscarded = outcome[1];
+      if (undiscarded.length > 0) {
+        const err = outcome[2];
+        err.discardedUnusableRecords = discarded;
+        err.undiscardedUnusableRecords = undiscarded;
+        throw err;
+      }
       context.info(`Discarded ${m} unusable record${plural} to Kinesis DRQ (${deadRecordQueueName})`);
-      return results;
+      return discarded;
     })
     .catch(err => {
-      context.error(`Failed to discard ${m} unusable record${plural} to Kinesis DRQ (${deadRecordQueueName}) - error (${err})`, err.stack);
+      const d = err.discardedUnusableRecords ? err.discardedUnusableRecords.length : 0;
+      context.error(`Failed to discard ${m - d} of ${m} unusable record${plural} to Kinesis DRQ (${deadRecordQueueName}) - error (${err})`, err.stack);
       throw err;
     });
 }
 
 function toDRQPutRequestFromUnusableRecord(record, deadRecordQueueName, context) {
   if (record.eventSource === 'aws:kinesis') {
-    return toDRQPutRequestFromKinesisUnusableRecord(record, deadRecordQueueName)
+    return toDRQPutRequestFromKinesisUnusableRecord(record, deadRecordQueueName, context)
   } else if (record.eventSource === 'aws:dynamodb') {
-    return toDRQPutRequestFromDynamoDBUnusableRecord(record, deadRecordQueueName)
+    return toDRQPutRequestFromDynamoDBUnusableRecord(record, deadRecordQueueName, context)
+  } else if (record.eventSource === 'aws:sqs') {
+    return toDRQPutRequestFromSQSUnusableRecord(record, deadRecordQueueName, context)
+  } else if (isFirehoseRecord(record)) {
+    return toDRQPutRequestFromFirehoseUnusableRecord(record, deadRecordQueueName, context)
   } else {
     const errMsg = `Cannot convert unusable record to DRQ request with unexpected record eventSource (${record.eventSource})`;
     context.error(errMsg);
@@ -665,14 +1987,14 @@ function toDRQPutRequestFromUnusableRecord(record, deadRecordQueueName, context)
   }
 }
 
-function toDRQPutRequestFromKinesisUnusableRecord(record, deadRecordQueueName) {
+function toDRQPutRequestFromKinesisUnusableRecord(record, deadRecordQueueName, context) {
   const partitionKey = record.kinesis.partitionKey;
   const explicitHashKey = record.kinesis.explicitHashKey;
 
   const request = {
     StreamName: deadRecordQueueName,
     PartitionKey: partitionKey,
-    Data: JSON.stringify(record)
+    Data: toKinesisData(JSON.stringify(record), context)
   };
   if (explicitHashKey) {
     request.ExplicitHashKey = explicitHashKey;
@@ -680,22 +2002,30 @@ function toDRQPutRequestFromKinesisUnusableRecord(record, deadRecordQueueName) {
   return request;
 }
 
-function toDRQPutRequestFromDynamoDBUnusableRecord(record, deadRecordQueueName) {
-  // Get the original record's event source stream name
-  const eventSourceStreamName = trim(streamEvents.getKinesisEventSourceStreamName(record));
-  const sourceStreamName = isNotBlank(eventSourceStreamName) ? eventSourceStreamName : '';
-
-  // Combine all of the record's Keys into a single string
-  const keysAndValues = record.dynamodb ? dynamoDBUtils.toKeyValueStrings(record.dynamodb.Keys).join('|') : '';
+function toDRQPutRequestFromDynamoDBUnusableRecord(record, deadRecordQueueName, context) {
+  // Construct a Kinesis putRecord request to be sent to the DRQ
+  return {
+    StreamName: deadRecordQueueName,
+    PartitionKey: toDynamoDBRecordPartitionKey(record),
+    Data: toKinesisData(JSON.stringify(record), context)
+  };
+}
 
-  // Generate a partition key to use for the DMQ request
-  const partitionKey = `${sourceStreamName}|${keysAndValues}`.substring(0, MAX_PARTITION_KEY_SIZE);
+function toDRQPutRequestFromSQSUnusableRecord(record, deadRecordQueueName, context) {
+  // Construct a Kinesis putRecord request to be sent to the DRQ
+  return {
+    StreamName: deadRecordQueueName,
+    PartitionKey: toSQSRecordPartitionKey(record),
+    Data: toKinesisData(JSON.stringify(record), context)
+  };
+}
 
+function toDRQPutRequestFromFirehoseUnusableRecord(record, deadRecordQueueName, context) {
   // Construct a Kinesis putRecord request to be sent to the DRQ
   return {
     StreamName: deadRecordQueueName,
-    PartitionKey: partitionKey,
-    Data: JSON.stringify(record)
+    PartitionKey: toFirehoseRecordPartitionKey(record, context),
+    Data: toKinesisData(JSON.stringify(record), context)
   };
 }
 
@@ -710,10 +2040,45 @@ function getDiscardRejectedMessagesFunction(context) {
 }
 
 /**
- * Routes all the given rejected messages to the DMQ (i.e. Dead Message Queue).
+ * Returns the extractMessageId function configured on the given context (if any and if it's a real function); otherwise
+ * returns undefined.
+ * @param {StreamProcessing} context - the context from which to fetch the function
+ * @returns {Function|undefined} the extractMessageId function (if it's a function); otherwise undefined
+ */
+function getExtractMessageIdFunction(context) {
+  return getStreamProcessingFunction(context, EXTRACT_MESSAGE_ID_SETTING);
+}
+
+/**
+ * Returns the loadSucceededTaskNames function configured on the given context (if any and if it's a real function);
+ * otherwise returns undefined.
+ * @param {StreamProcessing} context - the context from which to fetch the function
+ * @returns {Function|undefined} the loadSucceededTaskNames function (if it's a function); otherwise undefined
+ */
+function getLoadSucceededTaskNamesFunction(context) {
+  return getStreamProcessingFunction(context, LOAD_SUCCEEDED_TASK_NAMES_SETTING);
+}
+
+/**
+ * Returns the saveSucceededTaskName function configured on the given context (if any and if it's a real function);
+ * otherwise returns undefined.
+ * @param {StreamProcessing} context - the context from which to fetch the function
+ * @returns {Function|undefined} the saveSucceededTaskName function (if it's a function); otherwise undefined
+ */
+function getSaveSucceededTaskNameFunction(context) {
+  return getStreamProcessingFunction(context, SAVE_SUCCEEDED_TASK_NAME_SETTING);
+}
+
+/**
+ * Routes all the given rejected messages to the DMQ (i.e. Dead Message Queue) using as few Kinesis putRecords calls as
+ * possible and retrying only the failed entries of each call. If claim checks are configured, then any oversized
+ * rejected message is first archived to S3 (see {@linkcode checkInOversizedPayloads}). If any of the rejected messages still could not be
+ * discarded, then rejects with the last error encountered, on which the messages that were discarded and the messages
+ * that could not be discarded are exposed as its discardedRejectedMessages and undiscardedRejectedMessages properties
+ * respectively.
  * @param {Message[]} rejectedMessages the list of rejected messages to discard
  * @param {StreamProcessing} context the context to use
- * @return {Promise}
+ * @return {Promise.<Message[]>} a promise of all of the discarded rejected messages
  */
 function discardRejectedMessagesToDMQ(rejectedMessages, context) {
   if (!rejectedMessages || rejectedMessages.length <= 0) {
@@ -725,21 +2090,29 @@ function discardRejectedMessagesToDMQ(rejectedMessages, context) {
   const unqualifiedDeadMessageQueueName = context.streamProcessing.deadMessageQueueName;
   const deadMessageQueueName = stages.toStageQualifiedStreamName(unqualifiedDeadMessageQueueName, context.stage, context);
 
-  // Discard all of the rejected messages to the DMQ
-  const promises = rejectedMessages.map(message => {
-    const request = toDMQPutRequestFromRejectedMessage(message, deadMessageQueueName, context);
-    return kinesis.putRecord(request).promise();
-  });
   const m = rejectedMessages.length;
   const plural = m !== 1 ? 's' : '';
 
-  return Promise.all(promises)
-    .then(results => {
+  // Discard all of the rejected messages to the DMQ
+  return Promise.try(() => rejectedMessages.map(message => toDMQPutRequestFromRejectedMessage(message, deadMessageQueueName, context)))
+    .then(requests => putRecordsInBatchesWithClaimChecks(kinesis, deadMessageQueueName, rejectedMessages, requests,
+      message => toRejectedMessageEnvelopeClaimCheck(toRejectedMessageEnvelope(message, context), getRecord(message, context), context),
+      context))
+    .then(outcome => {
+      const discarded = outcome[0];
+      const undiscarded = outcome[1];
+      if (undiscarded.length > 0) {
+        const err = outcome[2];
+        err.discardedRejectedMessages = discarded;
+        err.undiscardedRejectedMessages = undiscarded;
+        throw err;
+      }
       context.info(`Discarded ${m} rejected message${plural} to Kinesis DMQ (${deadMessageQueueName})`);
-      return results;
+      return discarded;
     })
     .catch(err => {
-      context.error(`Failed to discard ${m} rejected message${plural} to Kinesis DMQ (${deadMessageQueueName}) - error (${err})`, err.stack);
+      const d = err.discardedRejectedMessages ? err.discardedRejectedMessages.length : 0;
+      context.error(`Failed to discard ${m - d} of ${m} rejected message${plural} to Kinesis DMQ (${deadMessageQueueName}) - error (${err})`, err.stack);
       throw err;
     });
 }
@@ -749,9 +2122,13 @@ function toDMQPutRequestFromRejectedMessage(message, deadRecordQueueName, contex
   const eventSource = record.eventSource;
 
   if (record.eventSource === 'aws:kinesis') {
-    return toDMQPutRequestFromKinesisRejectedMessage(message, record, deadRecordQueueName)
+    return toDMQPutRequestFromKinesisRejectedMessage(message, record, getMessageIndex(message, context), deadRecordQueueName, context)
   } else if (record.eventSource === 'aws:dynamodb') {
-    return toDMQPutRequestFromDynamoDBRejectedMessage(message, record, deadRecordQueueName)
+    return toDMQPutRequestFromDynamoDBRejectedMessage(message, record, getMessageIndex(message, context), deadRecordQueueName, context)
+  } else if (record.eventSource === 'aws:sqs') {
+    return toDMQPutRequestFromSQSRejectedMessage(message, record, getMessageIndex(message, context), deadRecordQueueName, context)
+  } else if (isFirehoseRecord(record)) {
+    return toDMQPutRequestFromFirehoseRejectedMessage(message, record, getMessageIndex(message, context), deadRecordQueueName, context)
   } else {
     const errMsg = `Cannot convert unusable record to DRQ request with unexpected record eventSource (${record.eventSource})`;
     context.error(errMsg);
@@ -759,9 +2136,88 @@ function toDMQPutRequestFromRejectedMessage(message, deadRecordQueueName, contex
   }
 }
 
-function toDMQPutRequestFromKinesisRejectedMessage(message, record, deadMessageQueueName) {
-  // Get the original record's event source stream name
-  const eventSourceStreamName = trim(streamEvents.getKinesisEventSourceStreamName(record));
+function toDMQPutRequestFromKinesisRejectedMessage(message, record, messageIndex, deadMessageQueueName, context) {
+  const sourcePartitionKey = record.kinesis.partitionKey;
+  const sourceExplicitHashKey = record.kinesis.explicitHashKey;
+
+  // Wrap the message in a rejected message "envelope" with metadata
+  const rejectedMessage = toRejectedMessageEnvelopeFromKinesisRecord(message, record, messageIndex, context);
+
+  // Construct a Kinesis putRecord request to be sent to the DMQ
+  const request = {
+    StreamName: deadMessageQueueName,
+    PartitionKey: sourcePartitionKey,
+    Data: toKinesisData(JSON.stringify(rejectedMessage), context)
+  };
+  if (sourceExplicitHashKey) {
+    request.ExplicitHashKey = sourceExplicitHashKey;
+  }
+  return request;
+}
+
+function toDMQPutRequestFromDynamoDBRejectedMessage(message, record, messageIndex, deadMessageQueueName, context) {
+  // Wrap the message in a rejected message "envelope" with metadata
+  const rejectedMessage = toRejectedMessageEnvelopeFromDynamoDBRecord(message, record, messageIndex);
+
+  // Construct a Kinesis putRecord request to be sent to the DMQ
+  return {
+    StreamName: deadMessageQueueName,
+    PartitionKey: toDynamoDBRecordPartitionKey(record),
+    Data: toKinesisData(JSON.stringify(rejectedMessage), context)
+  };
+}
+
+function toDMQPutRequestFromSQSRejectedMessage(message, record, messageIndex, deadMessageQueueName, context) {
+  // Wrap the message in a rejected message "envelope" with metadata
+  const rejectedMessage = toRejectedMessageEnvelopeFromSQSRecord(message, record, messageIndex);
+
+  // Construct a Kinesis putRecord request to be sent to the DMQ
+  return {
+    StreamName: deadMessageQueueName,
+    PartitionKey: toSQSRecordPartitionKey(record),
+    Data: toKinesisData(JSON.stringify(rejectedMessage), context)
+  };
+}
+
+function toDMQPutRequestFromFirehoseRejectedMessage(message, record, messageIndex, deadMessageQueueName, context) {
+  // Wrap the message in a rejected message "envelope" with metadata
+  const rejectedMessage = toRejectedMessageEnvelopeFromFirehoseRecord(message, record, messageIndex, context);
+
+  // Construct a Kinesis putRecord request to be sent to the DMQ
+  return {
+    StreamName: deadMessageQueueName,
+    PartitionKey: toFirehoseRecordPartitionKey(record, context),
+    Data: toKinesisData(JSON.stringify(rejectedMessage), context)
+  };
+}
+
+/**
+ * Wraps the given rejected message in a rejected message "envelope" with metadata about its source record.
+ * @param {Message} message - the rejected message
+ * @param {StreamProcessing} context - the context
+ * @returns {{message: Message, source: Object, discardedAt: string}} the rejected message envelope
+ */
+function toRejectedMessageEnvelope(message, context) {
+  const record = getRecord(message, context);
+
+  if (record.eventSource === 'aws:kinesis') {
+    return toRejectedMessageEnvelopeFromKinesisRecord(message, record, getMessageIndex(message, context), context);
+  } else if (record.eventSource === 'aws:dynamodb') {
+    return toRejectedMessageEnvelopeFromDynamoDBRecord(message, record, getMessageIndex(message, context));
+  } else if (record.eventSource === 'aws:sqs') {
+    return toRejectedMessageEnvelopeFromSQSRecord(message, record, getMessageIndex(message, context));
+  } else if (isFirehoseRecord(record)) {
+    return toRejectedMessageEnvelopeFromFirehoseRecord(message, record, getMessageIndex(message, context), context);
+  } else {
+    const errMsg = `Cannot convert rejected message to DMQ request with unexpected record eventSource (${record.eventSource})`;
+    context.error(errMsg);
+    throw new Error(errMsg);
+  }
+}
+
+function toRejectedMessageEnvelopeFromKinesisRecord(message, record, messageIndex, context) {
+  // Get the original source stream name, which is NOT the retry stream for a message received from a retry stream
+  const eventSourceStreamName = trim(getSourceStreamName(message, context));
   const sourceStreamName = isNotBlank(eventSourceStreamName) ? eventSourceStreamName : '';
 
   // Get the original Kinesis record's key information
@@ -769,10 +2225,10 @@ function toDMQPutRequestFromKinesisRejectedMessage(message, record, deadMessageQ
   const sourceExplicitHashKey = record.kinesis.explicitHashKey;
   const sourceSequenceNumber = record.kinesis.sequenceNumber;
 
-  // Wrap the message in a rejected message "envelope" with metadata
   const rejectedMessage = {
     message: message,
     source: {
+      eventSource: record.eventSource,
       streamName: sourceStreamName,
       partitionKeyOrKeys: sourcePartitionKey,
       sequenceNumber: sourceSequenceNumber,
@@ -782,20 +2238,18 @@ function toDMQPutRequestFromKinesisRejectedMessage(message, record, deadMessageQ
   if (sourceExplicitHashKey) {
     rejectedMessage.source.explicitHashKey = sourceExplicitHashKey;
   }
-
-  // Construct a Kinesis putRecord request to be sent to the DMQ
-  const request = {
-    StreamName: deadMessageQueueName,
-    PartitionKey: sourcePartitionKey,
-    Data: JSON.stringify(rejectedMessage)
-  };
-  if (sourceExplicitHashKey) {
-    request.ExplicitHashKey = sourceExplicitHashKey;
+  // Identify the message's position within its source record, if it was de-aggregated from a KPL aggregated record
+  if (record.kinesis.subSequenceNumber !== undefined) {
+    rejectedMessage.source.subSequenceNumber = record.kinesis.subSequenceNumber;
   }
-  return request;
+  // Identify the message's position within its source record, if more than one message was extracted from the record
+  if (messageIndex !== undefined) {
+    rejectedMessage.source.messageIndex = messageIndex;
+  }
+  return rejectedMessage;
 }
 
-function toDMQPutRequestFromDynamoDBRejectedMessage(message, record, deadMessageQueueName) {
+function toRejectedMessageEnvelopeFromDynamoDBRecord(message, record, messageIndex) {
   // Get the original record's event source stream name
   const eventSourceStreamName = trim(streamEvents.getKinesisEventSourceStreamName(record));
   const sourceStreamName = isNotBlank(eventSourceStreamName) ? eventSourceStreamName : '';
@@ -803,139 +2257,1229 @@ function toDMQPutRequestFromDynamoDBRejectedMessage(message, record, deadMessage
   const sourceKeys = record.dynamodb ? JSON.stringify(record.dynamodb.Keys) : '';
   const sourceSequenceNumber = record.dynamodb ? record.dynamodb.SequenceNumber : '';
 
-  // Wrap the message in a rejected message "envelope" with metadata
   const rejectedMessage = {
     message: message,
     source: {
+      eventSource: record.eventSource,
       streamName: sourceStreamName,
       partitionKeyOrKeys: sourceKeys,
       sequenceNumber: sourceSequenceNumber,
     },
     discardedAt: new Date().toISOString()
   };
+  // Identify the message's position within its source record, if more than one message was extracted from the record
+  if (messageIndex !== undefined) {
+    rejectedMessage.source.messageIndex = messageIndex;
+  }
+  return rejectedMessage;
+}
+
+function toRejectedMessageEnvelopeFromSQSRecord(message, record, messageIndex) {
+  // Get the original record's event source queue name
+  const sourceQueueName = getSQSEventSourceQueueName(record);
+
+  // Get the original SQS record's message group ID & sequence number (if received from a FIFO queue)
+  const attributes = record.attributes ? record.attributes : {};
+  const sourceMessageGroupId = isNotBlank(attributes.MessageGroupId) ? attributes.MessageGroupId : '';
+  const sourceSequenceNumber = isNotBlank(attributes.SequenceNumber) ? attributes.SequenceNumber : '';
+
+  const rejectedMessage = {
+    message: message,
+    source: {
+      eventSource: record.eventSource,
+      streamName: sourceQueueName,
+      partitionKeyOrKeys: sourceMessageGroupId,
+      sequenceNumber: sourceSequenceNumber,
+      messageId: record.messageId
+    },
+    discardedAt: new Date().toISOString()
+  };
+  // Identify the message's position within its source record, if more than one message was extracted from the record
+  if (messageIndex !== undefined) {
+    rejectedMessage.source.messageIndex = messageIndex;
+  }
+  return rejectedMessage;
+}
+
+function toRejectedMessageEnvelopeFromFirehoseRecord(message, record, messageIndex, context) {
+  const rejectedMessage = {
+    message: message,
+    source: {
+      eventSource: 'aws:firehose',
+      streamName: getFirehoseDeliveryStreamName(context),
+      partitionKeyOrKeys: '',
+      sequenceNumber: '',
+      recordId: record.recordId
+    },
+    discardedAt: new Date().toISOString()
+  };
+  // Identify the message's position within its source record, if more than one message was extracted from the record
+  if (messageIndex !== undefined) {
+    rejectedMessage.source.messageIndex = messageIndex;
+  }
+  return rejectedMessage;
+}
+
+function toFirehoseRecordPartitionKey(record, context) {
+  // Generate a partition key to use for the DRQ or DMQ request
+  return `${getFirehoseDeliveryStreamName(context)}|${record.recordId}`.substring(0, MAX_PARTITION_KEY_SIZE);
+}
+
+function toSQSRecordPartitionKey(record) {
+  // Use the record's message group ID (if received from a FIFO queue) to keep its group together; otherwise its message ID
+  const groupIdOrMessageId = record.attributes && isNotBlank(record.attributes.MessageGroupId) ?
+    record.attributes.MessageGroupId : record.messageId;
+
+  // Generate a partition key to use for the DRQ or DMQ request
+  return `${getSQSEventSourceQueueName(record)}|${groupIdOrMessageId}`.substring(0, MAX_PARTITION_KEY_SIZE);
+}
+
+function toDynamoDBRecordPartitionKey(record) {
+  // Get the original record's event source stream name
+  const eventSourceStreamName = trim(streamEvents.getKinesisEventSourceStreamName(record));
+  const sourceStreamName = isNotBlank(eventSourceStreamName) ? eventSourceStreamName : '';
 
   // Combine all of the record's Keys into a single string
   const keysAndValues = record.dynamodb ? dynamoDBUtils.toKeyValueStrings(record.dynamodb.Keys).join('|') : '';
 
-  // Generate a partition key to use for the DMQ request
-  const partitionKey = `${sourceStreamName}|${keysAndValues}`.substring(0, MAX_PARTITION_KEY_SIZE);
+  // Generate a partition key to use for the DRQ or DMQ request
+  return `${sourceStreamName}|${keysAndValues}`.substring(0, MAX_PARTITION_KEY_SIZE);
+}
 
-  // Construct a Kinesis putRecord request to be sent to the DMQ
-  return {
-    StreamName: deadMessageQueueName,
-    PartitionKey: partitionKey,
-    Data: JSON.stringify(rejectedMessage)
-  };
+/**
+ * Checks in any oversized Data of the given Kinesis putRecord requests to S3 (see {@linkcode checkInOversizedPayloads})
+ * and then puts the resulting requests to the named Kinesis stream (see {@linkcode putRecordsInBatches}). Any item
+ * whose oversized Data could not be checked in is NOT put and is instead reported as a failed item.
+ * @param {AWS.Kinesis} kinesis - the Kinesis instance to use
+ * @param {string} streamName - the name of the Kinesis stream to which to put the records
+ * @param {Array.<*>} items - the items (e.g. unusable records or rejected messages) being put, which must correspond
+ * one-to-one with the given requests
+ * @param {Object[]} requests - the Kinesis putRecord requests for the given items
+ * @param {function(*): ClaimCheck} toClaimCheck - a function to generate the claim check key and summary of an item
+ * @param {StreamProcessing} context - the context to use
+ * @returns {Promise.<[Array.<*>, Array.<*>, Error|undefined]>} a promise of an array containing: the items that were
+ * successfully put; the items that could not be put; and the last error encountered (if any)
+ */
+function putRecordsInBatchesWithClaimChecks(kinesis, streamName, items, requests, toClaimCheck, context) {
+  const payloads = requests.map(request => request.Data);
+
+  return checkInOversizedPayloads(items, payloads, MAX_PUT_RECORD_DATA_SIZE_IN_BYTES, toClaimCheck, context)
+    .then(checks => {
+      const passed = checks.filter(check => !check.error);
+      const passedRequests = passed.map(check => check.payload !== payloads[check.index] ?
+        Objects.merge({Data: check.payload}, Objects.copy(requests[check.index], false), true, false) :
+        requests[check.index]);
+
+      return putRecordsInBatches(kinesis, streamName, passed.map(check => check.item), passedRequests, context)
+        .then(outcome => addClaimCheckFailures(outcome, checks));
+    });
 }
 
 /**
- * Returns the loadTaskTrackingState function configured on the given context (if any and if it's a real function);
- * otherwise returns undefined.
- * @param {StreamProcessing} context - the context from which to fetch the function
- * @returns {Function|undefined} the loadTaskTrackingState function (if it's a function); otherwise undefined
+ * Checks in any oversized bodies to S3 (see {@linkcode checkInOversizedPayloads}), converts the items and their
+ * resulting bodies into SQS sendMessageBatch entries and then sends them to the given SQS queue (see
+ * {@linkcode sendMessagesInBatches}). Any item whose oversized body could not be checked in (or whose entry still
+ * exceeds the maximum SQS message size, e.g. since no claimCheckBucketName is configured) is NOT sent and is instead
+ * reported as a failed item, so that its payload is never lost.
+ * @param {AWS.SQS} sqs - the SQS instance to use
+ * @param {string} queueUrl - the URL of the SQS queue to which to send the messages
+ * @param {Array.<*>} items - the items being sent, which must correspond one-to-one with the given bodies
+ * @param {string[]} bodies - the message bodies for the given items
+ * @param {function(*, string): {entry: Object, size: number, error: (Error|undefined)}} toEntry - a function to convert
+ * an item and its (possibly checked in) body into a sendMessageBatch entry
+ * @param {function(*): ClaimCheck} toClaimCheck - a function to generate the claim check key and summary of an item
+ * @param {StreamProcessing} context - the context to use
+ * @returns {Promise.<[Array.<*>, Array.<*>, Error|undefined]>} a promise of an array containing: the items that were
+ * successfully sent; the items that could not be sent; and the last error encountered (if any)
  */
-function getLoadTaskTrackingStateFunction(context) {
-  return getStreamProcessingFunction(context, LOAD_TASK_TRACKING_STATE_SETTING);
+function sendMessagesInBatchesWithClaimChecks(sqs, queueUrl, items, bodies, toEntry, toClaimCheck, context) {
+  const maxSizeInBytes = MAX_SQS_MESSAGE_SIZE_IN_BYTES - SQS_MESSAGE_ATTRIBUTES_ALLOWANCE_IN_BYTES;
+
+  return checkInOversizedPayloads(items, bodies, maxSizeInBytes, toClaimCheck, context)
+    .then(checks => {
+      const passed = [];
+      const entries = [];
+      checks.filter(check => !check.error).forEach(check => {
+        const entry = toEntry(check.item, check.payload);
+        if (entry.error) {
+          check.error = entry.error;
+        } else {
+          passed.push(check);
+          entries.push(entry);
+        }
+      });
+
+      return sendMessagesInBatches(sqs, queueUrl, passed.map(check => check.item), entries, context)
+        .then(outcome => addClaimCheckFailures(outcome, checks));
+    });
+}
+
+function addClaimCheckFailures(outcome, checks) {
+  const failedChecks = checks.filter(check => check.error);
+  if (failedChecks.length <= 0) {
+    return outcome;
+  }
+  const lastError = outcome[2] ? outcome[2] : failedChecks[failedChecks.length - 1].error;
+  return [outcome[0], outcome[1].concat(failedChecks.map(check => check.item)), lastError];
 }
 
 /**
- * Returns the saveTaskTrackingState function configured on the given context (if any and if it's a real function);
- * otherwise returns undefined.
- * @param {StreamProcessing} context - the context from which to fetch the function
+ * Checks in (i.e. archives) each of the given payloads that exceeds the configured claimCheckThresholdInBytes (or the
+ * given maximum size, if smaller or if no threshold is configured) to the stage-qualified version of the configured
+ * claimCheckBucketName S3 bucket (see {@linkcode getClaimCheckBucketName}) and replaces it with a claim check payload,
+ * which carries only the S3 location & the original size of the payload plus the item's summary metadata. Does nothing
+ * if no claimCheckBucketName is configured.
+ * @param {Array.<*>} items - the items (e.g. unusable records or rejected messages) to which the payloads belong
+ * @param {Array.<string|Buffer>} payloads - the payloads (i.e. JSON or compressed JSON) of the given items
+ * @param {number} maxSizeInBytes - the maximum size of payload that the target queue can accept
+ * @param {function(*): ClaimCheck} toClaimCheck - a function to generate the claim check key and summary of an item
+ * @param {StreamProcessing} context - the context to use
+ * @returns {Promise.<Array.<{item: *, index: number, payload: (string|Buffer|undefined), error: Error|undefined}>>} a promise of
+ * the outcome of each item, with either its original or claim check payload or the error that prevented its check in
+ */
+function checkInOversizedPayloads(items, payloads, maxSizeInBytes, toClaimCheck, context) {
+  const bucket = getClaimCheckBucketName(context);
+  if (!bucket) {
+    return Promise.resolve(items.map((item, i) => ({item: item, index: i, payload: payloads[i]})));
+  }
+  const threshold = getStreamProcessingSetting(context, CLAIM_CHECK_THRESHOLD_IN_BYTES_SETTING);
+  const thresholdInBytes = typeof threshold === 'number' && threshold >= 0 && threshold < maxSizeInBytes ?
+    threshold : maxSizeInBytes;
+
+  const promises = items.map((item, i) => {
+    const payload = payloads[i];
+    const size = sizeInBytes(payload);
+    if (size <= thresholdInBytes) {
+      return Promise.resolve({item: item, index: i, payload: payload});
+    }
+    return Promise.try(() => {
+      const claimCheck = toClaimCheck(item);
+      const request = {Bucket: bucket, Key: claimCheck.key, Body: payload, ContentType: 'application/json'};
+      if (Buffer.isBuffer(payload)) {
+        // A Buffer payload is compressed JSON
+        request.ContentEncoding = compression.detectCompression(payload);
+      }
+      return getS3(context).putObject(request).promise().then(() => {
+        context.info(`Checked in oversized payload (${size} bytes) to S3 (${bucket}/${claimCheck.key})`);
+        const summary = Objects.copy(claimCheck.summary, true);
+        summary.claimCheck = {bucket: bucket, key: claimCheck.key, size: size};
+        return {item: item, index: i, payload: JSON.stringify(summary)};
+      });
+    }).catch(err => {
+      context.error(`Failed to check in oversized payload (${size} bytes) to S3 bucket (${bucket}) - error (${err})`, err.stack);
+      return {item: item, index: i, error: err};
+    });
+  });
+
+  return Promise.all(promises);
+}
+
+/**
+ * Returns the stage-qualified name of the configured claim check S3 bucket (if any), i.e. the configured
+ * claimCheckBucketName suffixed with a hyphen and the context's stage (if any), which is lowercased and has any
+ * characters that are not allowed in S3 bucket names (e.g. underscores) replaced with hyphens.
+ * @param {StreamProcessing} context - the context to use
+ * @returns {string|undefined} the stage-qualified claim check bucket name (if configured); otherwise undefined
+ */
+function getClaimCheckBucketName(context) {
+  const unqualifiedBucketName = getStreamProcessingSetting(context, CLAIM_CHECK_BUCKET_NAME_SETTING);
+  if (typeof unqualifiedBucketName !== 'string' || isBlank(unqualifiedBucketName)) {
+    return undefined;
+  }
+  const stageSuffix = isNotBlank(context.stage) ?
+    trim(context.stage).toLowerCase().replace(/[^a-z0-9-]+/g, '-').replace(/^-+|-+$/g, '') : '';
+  return stageSuffix ? `${trim(unqualifiedBucketName)}-${stageSuffix}` : trim(unqualifiedBucketName);
+}
+
+function isValidS3BucketName(bucketName) {
+  return /^[a-z0-9][a-z0-9.-]{1,61}[a-z0-9]$/.test(bucketName) && bucketName.indexOf('..') === -1;
+}
+
+function toUnusableRecordClaimCheck(record, context) {
+  return {key: toClaimCheckKey('drq', record, undefined, context), summary: toUnusableRecordSummary(record)};
+}
+
+function toRejectedMessageEnvelopeClaimCheck(rejectedMessage, record, context) {
+  return {key: toClaimCheckKey('dmq', record, rejectedMessage.source.messageIndex, context), summary: toRejectedMessageEnvelopeSummary(rejectedMessage)};
+}
+
+/**
+ * Generates the S3 key under which to check in an oversized payload from the given prefix and the source stream name,
+ * shard and sequence number of the given record. DynamoDB stream event records do not expose their shard id, so their
+ * event id is used instead, SQS event records are identified by their message group ID (if any) and message ID and
+ * Firehose records, which have no shard, are identified by their delivery stream name and record ID.
+ * @param {string} prefix - the prefix to use (i.e. "drq" or "dmq")
+ * @param {Record} record - the source record
+ * @param {number|undefined} [messageIndex] - the index of the message within the source record (if more than one message
+ * was extracted from the record)
+ * @param {StreamProcessing|undefined} [context] - the context (only needed to resolve a Firehose delivery stream name)
+ * @returns {string} the S3 key
+ */
+function toClaimCheckKey(prefix, record, messageIndex, context) {
+  let streamName = undefined;
+  let shardId = undefined;
+  let sequenceNumber = undefined;
+
+  if (record && record.eventSource === 'aws:kinesis') {
+    streamName = trim(streamEvents.getKinesisEventSourceStreamName(record));
+    shardId = isNotBlank(record.eventID) ? record.eventID.split(':')[0] : undefined;
+    sequenceNumber = record.kinesis ? record.kinesis.sequenceNumber : undefined;
+    if (record.kinesis && record.kinesis.subSequenceNumber !== undefined) {
+      sequenceNumber = `${sequenceNumber}-${record.kinesis.subSequenceNumber}`;
+    }
+  } else if (record && record.eventSource === 'aws:dynamodb') {
+    streamName = trim(streamEvents.getDynamoDBEventSourceTableName(record));
+    shardId = record.eventID;
+    sequenceNumber = record.dynamodb ? record.dynamodb.SequenceNumber : undefined;
+  } else if (record && record.eventSource === 'aws:sqs') {
+    streamName = getSQSEventSourceQueueName(record);
+    shardId = record.attributes ? record.attributes.MessageGroupId : undefined;
+    sequenceNumber = record.messageId;
+  } else if (isFirehoseRecord(record)) {
+    streamName = getFirehoseDeliveryStreamName(context);
+    shardId = 'firehose';
+    sequenceNumber = record.recordId;
+  }
+  const orUnknown = value => isNotBlank(value) ? value : 'unknown';
+  const messageSuffix = messageIndex !== undefined ? `-msg${messageIndex}` : '';
+  return `${prefix}/${orUnknown(streamName)}/${orUnknown(shardId)}/${orUnknown(sequenceNumber)}${messageSuffix}.json`;
+}
+
+/**
+ * Puts the entries of the given Kinesis putRecord requests to the named Kinesis stream using as few putRecords calls as
+ * possible, without exceeding the maximum number of records or the maximum total size allowed per putRecords call, and
+ * then retries ONLY the failed entries of each call with exponential backoff (up to MAX_BATCH_ATTEMPTS attempts). Any
+ * entry that exceeds the maximum size of a single record is NOT put and is instead reported as a failed item, so that
+ * it cannot fail the putRecords call of the rest of its batch.
+ * @param {AWS.Kinesis} kinesis - the Kinesis instance to use
+ * @param {string} streamName - the name of the Kinesis stream to which to put the records
+ * @param {Array.<*>} items - the items (e.g. unusable records or rejected messages) being put, which must correspond
+ * one-to-one with the given requests
+ * @param {Object[]} requests - the Kinesis putRecord requests for the given items
+ * @param {StreamProcessing} context - the context to use
+ * @returns {Promise.<[Array.<*>, Array.<*>, Error|undefined]>} a promise of an array containing: the items that were
+ * successfully put; the items that could not be put; and the last error encountered (if any)
+ */
+function putRecordsInBatches(kinesis, streamName, items, requests, context) {
+  const entries = requests.map((request, i) => {
+    const entry = {Data: request.Data, PartitionKey: request.PartitionKey};
+    if (request.ExplicitHashKey) {
+      entry.ExplicitHashKey = request.ExplicitHashKey;
+    }
+    return {item: items[i], entry: entry};
+  });
+
+  const isOversized = e => sizeInBytes(e.entry.Data) + Buffer.byteLength(e.entry.PartitionKey) > MAX_PUT_RECORD_SIZE_IN_BYTES;
+  const oversizedEntries = entries.filter(isOversized);
+  const o = oversizedEntries.length;
+  const oversizedError = o > 0 ?
+    new Error(`Cannot put ${o} record${o !== 1 ? 's' : ''} that exceed${o === 1 ? 's' : ''} the maximum record size (${MAX_PUT_RECORD_SIZE_IN_BYTES} bytes) to Kinesis stream (${streamName})`) : undefined;
+  if (oversizedError) {
+    context.error(oversizedError.message);
+  }
+
+  const promises = toPutRecordsBatches(entries.filter(e => !isOversized(e)))
+    .map(batch => putRecordsBatch(kinesis, streamName, batch, 1, context));
+
+  return Promise.all(promises).then(outcomes => {
+    let succeeded = [];
+    let failed = oversizedEntries.map(e => e.item);
+    let lastError = oversizedError;
+    outcomes.forEach(outcome => {
+      succeeded = succeeded.concat(outcome[0]);
+      failed = failed.concat(outcome[1]);
+      if (outcome[2]) lastError = outcome[2];
+    });
+    return [succeeded, failed, lastError];
+  });
+}
+
+/**
+ * Puts the given batch of entries to the named Kinesis stream with a single putRecords call and then recursively retries
+ * ONLY the entries that failed (if any) or the entire batch (if the call itself failed with an error that is NOT flagged
+ * as non-retryable) after an exponential backoff delay until either all entries have been put or MAX_BATCH_ATTEMPTS
+ * attempts have been made.
+ * @param {AWS.Kinesis} kinesis - the Kinesis instance to use
+ * @param {string} streamName - the name of the Kinesis stream to which to put the records
+ * @param {{item: *, entry: Object}[]} batch - the batch of items and their putRecords request entries
+ * @param {number} attempt - the number of the current attempt
+ * @param {StreamProcessing} context - the context to use
+ * @returns {Promise.<[Array.<*>, Array.<*>, Error|undefined]>} a promise of an array containing: the items that were
+ * successfully put; the items that could not be put; and the last error encountered (if any)
+ */
+function putRecordsBatch(kinesis, streamName, batch, attempt, context) {
+  const request = {StreamName: streamName, Records: batch.map(e => e.entry)};
+
+  return kinesis.putRecords(request).promise().then(
+    result => {
+      const resultRecords = result && Array.isArray(result.Records) ? result.Records : [];
+      const failedEntries = result && result.FailedRecordCount > 0 ?
+        batch.filter((e, i) => resultRecords[i] && resultRecords[i].ErrorCode) : [];
+
+      const succeeded = batch.filter(e => failedEntries.indexOf(e) === -1).map(e => e.item);
+      if (failedEntries.length <= 0) {
+        return [succeeded, [], undefined];
+      }
+
+      const f = failedEntries.length;
+      const firstFailure = resultRecords.find(r => r && r.ErrorCode);
+
+      if (attempt >= MAX_BATCH_ATTEMPTS) {
+        const err = new Error(`Failed to put ${f} of ${batch.length} record${batch.length !== 1 ? 's' : ''} to Kinesis stream (${streamName}) after ${attempt} attempts - first failure (${firstFailure.ErrorCode}: ${firstFailure.ErrorMessage})`);
+        return [succeeded, failedEntries.map(e => e.item), err];
+      }
+
+      context.warn(`Retrying ${f} failed of ${batch.length} record${batch.length !== 1 ? 's' : ''} put to Kinesis stream (${streamName}) after attempt ${attempt} - first failure (${firstFailure.ErrorCode}: ${firstFailure.ErrorMessage})`);
+      return Promise.delay(calculateBackoffDelayMs(attempt))
+        .then(() => putRecordsBatch(kinesis, streamName, failedEntries, attempt + 1, context))
+        .then(outcome => [succeeded.concat(outcome[0]), outcome[1], outcome[2]]);
+    },
+    err => {
+      if (attempt >= MAX_BATCH_ATTEMPTS || err.retryable === false) {
+        context.error(`Failed to put ${batch.length} record${batch.length !== 1 ? 's' : ''} to Kinesis stream (${streamName}) after ${attempt} attempt${attempt !== 1 ? 's' : ''} - error (${err})`, err.stack);
+        return [[], batch.map(e => e.item), err];
+      }
+      context.warn(`Retrying ${batch.length} record${batch.length !== 1 ? 's' : ''} put to Kinesis stream (${streamName}) after attempt ${attempt} - error (${err})`);
+      return Promise.delay(calculateBackoffDelayMs(attempt))
+        .then(() => putRecordsBatch(kinesis, streamName, batch, attempt + 1, context));
+    }
+  );
+}
+
+/**
+ * Returns the size in bytes of the given data, which is either a Buffer or a string. Uses the length of a Buffer, since
+ * older versions of Node (e.g. 4.3.2) only support strings in `Buffer.byteLength`.
+ * @param {Buffer|string} data - the data to measure
+ * @returns {number} the size of the data in bytes
+ */
+function sizeInBytes(data) {
+  return Buffer.isBuffer(data) ? data.length : Buffer.byteLength(data);
+}
+
+/**
+ * Splits the given items and their putRecords request entries into batches that each respect the putRecords limits on
+ * the maximum number of records and the maximum total size of the records' data and partition keys.
+ * @param {{item: *, entry: Object}[]} entries - the items and their putRecords request entries
+ * @returns {Array.<{item: *, entry: Object}[]>} the batches
+ */
+function toPutRecordsBatches(entries) {
+  const batches = [];
+  let batch = [];
+  let batchSize = 0;
+  entries.forEach(e => {
+    const size = sizeInBytes(e.entry.Data) + Buffer.byteLength(e.entry.PartitionKey);
+    if (batch.length > 0 && (batch.length >= MAX_PUT_RECORDS_COUNT || batchSize + size > MAX_PUT_RECORDS_SIZE_IN_BYTES)) {
+      batches.push(batch);
+      batch = [];
+      batchSize = 0;
+    }
+    batch.push(e);
+    batchSize += size;
+  });
+  if (batch.length > 0) {
+    batches.push(batch);
+  }
+  return batches;
+}
+
+/**
+ * An alternative discardUnusableRecords function that discards all the given unusable stream event records to an SQS
+ * DRQ (i.e. Dead Record Queue), which is identified by the configured deadRecordQueueUrl (if any) or otherwise by the
+ * stage-qualified version of the configured deadRecordQueueName, using as few SQS sendMessageBatch calls as possible
+ * and retrying only the failed entries of each call. Any record that is too big to send to SQS and that could not be
+ * checked in to S3 (see {@linkcode checkInOversizedPayloads}) is NOT discarded (see {@linkcode toSendMessageEntry}).
+ * If any of the unusable records still could not be discarded, then rejects with the
+ * last error encountered, on which the discarded and undiscarded records are exposed as its discardedUnusableRecords and
+ * undiscardedUnusableRecords properties respectively.
+ * @param {Record[]} unusableRecords - the list of unusable records to discard
+ * @param {StreamProcessing} context - the context to use
+ * @return {Promise.<Record[]>} a promise of all of the discarded unusable records
+ */
+function discardUnusableRecordsToSQSDRQ(unusableRecords, context) {
+  if (!unusableRecords || unusableRecords.length <= 0) {
+    return Promise.resolve([]);
+  }
+  const sqs = getSQS(context);
+
+  const m = unusableRecords.length;
+  const plural = m !== 1 ? 's' : '';
+  let queueUrl = undefined;
+
+  return resolveQueueUrl(sqs, DEAD_RECORD_QUEUE_URL_SETTING, DEAD_RECORD_QUEUE_NAME_SETTING, context)
+    .then(url => {
+      queueUrl = url;
+      const bodies = unusableRecords.map(record => toSQSMessageBody(JSON.stringify(record), context));
+      return sendMessagesInBatchesWithClaimChecks(sqs, queueUrl, unusableRecords, bodies,
+        (record, body) => toDRQSendMessageEntryFromUnusableRecord(record, body, context),
+        record => toUnusableRecordClaimCheck(record, context), context);
+    })
+    .then(outcome => {
+      const discarded = outcome[0];
+      const undiscarded = outcome[1];
+      if (undiscarded.length > 0) {
+        const err = outcome[2];
+        err.discardedUnusableRecords = discarded;
+        err.undiscardedUnusableRecords = undiscarded;
+        throw err;
+      }
+      context.info(`Discarded ${m} unusable record${plural} to SQS DRQ (${queueUrl})`);
+      return discarded;
+    })
+    .catch(err => {
+      const d = err.discardedUnusableRecords ? err.discardedUnusableRecords.length : 0;
+      context.error(`Failed to discard ${m - d} of ${m} unusable record${plural} to SQS DRQ (${queueUrl}) - error (${err})`, err.stack);
+      throw err;
+    });
+}
+
+function toDRQSendMessageEntryFromUnusableRecord(record, body, context) {
+  const attributes = {
+    eventSource: record.eventSource,
+    eventSourceARN: record.eventSourceARN,
+    eventID: record.eventID,
+    discardedAt: new Date().toISOString()
+  };
+
+  return toSendMessageEntry(body, attributes, 'unusable record', context);
+}
+
+function toUnusableRecordSummary(record) {
+  const summary = {eventSource: record.eventSource, eventSourceARN: record.eventSourceARN, eventID: record.eventID};
+  if (record.kinesis) {
+    summary.kinesis = {partitionKey: record.kinesis.partitionKey, sequenceNumber: record.kinesis.sequenceNumber};
+    if (record.kinesis.subSequenceNumber !== undefined) {
+      summary.kinesis.subSequenceNumber = record.kinesis.subSequenceNumber;
+    }
+  } else if (record.dynamodb) {
+    summary.dynamodb = {Keys: record.dynamodb.Keys, SequenceNumber: record.dynamodb.SequenceNumber};
+  } else if (record.eventSource === 'aws:sqs') {
+    summary.messageId = record.messageId;
+    if (record.attributes && isNotBlank(record.attributes.MessageGroupId)) {
+      summary.attributes = {MessageGroupId: record.attributes.MessageGroupId, SequenceNumber: record.attributes.SequenceNumber};
+    }
+  } else if (isFirehoseRecord(record)) {
+    summary.recordId = record.recordId;
+  }
+  return summary;
+}
+
+/**
+ * An alternative discardRejectedMessages function that routes all the given rejected messages to an SQS DMQ (i.e. Dead
+ * Message Queue), which is identified by the configured deadMessageQueueUrl (if any) or otherwise by the stage-qualified
+ * version of the configured deadMessageQueueName, using as few SQS sendMessageBatch calls as possible and retrying only
+ * the failed entries of each call. Each rejected message is sent in the same rejected message "envelope" (i.e. message,
+ * source & discardedAt) as is used by {@linkcode discardRejectedMessagesToDMQ} and the envelope's source metadata is
+ * also sent as message attributes. Any message that is too big to send to SQS and that could not be checked in to S3
+ * (see {@linkcode checkInOversizedPayloads}) is NOT discarded (see {@linkcode toSendMessageEntry}). If any of the
+ * rejected messages still could not be discarded, then rejects with the
+ * last error encountered, on which the discarded and undiscarded messages are exposed as its discardedRejectedMessages
+ * and undiscardedRejectedMessages properties respectively.
+ * @param {Message[]} rejectedMessages - the list of rejected messages to discard
+ * @param {StreamProcessing} context - the context to use
+ * @return {Promise.<Message[]>} a promise of all of the discarded rejected messages
+ */
+function discardRejectedMessagesToSQSDMQ(rejectedMessages, context) {
+  if (!rejectedMessages || rejectedMessages.length <= 0) {
+    return Promise.resolve([]);
+  }
+  const sqs = getSQS(context);
+
+  const m = rejectedMessages.length;
+  const plural = m !== 1 ? 's' : '';
+  let queueUrl = undefined;
+
+  return resolveQueueUrl(sqs, DEAD_MESSAGE_QUEUE_URL_SETTING, DEAD_MESSAGE_QUEUE_NAME_SETTING, context)
+    .then(url => {
+      queueUrl = url;
+      // Wrap each message in a rejected message "envelope" with metadata
+      const rejectedMessageEnvelopes = rejectedMessages.map(message => toRejectedMessageEnvelope(message, context));
+      const bodies = rejectedMessageEnvelopes.map(rejectedMessage => toSQSMessageBody(JSON.stringify(rejectedMessage), context));
+      return sendMessagesInBatchesWithClaimChecks(sqs, queueUrl, rejectedMessageEnvelopes, bodies,
+        (rejectedMessage, body) => toDMQSendMessageEntryFromRejectedMessage(rejectedMessage, body, context),
+        rejectedMessage => toRejectedMessageEnvelopeClaimCheck(rejectedMessage, getRecord(rejectedMessage.message, context), context),
+        context);
+    })
+    .then(outcome => [
+      outcome[0].map(rejectedMessage => rejectedMessage.message),
+      outcome[1].map(rejectedMessage => rejectedMessage.message),
+      outcome[2]
+    ])
+    .then(outcome => {
+      const discarded = outcome[0];
+      const undiscarded = outcome[1];
+      if (undiscarded.length > 0) {
+        const err = outcome[2];
+        err.discardedRejectedMessages = discarded;
+        err.undiscardedRejectedMessages = undiscarded;
+        throw err;
+      }
+      context.info(`Discarded ${m} rejected message${plural} to SQS DMQ (${queueUrl})`);
+      return discarded;
+    })
+    .catch(err => {
+      const d = err.discardedRejectedMessages ? err.discardedRejectedMessages.length : 0;
+      context.error(`Failed to discard ${m - d} of ${m} rejected message${plural} to SQS DMQ (${queueUrl}) - error (${err})`, err.stack);
+      throw err;
+    });
+}
+
+function toDMQSendMessageEntryFromRejectedMessage(rejectedMessage, body, context) {
+  const attributes = {
+    sourceStreamName: rejectedMessage.source.streamName,
+    sourcePartitionKeyOrKeys: rejectedMessage.source.partitionKeyOrKeys,
+    sourceSequenceNumber: rejectedMessage.source.sequenceNumber,
+    discardedAt: rejectedMessage.discardedAt
+  };
+
+  return toSendMessageEntry(body, attributes, 'rejected message', context);
+}
+
+function toRejectedMessageEnvelopeSummary(rejectedMessage) {
+  return {source: rejectedMessage.source, discardedAt: rejectedMessage.discardedAt};
+}
+
+/**
+ * Creates an SQS sendMessageBatch entry (without an Id) from the given message body and attributes. If the resulting
+ * message would exceed the maximum SQS message size, then logs its size (but not its body) at error level and instead
+ * returns the entry with an error, since the entry must NOT be sent (and hence must NOT be reported as discarded). Such
+ * an item can only be discarded by configuring a claimCheckBucketName, which checks in its body to S3 beforehand.
+ * @param {string} body - the message body
+ * @param {Object.<string, string|undefined>} attributes - the message attributes to send as String attributes (blank
+ * attribute values are skipped)
+ * @param {string} description - a description of the item being sent for logging purposes
+ * @param {StreamProcessing} context - the context to use
+ * @returns {{entry: Object, size: number, error: (Error|undefined)}} the sendMessageBatch entry, its size in bytes and
+ * an error if it is too big to send
+ */
+function toSendMessageEntry(body, attributes, description, context) {
+  const messageAttributes = toMessageAttributes(attributes);
+  const size = Buffer.byteLength(body) + calculateMessageAttributesSize(messageAttributes);
+  const entry = {entry: {MessageBody: body, MessageAttributes: messageAttributes}, size: size};
+
+  if (size > MAX_SQS_MESSAGE_SIZE_IN_BYTES) {
+    const errMsg = `Cannot send oversized ${description} (${size} bytes), which exceeds the maximum SQS message size (${MAX_SQS_MESSAGE_SIZE_IN_BYTES} bytes), without first checking it in to S3 - configure a claimCheckBucketName to discard it`;
+    context.error(errMsg);
+    entry.error = new Error(errMsg);
+  }
+  return entry;
+}
+
+function toMessageAttributes(attributes) {
+  const messageAttributes = {};
+  Object.getOwnPropertyNames(attributes).forEach(name => {
+    const value = attributes[name];
+    if (value !== undefined && value !== null && isNotBlank(`${value}`)) {
+      messageAttributes[name] = {DataType: 'String', StringValue: `${value}`};
+    }
+  });
+  return messageAttributes;
+}
+
+function calculateMessageAttributesSize(messageAttributes) {
+  return Object.getOwnPropertyNames(messageAttributes).reduce((size, name) => {
+    const attribute = messageAttributes[name];
+    return size + Buffer.byteLength(name) + Buffer.byteLength(attribute.DataType) + Buffer.byteLength(attribute.StringValue);
+  }, 0);
+}
+
+/**
+ * Resolves the URL of an SQS queue from the named queue URL setting (if configured) or otherwise by looking up the URL
+ * of the stage-qualified version of the queue name configured at the named queue name setting.
+ * @param {AWS.SQS} sqs - the SQS instance to use
+ * @param {string} queueUrlSettingName - the name of the queue URL setting
+ * @param {string} queueNameSettingName - the name of the queue name setting
+ * @param {StreamProcessing} context - the context to use
+ * @returns {Promise.<string>} a promise of the queue URL
+ */
+function resolveQueueUrl(sqs, queueUrlSettingName, queueNameSettingName, context) {
+  const queueUrl = getStreamProcessingSetting(context, queueUrlSettingName);
+  if (isNotBlank(queueUrl)) {
+    return Promise.resolve(trim(queueUrl));
+  }
+  const unqualifiedQueueName = getStreamProcessingSetting(context, queueNameSettingName);
+  return Promise.try(() => stages.toStageQualifiedResourceName(unqualifiedQueueName, context.stage, context))
+    .then(queueName => sqs.getQueueUrl({QueueName: queueName}).promise())
+    .then(result => result.QueueUrl);
+}
+
+/**
+ * Sends the given SQS sendMessageBatch entries to the given SQS queue using as few sendMessageBatch calls as possible,
+ * without exceeding the maximum number of entries or the maximum total size allowed per call, and then retries ONLY
+ * the failed entries that were not caused by the sender with exponential backoff (up to MAX_BATCH_ATTEMPTS attempts).
+ * @param {AWS.SQS} sqs - the SQS instance to use
+ * @param {string} queueUrl - the URL of the SQS queue to which to send the messages
+ * @param {Array.<*>} items - the items (e.g. unusable records or rejected messages) being sent, which must correspond
+ * one-to-one with the given entries
+ * @param {{entry: Object, size: number}[]} entries - the sendMessageBatch entries and their sizes for the given items
+ * @param {StreamProcessing} context - the context to use
+ * @returns {Promise.<[Array.<*>, Array.<*>, Error|undefined]>} a promise of an array containing: the items that were
+ * successfully sent; the items that could not be sent; and the last error encountered (if any)
+ */
+function sendMessagesInBatches(sqs, queueUrl, items, entries, context) {
+  const itemEntries = entries.map((e, i) => ({item: items[i], entry: e.entry, size: e.size}));
+
+  const promises = toSendMessageBatches(itemEntries).map(batch => sendMessageBatch(sqs, queueUrl, batch, 1, context));
+
+  return Promise.all(promises).then(outcomes => {
+    let succeeded = [];
+    let failed = [];
+    let lastError = undefined;
+    outcomes.forEach(outcome => {
+      succeeded = succeeded.concat(outcome[0]);
+      failed = failed.concat(outcome[1]);
+      if (outcome[2]) lastError = outcome[2];
+    });
+    return [succeeded, failed, lastError];
+  });
+}
+
+function sendMessageBatch(sqs, queueUrl, batch, attempt, context) {
+  const request = {
+    QueueUrl: queueUrl,
+    Entries: batch.map((e, i) => Objects.merge(e.entry, {Id: `${i}`}, false, false))
+  };
+
+  return sqs.sendMessageBatch(request).promise().then(
+    result => {
+      const failures = result && Array.isArray(result.Failed) ? result.Failed : [];
+      if (failures.length <= 0) {
+        return [batch.map(e => e.item), [], undefined];
+      }
+      const failedIds = failures.map(f => f.Id);
+      const succeeded = batch.filter((e, i) => failedIds.indexOf(`${i}`) === -1).map(e => e.item);
+
+      // Sender faults will not succeed on retry, so only retry the other failures
+      const senderFaultIds = failures.filter(f => f.SenderFault).map(f => f.Id);
+      const retryable = batch.filter((e, i) => failedIds.indexOf(`${i}`) !== -1 && senderFaultIds.indexOf(`${i}`) === -1);
+      const unretryable = batch.filter((e, i) => senderFaultIds.indexOf(`${i}`) !== -1).map(e => e.item);
+
+      const firstFailure = failures[0];
+      const failureDesc = `first failure (${firstFailure.Code}: ${firstFailure.Message})`;
+
+      if (retryable.length <= 0 || attempt >= MAX_BATCH_ATTEMPTS) {
+        const err = new Error(`Failed to send ${failures.length} of ${batch.length} message${batch.length !== 1 ? 's' : ''} to SQS queue (${queueUrl}) after ${attempt} attempt${attempt !== 1 ? 's' : ''} - ${failureDesc}`);
+        return [succeeded, unretryable.concat(retryable.map(e => e.item)), err];
+      }
+
+      context.warn(`Retrying ${retryable.length} failed of ${batch.length} message${batch.length !== 1 ? 's' : ''} sent to SQS queue (${queueUrl}) after attempt ${attempt} - ${failureDesc}`);
+      return Promise.delay(calculateBackoffDelayMs(attempt))
+        .then(() => sendMessageBatch(sqs, queueUrl, retryable, attempt + 1, context))
+        .then(outcome => {
+          const err = unretryable.length > 0 && !outcome[2] ?
+            new Error(`Failed to send ${unretryable.length} message${unretryable.length !== 1 ? 's' : ''} to SQS queue (${queueUrl}) - ${failureDesc}`) : outcome[2];
+          return [succeeded.concat(outcome[0]), unretryable.concat(outcome[1]), err];
+        });
+    },
+    err => {
+      context.error(`Failed to send ${batch.length} message${batch.length !== 1 ? 's' : ''} to SQS queue (${queueUrl}) on attempt ${attempt} - error (${err})`, err.stack);
+      return [[], batch.map(e => e.item), err];
+    }
+  );
+}
+
+/**
+ * Splits the given items and their sendMessageBatch entries into batches that each respect the sendMessageBatch limits
+ * on the maximum number of entries and the maximum total size of the entries.
+ * @param {{item: *, entry: Object, size: number}[]} itemEntries - the items and their sendMessageBatch entries
+ * @returns {Array.<{item: *, entry: Object, size: number}[]>} the batches
+ */
+function toSendMessageBatches(itemEntries) {
+  const batches = [];
+  let batch = [];
+  let batchSize = 0;
+  itemEntries.forEach(e => {
+    if (batch.length > 0 && (batch.length >= MAX_SEND_MESSAGE_BATCH_COUNT || batchSize + e.size > MAX_SQS_MESSAGE_SIZE_IN_BYTES)) {
+      batches.push(batch);
+      batch = [];
+      batchSize = 0;
+    }
+    batch.push(e);
+    batchSize += e.size;
+  });
+  if (batch.length > 0) {
+    batches.push(batch);
+  }
+  return batches;
+}
+
+/**
+ * Returns the loadTaskTrackingState function configured on the given context (if any and if it's a real function);
+ * otherwise returns undefined.
+ * @param {StreamProcessing} context - the context from which to fetch the function
+ * @returns {Function|undefined} the loadTaskTrackingState function (if it's a function); otherwise undefined
+ */
+function getLoadTaskTrackingStateFunction(context) {
+  return getStreamProcessingFunction(context, LOAD_TASK_TRACKING_STATE_SETTING);
+}
+
+/**
+ * Returns the saveTaskTrackingState function configured on the given context (if any and if it's a real function);
+ * otherwise returns undefined.
+ * @param {StreamProcessing} context - the context from which to fetch the function
  * @returns {Function|undefined} the saveTaskTrackingState function (if it's a function); otherwise undefined
  */
-function getSaveTaskTrackingStateFunction(context) {
-  return getStreamProcessingFunction(context, SAVE_TASK_TRACKING_STATE_SETTING);
-}
+function getSaveTaskTrackingStateFunction(context) {
+  return getStreamProcessingFunction(context, SAVE_TASK_TRACKING_STATE_SETTING);
+}
+
+/**
+ * Returns the handleIncompleteMessages function configured on the given context (if any and if it's a real function);
+ * otherwise returns undefined.
+ * @param {StreamProcessing} context - the context from which to fetch the function
+ * @returns {Function|undefined} the handleIncompleteMessages function (if it's a function); otherwise undefined
+ */
+function getHandleIncompleteMessagesFunction(context) {
+  return getStreamProcessingFunction(context, HANDLE_INCOMPLETE_MESSAGES_SETTING);
+}
+
+/**
+ * A default handleIncompleteMessages function that attempts to resubmit all of the given incomplete messages back to
+ * their source Kinesis stream (or to the configured retry stream, if any).
+ * @param {Message[]} messages - the entire batch of messages
+ * @param {Message[]} incompleteMessages - the incomplete messages to be resubmitted
+ * @param {StreamProcessing} context - the context
+ * @returns {Promise} a promise that will complete when all of the resubmit incomplete message promises have completed
+ */
+function resubmitIncompleteMessagesToKinesis(messages, incompleteMessages, context) {
+  const m = messages.length;
+  const ms = `${m} message${m !== 1 ? 's' : ''}`;
+  const i = incompleteMessages ? incompleteMessages.length : 0;
+  const is = `${i} incomplete message${i !== 1 ? 's' : ''}`;
+  const isOfMs = `${is} of ${ms}`;
+
+  if (i <= 0) {
+    return Promise.resolve([]);
+  }
+  const kinesis = getKinesis(context);
+
+  context.debug(`Resubmitting ${isOfMs} back to Kinesis`);
+
+  function resubmitMessage(message) {
+    try {
+      // Generate a Kinesis putRecord request for the message
+      const request = toResubmitPutRequestFromIncompleteMessage(message, context);
+
+      // Resubmit message to kinesis
+      return kinesis.putRecord(request).promise();
+    } catch (err) {
+      return Promise.reject(err);
+    }
+  }
+
+  // Resubmit all of the incomplete messages
+  const promises = incompleteMessages.map(message => resubmitMessage(message));
+
+  return Promise.all(promises)
+    .then(results => {
+      context.info(`Resubmitted ${isOfMs} back to Kinesis`);
+      return results;
+    })
+    .catch(err => {
+      context.error(`Failed to resubmit ${isOfMs} back to Kinesis - error (${err})`, err.stack);
+      throw err;
+    });
+}
+
+/**
+ * Generates a Kinesis putRecord request with which to resubmit the given incomplete message back to its source Kinesis
+ * stream or, if a retryStreamName is configured, to the stage-qualified retry stream instead. A message resubmitted to
+ * the retry stream carries the name of its original source stream as a sourceStreamName marker on its task tracking (see
+ * {@linkcode getSourceStreamName}).
+ * @param {Message} message - the incomplete message to be resubmitted
+ * @param {StreamProcessing} context - the context
+ * @returns {Object} a Kinesis putRecord request
+ * @throws {Error} an error if the source stream name cannot be resolved from the message's record
+ */
+function toResubmitPutRequestFromIncompleteMessage(message, context) {
+  const record = getRecord(message, context);
+
+  // Get the name of the source stream, from which this Kinesis record was received (which should already be stage-qualified)
+  const sourceStreamName = trim(streamEvents.getKinesisEventSourceStreamName(record));
+
+  const sourcePartitionKey = record.kinesis.partitionKey;
+  const sourceExplicitHashKey = record.kinesis.explicitHashKey;
+  const sourceSequenceNumber = record.kinesis.sequenceNumber;
+
+  if (isBlank(sourceStreamName)) {
+    const errMsg = `FATAL - Cannot resubmit message back to Kinesis, since failed to resolve the source stream name from eventSourceARN (${record.eventSourceARN}) of record with partition key (${sourcePartitionKey})${isNotBlank(sourceExplicitHashKey) ? `, explicit hash key (${sourceExplicitHashKey})` : ''} & sequence number (${sourceSequenceNumber})`;
+    context.error(errMsg);
+    throw new Error(errMsg);
+  }
+
+  const retryStreamName = getRetryStreamName(context);
+
+  const request = {
+    StreamName: retryStreamName ? retryStreamName : sourceStreamName,
+    PartitionKey: sourcePartitionKey,
+    SequenceNumberForOrdering: sourceSequenceNumber,
+    Data: toKinesisData(retryStreamName ? toJsonWithSourceStreamName(message, sourceStreamName, context) :
+      JSON.stringify(message), context)
+  };
+  if (isNotBlank(sourceExplicitHashKey)) {
+    request.ExplicitHashKey = sourceExplicitHashKey;
+  }
+  return request;
+}
+
+/**
+ * Returns the stage-qualified name of the configured retry stream (if any).
+ * @param {StreamProcessing} context - the context to use
+ * @returns {string|undefined} the stage-qualified retry stream name (if configured); otherwise undefined
+ */
+function getRetryStreamName(context) {
+  const unqualifiedRetryStreamName = context.streamProcessing[RETRY_STREAM_NAME_SETTING];
+  return isNotBlank(unqualifiedRetryStreamName) ?
+    stages.toStageQualifiedStreamName(trim(unqualifiedRetryStreamName), context.stage, context) : undefined;
+}
+
+/**
+ * Converts the given message into JSON with a sourceStreamName marker on its task tracking, which records the given
+ * source stream name, unless the message already carries a marker from an earlier resubmission. The message itself is
+ * NOT modified.
+ * @param {Message} message - the message to convert
+ * @param {string} sourceStreamName - the name of the stream from which the message's record was received
+ * @param {StreamProcessing} context - the context
+ * @returns {string} the message's JSON
+ */
+function toJsonWithSourceStreamName(message, sourceStreamName, context) {
+  const taskTrackingName = context.streamProcessing.taskTrackingName;
+  const taskTracking = message[taskTrackingName];
+  const marker = taskTracking && isNotBlank(taskTracking.sourceStreamName) ? taskTracking.sourceStreamName : sourceStreamName;
+  return JSON.stringify(message, function (key, value) {
+    return this === message && key === taskTrackingName ? Object.assign({}, value, {sourceStreamName: marker}) : value;
+  });
+}
+
+/**
+ * Returns the name of the original source stream of the given message, i.e. the sourceStreamName marker carried by a
+ * message that was resubmitted to a retry stream (if any); otherwise the name of the Kinesis stream (or DynamoDB table,
+ * SQS queue or Firehose delivery stream) from which the message's record was received. This name is used as the source
+ * stream name of the message's DMQ envelope (and hence by redrive), its task tracking key and its default message ID.
+ * @param {Message} message - the message
+ * @param {StreamProcessing} context - the context
+ * @returns {string|undefined} the original source stream name (if resolvable); otherwise undefined
+ */
+function getSourceStreamName(message, context) {
+  const sourceStreamNameMarker = getSourceStreamNameMarker(message, context);
+  return sourceStreamNameMarker ? sourceStreamNameMarker : toEventSourceStreamName(getRecord(message, context), context);
+}
+
+function getSourceStreamNameMarker(message, context) {
+  const taskTracking = message ? message[context.streamProcessing.taskTrackingName] : undefined;
+  return taskTracking && isNotBlank(taskTracking.sourceStreamName) ? taskTracking.sourceStreamName : undefined;
+}
+
+/**
+ * Returns the name of the Kinesis stream, DynamoDB table, SQS queue or Firehose delivery stream from which the given
+ * record was received.
+ * @param {Record|undefined} record - the Kinesis, DynamoDB stream, SQS event or Firehose record
+ * @param {StreamProcessing} context - the context
+ * @returns {string|undefined} the source stream (or table or queue) name (if resolvable); otherwise undefined
+ */
+function toEventSourceStreamName(record, context) {
+  return record && record.kinesis ? streamEvents.getKinesisEventSourceStreamName(record) :
+    record && record.dynamodb ? streamEvents.getDynamoDBEventSourceTableName(record) :
+      record && record.eventSource === 'aws:sqs' ? getSQSEventSourceQueueName(record) :
+        isFirehoseRecord(record) ? getFirehoseDeliveryStreamName(context) : undefined;
+}
+
+/**
+ * An alternative handleIncompleteMessages function that attempts to resubmit all of the given incomplete messages back
+ * to their source Kinesis stream (or to the configured retry stream, if any) using Kinesis putRecords calls, while preserving the order of the messages per
+ * partition key. The incomplete messages are first grouped by source stream and partition key and each group is sorted
+ * by source sequence number. The groups are then resubmitted in rounds, where each round sends the next message of every
+ * group in as few putRecords calls as possible and retries ONLY the failed entries with backoff. If a message still
+ * cannot be resubmitted, then none of the later messages in its group are sent, so that their order is preserved.
+ *
+ * Resolves with a resubmission outcome for every incomplete message (in the order in which they were resubmitted), even
+ * if some of them could not be resubmitted, so that the stream consumer only treats the genuinely unsent messages (i.e.
+ * those with a resubmitted of false and the error that prevented their resubmission) as unhandled. Only rejects if the
+ * incomplete messages could not be resubmitted at all (e.g. if the source stream name of a message cannot be resolved).
+ *
+ * @param {Message[]} messages - the entire batch of messages
+ * @param {Message[]} incompleteMessages - the incomplete messages to be resubmitted
+ * @param {StreamProcessing} context - the context
+ * @returns {Promise.<ResubmissionOutcome[]>} a promise of the per-message resubmission outcomes
+ */
+function resubmitIncompleteMessagesToKinesisByPartitionKey(messages, incompleteMessages, context) {
+  const m = messages.length;
+  const ms = `${m} message${m !== 1 ? 's' : ''}`;
+  const i = incompleteMessages ? incompleteMessages.length : 0;
+  const is = `${i} incomplete message${i !== 1 ? 's' : ''}`;
+  const isOfMs = `${is} of ${ms}`;
+
+  if (i <= 0) {
+    return Promise.resolve([]);
+  }
+  const kinesis = getKinesis(context);
+
+  context.debug(`Resubmitting ${isOfMs} back to Kinesis grouped by partition key`);
+
+  return Promise.try(() => groupIncompleteMessagesByStreamAndPartitionKey(incompleteMessages, context))
+    .then(groupsByStreamName => {
+      const promises = [];
+      groupsByStreamName.forEach((groups, streamName) => {
+        promises.push(resubmitMessageGroupsInRounds(kinesis, streamName, groups, [], context));
+      });
+      return Promise.all(promises);
+    })
+    .then(outcomesByStream => {
+      const outcomes = outcomesByStream.reduce((acc, outcomes) => acc.concat(outcomes), []);
+      const unsent = outcomes.filter(o => !o.resubmitted);
+
+      if (unsent.length > 0) {
+        const lastError = unsent.map(o => o.error).filter(e => !!e).pop();
+        context.error(`Failed to resubmit ${unsent.length} of ${isOfMs} back to Kinesis grouped by partition key - error (${lastError})`);
+      } else {
+        context.info(`Resubmitted ${isOfMs} back to Kinesis grouped by partition key`);
+      }
+      return outcomes;
+    })
+    .catch(err => {
+      context.error(`Failed to resubmit ${isOfMs} back to Kinesis - error (${err})`, err.stack);
+      throw err;
+    });
+}
+
+/**
+ * Groups the given incomplete messages by source stream name and then by partition key, with each group of messages and
+ * their putRecord requests sorted by source sequence number.
+ * @param {Message[]} incompleteMessages - the incomplete messages to be grouped
+ * @param {StreamProcessing} context - the context
+ * @returns {Map.<string, {message: Message, request: Object}[][]>} the groups of messages and requests by stream name
+ */
+function groupIncompleteMessagesByStreamAndPartitionKey(incompleteMessages, context) {
+  const groupsByKey = new Map();
+  const groupsByStreamName = new Map();
+
+  incompleteMessages.forEach(message => {
+    const request = toResubmitPutRequestFromIncompleteMessage(message, context);
+    const key = `${request.StreamName}|${request.PartitionKey}`;
+    let group = groupsByKey.get(key);
+    if (!group) {
+      group = [];
+      groupsByKey.set(key, group);
+      if (!groupsByStreamName.has(request.StreamName)) {
+        groupsByStreamName.set(request.StreamName, []);
+      }
+      groupsByStreamName.get(request.StreamName).push(group);
+    }
+    group.push({message: message, request: request});
+  });
+
+  // Sort each group by source sequence number (which can exceed the safe integer range, so compare as numeric strings)
+  // and then by index within the source record (for multiple messages extracted from the same record)
+  groupsByKey.forEach(group => group.sort((a, b) => compareSequenceNumbers(a.request.SequenceNumberForOrdering,
+    b.request.SequenceNumberForOrdering) ||
+    (getMessageIndex(a.message, context) || 0) - (getMessageIndex(b.message, context) || 0)));
+
+  return groupsByStreamName;
+}
+
+function compareSequenceNumbers(a, b) {
+  const s1 = a ? `${a}` : '';
+  const s2 = b ? `${b}` : '';
+  return s1.length !== s2.length ? s1.length - s2.length : s1 < s2 ? -1 : s1 > s2 ? 1 : 0;
+}
+
+/**
+ * Recursively resubmits the given groups of messages to the named Kinesis stream in rounds, where each round puts the
+ * first remaining message of every group and only moves on to the next message of a group if its previous message was
+ * successfully put. Once a group's message cannot be put, all of that group's remaining messages are marked as unsent.
+ * @param {AWS.Kinesis} kinesis - the Kinesis instance to use
+ * @param {string} streamName - the name of the Kinesis stream to which to resubmit the messages
+ * @param {{message: Message, request: Object}[][]} groups - the remaining groups of messages and requests
+ * @param {ResubmissionOutcome[]} outcomes - the outcomes so far
+ * @param {StreamProcessing} context - the context
+ * @returns {Promise.<ResubmissionOutcome[]>} a promise of the outcomes
+ */
+function resubmitMessageGroupsInRounds(kinesis, streamName, groups, outcomes, context) {
+  if (groups.length <= 0) {
+    return Promise.resolve(outcomes);
+  }
+  const heads = groups.map(group => group[0]);
+  const requests = heads.map(head => head.request);
+
+  return putRecordsInBatches(kinesis, streamName, heads, requests, context).then(outcome => {
+    const sent = outcome[0];
+    const lastError = outcome[2];
+
+    const remainingGroups = [];
+    groups.forEach(group => {
+      const head = group[0];
+      if (sent.indexOf(head) !== -1) {
+        outcomes.push({message: head.message, resubmitted: true, error: undefined});
+        if (group.length > 1) {
+          remainingGroups.push(group.slice(1));
+        }
+      } else {
+        // Hold back all of the group's later messages to preserve their order
+        group.forEach(e => outcomes.push({message: e.message, resubmitted: false, error: lastError}));
+      }
+    });
+    return resubmitMessageGroupsInRounds(kinesis, streamName, remainingGroups, outcomes, context);
+  });
+}
+
+/**
+ * A default handleIncompleteMessages function that simply returns a rejected Promise if there are any incomplete
+ * messages to trigger a replay of all of the messages in the batch, which is unfortunately the only way to replay
+ * incomplete DynamoDB stream event records, because they do not appear to have a putRecord function that would enable
+ * resubmission and because sequence is critical for DynamoDB stream events.
+ * @param {Message[]} messages - the entire batch of messages
+ * @param {Message[]} incompleteMessages - the incomplete messages
+ * @param {StreamProcessing} context - the context
+ * @returns {Promise} a promise that will either reject (if there are any incomplete messages) or resolve successfully (if not)
+ */
+function replayAllMessagesIfIncomplete(messages, incompleteMessages, context) {
+  const m = messages.length;
+  const ms = `${m} message${m !== 1 ? 's' : ''}`;
+  const i = incompleteMessages ? incompleteMessages.length : 0;
+  const is = `${i} incomplete message${i !== 1 ? 's' : ''}`;
+  const isOfMs = `${is} of ${ms}`;
 
-/**
- * Returns the handleIncompleteMessages function configured on the given context (if any and if it's a real function);
- * otherwise returns undefined.
- * @param {StreamProcessing} context - the context from which to fetch the function
- * @returns {Function|undefined} the handleIncompleteMessages function (if it's a function); otherwise undefined
- */
-function getHandleIncompleteMessagesFunction(context) {
-  return getStreamProcessingFunction(context, HANDLE_INCOMPLETE_MESSAGES_SETTING);
+  if (!incompleteMessages || i <= 0) {
+    context.info(`No need to trigger replay of entire batch of messages, since have ${isOfMs}`);
+    return Promise.resolve([]);
+  }
+
+  const msg = `Triggering replay of entire batch of messages, since still have ${isOfMs}`;
+  context.info(msg);
+  return Promise.reject(new Error(msg));
 }
 
 /**
- * A default handleIncompleteMessages function that attempts to resubmit all of the given incomplete messages back to
- * their source Kinesis stream.
+ * A default Firehose handleIncompleteMessages function that neither resubmits incomplete messages nor triggers a retry
+ * of the entire batch, but instead only logs the number of Firehose records with an incomplete message, which the
+ * stream consumer's generated handler function reports with a ProcessingFailed transformation result in its Firehose
+ * response (see the stream consumer's toFirehoseTransformationResponse function), so that Firehose delivers these
+ * records to its processing failure (i.e. error output) destination.
  * @param {Message[]} messages - the entire batch of messages
- * @param {Message[]} incompleteMessages - the incomplete messages to be resubmitted
+ * @param {Message[]} incompleteMessages - the incomplete messages
  * @param {StreamProcessing} context - the context
- * @returns {Promise} a promise that will complete when all of the resubmit incomplete message promises have completed
+ * @returns {Promise.<Array>} a promise of an empty array
  */
-function resubmitIncompleteMessagesToKinesis(messages, incompleteMessages, context) {
+function reportIncompleteFirehoseRecordsAsProcessingFailed(messages, incompleteMessages, context) {
   const m = messages.length;
   const ms = `${m} message${m !== 1 ? 's' : ''}`;
   const i = incompleteMessages ? incompleteMessages.length : 0;
   const is = `${i} incomplete message${i !== 1 ? 's' : ''}`;
   const isOfMs = `${is} of ${ms}`;
 
-  if (i <= 0) {
+  if (!incompleteMessages || i <= 0) {
     return Promise.resolve([]);
   }
-  const kinesis = getKinesis(context);
-
-  context.debug(`Resubmitting ${isOfMs} back to Kinesis`);
 
-  function resubmitMessage(message) {
+  const recordIds = [];
+  incompleteMessages.forEach(message => {
     const record = getRecord(message, context);
+    if (record && recordIds.indexOf(record.recordId) === -1) {
+      recordIds.push(record.recordId);
+    }
+  });
+  const r = recordIds.length;
+  context.warn(`Reporting ${r} Firehose record${r !== 1 ? 's' : ''} as ${FIREHOSE_PROCESSING_FAILED_RESULT}, since still have ${isOfMs}`);
+  return Promise.resolve([]);
+}
 
-    // Get the name of the source stream, from which this Kinesis record was received (which should already be stage-qualified)
-    const sourceStreamName = trim(streamEvents.getKinesisEventSourceStreamName(record));
+/**
+ * An alternative Kinesis, DynamoDB or SQS handleIncompleteMessages function (selected by the reportBatchItemFailures
+ * setting) that neither resubmits incomplete messages nor triggers a replay of the entire batch, but instead resolves with the
+ * batch item failures from which Lambda must resume (see {@linkcode toBatchItemFailures}), which the stream consumer's
+ * generated handler function returns as its partial batch response. The task tracking state saved for the batch's
+ * messages then lets any of them that are delivered again only re-run their unfinished tasks.
+ * @param {Message[]} messages - the entire batch of messages
+ * @param {Message[]} incompleteMessages - the incomplete messages
+ * @param {StreamProcessing} context - the context
+ * @returns {Promise.<{itemIdentifier: string}[]>} a promise of the batch item failures (if any incomplete messages);
+ * otherwise of an empty array
+ */
+function reportBatchItemFailuresIfIncomplete(messages, incompleteMessages, context) {
+  const m = messages.length;
+  const ms = `${m} message${m !== 1 ? 's' : ''}`;
+  const i = incompleteMessages ? incompleteMessages.length : 0;
+  const is = `${i} incomplete message${i !== 1 ? 's' : ''}`;
+  const isOfMs = `${is} of ${ms}`;
 
-    const sourcePartitionKey = record.kinesis.partitionKey;
-    const sourceExplicitHashKey = record.kinesis.explicitHashKey;
-    const sourceSequenceNumber = record.kinesis.sequenceNumber;
+  return Promise.try(() => toBatchItemFailures(incompleteMessages, context))
+    .then(batchItemFailures => {
+      if (batchItemFailures.length > 0) {
+        context.info(`Reporting batch item failures (${stringify(batchItemFailures)}) to resume from, since still have ${isOfMs}`);
+      }
+      return batchItemFailures;
+    });
+}
 
-    if (isBlank(sourceStreamName)) {
-      const errMsg = `FATAL - Cannot resubmit message back to Kinesis, since failed to resolve the source stream name from eventSourceARN (${record.eventSourceARN}) of record with partition key (${sourcePartitionKey})${isNotBlank(sourceExplicitHashKey) ? `, explicit hash key (${sourceExplicitHashKey})` : ''} & sequence number (${sourceSequenceNumber})`;
+/**
+ * Converts the given incomplete messages into the batchItemFailures of a Lambda partial batch response, which consist of
+ * the sequence number of the earliest Kinesis or DynamoDB stream event record with an incomplete message in each shard
+ * (if any), since Lambda resumes each shard from its earliest reported sequence number, and of the message ID of every
+ * SQS event record with an incomplete message (if any), since Lambda only leaves the reported SQS messages on the queue.
+ * @param {Message[]|undefined} incompleteMessages - the incomplete messages (if any)
+ * @param {StreamProcessing} context - the context
+ * @returns {{itemIdentifier: string}[]} the batch item failures (if any incomplete messages); otherwise an empty array
+ * @throws {Error} an error if the sequence number (or SQS message ID) of an incomplete message's record cannot be resolved
+ */
+function toBatchItemFailures(incompleteMessages, context) {
+  if (!incompleteMessages || incompleteMessages.length <= 0) {
+    return [];
+  }
+  const earliestItemIdentifiersByShard = new Map();
+  incompleteMessages.forEach(message => {
+    const record = getRecord(message, context);
+    const sqsRecord = !!record && record.eventSource === 'aws:sqs';
+    const itemIdentifier = sqsRecord ? record.messageId : getRecordSequenceNumber(record);
+    if (isBlank(itemIdentifier)) {
+      const errMsg = `Cannot report a batch item failure for an incomplete message (${stringify(message)}) without a resolvable record sequence number or SQS message ID`;
       context.error(errMsg);
-      return Promise.reject(new Error(errMsg));
+      throw new Error(errMsg);
     }
-
-    // Generate a Kinesis putRecord request for the message
-    const request = {
-      StreamName: sourceStreamName,
-      PartitionKey: sourcePartitionKey,
-      SequenceNumberForOrdering: sourceSequenceNumber,
-      Data: JSON.stringify(message)
-    };
-    if (isNotBlank(sourceExplicitHashKey)) {
-      request.ExplicitHashKey = sourceExplicitHashKey;
+    // Report every SQS record on its own, but only the earliest Kinesis or DynamoDB stream record of each shard
+    const shardKey = sqsRecord ? `${record.eventSourceARN}|${itemIdentifier}` : toRecordShardKey(record);
+    const earliestItemIdentifier = earliestItemIdentifiersByShard.get(shardKey);
+    if (earliestItemIdentifier === undefined || compareSequenceNumbers(itemIdentifier, earliestItemIdentifier) < 0) {
+      earliestItemIdentifiersByShard.set(shardKey, itemIdentifier);
     }
+  });
+  const batchItemFailures = [];
+  earliestItemIdentifiersByShard.forEach(itemIdentifier => batchItemFailures.push({itemIdentifier: itemIdentifier}));
+  return batchItemFailures;
+}
 
-    // Resubmit message to kinesis
-    return kinesis.putRecord(request).promise();
+/**
+ * Resolves the key of the shard from which the given record was received, i.e. its event source ARN combined with the
+ * shard ID prefix of its eventID (for a Kinesis record) or just its event source ARN (for a DynamoDB stream record,
+ * since Lambda delivers each DynamoDB stream batch from a single shard).
+ * @param {Record} record - the Kinesis or DynamoDB stream event record
+ * @returns {string} the record's shard key
+ */
+function toRecordShardKey(record) {
+  const eventSourceARN = record.eventSourceARN ? record.eventSourceARN : '';
+  if (record.kinesis && isNotBlank(record.eventID)) {
+    const separatorIndex = record.eventID.indexOf(':');
+    return `${eventSourceARN}|${separatorIndex !== -1 ? record.eventID.substring(0, separatorIndex) : record.eventID}`;
   }
-
-  // Resubmit all of the incomplete messages
-  const promises = incompleteMessages.map(message => resubmitMessage(message));
-
-  return Promise.all(promises)
-    .then(results => {
-      context.info(`Resubmitted ${isOfMs} back to Kinesis`);
-      return results;
-    })
-    .catch(err => {
-      context.error(`Failed to resubmit ${isOfMs} back to Kinesis - error (${err})`, err.stack);
-      throw err;
-    });
+  return eventSourceARN;
 }
 
 /**
- * A default handleIncompleteMessages function that simply returns a rejected Promise if there are any incomplete
- * messages to trigger a replay of all of the messages in the batch, which is unfortunately the only way to replay
- * incomplete DynamoDB stream event records, because they do not appear to have a putRecord function that would enable
- * resubmission and because sequence is critical for DynamoDB stream events.
+ * A default SQS handleIncompleteMessages function that changes the visibility timeout of the SQS messages of all of the
+ * given incomplete messages' records to the configured visibilityTimeoutInSeconds (so that they will only be redelivered
+ * once it expires), deletes the SQS messages of all of the batch's other (i.e. completed) records from their queue (so
+ * that they will NOT be redelivered) and then returns a rejected promise to fail the batch, since Lambda would otherwise
+ * delete every SQS message in the batch, including the incomplete ones. Any failure to change the visibility of or to
+ * delete SQS messages is logged, but merely means that the affected messages will be redelivered after their current
+ * visibility timeout, when their saved task tracking state lets them skip their completed tasks.
+ *
+ * Note that SQS messages that were discarded as unusable records are not part of the batch's messages, so they are not
+ * deleted and will be discarded again when they are redelivered.
+ *
  * @param {Message[]} messages - the entire batch of messages
  * @param {Message[]} incompleteMessages - the incomplete messages
  * @param {StreamProcessing} context - the context
  * @returns {Promise} a promise that will either reject (if there are any incomplete messages) or resolve successfully (if not)
  */
-function replayAllMessagesIfIncomplete(messages, incompleteMessages, context) {
+function changeVisibilityOfIncompleteSQSMessages(messages, incompleteMessages, context) {
   const m = messages.length;
   const ms = `${m} message${m !== 1 ? 's' : ''}`;
   const i = incompleteMessages ? incompleteMessages.length : 0;
@@ -943,13 +3487,126 @@ function replayAllMessagesIfIncomplete(messages, incompleteMessages, context) {
   const isOfMs = `${is} of ${ms}`;
 
   if (!incompleteMessages || i <= 0) {
-    context.info(`No need to trigger replay of entire batch of messages, since have ${isOfMs}`);
+    context.info(`No need to change the visibility of any SQS messages, since have ${isOfMs}`);
     return Promise.resolve([]);
   }
 
-  const msg = `Triggering replay of entire batch of messages, since still have ${isOfMs}`;
-  context.info(msg);
-  return Promise.reject(new Error(msg));
+  // Resolve the distinct records of the incomplete messages & of the remaining, completed messages
+  const incompleteRecords = toDistinctRecords(incompleteMessages, context);
+  const completedRecords = toDistinctRecords(messages, context).filter(record => incompleteRecords.indexOf(record) === -1);
+
+  const sqs = getSQS(context);
+  const visibilityTimeoutInSeconds = getVisibilityTimeoutInSeconds(context);
+
+  const changeVisibilityPromise = executeSQSBatchRequests(sqs, 'changeMessageVisibilityBatch', incompleteRecords,
+    (record, id) => ({Id: id, ReceiptHandle: record.receiptHandle, VisibilityTimeout: visibilityTimeoutInSeconds}), context);
+
+  const deletePromise = executeSQSBatchRequests(sqs, 'deleteMessageBatch', completedRecords,
+    (record, id) => ({Id: id, ReceiptHandle: record.receiptHandle}), context);
+
+  return Promise.all([changeVisibilityPromise, deletePromise]).then(outcomes => {
+    const changed = outcomes[0][0].length;
+    const deleted = outcomes[1][0].length;
+    if (outcomes[0][1].length > 0) {
+      context.error(`Failed to change the visibility timeout of ${outcomes[0][1].length} of ${incompleteRecords.length} incomplete SQS messages - error (${outcomes[0][2]})`);
+    }
+    if (outcomes[1][1].length > 0) {
+      context.warn(`Failed to delete ${outcomes[1][1].length} of ${completedRecords.length} completed SQS messages - error (${outcomes[1][2]})`);
+    }
+    const msg = `Triggering failure of batch to leave incomplete SQS messages on their queue, since still have ${isOfMs} - changed the visibility timeout of ${changed} SQS message${changed !== 1 ? 's' : ''} to ${visibilityTimeoutInSeconds}s & deleted ${deleted} completed SQS message${deleted !== 1 ? 's' : ''}`;
+    context.info(msg);
+    throw new Error(msg);
+  });
+}
+
+/**
+ * Returns the distinct records from which the given messages were extracted.
+ * @param {Message[]} messages - the messages
+ * @param {StreamProcessing} context - the context
+ * @returns {Record[]} the distinct records
+ */
+function toDistinctRecords(messages, context) {
+  const records = [];
+  messages.forEach(message => {
+    const record = getRecord(message, context);
+    if (record && records.indexOf(record) === -1) {
+      records.push(record);
+    }
+  });
+  return records;
+}
+
+/**
+ * Executes the named SQS batch operation (i.e. changeMessageVisibilityBatch or deleteMessageBatch) on the SQS messages
+ * of the given SQS event records, using one call per batch of at most 10 records per source queue.
+ * @param {AWS.SQS} sqs - the SQS instance to use
+ * @param {string} operation - the name of the SQS batch operation to execute
+ * @param {Record[]} records - the SQS event records
+ * @param {function(Record, string): Object} toEntry - a function to convert a record & its entry ID into a batch request entry
+ * @param {StreamProcessing} context - the context to use
+ * @returns {Promise.<[Record[], Record[], Error|undefined]>} a promise of an array containing: the records that
+ * succeeded; the records that failed; and the last error encountered (if any)
+ */
+function executeSQSBatchRequests(sqs, operation, records, toEntry, context) {
+  // Group the records by the URL of their source queue
+  const recordsByQueueUrl = new Map();
+  records.forEach(record => {
+    const queueUrl = toSQSQueueUrl(record);
+    const queueRecords = recordsByQueueUrl.get(queueUrl);
+    if (queueRecords) {
+      queueRecords.push(record);
+    } else {
+      recordsByQueueUrl.set(queueUrl, [record]);
+    }
+  });
+
+  const promises = [];
+  recordsByQueueUrl.forEach((queueRecords, queueUrl) => {
+    toBatches(queueRecords, MAX_SQS_BATCH_ENTRIES_COUNT).forEach(batch => {
+      const request = {
+        QueueUrl: queueUrl,
+        Entries: batch.map((record, i) => toEntry(record, `${i}`))
+      };
+      promises.push(sqs[operation](request).promise().then(
+        result => {
+          const failedIds = result && Array.isArray(result.Failed) ? result.Failed.map(f => f.Id) : [];
+          const failed = batch.filter((record, i) => failedIds.indexOf(`${i}`) !== -1);
+          const err = failed.length > 0 ?
+            new Error(`Failed to ${operation} ${failed.length} of ${batch.length} SQS messages on queue (${queueUrl}) - first failure (${result.Failed[0].Code}: ${result.Failed[0].Message})`) : undefined;
+          return [batch.filter(record => failed.indexOf(record) === -1), failed, err];
+        },
+        err => {
+          context.error(`Failed to ${operation} ${batch.length} SQS messages on queue (${queueUrl}) - error (${err})`, err.stack);
+          return [[], batch, err];
+        }
+      ));
+    });
+  });
+
+  return Promise.all(promises).then(outcomes => {
+    let succeeded = [];
+    let failed = [];
+    let lastError = undefined;
+    outcomes.forEach(outcome => {
+      succeeded = succeeded.concat(outcome[0]);
+      failed = failed.concat(outcome[1]);
+      if (outcome[2]) lastError = outcome[2];
+    });
+    return [succeeded, failed, lastError];
+  });
+}
+
+/**
+ * Converts the eventSourceARN of the given SQS event record into the URL of its source queue, using the domain of the
+ * SQS endpoints in the ARN's partition (e.g. "amazonaws.com.cn" for the "aws-cn" partition).
+ * @param {Record} record - the SQS event record
+ * @returns {string} the queue URL
+ */
+function toSQSQueueUrl(record) {
+  const arn = record.eventSourceARN;
+  const partition = arns.getArnPartition(arn);
+  const domain = SQS_DOMAINS_BY_PARTITION.hasOwnProperty(partition) ? SQS_DOMAINS_BY_PARTITION[partition] : 'amazonaws.com';
+  return `https://sqs.${arns.getArnRegion(arn)}.${domain}/${arns.getArnAccountId(arn)}/${getSQSEventSourceQueueName(record)}`;
 }
 
 function getKinesis(context) {
@@ -972,12 +3629,59 @@ function getDynamoDBDocClient(context) {
   return context.dynamoDBDocClient;
 }
 
+/**
+ * Loads the default options file that matches the stream type configured on the given context, i.e. the DynamoDB, SQS
+ * or Firehose default options (if configured for that stream type); otherwise the Kinesis default options.
+ * @param {StreamProcessing} context - the context to use
+ * @returns {Object} the default options for the configured stream type
+ */
+function loadDefaultOptionsForStreamType(context) {
+  return isDynamoDBStreamType(context) ? require('./default-dynamodb-options.json') :
+    isSQSStreamType(context) ? require('./default-sqs-options.json') :
+      isFirehoseStreamType(context) ? require('./default-firehose-options.json') :
+        require('./default-kinesis-options.json');
+}
+
+function getSQS(context) {
+  if (!context.sqs) {
+    // Configure a default AWS SQS instance on context.sqs if not already configured
+    const sqsOptions = Objects.copy(loadDefaultOptionsForStreamType(context).sqsOptions, true);
+    if (!sqsOptions.region) {
+      sqsOptions.region = regions.getRegion();
+    }
+    context.warn(`An AWS SQS instance was not configured on context.sqs yet - configuring an instance with default options (${stringify(sqsOptions)}). Preferably configure this beforehand`);
+    const AWS = require('aws-sdk');
+    context.sqs = new AWS.SQS(sqsOptions);
+  }
+  return context.sqs;
+}
+
+function getS3(context) {
+  if (!context.s3) {
+    // Configure a default AWS S3 instance on context.s3 if not already configured
+    const s3Options = Objects.copy(loadDefaultOptionsForStreamType(context).s3Options, true);
+    if (!s3Options.region) {
+      s3Options.region = regions.getRegion();
+    }
+    context.warn(`An AWS S3 instance was not configured on context.s3 yet - configuring an instance with default options (${stringify(s3Options)}). Preferably configure this beforehand`);
+    const AWS = require('aws-sdk');
+    context.s3 = new AWS.S3(s3Options);
+  }
+  return context.s3;
+}
+
 function getRecord(message, context) {
   const taskTrackingName = context.streamProcessing.taskTrackingName;
   const taskTracking = message[taskTrackingName];
   return taskTracking ? taskTracking.record : undefined;
 }
 
+function getMessageIndex(message, context) {
+  const taskTrackingName = context.streamProcessing.taskTrackingName;
+  const taskTracking = message[taskTrackingName];
+  return taskTracking ? taskTracking.messageIndex : undefined;
+}
+
 /**
  * A default loadTaskTrackingState function that does nothing other than returning the given messages in a Promise,
  * since the default Kinesis stream consumer behaviour is to resubmit incomplete messages along with their task tracking
@@ -1008,55 +3712,426 @@ function skipSaveTaskTrackingState(messages, context) {
   return Promise.resolve(messages);
 }
 
+/**
+ * A default loadTaskTrackingState function that loads the task tracking state of the entire batch of messages from the
+ * configured task tracking table (see {@linkcode TASK_TRACKING_TABLE_NAME_SETTING}) using batched DynamoDB.DocumentClient
+ * batchGet requests and then restores each message's previously saved processOne (i.e. "ones") and processAll (i.e.
+ * "alls") task-like objects (if any) onto its task tracking object, so that the prior states and attempts of these tasks
+ * will be carried over to the new tasks created for the message during processing.
+ *
+ * Each message's task tracking item is keyed by the name of the message's source stream (or table) and by its record's
+ * key(s) and sequence number (see {@linkcode toTaskTrackingKey}). Any expired item that DynamoDB's TTL process has not
+ * yet deleted is ignored.
+ *
+ * @param {Message[]} messages - the entire batch of messages being processed
+ * @param {StreamProcessing} context - the context to use
+ * @returns {Promise.<Message[]>} a promise that will resolve with the given messages after all of their task tracking
+ * state has been loaded or reject with the error encountered
+ */
 function loadTaskTrackingStateFromDynamoDB(messages, context) {
-  //TODO implement
   const m = messages ? messages.length : 0;
-  const plural = m !== 1 ? 's' : '';
-  const ms = `${m} message${plural}`;
+  const ms = `${m} message${m !== 1 ? 's' : ''}`;
 
   if (m <= 0) {
     context.debug(`No task tracking state to load, since ${ms}`);
     return Promise.resolve(messages);
   }
 
-  //const taskTrackingName = context.streamProcessing.taskTrackingName;
+  const tableName = getTaskTrackingTableName(context);
+  const dynamoDBDocClient = getDynamoDBDocClient(context);
+
+  // Group the messages by their task tracking keys, since batchGet does NOT allow duplicate keys in the same request
+  const messagesByKey = groupMessagesByTaskTrackingKey(messages, context);
+  const keys = Array.from(messagesByKey.values()).map(keyAndMessages => keyAndMessages[0]);
+
+  const nowInSeconds = Math.floor(Date.now() / 1000);
+
+  // Load the task tracking items in batches of at most 100 keys per batchGet request
+  const promises = toBatches(keys, MAX_BATCH_GET_ITEMS).map(batch =>
+    batchGetItems(dynamoDBDocClient, tableName, batch, 'task tracking', 1, context));
 
+  return Promise.all(promises)
+    .then(itemsPerBatch => {
+      const items = itemsPerBatch.reduce((acc, batchItems) => acc.concat(batchItems), [])
+        .filter(item => !(typeof item.expiresAt === 'number' && item.expiresAt <= nowInSeconds));
+      const taskTrackingName = context.streamProcessing.taskTrackingName;
+
+      // Restore each loaded item's task-like objects onto the task tracking of each of its matching messages
+      items.forEach(item => {
+        const keyAndMessages = messagesByKey.get(toTaskTrackingKeyString(item));
+        if (keyAndMessages) {
+          keyAndMessages[1].forEach(message => {
+            const taskTracking = message[taskTrackingName] ? message[taskTrackingName] : (message[taskTrackingName] = {});
+            if (item.ones) taskTracking.ones = item.ones;
+            if (item.alls) taskTracking.alls = item.alls;
+          });
+        }
+      });
+      context.info(`Loaded task tracking state of ${items.length} of ${ms} from DynamoDB table (${tableName})`);
+      return messages;
+    })
+    .catch(err => {
+      context.error(`Failed to load task tracking state of ${ms} from DynamoDB table (${tableName}) - error (${err})`, err.stack);
+      throw err;
+    });
 }
 
+/**
+ * A default saveTaskTrackingState function that saves the task tracking state (i.e. the processOne "ones" and the
+ * processAll "alls" tasks) of the entire batch of messages to the configured task tracking table (see
+ * {@linkcode TASK_TRACKING_TABLE_NAME_SETTING}) using batched DynamoDB.DocumentClient batchWrite requests, so that the
+ * prior states and attempts of these tasks can be restored by {@linkcode loadTaskTrackingStateFromDynamoDB} when the
+ * messages are replayed. Each item's "expiresAt" TTL attribute is set to the configured number of seconds from now (see
+ * {@linkcode TASK_TRACKING_TTL_IN_SECONDS_SETTING}), so the task tracking table must have TTL enabled on "expiresAt".
+ *
+ * @param {Message[]} messages - the entire batch of messages being processed
+ * @param {StreamProcessing} context - the context to use
+ * @returns {Promise.<Message[]>} a promise that will resolve with the given messages after all of their task tracking
+ * state has been saved or reject with the error encountered
+ */
 function saveTaskTrackingStateToDynamoDB(messages, context) {
-  //TODO implement
   const m = messages ? messages.length : 0;
-  const plural = m !== 1 ? 's' : '';
-  const ms = `${m} message${plural}`;
+  const ms = `${m} message${m !== 1 ? 's' : ''}`;
 
   if (m <= 0) {
     context.debug(`No task tracking state to save, since ${ms}`);
     return Promise.resolve(messages);
   }
 
+  const tableName = getTaskTrackingTableName(context);
+  const dynamoDBDocClient = getDynamoDBDocClient(context);
+
   const taskTrackingName = context.streamProcessing.taskTrackingName;
+  const now = new Date();
+  const updatedAt = now.toISOString();
+  const ttlInSeconds = getTaskTrackingTtlInSeconds(context);
+  const expiresAt = Math.floor(now.getTime() / 1000) + (ttlInSeconds ? ttlInSeconds : DEFAULT_TASK_TRACKING_TTL_IN_SECONDS);
+
+  // Convert each message's task tracking state into an item (keeping only the last item for any duplicate key, since
+  // batchWrite does NOT allow duplicate keys in the same request)
+  const messagesByKey = groupMessagesByTaskTrackingKey(messages, context);
+  const items = Array.from(messagesByKey.values()).map(keyAndMessages => {
+    const key = keyAndMessages[0];
+    const messagesWithKey = keyAndMessages[1];
+    const taskTracking = messagesWithKey[messagesWithKey.length - 1][taskTrackingName];
+    return toStorableObject({
+      streamName: key.streamName,
+      recordKey: key.recordKey,
+      ones: taskTracking && taskTracking.ones ? taskTracking.ones : {},
+      alls: taskTracking && taskTracking.alls ? taskTracking.alls : {},
+      updatedAt: updatedAt,
+      expiresAt: expiresAt
+    });
+  });
 
-  const unqualifiedTaskTrackingTableName = context.streamProcessing.taskTrackingTableName; //TODO configure
-  const tableName = stages.toStageQualifiedResourceName(unqualifiedTaskTrackingTableName, context.stage, context);
+  // Save the task tracking items in batches of at most 25 items per batchWrite request
+  const promises = toBatches(items, MAX_BATCH_WRITE_ITEMS).map(batch => {
+    const requests = batch.map(item => ({PutRequest: {Item: item}}));
+    return batchWriteTaskTrackingItems(dynamoDBDocClient, tableName, requests, 1, context);
+  });
 
+  return Promise.all(promises)
+    .then(() => {
+      context.info(`Saved task tracking state of ${ms} to DynamoDB table (${tableName})`);
+      return messages;
+    })
+    .catch(err => {
+      context.error(`Failed to save task tracking state of ${ms} to DynamoDB table (${tableName}) - error (${err})`, err.stack);
+      throw err;
+    });
+}
 
-  const dynamoDBDocClient = getDynamoDBDocClient(context);
+/**
+ * Returns the stage-qualified name of the configured task tracking table.
+ * @param {StreamProcessing} context - the context to use
+ * @returns {string} the stage-qualified task tracking table name
+ */
+function getTaskTrackingTableName(context) {
+  const unqualifiedTaskTrackingTableName = context.streamProcessing.taskTrackingTableName;
+  return stages.toStageQualifiedResourceName(unqualifiedTaskTrackingTableName, context.stage, context);
+}
 
-  function saveMessageTaskTrackingDetails(message, context) {
-    //TODO implement saveMessageTaskTrackingDetails
-    throw new Error('TODO implement saveMessageTaskTrackingDetails');
+/**
+ * A default extractMessageId function that resolves the ID of the given message for idempotency purposes from its
+ * record, i.e. from the name of its original source stream (for a Kinesis record, see {@linkcode getSourceStreamName}),
+ * its source table (for a DynamoDB stream record), its source queue (for an SQS record) or its delivery stream (for a
+ * Firehose record) and its record's sequence number (or message ID, for an SQS record, or record ID, for a Firehose
+ * record) (and also its record's sub-sequence number, if the record was de-aggregated from a KPL aggregated record, and
+ * its index within the record, if more than one message was extracted from the record).
+ *
+ * Note that a message that is resubmitted back to its Kinesis stream gets a new sequence number and hence a new message
+ * ID, but carries the state of its already completed tasks with it, so configure a custom extractMessageId function that
+ * uses a business identifier instead if messages can also be duplicated by their producers.
+ *
+ * @param {Message} message - the message
+ * @param {Record} record - the stream event record from which the message was extracted
+ * @param {StreamProcessing} context - the context to use
+ * @returns {string|undefined} the message ID (if resolvable); otherwise undefined
+ */
+function toMessageIdFromSourceStreamAndSequenceNumber(message, record, context) {
+  const sourceStreamNameMarker = getSourceStreamNameMarker(message, context);
+  const streamName = sourceStreamNameMarker ? sourceStreamNameMarker : toEventSourceStreamName(record, context);
+  // SQS messages are identified by their message IDs, which (unlike FIFO sequence numbers) every SQS message has, and
+  // Firehose records by their record IDs
+  const sequenceNumber = record && record.eventSource === 'aws:sqs' ? record.messageId :
+    isFirehoseRecord(record) ? record.recordId : getRecordSequenceNumber(record);
+  if (isBlank(streamName) || isBlank(sequenceNumber)) {
+    return undefined;
   }
+  const subSequenceNumber = getRecordSubSequenceNumber(record);
+  const messageIndex = getMessageIndex(message, context);
+  return `${trim(streamName)}|${sequenceNumber}` + (subSequenceNumber !== undefined ? `|${subSequenceNumber}` : '') +
+    (messageIndex !== undefined ? `|#${messageIndex}` : '');
+}
 
-  // Resubmit all of the incomplete messages
-  const promises = messages.map(message => saveMessageTaskTrackingDetails(message));
+/**
+ * A default loadSucceededTaskNames function that loads the idempotency records of the given task names for each of the
+ * given message IDs from the configured idempotency table (see {@linkcode IDEMPOTENCY_TABLE_NAME_SETTING}) using batched
+ * DynamoDB.DocumentClient batchGet requests and returns the names of the tasks that already succeeded per message ID.
+ * Any expired records that were not yet deleted by DynamoDB's TTL process are ignored.
+ *
+ * The idempotency table must have a string hash key named "messageId", a string range key named "taskName" and should
+ * have TTL enabled on its "expiresAt" attribute.
+ *
+ * @param {string[]} messageIds - the IDs of the messages being processed
+ * @param {string[]} taskNames - the names of the processOne tasks to be executed on the messages
+ * @param {StreamProcessing} context - the context to use
+ * @returns {Promise.<Object.<string, string[]>>} a promise that will resolve with the names of the tasks that already
+ * succeeded keyed by message ID or reject with the error encountered
+ */
+function loadSucceededTaskNamesFromDynamoDB(messageIds, taskNames, context) {
+  const succeededTaskNamesByMessageId = {};
+  if (!messageIds || messageIds.length <= 0 || !taskNames || taskNames.length <= 0) {
+    return Promise.resolve(succeededTaskNamesByMessageId);
+  }
+  const tableName = getIdempotencyTableName(context);
+  const dynamoDBDocClient = getDynamoDBDocClient(context);
+
+  const keys = [];
+  messageIds.forEach(messageId => taskNames.forEach(taskName => keys.push({messageId: messageId, taskName: taskName})));
+
+  const nowInSeconds = Math.floor(Date.now() / 1000);
+
+  // Load the idempotency items in batches of at most 100 keys per batchGet request
+  const promises = toBatches(keys, MAX_BATCH_GET_ITEMS).map(batch =>
+    batchGetItems(dynamoDBDocClient, tableName, batch, 'idempotency', 1, context));
 
   return Promise.all(promises)
-    .then(results => {
-      context.info(`Saved task tracking details of ${m} incomplete message${plural} to DynamoDB table (${tableName}) - results: ${stringify(results)}`);
-      throw new Error(`Triggering replay of batch after saving task tracking details of ${m} incomplete message${plural} to DynamoDB table (${tableName})`);
+    .then(itemsPerBatch => {
+      const items = itemsPerBatch.reduce((acc, batchItems) => acc.concat(batchItems), [])
+        .filter(item => !(typeof item.expiresAt === 'number' && item.expiresAt <= nowInSeconds));
+
+      items.forEach(item => {
+        const succeededTaskNames = succeededTaskNamesByMessageId[item.messageId];
+        if (succeededTaskNames) {
+          succeededTaskNames.push(item.taskName);
+        } else {
+          succeededTaskNamesByMessageId[item.messageId] = [item.taskName];
+        }
+      });
+      context.info(`Loaded ${items.length} idempotency record(s) for ${messageIds.length} message ID(s) from DynamoDB table (${tableName})`);
+      return succeededTaskNamesByMessageId;
     })
     .catch(err => {
-      context.error(`Failed to save task tracking details of ${m} incomplete message${plural} to DynamoDB table (${tableName}) - error (${err})`, err.stack);
+      context.error(`Failed to load idempotency records for ${messageIds.length} message ID(s) from DynamoDB table (${tableName}) - error (${err})`, err.stack);
+      throw err;
+    });
+}
+
+/**
+ * A default saveSucceededTaskName function that records that the named task succeeded on the message with the given ID
+ * in the configured idempotency table (see {@linkcode IDEMPOTENCY_TABLE_NAME_SETTING}) using a conditional
+ * DynamoDB.DocumentClient put request, which only writes the record if it does not already exist (or has expired), and
+ * which sets its "expiresAt" TTL attribute to the configured number of seconds from now (see
+ * {@linkcode IDEMPOTENCY_TTL_IN_SECONDS_SETTING}).
+ *
+ * @param {string} messageId - the ID of the message
+ * @param {string} taskName - the name of the task that succeeded
+ * @param {StreamProcessing} context - the context to use
+ * @returns {Promise.<boolean>} a promise that will resolve with true (if recorded) or false (if already recorded) or
+ * reject with the error encountered
+ */
+function saveSucceededTaskNameToDynamoDB(messageId, taskName, context) {
+  const tableName = getIdempotencyTableName(context);
+  const dynamoDBDocClient = getDynamoDBDocClient(context);
+
+  const now = new Date();
+  const nowInSeconds = Math.floor(now.getTime() / 1000);
+  const ttlInSeconds = getIdempotencyTtlInSeconds(context);
+
+  const params = {
+    TableName: tableName,
+    Item: {
+      messageId: messageId,
+      taskName: taskName,
+      succeededAt: now.toISOString(),
+      expiresAt: nowInSeconds + (ttlInSeconds ? ttlInSeconds : DEFAULT_IDEMPOTENCY_TTL_IN_SECONDS)
+    },
+    ConditionExpression: 'attribute_not_exists(messageId) OR expiresAt <= :now',
+    ExpressionAttributeValues: {':now': nowInSeconds}
+  };
+
+  return dynamoDBDocClient.put(params).promise().then(
+    () => {
+      if (context.debugEnabled) context.debug(`Saved idempotency record of task (${taskName}) on message (${messageId}) to DynamoDB table (${tableName})`);
+      return true;
+    },
+    err => {
+      if (err.code === 'ConditionalCheckFailedException') {
+        if (context.debugEnabled) context.debug(`Skipped save of existing idempotency record of task (${taskName}) on message (${messageId}) to DynamoDB table (${tableName})`);
+        return false;
+      }
+      context.error(`Failed to save idempotency record of task (${taskName}) on message (${messageId}) to DynamoDB table (${tableName}) - error (${err})`, err.stack);
       throw err;
     });
-}
\ No newline at end of file
+}
+
+/**
+ * Returns the stage-qualified name of the configured idempotency table.
+ * @param {StreamProcessing} context - the context to use
+ * @returns {string} the stage-qualified idempotency table name
+ */
+function getIdempotencyTableName(context) {
+  const unqualifiedIdempotencyTableName = context.streamProcessing[IDEMPOTENCY_TABLE_NAME_SETTING];
+  return stages.toStageQualifiedResourceName(unqualifiedIdempotencyTableName, context.stage, context);
+}
+
+/**
+ * Resolves the task tracking key of the given message from its record, which consists of the name of its original source
+ * stream (for a Kinesis record, see {@linkcode getSourceStreamName}), its source table (for a DynamoDB stream record) or its source queue (for an SQS record) as the
+ * hash key and a combination of its record's partition key (for a Kinesis record) or its record's Keys (for a DynamoDB
+ * stream record) and its record's sequence number (or just its record's message ID, for an SQS record) as the range key.
+ * @param {Message} message - the message for which to resolve a task tracking key
+ * @param {StreamProcessing} context - the context to use
+ * @returns {{streamName: string, recordKey: string}|undefined} the task tracking key (if resolvable); otherwise undefined
+ */
+function toTaskTrackingKey(message, context) {
+  const record = getRecord(message, context);
+  if (!record) {
+    return undefined;
+  }
+  // Distinguish between multiple messages extracted from the same record by their indexes within the record
+  const messageIndex = getMessageIndex(message, context);
+  const messageSuffix = messageIndex !== undefined ? `|#${messageIndex}` : '';
+
+  if (record.eventSource === 'aws:kinesis' && record.kinesis) {
+    return {
+      streamName: trim(getSourceStreamName(message, context)),
+      recordKey: `${record.kinesis.partitionKey}|${record.kinesis.sequenceNumber}` +
+        (record.kinesis.subSequenceNumber !== undefined ? `|${record.kinesis.subSequenceNumber}` : '') + messageSuffix
+    };
+  } else if (record.eventSource === 'aws:dynamodb' && record.dynamodb) {
+    const keysAndValues = dynamoDBUtils.toKeyValueStrings(record.dynamodb.Keys).join('|');
+    return {
+      streamName: trim(streamEvents.getDynamoDBEventSourceTableName(record)),
+      recordKey: `${keysAndValues}|${record.dynamodb.SequenceNumber}${messageSuffix}`
+    };
+  } else if (record.eventSource === 'aws:sqs' && isNotBlank(record.messageId)) {
+    return {
+      streamName: getSQSEventSourceQueueName(record),
+      recordKey: `${record.messageId}${messageSuffix}`
+    };
+  }
+  return undefined;
+}
+
+function toTaskTrackingKeyString(key) {
+  return `${key.streamName}|${key.recordKey}`;
+}
+
+/**
+ * Groups the given messages by their task tracking keys, skipping (and logging) any messages without resolvable keys.
+ * @param {Message[]} messages - the messages to group
+ * @param {StreamProcessing} context - the context to use
+ * @returns {Map.<string, Array>} a map of key strings to a pair of the task tracking key and its messages
+ */
+function groupMessagesByTaskTrackingKey(messages, context) {
+  const messagesByKey = new Map();
+  messages.forEach(message => {
+    const key = toTaskTrackingKey(message, context);
+    if (!key || isBlank(key.streamName)) {
+      context.warn(`Skipping task tracking of message, since failed to resolve its task tracking key from its record (${stringify(getRecord(message, context))})`);
+      return;
+    }
+    const keyString = toTaskTrackingKeyString(key);
+    const keyAndMessages = messagesByKey.get(keyString);
+    if (keyAndMessages) {
+      keyAndMessages[1].push(message);
+    } else {
+      messagesByKey.set(keyString, [key, [message]]);
+    }
+  });
+  return messagesByKey;
+}
+
+/**
+ * Gets the (task tracking or idempotency) items with the given keys from the given table, retrying any unprocessed keys
+ * with an exponential backoff until they are all processed or the maximum number of attempts is reached.
+ */
+function batchGetItems(dynamoDBDocClient, tableName, keys, itemType, attempt, context) {
+  const params = {RequestItems: {}};
+  params.RequestItems[tableName] = {Keys: keys, ConsistentRead: true};
+
+  return dynamoDBDocClient.batchGet(params).promise().then(result => {
+    const items = result && result.Responses && result.Responses[tableName] ? result.Responses[tableName] : [];
+    const unprocessed = result && result.UnprocessedKeys && result.UnprocessedKeys[tableName] ?
+      result.UnprocessedKeys[tableName].Keys : [];
+
+    if (unprocessed && unprocessed.length > 0) {
+      if (attempt >= MAX_BATCH_ATTEMPTS) {
+        throw new Error(`Failed to get ${unprocessed.length} unprocessed ${itemType} item(s) from DynamoDB table (${tableName}) after ${attempt} attempts`);
+      }
+      context.warn(`Retrying batchGet of ${unprocessed.length} unprocessed ${itemType} item(s) from DynamoDB table (${tableName}) - attempt ${attempt + 1}`);
+      return Promise.delay(calculateBackoffDelayMs(attempt))
+        .then(() => batchGetItems(dynamoDBDocClient, tableName, unprocessed, itemType, attempt + 1, context))
+        .then(moreItems => items.concat(moreItems));
+    }
+    return items;
+  });
+}
+
+/**
+ * Writes the given write requests to the given table, retrying any unprocessed items with an exponential backoff until
+ * they are all processed or the maximum number of attempts is reached.
+ */
+function batchWriteTaskTrackingItems(dynamoDBDocClient, tableName, requests, attempt, context) {
+  const params = {RequestItems: {}};
+  params.RequestItems[tableName] = requests;
+
+  return dynamoDBDocClient.batchWrite(params).promise().then(result => {
+    const unprocessed = result && result.UnprocessedItems && result.UnprocessedItems[tableName] ?
+      result.UnprocessedItems[tableName] : [];
+
+    if (unprocessed.length > 0) {
+      if (attempt >= MAX_BATCH_ATTEMPTS) {
+        throw new Error(`Failed to write ${unprocessed.length} unprocessed task tracking item(s) to DynamoDB table (${tableName}) after ${attempt} attempts`);
+      }
+      context.warn(`Retrying batchWrite of ${unprocessed.length} unprocessed task tracking item(s) to DynamoDB table (${tableName}) - attempt ${attempt + 1}`);
+      return Promise.delay(calculateBackoffDelayMs(attempt))
+        .then(() => batchWriteTaskTrackingItems(dynamoDBDocClient, tableName, unprocessed, attempt + 1, context));
+    }
+    return result;
+  });
+}
+
+function calculateBackoffDelayMs(attempt) {
+  return Math.min(BATCH_RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 1), BATCH_RETRY_MAX_DELAY_MS);
+}
+
+function toBatches(list, batchSize) {
+  const batches = [];
+  for (let i = 0; i < list.length; i += batchSize) {
+    batches.push(list.slice(i, i + batchSize));
+  }
+  return batches;
+}
+
+/**
+ * Transforms the given object into an object that can be safely stored in DynamoDB, i.e. with no undefined properties
+ * and no empty strings (which DynamoDB does NOT accept).
+ * @param {Object} object - the object to be stored
+ * @returns {Object} a storable copy of the object
+ */
+function toStorableObject(object) {
+  return JSON.parse(JSON.stringify(object, (key, value) => value === '' ? undefined : value));
+}
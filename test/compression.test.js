@@ -0,0 +1,76 @@
+'use strict';
+
+/**
+ * Unit tests for aws-stream-consumer/compression.js
+ * @author Byron du Preez
+ */
+
+const test = require("tape");
+
+// The test subject
+const compression = require('../compression');
+
+const zlib = require("zlib");
+
+const json = JSON.stringify({id: 1, msg: 'Sample Message 1', tags: ['Tag A', 'Tag B']});
+
+test('isValidCompression & isCompressing', t => {
+  [undefined, 'gzip', 'deflate', 'none'].forEach(c => t.ok(compression.isValidCompression(c), `${c} must be valid`));
+  ['zip', 'GZIP', '', null, 1].forEach(c => t.notOk(compression.isValidCompression(c), `${c} must not be valid`));
+
+  t.ok(compression.isCompressing('gzip'), `gzip must be compressing`);
+  t.ok(compression.isCompressing('deflate'), `deflate must be compressing`);
+  t.notOk(compression.isCompressing('none'), `none must not be compressing`);
+  t.notOk(compression.isCompressing(undefined), `undefined must not be compressing`);
+  t.end();
+});
+
+test('detectCompression', t => {
+  t.equal(compression.detectCompression(zlib.gzipSync(json)), 'gzip', `gzip data must be detected as gzip`);
+  t.equal(compression.detectCompression(zlib.deflateSync(json)), 'deflate', `deflate data must be detected as deflate`);
+  [1, 6, 9].forEach(level => t.equal(compression.detectCompression(zlib.deflateSync(json, {level: level})), 'deflate',
+    `deflate data at level ${level} must be detected as deflate`));
+
+  t.equal(compression.detectCompression(new Buffer(json, 'utf8')), undefined, `JSON object must not be detected as compressed`);
+  t.equal(compression.detectCompression(new Buffer('[1,2]', 'utf8')), undefined, `JSON array must not be detected as compressed`);
+  t.equal(compression.detectCompression(new Buffer('80', 'utf8')), undefined, `JSON number must not be detected as compressed`);
+  t.equal(compression.detectCompression(new Buffer([0x1F])), undefined, `single byte must not be detected as compressed`);
+  t.equal(compression.detectCompression(undefined), undefined, `undefined must not be detected as compressed`);
+  t.end();
+});
+
+test('compressData, decompressData & decodeData', t => {
+  ['gzip', 'deflate'].forEach(c => {
+    const compressed = compression.compressData(json, c);
+    t.ok(Buffer.isBuffer(compressed), `${c} compressed data must be a Buffer`);
+    t.equal(compression.decompressData(compressed, c).toString('utf8'), json, `${c} decompressed data must match`);
+    t.equal(compression.decodeData(compressed), json, `${c} decoded data must match`);
+  });
+  t.equal(compression.decodeData(new Buffer(json, 'utf8')), json, `decoded uncompressed data must match`);
+
+  t.throws(() => compression.compressData(json, 'zip'), /unsupported compression/, `compressData with zip must throw`);
+  t.throws(() => compression.decompressData(new Buffer(json, 'utf8'), 'zip'), /unsupported compression/, `decompressData with zip must throw`);
+  t.throws(() => compression.decodeData(zlib.gzipSync(json).slice(0, 10)), Error, `decodeData of truncated gzip data must throw`);
+
+  // Uncompressed data that starts with what looks like a zlib header must be decoded as is
+  t.equal(compression.detectCompression(new Buffer('8OK', 'utf8')), 'deflate', `8OK must look deflate compressed`);
+  t.equal(compression.decodeData(new Buffer('8OK', 'utf8')), '8OK', `decoded 8OK must be 8OK`);
+  t.equal(compression.decodeData(new Buffer('80', 'utf8')), '80', `decoded JSON number 80 must be 80`);
+  t.end();
+});
+
+test('toContentEncodingEnvelope, isContentEncodingEnvelope & fromContentEncodingEnvelope', t => {
+  ['gzip', 'deflate'].forEach(c => {
+    const envelope = compression.toContentEncodingEnvelope(json, c);
+    t.equal(envelope.contentEncoding, c, `${c} envelope contentEncoding must be ${c}`);
+    t.equal(typeof envelope.data, 'string', `${c} envelope data must be a string`);
+    t.ok(compression.isContentEncodingEnvelope(JSON.parse(JSON.stringify(envelope))), `${c} envelope must be a content-encoding envelope`);
+    t.equal(compression.fromContentEncodingEnvelope(envelope), json, `${c} envelope data must decompress to the original`);
+  });
+
+  t.notOk(compression.isContentEncodingEnvelope({contentEncoding: 'gzip', data: 'abc', other: 1}), `envelope with extra properties must not be an envelope`);
+  t.notOk(compression.isContentEncodingEnvelope({contentEncoding: 'none', data: 'abc'}), `envelope with none contentEncoding must not be an envelope`);
+  t.notOk(compression.isContentEncodingEnvelope({contentEncoding: 'gzip', data: 1}), `envelope with non-string data must not be an envelope`);
+  t.notOk(compression.isContentEncodingEnvelope(undefined), `undefined must not be an envelope`);
+  t.end();
+});
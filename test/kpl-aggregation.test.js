@@ -0,0 +1,121 @@
+'use strict';
+
+/**
+ * Unit tests for aws-stream-consumer/kpl-aggregation.js
+ * @author Byron du Preez
+ */
+
+const test = require("tape");
+
+// The test subject
+const kplAggregation = require('../kpl-aggregation');
+
+const logging = require("logging-utils");
+
+const samples = require("./samples");
+
+const eventSourceARN = samples.sampleKinesisEventSourceArn('us-west-2', 'TestStream_DEV');
+
+const userRecords = [
+  {partitionKey: 'pk1', data: {id: 1}},
+  {partitionKey: 'pk2', explicitHashKey: '12345678901234567890', data: {id: 2}},
+  {partitionKey: 'pk1', data: {id: 3}}
+];
+
+test('isAggregatedData', t => {
+  t.ok(kplAggregation.isAggregatedData(samples.sampleKplAggregatedData(userRecords)), `KPL aggregated data must be aggregated`);
+  t.notOk(kplAggregation.isAggregatedData(new Buffer(JSON.stringify({id: 1}), 'utf8')), `JSON data must not be aggregated`);
+  t.notOk(kplAggregation.isAggregatedData(new Buffer([0xF3, 0x89, 0x9A, 0xC2])), `magic number alone must not be aggregated`);
+  t.notOk(kplAggregation.isAggregatedData(undefined), `undefined must not be aggregated`);
+  t.end();
+});
+
+test('decodeAggregatedData', t => {
+  const aggregatedRecord = kplAggregation.decodeAggregatedData(samples.sampleKplAggregatedData(userRecords));
+  t.deepEqual(aggregatedRecord.partitionKeyTable, ['pk1', 'pk2'], `partitionKeyTable must be ['pk1', 'pk2']`);
+  t.deepEqual(aggregatedRecord.explicitHashKeyTable, ['12345678901234567890'], `explicitHashKeyTable must match`);
+  t.equal(aggregatedRecord.records.length, 3, `records must have 3 records`);
+  t.deepEqual(aggregatedRecord.records.map(r => r.partitionKeyIndex), [0, 1, 0], `partition key indexes must be [0, 1, 0]`);
+  t.deepEqual(aggregatedRecord.records.map(r => r.explicitHashKeyIndex), [undefined, 0, undefined], `explicit hash key indexes must be [undefined, 0, undefined]`);
+  t.deepEqual(aggregatedRecord.records.map(r => JSON.parse(r.data.toString('utf8'))), [{id: 1}, {id: 2}, {id: 3}], `data must match`);
+  t.deepEqual(aggregatedRecord.records[0].tags, [{key: 'tag', value: 'value'}], `tags must match`);
+
+  t.equal(kplAggregation.decodeAggregatedData(samples.sampleKplAggregatedData(userRecords, true)), undefined,
+    `decodeAggregatedData with a corrupt checksum must be undefined`);
+  t.end();
+});
+
+test('deaggregateKinesisRecord', t => {
+  const context = {};
+  logging.configureDefaultLogging(context);
+
+  const record = samples.sampleKplAggregatedRecord(userRecords, eventSourceARN, 'us-west-2');
+  const subRecords = kplAggregation.deaggregateKinesisRecord(record, context);
+
+  t.equal(subRecords.length, 3, `must de-aggregate into 3 sub-records`);
+  subRecords.forEach((subRecord, i) => {
+    t.equal(subRecord.kinesis.partitionKey, userRecords[i].partitionKey, `sub-record ${i} partitionKey must match`);
+    t.equal(subRecord.kinesis.explicitHashKey, userRecords[i].explicitHashKey, `sub-record ${i} explicitHashKey must match`);
+    t.deepEqual(JSON.parse(new Buffer(subRecord.kinesis.data, 'base64').toString('utf8')), userRecords[i].data, `sub-record ${i} data must match`);
+    t.equal(subRecord.kinesis.sequenceNumber, record.kinesis.sequenceNumber, `sub-record ${i} sequenceNumber must be the parent's`);
+    t.equal(subRecord.kinesis.subSequenceNumber, i, `sub-record ${i} subSequenceNumber must be ${i}`);
+    t.ok(subRecord.kinesis.aggregated, `sub-record ${i} must be flagged as aggregated`);
+    t.equal(subRecord.eventSourceARN, record.eventSourceARN, `sub-record ${i} eventSourceARN must be the parent's`);
+    t.equal(subRecord.eventID, record.eventID, `sub-record ${i} eventID must be the parent's`);
+    t.equal(kplAggregation.getParentRecord(subRecord), record, `sub-record ${i} must link to its parent record`);
+    t.notOk(JSON.stringify(subRecord).indexOf('parentRecord') !== -1, `sub-record ${i} parent link must not be enumerable`);
+  });
+  t.notOk(record.kinesis.subSequenceNumber !== undefined, `parent record must not be changed`);
+
+  // Non-aggregated record
+  const plainRecord = samples.sampleKinesisRecord('pk', {id: 1}, eventSourceARN, 'us-west-2');
+  const plainRecords = kplAggregation.deaggregateKinesisRecord(plainRecord, context);
+  t.equal(plainRecords.length, 1, `non-aggregated record must not be de-aggregated`);
+  t.equal(plainRecords[0], plainRecord, `non-aggregated record must be returned as is`);
+
+  // Aggregated record with a corrupt checksum
+  const corruptRecord = samples.sampleKplAggregatedRecord(userRecords, eventSourceARN, 'us-west-2', true);
+  const corruptRecords = kplAggregation.deaggregateKinesisRecord(corruptRecord, context);
+  t.equal(corruptRecords.length, 1, `aggregated record with a corrupt checksum must not be de-aggregated`);
+  t.equal(corruptRecords[0], corruptRecord, `aggregated record with a corrupt checksum must be returned as is`);
+
+  // Aggregated record with a corrupt checksum & no context must not log to the console
+  const consoleWarn = console.warn;
+  const warnings = [];
+  console.warn = msg => warnings.push(msg);
+  try {
+    const uncontextedRecords = kplAggregation.deaggregateKinesisRecord(corruptRecord, undefined);
+    t.equal(uncontextedRecords[0], corruptRecord, `aggregated record with a corrupt checksum & no context must be returned as is`);
+  } finally {
+    console.warn = consoleWarn;
+  }
+  t.equal(warnings.length, 0, `aggregated record with a corrupt checksum & no context must not log to the console`);
+
+  t.end();
+});
+
+test('deaggregateKinesisRecord with malformed protocol buffer message', t => {
+  const context = {};
+  logging.configureDefaultLogging(context);
+
+  // Build a record with a valid checksum over a truncated protocol buffer message
+  const message = new Buffer([0x0A, 0x05, 0x70, 0x6B]); // partition_key_table entry claiming 5 bytes, but only has 2
+  const checksum = require('crypto').createHash('md5').update(message).digest();
+  const record = samples.sampleKinesisRecord('aggregated', undefined, eventSourceARN, 'us-west-2');
+  record.kinesis.data = Buffer.concat([kplAggregation.KPL_MAGIC_NUMBER, message, checksum]).toString('base64');
+
+  t.throws(() => kplAggregation.deaggregateKinesisRecord(record, context), /Malformed protocol buffer message/,
+    `deaggregateKinesisRecord must fail with a malformed protocol buffer message`);
+
+  // Build a record with a sub-record with an invalid partition key index
+  const badRecord = samples.sampleKinesisRecord('aggregated', undefined, eventSourceARN, 'us-west-2');
+  const data = samples.sampleKplAggregatedData([{partitionKey: 'pk1', data: {id: 1}}]);
+  // Drop the partition key table entry (i.e. the first 5 bytes after the magic number) & recalculate the checksum
+  const badMessage = data.slice(4 + 5, data.length - 16);
+  const badChecksum = require('crypto').createHash('md5').update(badMessage).digest();
+  badRecord.kinesis.data = Buffer.concat([kplAggregation.KPL_MAGIC_NUMBER, badMessage, badChecksum]).toString('base64');
+
+  t.throws(() => kplAggregation.deaggregateKinesisRecord(badRecord, context), /invalid partition key index/,
+    `deaggregateKinesisRecord must fail with an invalid partition key index`);
+  t.end();
+});
@@ -0,0 +1,159 @@
+'use strict';
+
+/**
+ * Unit tests for aws-stream-consumer/message-schema.js
+ * @author Byron du Preez
+ */
+
+const test = require("tape");
+
+// The test subject
+const messageSchema = require('../message-schema');
+
+const orderSchema = {
+  type: 'object',
+  required: ['type', 'id', 'items'],
+  properties: {
+    type: {const: 'OrderPlaced'},
+    id: {type: 'string', pattern: '^ord-[0-9]+$'},
+    total: {type: 'number', minimum: 0, multipleOf: 0.01},
+    items: {type: 'array', minItems: 1, items: {$ref: '#/definitions/item'}},
+    status: {enum: ['NEW', 'PAID']}
+  },
+  additionalProperties: false,
+  definitions: {
+    item: {
+      type: 'object',
+      required: ['sku', 'qty'],
+      properties: {
+        sku: {type: 'string', minLength: 3, maxLength: 8},
+        qty: {type: 'integer', exclusiveMinimum: 0}
+      }
+    }
+  }
+};
+
+const cancelSchema = {
+  type: 'object',
+  required: ['type', 'id'],
+  properties: {id: {type: 'string'}, reason: {type: ['string', 'null']}}
+};
+
+const validOrder = {type: 'OrderPlaced', id: 'ord-1', total: 10.25, items: [{sku: 'ABC', qty: 1}], status: 'NEW'};
+
+test('isDiscriminatedMessageSchema & isValidMessageSchema', t => {
+  const discriminated = {discriminator: 'type', schemas: {OrderPlaced: orderSchema}};
+  t.ok(messageSchema.isDiscriminatedMessageSchema(discriminated), `discriminated schema must be discriminated`);
+  t.notOk(messageSchema.isDiscriminatedMessageSchema(orderSchema), `JSON Schema must not be discriminated`);
+
+  t.ok(messageSchema.isValidMessageSchema(orderSchema), `JSON Schema must be valid`);
+  t.ok(messageSchema.isValidMessageSchema({}), `empty JSON Schema must be valid`);
+  t.ok(messageSchema.isValidMessageSchema(discriminated), `discriminated schema must be valid`);
+  t.ok(messageSchema.isValidMessageSchema({discriminator: 'type', schemas: {}, defaultSchema: {}}), `discriminated schema with defaultSchema must be valid`);
+
+  t.notOk(messageSchema.isValidMessageSchema(undefined), `undefined must not be valid`);
+  t.notOk(messageSchema.isValidMessageSchema([orderSchema]), `array must not be valid`);
+  t.notOk(messageSchema.isValidMessageSchema({discriminator: ' ', schemas: {}}), `blank discriminator must not be valid`);
+  t.notOk(messageSchema.isValidMessageSchema({discriminator: 'type', schemas: []}), `array schemas must not be valid`);
+  t.notOk(messageSchema.isValidMessageSchema({discriminator: 'type', schemas: {A: true}}), `non-object schema must not be valid`);
+  t.notOk(messageSchema.isValidMessageSchema({discriminator: 'type', schemas: {}, defaultSchema: 'x'}), `non-object defaultSchema must not be valid`);
+  t.end();
+});
+
+test('findUnsupportedKeywords', t => {
+  t.deepEqual(messageSchema.findUnsupportedKeywords(orderSchema), [], `supported JSON Schema must have no unsupported keywords`);
+  t.deepEqual(messageSchema.findUnsupportedKeywords({$ref: '#'}), [], `root $ref must be supported`);
+
+  const schema = {
+    type: 'object',
+    properties: {
+      email: {type: 'string', format: 'email'},
+      tags: {type: 'array', contains: {const: 'x'}},
+      qty: {type: 'number', minimum: 0, exclusiveMinimum: true}
+    },
+    patternProperties: {'^x-': {}},
+    if: {required: ['a']}, then: {required: ['b']}, else: {},
+    allOf: [{$ref: 'http://example.com/address.json'}],
+    definitions: {id: {propertyNames: {pattern: '^[a-z]+$'}, dependencies: {a: ['b']}}}
+  };
+  t.deepEqual(messageSchema.findUnsupportedKeywords(schema), [
+    'patternProperties at #', 'if at #', 'then at #', 'else at #',
+    'format at #/properties/email', 'contains at #/properties/tags', 'boolean exclusiveMinimum at #/properties/qty',
+    'dependencies at #/definitions/id', 'propertyNames at #/definitions/id',
+    'non-local $ref (http://example.com/address.json) at #/allOf/0'
+  ], `must find all unsupported keywords`);
+
+  const discriminated = {discriminator: 'type', schemas: {A: orderSchema, B: {items: [{format: 'date'}]}}, defaultSchema: {not: {format: 'uri'}}};
+  t.deepEqual(messageSchema.findUnsupportedKeywords(discriminated), ['format at #schemas/B/items/0', 'format at #defaultSchema/not'],
+    `must find unsupported keywords in discriminated schemas`);
+  t.end();
+});
+
+test('validateValue', t => {
+  t.deepEqual(messageSchema.validateValue(validOrder, orderSchema), [], `valid order must have no errors`);
+
+  const invalidOrder = {type: 'OrderCancelled', id: 'order-1', total: -1.005, items: [{sku: 'AB', qty: 0}, {qty: 1.5}], status: 'OLD', extra: 1};
+  t.deepEqual(messageSchema.validateValue(invalidOrder, orderSchema, 'order'), [
+    'order.type must be "OrderPlaced"',
+    'order.id must match pattern ^ord-[0-9]+$',
+    'order.total must be >= 0',
+    'order.total must be a multiple of 0.01',
+    'order.items[0].sku must have at least 3 characters',
+    'order.items[0].qty must be > 0',
+    'order.items[1].sku is required',
+    'order.items[1].qty must be of type integer',
+    'order.status must be one of ["NEW","PAID"]',
+    'order.extra is not allowed'
+  ], `invalid order must have all of its errors`);
+
+  t.deepEqual(messageSchema.validateValue({type: 'OrderPlaced'}, orderSchema), ['value.id is required', 'value.items is required'],
+    `order missing required properties must have required errors`);
+  t.deepEqual(messageSchema.validateValue('order', orderSchema), ['value must be of type object'], `non-object must have a type error`);
+  t.deepEqual(messageSchema.validateValue({reason: null, id: 'x', type: 'c'}, cancelSchema), [], `null reason must be valid`);
+
+  // Combining keywords
+  const combined = {anyOf: [{type: 'string'}, {type: 'number'}], not: {const: 0}};
+  t.deepEqual(messageSchema.validateValue('x', combined), [], `anyOf string must be valid`);
+  t.deepEqual(messageSchema.validateValue(true, combined), ['value must match at least one of its anyOf schemas'], `anyOf boolean must be invalid`);
+  t.deepEqual(messageSchema.validateValue(0, combined), ['value must not match its not schema'], `not 0 must be invalid`);
+  t.deepEqual(messageSchema.validateValue(2, {oneOf: [{minimum: 1}, {maximum: 5}]}), ['value must match exactly one of its oneOf schemas, but matched 2'],
+    `oneOf matching both must be invalid`);
+  t.deepEqual(messageSchema.validateValue([1, 1], {uniqueItems: true, maxItems: 1}), ['value must have at most 1 items', 'value must have unique items'],
+    `duplicate items must be invalid`);
+  t.deepEqual(messageSchema.validateValue({a: 1}, {$ref: '#/definitions/missing'}), ['value has an unresolvable schema $ref (#/definitions/missing)'],
+    `unresolvable $ref must be invalid`);
+  t.end();
+});
+
+test('validateMessage', t => {
+  const discriminated = {discriminator: 'type', schemas: {OrderPlaced: orderSchema, OrderCancelled: cancelSchema}};
+
+  t.deepEqual(messageSchema.validateMessage(validOrder, discriminated), [], `valid order must have no errors`);
+  t.deepEqual(messageSchema.validateMessage({type: 'OrderCancelled', id: 1}, discriminated), ['message.id must be of type string'],
+    `invalid cancellation must be validated against the OrderCancelled schema`);
+  t.deepEqual(messageSchema.validateMessage({type: 'OrderShipped'}, discriminated), ['message has no schema for its type ("OrderShipped")'],
+    `unknown message type without a defaultSchema must be invalid`);
+  t.deepEqual(messageSchema.validateMessage({}, discriminated), ['message has no schema for its type (undefined)'],
+    `missing message type without a defaultSchema must be invalid`);
+
+  const withDefault = {discriminator: 'type', schemas: {OrderPlaced: orderSchema}, defaultSchema: {required: ['id']}};
+  t.deepEqual(messageSchema.validateMessage({type: 'OrderShipped', id: 'x'}, withDefault), [], `unknown message type must use the defaultSchema`);
+  t.deepEqual(messageSchema.validateMessage({type: 'OrderShipped'}, withDefault), ['message.id is required'], `defaultSchema must be applied`);
+
+  // Task tracking must be ignored
+  const trackedOrder = Object.assign({taskTracking: {ones: {}}}, validOrder);
+  t.deepEqual(messageSchema.validateMessage(trackedOrder, orderSchema, 'taskTracking'), [], `task tracking must be ignored`);
+  t.deepEqual(messageSchema.validateMessage(trackedOrder, orderSchema), ['message.taskTracking is not allowed'],
+    `task tracking must not be ignored without a task tracking name`);
+  t.end();
+});
+
+test('areEqualValues', t => {
+  t.ok(messageSchema.areEqualValues({a: [1, {b: 'c'}]}, {a: [1, {b: 'c'}]}), `equal objects must be equal`);
+  t.ok(messageSchema.areEqualValues(NaN, NaN), `NaN must equal NaN`);
+  t.ok(messageSchema.areEqualValues(new Buffer('ab'), new Buffer('ab')), `equal buffers must be equal`);
+  t.notOk(messageSchema.areEqualValues({a: 1}, {a: 1, b: undefined}), `objects with different keys must not be equal`);
+  t.notOk(messageSchema.areEqualValues([1], {0: 1}), `array must not equal object`);
+  t.notOk(messageSchema.areEqualValues(null, {}), `null must not equal object`);
+  t.end();
+});
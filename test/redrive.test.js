@@ -0,0 +1,510 @@
+'use strict';
+
+/**
+ * Unit tests for aws-stream-consumer/redrive.js & aws-stream-consumer/redrive-cli.js
+ * @author Byron du Preez
+ */
+
+const test = require("tape");
+
+// The test subjects
+const redrive = require('../redrive');
+const redriveCli = require('../redrive-cli');
+
+const streamConsumer = require('../stream-consumer');
+const streamProcessing = require('../stream-processing');
+
+const TaskDefs = require('task-utils/task-defs');
+const TaskDef = TaskDefs.TaskDef;
+const Tasks = require('task-utils/tasks');
+const Task = Tasks.Task;
+
+require("core-functions/promises");
+
+const logging = require("logging-utils");
+
+const stages = require("aws-core-utils/stages");
+
+const zlib = require("zlib");
+
+const samples = require("./samples");
+
+const eventSourceARN = samples.sampleKinesisEventSourceArn('us-west-2', 'TestStream_DEV');
+
+function dummyKinesis(t, error) {
+  const requests = [];
+  let sequenceNumber = 100;
+  return {
+    requests: requests,
+
+    putRecord(request) {
+      return {
+        promise() {
+          return new Promise((resolve, reject) => {
+            t.pass(`simulated putRecord to Kinesis stream (${request.StreamName})`);
+            requests.push(request);
+            if (error)
+              reject(error);
+            else
+              resolve({SequenceNumber: `${++sequenceNumber}`, ShardId: 'shardId-000000000000'});
+          })
+        }
+      }
+    }
+  };
+}
+
+function dummyS3(objects) {
+  return {
+    getObject(params) {
+      return {
+        promise() {
+          const body = objects[`${params.Bucket}/${params.Key}`];
+          return body ? Promise.resolve({Body: new Buffer(body, 'utf8')}) :
+            Promise.reject(new Error(`No such key (${params.Key})`));
+        }
+      }
+    }
+  };
+}
+
+function sampleTask(name, stateName, completed, error, attempts) {
+  return {
+    name: name,
+    executable: true,
+    state: {name: stateName, completed: completed, timedOut: false, error: error, rejected: !completed, reason: undefined},
+    attempts: attempts,
+    lastExecutedAt: '2016-12-01T10:00:00.000Z',
+    subTasks: []
+  };
+}
+
+function sampleEnvelope(id, taskName, error, discardedAt, streamName, eventSource) {
+  // Round-trip through JSON to get the envelope as it would be read back from a DMQ
+  return JSON.parse(JSON.stringify({
+    message: {
+      id: id,
+      taskTracking: {
+        ones: {
+          [taskName]: sampleTask(taskName, 'Discarded', false, error, 10),
+          done: sampleTask('done', 'Succeeded', true, undefined, 1)
+        },
+        alls: {}
+      }
+    },
+    source: {
+      eventSource: eventSource ? eventSource : 'aws:kinesis',
+      streamName: streamName ? streamName : 'TestStream_DEV',
+      partitionKeyOrKeys: `pk-${id}`,
+      sequenceNumber: `${id}`
+    },
+    discardedAt: discardedAt
+  }));
+}
+
+function sampleContext(t, kinesisError, s3Objects) {
+  const context = {kinesis: dummyKinesis(t, kinesisError), s3: dummyS3(s3Objects ? s3Objects : {})};
+  logging.configureDefaultLogging(context);
+  return context;
+}
+
+// =====================================================================================================================
+// parseDeadEntries
+// =====================================================================================================================
+
+test('parseDeadEntries', t => {
+  const e1 = sampleEnvelope(1, 'task1', 'Error: Boom', '2016-12-01T10:00:00.000Z');
+  const e2 = sampleEnvelope(2, 'task2', 'Error: Bang', '2016-12-02T10:00:00.000Z');
+
+  t.deepEqual(redrive.parseDeadEntries(''), [], `blank text must have no entries`);
+  t.deepEqual(redrive.parseDeadEntries(JSON.stringify([e1, e2])), [e1, e2], `JSON array must have 2 entries`);
+  t.deepEqual(redrive.parseDeadEntries(JSON.stringify(e1)), [e1], `single JSON entry must have 1 entry`);
+  t.deepEqual(redrive.parseDeadEntries(`${JSON.stringify(e1)}\n\n${JSON.stringify(e2)}\n`), [e1, e2], `newline-delimited JSON must have 2 entries`);
+
+  const records = [{Data: 'abc', PartitionKey: 'pk'}];
+  t.deepEqual(redrive.parseDeadEntries(JSON.stringify({Records: records, NextShardIterator: 'x'})), records, `kinesis get-records output must have its Records`);
+
+  const messages = [{MessageId: '1', Body: '{}'}];
+  t.deepEqual(redrive.parseDeadEntries(JSON.stringify({Messages: messages})), messages, `sqs receive-message output must have its Messages`);
+  t.end();
+});
+
+// =====================================================================================================================
+// toRedriveItems & filterRedriveItems
+// =====================================================================================================================
+
+test('toRedriveItems must unwrap Kinesis, SQS & claim checked entries', t => {
+  const e1 = sampleEnvelope(1, 'task1', 'Error: Boom', '2016-12-01T10:00:00.000Z');
+  const e2 = sampleEnvelope(2, 'task2', 'Error: Bang', '2016-12-02T10:00:00.000Z');
+  const record = samples.sampleKinesisRecord('pk-3', {id: 3}, eventSourceARN, 'us-west-2');
+  const e4 = sampleEnvelope(4, 'task1', 'Error: Boom', '2016-12-04T10:00:00.000Z');
+  const claimCheck = {source: e4.source, discardedAt: e4.discardedAt, claimCheck: {bucket: 'b', key: 'dmq/k', size: 1}};
+  const e5 = sampleEnvelope(5, 'task1', 'Error: Boom', '2016-12-05T10:00:00.000Z', 'TestTable', 'aws:dynamodb');
+
+  const entries = [
+    {Data: new Buffer(JSON.stringify(e1), 'utf8').toString('base64'), PartitionKey: 'x'},
+    {Body: JSON.stringify(e2)},
+    {Body: JSON.stringify(record), MessageAttributes: {discardedAt: {DataType: 'String', StringValue: '2016-12-03T10:00:00.000Z'}}},
+    {Body: JSON.stringify(claimCheck)},
+    e5,
+    {oversized: true, source: e4.source}
+  ];
+  const context = sampleContext(t, undefined, {'b/dmq/k': JSON.stringify(e4)});
+
+  redrive.toRedriveItems(entries, context)
+    .then(items => {
+      t.equal(items.length, 6, `items must be 6`);
+      t.deepEqual(items[0].message, e1.message, `1st item must have the 1st message`);
+      t.equal(items[0].kind, redrive.DMQ_KIND, `1st item must be a DMQ item`);
+      t.deepEqual(items[1].message, e2.message, `2nd item must have the 2nd message`);
+      t.equal(items[2].kind, redrive.DRQ_KIND, `3rd item must be a DRQ item`);
+      t.equal(items[2].streamName, 'TestStream_DEV', `3rd item stream name must be TestStream_DEV`);
+      t.equal(items[2].partitionKey, 'pk-3', `3rd item partition key must be pk-3`);
+      t.equal(items[2].discardedAt.toISOString(), '2016-12-03T10:00:00.000Z', `3rd item discardedAt must be from its attribute`);
+      t.deepEqual(items[3].message, e4.message, `4th item must have the claim checked message`);
+      t.ok(items[4].skipReason, `5th item from a DynamoDB stream must be skipped`);
+      t.ok(items[5].skipReason, `6th oversized summary item must be skipped`);
+      t.notOk(items[0].skipReason || items[1].skipReason || items[2].skipReason || items[3].skipReason, `1st to 4th items must not be skipped`);
+      t.end();
+    })
+    .catch(err => {
+      t.end(err);
+    });
+});
+
+test('toRedriveItems must infer the event source of envelopes without an eventSource', t => {
+  // Envelopes written before their eventSource was recorded
+  const kinesisEnvelope = sampleEnvelope(1, 'task1', 'Error: Boom', '2016-12-01T10:00:00.000Z');
+  delete kinesisEnvelope.source.eventSource;
+
+  const dynamoDBEnvelope = sampleEnvelope(2, 'task1', 'Error: Boom', '2016-12-02T10:00:00.000Z', 'TestTable_DEV');
+  delete dynamoDBEnvelope.source.eventSource;
+  dynamoDBEnvelope.source.partitionKeyOrKeys = JSON.stringify({id: {S: 'id-2'}, version: {N: '2'}});
+
+  const dynamoDBRecordEnvelope = sampleEnvelope(3, 'task1', 'Error: Boom', '2016-12-03T10:00:00.000Z');
+  delete dynamoDBRecordEnvelope.source.eventSource;
+  dynamoDBRecordEnvelope.source.partitionKeyOrKeys = '';
+  dynamoDBRecordEnvelope.message.eventSource = 'aws:dynamodb';
+  dynamoDBRecordEnvelope.message.dynamodb = {Keys: {id: {S: 'id-3'}}};
+
+  const unknownEnvelope = sampleEnvelope(4, 'task1', 'Error: Boom', '2016-12-04T10:00:00.000Z');
+  delete unknownEnvelope.source.eventSource;
+  unknownEnvelope.source.streamName = '';
+
+  const context = sampleContext(t, undefined, {});
+
+  redrive.toRedriveItems([kinesisEnvelope, dynamoDBEnvelope, dynamoDBRecordEnvelope, unknownEnvelope], context)
+    .then(items => {
+      t.equal(items[0].eventSource, 'aws:kinesis', `1st item with a partition key must be from Kinesis`);
+      t.notOk(items[0].skipReason, `1st item must not be skipped`);
+      t.equal(items[1].eventSource, 'aws:dynamodb', `2nd item with DynamoDB keys must be from DynamoDB`);
+      t.ok(items[1].skipReason, `2nd item must be skipped`);
+      t.equal(items[2].eventSource, 'aws:dynamodb', `3rd item with a DynamoDB stream record message must be from DynamoDB`);
+      t.ok(items[2].skipReason, `3rd item must be skipped`);
+      t.equal(items[3].eventSource, undefined, `4th item without a source stream name must have an unknown event source`);
+      t.ok(items[3].skipReason, `4th item must be skipped`);
+      t.end();
+    })
+    .catch(err => {
+      t.end(err);
+    });
+});
+
+test('toRedriveItems must decompress compressed Kinesis, SQS & claim checked entries', t => {
+  const e1 = sampleEnvelope(1, 'task1', 'Error: Boom', '2016-12-01T10:00:00.000Z');
+  const e2 = sampleEnvelope(2, 'task2', 'Error: Bang', '2016-12-02T10:00:00.000Z');
+  const e3 = sampleEnvelope(3, 'task1', 'Error: Boom', '2016-12-03T10:00:00.000Z');
+  const claimCheck = {source: e3.source, discardedAt: e3.discardedAt, claimCheck: {bucket: 'b', key: 'dmq/k', size: 1}};
+
+  const entries = [
+    {Data: zlib.gzipSync(JSON.stringify(e1)).toString('base64'), PartitionKey: 'x'},
+    {Body: JSON.stringify({contentEncoding: 'deflate', data: zlib.deflateSync(JSON.stringify(e2)).toString('base64')})},
+    {Body: JSON.stringify(claimCheck)}
+  ];
+  const context = sampleContext(t, undefined, {'b/dmq/k': zlib.gzipSync(JSON.stringify(e3))});
+
+  redrive.toRedriveItems(entries, context)
+    .then(items => {
+      t.equal(items.length, 3, `items must be 3`);
+      t.deepEqual(items.map(item => item.message), [e1.message, e2.message, e3.message], `items must have the decompressed messages`);
+      t.notOk(items.some(item => item.skipReason), `no items must be skipped`);
+      t.end();
+    })
+    .catch(err => {
+      t.end(err);
+    });
+});
+
+test('redrive with compression must re-put compressed rejected messages', t => {
+  const e1 = sampleEnvelope(1, 'task1', 'Error: Boom', '2016-12-01T10:00:00.000Z');
+  const context = sampleContext(t);
+
+  redrive.redrive([e1], undefined, {compression: 'gzip'}, context)
+    .then(results => {
+      t.ok(results[0].redriven, `1st result must be redriven`);
+      const data = context.kinesis.requests[0].Data;
+      t.ok(Buffer.isBuffer(data), `1st request data must be a Buffer`);
+      const expected = redrive.resetRejectedTaskStates(JSON.parse(JSON.stringify(e1.message)), 'taskTracking');
+      t.deepEqual(JSON.parse(zlib.gunzipSync(data).toString('utf8')), expected, `1st request data must decompress to the 1st message`);
+      t.end();
+    })
+    .catch(err => {
+      t.end(err);
+    });
+});
+
+test('filterRedriveItems', t => {
+  const entries = [
+    sampleEnvelope(1, 'task1', 'Error: Boom', '2016-12-01T10:00:00.000Z'),
+    sampleEnvelope(2, 'task2', 'Error: Bang', '2016-12-02T10:00:00.000Z'),
+    sampleEnvelope(3, 'task1', 'Error: Bang', '2016-12-03T10:00:00.000Z', 'OtherStream_DEV')
+  ];
+  const context = sampleContext(t);
+
+  redrive.toRedriveItems(entries, context)
+    .then(items => {
+      const ids = filters => redrive.filterRedriveItems(items, filters).map(item => item.message.id);
+
+      t.deepEqual(ids(undefined), [1, 2, 3], `no filters must select all`);
+      t.deepEqual(ids({taskNames: ['task1']}), [1, 3], `task1 filter must select 1 & 3`);
+      t.deepEqual(ids({taskNames: ['done']}), [], `completed task filter must select none`);
+      t.deepEqual(ids({error: 'Bang'}), [2, 3], `Bang error filter must select 2 & 3`);
+      t.deepEqual(ids({taskNames: ['task1'], error: /Bang/}), [3], `task1 & Bang filters must select 3`);
+      t.deepEqual(ids({discardedFrom: '2016-12-02T00:00:00.000Z'}), [2, 3], `from filter must select 2 & 3`);
+      t.deepEqual(ids({discardedTo: new Date('2016-12-02T10:00:00.000Z')}), [1, 2], `to filter must select 1 & 2`);
+      t.deepEqual(ids({sourceStreamNames: ['OtherStream_DEV']}), [3], `stream filter must select 3`);
+      t.end();
+    })
+    .catch(err => {
+      t.end(err);
+    });
+});
+
+test('resetTaskTrackingAttempts', t => {
+  const message = sampleEnvelope(1, 'task1', 'Error: Boom', '2016-12-01T10:00:00.000Z').message;
+  message.taskTracking.ones.task1.subTasks.push(sampleTask('sub1', 'Failed', false, 'Error: Sub', 3));
+
+  redrive.resetTaskTrackingAttempts(message, 'taskTracking');
+
+  const task1 = message.taskTracking.ones.task1;
+  t.equal(task1.attempts, 0, `task1 attempts must be 0`);
+  t.equal(task1.state.name, 'Unstarted', `task1 state must be Unstarted`);
+  t.equal(task1.subTasks[0].attempts, 0, `sub1 attempts must be 0`);
+  t.equal(task1.subTasks[0].state.name, 'Unstarted', `sub1 state must be Unstarted`);
+  t.equal(message.taskTracking.ones.done.attempts, 0, `done attempts must be 0`);
+  t.equal(message.taskTracking.ones.done.state.name, 'Succeeded', `done state must still be Succeeded`);
+  t.end();
+});
+
+test('resetRejectedTaskStates', t => {
+  const message = sampleEnvelope(1, 'task1', 'Error: Boom', '2016-12-01T10:00:00.000Z').message;
+  message.taskTracking.ones.task1.subTasks.push(sampleTask('sub1', 'Rejected', false, 'Error: Sub', 3));
+  message.taskTracking.ones.failed = sampleTask('failed', 'Failed', false, 'Error: Bang', 2);
+  message.taskTracking.ones.failed.state.rejected = false;
+
+  redrive.resetRejectedTaskStates(message, 'taskTracking');
+
+  const task1 = message.taskTracking.ones.task1;
+  t.equal(task1.state.name, 'Unstarted', `task1 state must be Unstarted`);
+  t.equal(task1.attempts, 10, `task1 attempts must be unchanged`);
+  t.equal(task1.lastExecutedAt, '2016-12-01T10:00:00.000Z', `task1 lastExecutedAt must be unchanged`);
+  t.equal(task1.subTasks[0].state.name, 'Unstarted', `sub1 state must be Unstarted`);
+  t.equal(task1.subTasks[0].attempts, 3, `sub1 attempts must be unchanged`);
+  t.equal(message.taskTracking.ones.failed.state.name, 'Failed', `failed state must still be Failed`);
+  t.equal(message.taskTracking.ones.done.state.name, 'Succeeded', `done state must still be Succeeded`);
+  t.end();
+});
+
+// =====================================================================================================================
+// redrive
+// =====================================================================================================================
+
+test('redrive with dry run must not put any records', t => {
+  const entries = [
+    sampleEnvelope(1, 'task1', 'Error: Boom', '2016-12-01T10:00:00.000Z'),
+    sampleEnvelope(2, 'task2', 'Error: Bang', '2016-12-02T10:00:00.000Z')
+  ];
+  const context = sampleContext(t);
+
+  redrive.redrive(entries, {taskNames: ['task1']}, {dryRun: true}, context)
+    .then(results => {
+      t.equal(results.length, 1, `results must be 1`);
+      t.ok(results[0].redriven && results[0].dryRun, `1st result must be a dry run redrive`);
+      t.equal(context.kinesis.requests.length, 0, `no records must be put`);
+      t.end();
+    })
+    .catch(err => {
+      t.end(err);
+    });
+});
+
+test('redrive must re-put rejected messages & unusable records to their source streams', t => {
+  const e1 = sampleEnvelope(1, 'task1', 'Error: Boom', '2016-12-01T10:00:00.000Z');
+  const e2 = sampleEnvelope(2, 'task1', 'Error: Boom', '2016-12-02T10:00:00.000Z');
+  e2.source.partitionKeyOrKeys = e1.source.partitionKeyOrKeys;
+  const record = samples.sampleKinesisRecord('pk-3', {id: 3}, eventSourceARN, 'us-west-2');
+  const e4 = sampleEnvelope(4, 'task1', 'Error: Boom', '2016-12-04T10:00:00.000Z', 'TestTable', 'aws:dynamodb');
+  const context = sampleContext(t);
+
+  redrive.redrive([e1, e2, record, e4], undefined, {resetAttempts: true}, context)
+    .then(results => {
+      t.equal(results.length, 4, `results must be 4`);
+      t.deepEqual(results.map(r => r.redriven), [true, true, true, false], `only the first 3 must be redriven`);
+      t.ok(results[3].skipReason, `4th result must be skipped`);
+
+      const requests = context.kinesis.requests;
+      t.equal(requests.length, 3, `requests must be 3`);
+
+      const message1 = JSON.parse(requests[0].Data);
+      t.equal(requests[0].StreamName, 'TestStream_DEV', `1st request stream name must be TestStream_DEV`);
+      t.equal(requests[0].PartitionKey, 'pk-1', `1st request partition key must be pk-1`);
+      t.equal(message1.id, 1, `1st request must contain the 1st message`);
+      t.equal(message1.taskTracking.ones.task1.attempts, 0, `1st request message's task1 attempts must be reset`);
+      t.equal(e1.message.taskTracking.ones.task1.attempts, 10, `1st envelope's task1 attempts must be unchanged`);
+      t.equal(requests[1].SequenceNumberForOrdering, '101', `2nd request must be ordered after the 1st`);
+      t.deepEqual(JSON.parse(requests[2].Data.toString('utf8')), {id: 3}, `3rd request must contain the original record data`);
+      t.equal(requests[2].PartitionKey, 'pk-3', `3rd request partition key must be pk-3`);
+      t.end();
+    })
+    .catch(err => {
+      t.end(err);
+    });
+});
+
+test('redrive without resetAttempts must still reset the states of rejected tasks, but not their attempts', t => {
+  const e1 = sampleEnvelope(1, 'task1', 'Error: Boom', '2016-12-01T10:00:00.000Z');
+  const context = sampleContext(t);
+
+  redrive.redrive([e1], undefined, undefined, context)
+    .then(results => {
+      t.ok(results[0].redriven, `envelope must be redriven`);
+
+      const message1 = JSON.parse(context.kinesis.requests[0].Data);
+      t.equal(message1.taskTracking.ones.task1.state.name, 'Unstarted', `request message's task1 state must be Unstarted`);
+      t.equal(message1.taskTracking.ones.task1.attempts, 10, `request message's task1 attempts must be unchanged`);
+      t.equal(message1.taskTracking.ones.done.state.name, 'Succeeded', `request message's done state must be Succeeded`);
+      t.equal(e1.message.taskTracking.ones.task1.state.name, 'Discarded', `envelope's task1 state must be unchanged`);
+      t.end();
+    })
+    .catch(err => {
+      t.end(err);
+    });
+});
+
+test('redrive must re-put a rejected message that the stream consumer executes again', t => {
+  process.env.AWS_REGION = 'us-west-2';
+  const region = process.env.AWS_REGION;
+
+  // A message whose task was rejected on its 1st attempt & that was then discarded to the DMQ
+  const taskDef = TaskDef.defineTask('task1', function () {
+    executions.push(this.name);
+    return 'Done';
+  });
+  const executions = [];
+  const taskBefore = Task.createTask(taskDef);
+  taskBefore.incrementAttempts();
+  taskBefore.reject('Bad input', new Error('Boom'));
+  const e1 = sampleEnvelope(1, 'task1', 'Error: Boom', '2016-12-01T10:00:00.000Z');
+  e1.message.taskTracking = JSON.parse(JSON.stringify({ones: {task1: taskBefore}, alls: {}}));
+  const context = sampleContext(t);
+
+  redrive.redrive([e1], undefined, undefined, context)
+    .then(results => {
+      t.ok(results[0].redriven, `envelope must be redriven`);
+      const request = context.kinesis.requests[0];
+
+      // Consume the redriven message from its source stream
+      const consumerContext = {kinesis: context.kinesis};
+      const options = require('../default-kinesis-options.json');
+      logging.configureDefaultLogging(consumerContext, options.loggingOptions);
+      stages.configureDefaultStageHandling(consumerContext, options.stageHandlingOptions);
+      streamProcessing.configureDefaultKinesisStreamProcessing(consumerContext, options.streamProcessingOptions);
+
+      const event = samples.sampleKinesisEventWithSampleRecord(request.PartitionKey, JSON.parse(request.Data),
+        samples.sampleKinesisEventSourceArn(region, request.StreamName), region);
+      const awsContext = samples.sampleAwsContext('sampleFunctionName', '1.0.1',
+        samples.sampleInvokedFunctionArn(region, 'sampleFunctionName', 'dev'), 1000);
+
+      streamConsumer.configureStreamConsumer(consumerContext, undefined, undefined, event, awsContext);
+      return streamConsumer.processStreamEvent(event, [taskDef], [], consumerContext);
+    })
+    .then(results => {
+      t.deepEqual(executions, ['task1'], `redriven message's rejected task1 must be executed again`);
+      const task1 = results.messages[0].taskTracking.ones.task1;
+      t.ok(task1.state.completed, `redriven message's task1 must be completed`);
+      t.equal(task1.attempts, 2, `redriven message's task1 attempts must be 2`);
+      t.equal(results.discardedRejectedMessages.length, 0, `redriven message must NOT be discarded again`);
+      t.end();
+    })
+    .catch(err => {
+      t.end(err);
+    })
+    .finally(() => {
+      process.env.AWS_REGION = undefined;
+    });
+});
+
+test('redrive must re-put rejected messages from a retry stream to their original source streams', t => {
+  // An envelope written before DMQ envelopes named the original source stream of a message from a retry stream
+  const e1 = sampleEnvelope(1, 'task1', 'Error: Boom', '2016-12-01T10:00:00.000Z', 'RetryStream_DEV');
+  e1.message.taskTracking.sourceStreamName = 'TestStream_DEV';
+  const e2 = sampleEnvelope(2, 'task1', 'Error: Boom', '2016-12-02T10:00:00.000Z', 'RetryStream_DEV');
+  const context = sampleContext(t);
+
+  redrive.redrive([e1, e2], {sourceStreamNames: ['TestStream_DEV']}, undefined, context)
+    .then(results => {
+      t.equal(results.length, 1, `only the 1st envelope must be selected by its original source stream`);
+      t.ok(results[0].redriven, `1st envelope must be redriven`);
+
+      const requests = context.kinesis.requests;
+      t.equal(requests.length, 1, `requests must be 1`);
+      t.equal(requests[0].StreamName, 'TestStream_DEV', `request stream name must be the original source stream`);
+      t.equal(JSON.parse(requests[0].Data).id, 1, `request must contain the 1st message`);
+      t.end();
+    })
+    .catch(err => {
+      t.end(err);
+    });
+});
+
+test('redrive must continue after a failure to re-put', t => {
+  const entries = [
+    sampleEnvelope(1, 'task1', 'Error: Boom', '2016-12-01T10:00:00.000Z'),
+    sampleEnvelope(2, 'task1', 'Error: Boom', '2016-12-02T10:00:00.000Z')
+  ];
+  const error = new Error('Planned failure');
+  const context = sampleContext(t, error);
+
+  redrive.redrive(entries, undefined, undefined, context)
+    .then(results => {
+      t.equal(results.length, 2, `results must be 2`);
+      t.ok(results.every(r => !r.redriven && r.error === error), `both results must have failed with the planned error`);
+      t.end();
+    })
+    .catch(err => {
+      t.end(err);
+    });
+});
+
+// =====================================================================================================================
+// redrive-cli
+// =====================================================================================================================
+
+test('redrive-cli parseArgs', t => {
+  const parsed = redriveCli.parseArgs(['--file', 'dump.json', '--task', 'task1', '--task', 'task2', '--error', 'Boom',
+    '--from', '2016-12-01', '--to', '2016-12-31', '--stream', 'TestStream_DEV', '--reset-attempts', '--dry-run',
+    '--region', 'us-west-2']);
+
+  t.equal(parsed.file, 'dump.json', `file must be dump.json`);
+  t.equal(parsed.region, 'us-west-2', `region must be us-west-2`);
+  t.deepEqual(parsed.filters, {taskNames: ['task1', 'task2'], error: 'Boom', discardedFrom: '2016-12-01',
+    discardedTo: '2016-12-31', sourceStreamNames: ['TestStream_DEV']}, `filters must match`);
+  t.deepEqual(parsed.options, {resetAttempts: true, dryRun: true}, `options must match`);
+
+  t.throws(() => redriveCli.parseArgs(['--bogus']), /Unknown argument/, `unknown argument must throw`);
+  t.throws(() => redriveCli.parseArgs(['--task']), /Missing value/, `missing value must throw`);
+
+  t.deepEqual(redriveCli.parseArgs(['--compression', 'deflate']).options, {compression: 'deflate'}, `compression option must match`);
+  t.throws(() => redriveCli.parseArgs(['--compression', 'zip']), /Invalid value/, `invalid compression must throw`);
+  t.end();
+});
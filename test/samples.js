@@ -6,6 +6,7 @@
  */
 
 const uuid = require('uuid');
+const zlib = require('zlib');
 const base64 = require('core-functions/base64');
 
 const sampleAwsAccountId = "XXXXXXXXXXXX";
@@ -49,12 +50,30 @@ module.exports = {
 
   awsKinesisStreamsSampleEvent: awsKinesisStreamsSampleEvent,
 
+  // For Kinesis Producer Library (KPL) aggregated records
+  sampleKplAggregatedData: sampleKplAggregatedData,
+  sampleKplAggregatedRecord: sampleKplAggregatedRecord,
+
+  // For CloudWatch Logs subscription records
+  sampleCloudWatchLogsPayload: sampleCloudWatchLogsPayload,
+  sampleCloudWatchLogsRecord: sampleCloudWatchLogsRecord,
+
   // For DynamoDB stream events
   sampleTableName: sampleTableName,
   sampleDynamoDBEventSourceArn: sampleDynamoDBEventSourceArn,
   sampleDynamoDBEventSourceArnFromPrefixSuffix: sampleDynamoDBEventSourceArnFromPrefixSuffix,
 
-  awsDynamoDBUpdateSampleEvent: awsDynamoDBUpdateSampleEvent
+  awsDynamoDBUpdateSampleEvent: awsDynamoDBUpdateSampleEvent,
+
+  // For SQS events
+  sampleSQSEventSourceArn: sampleSQSEventSourceArn,
+  sampleSQSRecord: sampleSQSRecord,
+  sampleSNSNotification: sampleSNSNotification,
+
+  // For Kinesis Data Firehose data transformation events
+  sampleFirehoseDeliveryStreamArn: sampleFirehoseDeliveryStreamArn,
+  sampleFirehoseRecord: sampleFirehoseRecord,
+  sampleFirehoseEvent: sampleFirehoseEvent
 };
 
 const Strings = require('core-functions/strings');
@@ -302,3 +321,172 @@ function awsDynamoDBUpdateSampleEvent(eventSourceArn) {
   };
 }
 
+
+// =====================================================================================================================
+// Kinesis Producer Library (KPL) aggregated records
+// =====================================================================================================================
+
+function toVarintBuffer(n) {
+  const bytes = [];
+  let value = n;
+  while (value >= 128) {
+    bytes.push((value % 128) | 0x80);
+    value = Math.floor(value / 128);
+  }
+  bytes.push(value);
+  return new Buffer(bytes);
+}
+
+function toVarintField(fieldNumber, n) {
+  return Buffer.concat([toVarintBuffer(fieldNumber * 8), toVarintBuffer(n)]);
+}
+
+function toLengthDelimitedField(fieldNumber, bytes) {
+  const buffer = Buffer.isBuffer(bytes) ? bytes : new Buffer(bytes, 'utf8');
+  return Buffer.concat([toVarintBuffer(fieldNumber * 8 + 2), toVarintBuffer(buffer.length), buffer]);
+}
+
+/**
+ * Generates the data of a KPL aggregated record containing the given user records.
+ * @param {{partitionKey: string, explicitHashKey: (string|undefined), data: (Object|string)}[]} userRecords - the user records
+ * @param {boolean|undefined} [corruptChecksum] - whether to corrupt the MD5 checksum or not
+ * @returns {Buffer} the aggregated data
+ */
+function sampleKplAggregatedData(userRecords, corruptChecksum) {
+  const partitionKeys = [];
+  const explicitHashKeys = [];
+  const indexOf = (table, key) => {
+    const i = table.indexOf(key);
+    return i !== -1 ? i : table.push(key) - 1;
+  };
+
+  const records = userRecords.map(userRecord => {
+    const fields = [toVarintField(1, indexOf(partitionKeys, userRecord.partitionKey))];
+    if (userRecord.explicitHashKey !== undefined) {
+      fields.push(toVarintField(2, indexOf(explicitHashKeys, userRecord.explicitHashKey)));
+    }
+    const data = typeof userRecord.data === 'string' ? userRecord.data : JSON.stringify(userRecord.data);
+    fields.push(toLengthDelimitedField(3, data));
+    fields.push(toLengthDelimitedField(4, Buffer.concat([toLengthDelimitedField(1, 'tag'), toLengthDelimitedField(2, 'value')])));
+    return toLengthDelimitedField(3, Buffer.concat(fields));
+  });
+
+  const message = Buffer.concat(partitionKeys.map(k => toLengthDelimitedField(1, k))
+    .concat(explicitHashKeys.map(k => toLengthDelimitedField(2, k)))
+    .concat(records));
+
+  const checksum = require('crypto').createHash('md5').update(message).digest();
+  if (corruptChecksum) {
+    checksum[0] = checksum[0] ^ 0xFF;
+  }
+  return Buffer.concat([new Buffer([0xF3, 0x89, 0x9A, 0xC2]), message, checksum]);
+}
+
+function sampleKplAggregatedRecord(userRecords, eventSourceArn, eventAwsRegion, corruptChecksum) {
+  const record = sampleKinesisRecord('aggregated', undefined, eventSourceArn, eventAwsRegion);
+  record.kinesis.data = sampleKplAggregatedData(userRecords, corruptChecksum).toString('base64');
+  return record;
+}
+
+/**
+ * Generates a CloudWatch Logs subscription payload containing the given log event messages.
+ * @param {string} logGroup - the log group
+ * @param {string} logStream - the log stream
+ * @param {string[]} messages - the log event messages
+ * @param {string|undefined} [messageType] - the message type (defaults to "DATA_MESSAGE")
+ * @returns {Object} the CloudWatch Logs subscription payload
+ */
+function sampleCloudWatchLogsPayload(logGroup, logStream, messages, messageType) {
+  return {
+    messageType: messageType ? messageType : 'DATA_MESSAGE',
+    owner: sampleAwsAccountId,
+    logGroup: logGroup,
+    logStream: logStream,
+    subscriptionFilters: ['TestFilter'],
+    logEvents: messages.map((message, i) => ({id: `3195310660696698337880902507980421114328961542429822156${i}`, timestamp: 1432826855000 + i, message: message}))
+  };
+}
+
+function sampleCloudWatchLogsRecord(payload, eventSourceArn, eventAwsRegion) {
+  const record = sampleKinesisRecord(undefined, undefined, eventSourceArn, eventAwsRegion);
+  record.kinesis.data = zlib.gzipSync(JSON.stringify(payload)).toString('base64');
+  return record;
+}
+
+function sampleSQSEventSourceArn(eventSourceArnRegion, queueName) {
+  const region = isNotBlank(eventSourceArnRegion) ? eventSourceArnRegion : 'EF_ARN_REGION';
+  const queueName1 = isNotBlank(queueName) ? queueName : 'TestQueue';
+  return `arn:aws:sqs:${region}:${sampleAwsAccountId}:${queueName1}`;
+}
+
+/**
+ * Generates an SQS event record with the given body (or a JSON string of the sample message if undefined) and, if a
+ * message group ID is given, with the FIFO attributes of a record from a FIFO queue.
+ * @param {string|Object|undefined} body - the body (objects are converted to JSON strings)
+ * @param {string|undefined} eventSourceArn - the event source ARN
+ * @param {string|undefined} eventAwsRegion - the event AWS region
+ * @param {string|undefined} [messageGroupId] - the optional FIFO message group ID
+ * @returns {Object} the SQS event record
+ */
+function sampleSQSRecord(body, eventSourceArn, eventAwsRegion, messageGroupId) {
+  const sequenceNumber = nextSequenceNumber++;
+  const messageId = uuid.v4();
+  const record = {
+    messageId: messageId,
+    receiptHandle: `ReceiptHandle-${messageId}`,
+    body: body !== undefined ? typeof body === 'object' ? JSON.stringify(body) : body : JSON.stringify(sampleMessage),
+    attributes: {
+      ApproximateReceiveCount: '1',
+      SentTimestamp: '1523232000000',
+      SenderId: sampleAwsAccountId,
+      ApproximateFirstReceiveTimestamp: '1523232000001'
+    },
+    messageAttributes: {},
+    md5OfBody: '7b270e59b47ff90a553787216d55d91d',
+    eventSource: 'aws:sqs',
+    awsRegion: eventAwsRegion ? eventAwsRegion : 'EVENT_AWS_REGION'
+  };
+  if (isNotBlank(messageGroupId)) {
+    record.attributes.MessageGroupId = messageGroupId;
+    record.attributes.SequenceNumber = `${sequenceNumber}`;
+    record.attributes.MessageDeduplicationId = messageId;
+  }
+  if (eventSourceArn !== undefined) {
+    record.eventSourceARN = eventSourceArn;
+  }
+  return record;
+}
+
+function sampleSNSNotification(message, topicArn) {
+  return {
+    Type: 'Notification',
+    MessageId: uuid.v4(),
+    TopicArn: isNotBlank(topicArn) ? topicArn : `arn:aws:sns:EF_ARN_REGION:${sampleAwsAccountId}:TestTopic`,
+    Message: typeof message === 'object' ? JSON.stringify(message) : message,
+    Timestamp: '2018-04-09T00:00:00.000Z',
+    SignatureVersion: '1'
+  };
+}
+
+function sampleFirehoseDeliveryStreamArn(region, deliveryStreamName) {
+  const region1 = isNotBlank(region) ? region : 'EF_ARN_REGION';
+  const deliveryStreamName1 = isNotBlank(deliveryStreamName) ? deliveryStreamName : 'TestDeliveryStream';
+  return `arn:aws:firehose:${region1}:${sampleAwsAccountId}:deliverystream/${deliveryStreamName1}`;
+}
+
+function sampleFirehoseRecord(data) {
+  return {
+    recordId: `${nextSequenceNumber++}`,
+    approximateArrivalTimestamp: 1523232000000,
+    data: data !== undefined ? typeof data === 'object' ? base64.toBase64(data) : data : base64.toBase64(sampleMessage)
+  };
+}
+
+function sampleFirehoseEvent(deliveryStreamArn, records, region) {
+  return {
+    invocationId: uuid.v4(),
+    deliveryStreamArn: deliveryStreamArn,
+    region: isNotBlank(region) ? region : 'EVENT_AWS_REGION',
+    records: records
+  };
+}
@@ -375,3 +375,98 @@ test('configureStreamConsumer with default DynamoDB options & ideal conditions m
   }
   t.end();
 });
+
+test('configureStreamConsumer with an "auto" stream type must resolve the stream type from the event', t => {
+  try {
+    // Simulate a region in AWS_REGION for testing
+    const region = setRegionStageAndDeleteCachedInstances('us-west-2', undefined);
+
+    const options = JSON.parse(JSON.stringify(require('../default-kinesis-options.json')));
+    options.streamProcessingOptions.streamType = streamProcessing.AUTO_STREAM_TYPE;
+
+    // Generate a sample AWS context
+    const awsContext = sampleAwsContext('1.0.1', 'dev1');
+
+    // A DynamoDB stream event must be consumed with the default DynamoDB stream processing settings
+    const dynamoDBEvent = samples.awsDynamoDBUpdateSampleEvent(samples.sampleDynamoDBEventSourceArn(region, 'TestTable_QA'));
+    const context1 = {};
+    configureStreamConsumer(context1, undefined, options, dynamoDBEvent, awsContext);
+    t.ok(isStreamConsumerConfigured(context1), 'stream consumer must be configured');
+    t.equal(context1.streamProcessing.streamType, streamProcessing.DYNAMODB_STREAM_TYPE, `streamType must be dynamodb`);
+    t.equal(context1.streamProcessing.extractMessageFromRecord, streamProcessing.DEFAULTS.useStreamEventRecordAsMessage, `extractMessageFromRecord must be useStreamEventRecordAsMessage`);
+    t.equal(options.streamProcessingOptions.streamType, streamProcessing.AUTO_STREAM_TYPE, `options streamType must still be auto`);
+
+    // An SQS event must be consumed with the default SQS stream processing settings
+    const sqsEvent = {Records: [samples.sampleSQSRecord({id: 1}, samples.sampleSQSEventSourceArn(region, 'TestQueue_QA'), region)]};
+    const context2 = {};
+    configureStreamConsumer(context2, undefined, options, sqsEvent, awsContext);
+    t.equal(context2.streamProcessing.streamType, streamProcessing.SQS_STREAM_TYPE, `streamType must be sqs`);
+    t.equal(context2.streamProcessing.extractMessageFromRecord, streamProcessing.DEFAULTS.extractJsonMessageFromSQSRecord, `extractMessageFromRecord must be extractJsonMessageFromSQSRecord`);
+
+    // A Kinesis stream event must be consumed with the default Kinesis stream processing settings
+    const context3 = {};
+    configureStreamConsumer(context3, undefined, options, sampleAwsEvent('TestStream_QA', 'partitionKey', '', false), awsContext);
+    t.equal(context3.streamProcessing.streamType, streamProcessing.KINESIS_STREAM_TYPE, `streamType must be kinesis`);
+
+    // An already configured context must not need an event
+    t.doesNotThrow(() => configureStreamConsumer(context1, undefined, options, undefined, undefined),
+      `configureStreamConsumer of an already configured context without an event must not fail`);
+    t.equal(context1.streamProcessing.streamType, streamProcessing.DYNAMODB_STREAM_TYPE, `already configured streamType must still be dynamodb`);
+
+    // Configuring without an event must defer the configuration of stream processing to the first call with an event
+    const context4 = {};
+    configureStreamConsumer(context4, undefined, options, undefined, undefined);
+    t.notOk(streamProcessing.isStreamProcessingConfigured(context4), 'stream processing must not be configured without an event');
+    configureStreamConsumer(context4, undefined, options, sqsEvent, awsContext);
+    t.equal(context4.streamProcessing.streamType, streamProcessing.SQS_STREAM_TYPE, `deferred streamType must be sqs`);
+
+    // An event without any records must fail fast
+    t.throws(() => configureStreamConsumer({}, undefined, options, {Records: []}, awsContext), /FATAL - Cannot auto-detect the stream type/,
+      `configureStreamConsumer with an event without records must fail`);
+
+  } finally {
+    process.env.AWS_REGION = undefined;
+    process.env.STAGE = undefined;
+  }
+  t.end();
+});
+
+test('configureStreamConsumer must fail fast with a mixed or mismatched event', t => {
+  try {
+    // Simulate a region in AWS_REGION for testing
+    const region = setRegionStageAndDeleteCachedInstances('us-west-2', undefined);
+
+    // Generate a sample AWS context
+    const awsContext = sampleAwsContext('1.0.1', 'dev1');
+
+    const kinesisEvent = sampleAwsEvent('TestStream_QA', 'partitionKey', '', false);
+    const dynamoDBEvent = samples.awsDynamoDBUpdateSampleEvent(samples.sampleDynamoDBEventSourceArn(region, 'TestTable_QA'));
+
+    // A DynamoDB stream event must not be consumed with Kinesis stream processing settings
+    t.throws(() => configureStreamConsumer({}, undefined, require('../default-kinesis-options.json'), dynamoDBEvent, awsContext),
+      /FATAL - Cannot process a dynamodb stream event with a stream consumer configured for stream type \(kinesis\)/,
+      `configureStreamConsumer with Kinesis options & a DynamoDB event must fail`);
+
+    // A Kinesis stream event must not be consumed with DynamoDB stream processing settings
+    t.throws(() => configureStreamConsumer({}, undefined, require('../default-dynamodb-options.json'), kinesisEvent, awsContext),
+      /FATAL - Cannot process a kinesis stream event with a stream consumer configured for stream type \(dynamodb\)/,
+      `configureStreamConsumer with DynamoDB options & a Kinesis event must fail`);
+
+    // An event with records from mixed event sources must not be consumed
+    const mixedEvent = {Records: kinesisEvent.Records.concat(dynamoDBEvent.Records)};
+    t.throws(() => configureStreamConsumer({}, undefined, require('../default-kinesis-options.json'), mixedEvent, awsContext),
+      /FATAL - Cannot process a stream event with records from mixed event sources \(aws:kinesis, aws:dynamodb\)/,
+      `configureStreamConsumer with a mixed event must fail`);
+
+    // An event with records from an unsupported event source must not be consumed
+    const s3Event = {Records: [{eventSource: 'aws:s3'}]};
+    t.throws(() => configureStreamConsumer({}, undefined, require('../default-kinesis-options.json'), s3Event, awsContext),
+      /FATAL - Cannot process a stream event with records from an unsupported event source \(aws:s3\)/,
+      `configureStreamConsumer with an S3 event must fail`);
+
+  } finally {
+    process.env.AWS_REGION = undefined;
+    process.env.STAGE = undefined;
+  }
+  t.end();
+});
@@ -10,6 +10,8 @@ const test = require("tape");
 // The test subject
 const streamConsumer = require('../stream-consumer');
 
+const streamProcessing = require('../stream-processing');
+
 const TaskDefs = require('task-utils/task-defs');
 const TaskDef = TaskDefs.TaskDef;
 
@@ -50,6 +52,15 @@ function sampleKinesisEvent(streamName, partitionKey, data, omitEventSourceARN)
   return samples.sampleKinesisEventWithSampleRecord(partitionKey, data, eventSourceArn, region);
 }
 
+// Reporting batch item failures requires persistent task tracking, which these no-op functions stand in for
+function noOpLoadTaskTrackingState(messages, context) {
+  return Promise.resolve(messages);
+}
+
+function noOpSaveTaskTrackingState(messages, context) {
+  return Promise.resolve(messages);
+}
+
 function sampleAwsContext(functionVersion, functionAlias, maxTimeInMillis) {
   const region = process.env.AWS_REGION;
   const functionName = 'sampleFunctionName';
@@ -345,4 +356,497 @@ test('generateHandlerFunction simulating failure during configuration with missi
     setRegionStageAndDeleteCachedInstances(undefined, undefined);
     t.end();
   }
-});
\ No newline at end of file
+});
+// =====================================================================================================================
+// generateHandlerFunction reporting batch item failures
+// =====================================================================================================================
+
+test('generateHandlerFunction reporting batch item failures must respond with the earliest incomplete record', t => {
+  try {
+    // Set up environment for testing
+    setRegionStageAndDeleteCachedInstances('us-west-2', 'dev99');
+
+    // Generate a sample DynamoDB stream event with records with sequence numbers 111, 222 & 333
+    const eventSourceArn = samples.sampleDynamoDBEventSourceArn('us-west-2', 'TestTable_DEV2');
+    const event = samples.awsDynamoDBUpdateSampleEvent(eventSourceArn);
+
+    // Generate a sample AWS context
+    const maxTimeInMillis = 1000;
+    const awsContext = sampleAwsContext('1.0.1', 'dev1', maxTimeInMillis);
+
+    // Setup the task definitions, which fail on the record with sequence number 222
+    const executed = [];
+    const taskDef1 = TaskDef.defineTask('Task1', (message, context) => {
+      executed.push(message.dynamodb.SequenceNumber);
+      return message.dynamodb.SequenceNumber === '222' ? Promise.reject(new Error('Planned task failure')) : Promise.resolve(message);
+    });
+    const processOneTaskDefs = [taskDef1];
+
+    // Use no-op (but not skipping) task tracking functions to avoid the need for a DynamoDB task tracking table
+    const settings = {
+      streamProcessingSettings: {
+        loadTaskTrackingState: noOpLoadTaskTrackingState,
+        saveTaskTrackingState: noOpSaveTaskTrackingState
+      }
+    };
+    const options = JSON.parse(JSON.stringify(require('../default-dynamodb-options.json')));
+    options.streamProcessingOptions.reportBatchItemFailures = true;
+
+    // Create a sample AWS Lambda handler function
+    const handler = streamConsumer.generateHandlerFunction({}, settings, options, processOneTaskDefs, [], logging.INFO,
+      'Failed to process test stream event', 'Processed test stream event');
+
+    // Wrap the callback-based AWS Lambda handler function as a Promise returning function purely for testing purposes
+    const handlerWithPromise = Promise.wrap(handler);
+
+    // Invoke the handler function
+    handlerWithPromise(event, awsContext)
+      .then(response => {
+        t.deepEqual(executed, ['111', '222', '333'], `Task1 must be executed on every record`);
+        t.deepEqual(response, {batchItemFailures: [{itemIdentifier: '222'}]}, `response must report the incomplete record's sequence number`);
+        // Clean up environment
+        setRegionStageAndDeleteCachedInstances(undefined, undefined);
+        t.end();
+      })
+      .catch(err => {
+        t.fail(`handler should not have failed - ${err.stack}`);
+        // Clean up environment
+        setRegionStageAndDeleteCachedInstances(undefined, undefined);
+        t.end();
+      });
+
+  } catch (err) {
+    t.fail(`handler should not have failed in try-catch - ${err.stack}`);
+    // Clean up environment
+    setRegionStageAndDeleteCachedInstances(undefined, undefined);
+    t.end();
+  }
+});
+
+test('generateHandlerFunction reporting Kinesis batch item failures must only re-run unfinished tasks on replay', t => {
+  try {
+    // Set up environment for testing
+    setRegionStageAndDeleteCachedInstances('us-west-2', 'dev99');
+
+    // Generate a sample Kinesis stream event with 3 records from the same shard
+    const region = process.env.AWS_REGION;
+    const eventSourceArn = samples.sampleKinesisEventSourceArn(region, 'TestStream_DEV2');
+    const records = [1, 2, 3].map(id => samples.sampleKinesisRecord(`pk${id}`, {id: id}, eventSourceArn, region));
+    const event = samples.sampleKinesisEventWithRecords(records);
+
+    // Generate a sample AWS context
+    const maxTimeInMillis = 1000;
+    const awsContext = sampleAwsContext('1.0.1', 'dev1', maxTimeInMillis);
+
+    // Setup the task definitions, where Task2 fails on the message with id 2 during the first invocation only
+    let invocation = 0;
+    const executed = [];
+    const taskDef1 = TaskDef.defineTask('Task1', (message, context) => {
+      executed.push(`${invocation}:Task1:${message.id}`);
+      return Promise.resolve(message);
+    });
+    const taskDef2 = TaskDef.defineTask('Task2', (message, context) => {
+      executed.push(`${invocation}:Task2:${message.id}`);
+      return invocation === 1 && message.id === 2 ? Promise.reject(new Error('Planned task failure')) : Promise.resolve(message);
+    });
+    const processOneTaskDefs = [taskDef1, taskDef2];
+
+    // Load & save task tracking state from & to an in-memory store to avoid the need for a DynamoDB task tracking table
+    const store = new Map();
+    const settings = {
+      streamProcessingSettings: {
+        loadTaskTrackingState: (messages, context) => {
+          messages.forEach(message => {
+            const saved = store.get(message.id);
+            if (saved) message.taskTracking.ones = JSON.parse(saved).ones;
+          });
+          return Promise.resolve(messages);
+        },
+        saveTaskTrackingState: (messages, context) => {
+          messages.forEach(message => store.set(message.id, JSON.stringify(message.taskTracking)));
+          return Promise.resolve(messages);
+        }
+      }
+    };
+    const options = JSON.parse(JSON.stringify(require('../default-kinesis-options.json')));
+    options.streamProcessingOptions.reportBatchItemFailures = true;
+
+    // Create a sample AWS Lambda handler function
+    const handler = streamConsumer.generateHandlerFunction({}, settings, options, processOneTaskDefs, [], logging.INFO,
+      'Failed to process test stream event', 'Processed test stream event');
+
+    // Wrap the callback-based AWS Lambda handler function as a Promise returning function purely for testing purposes
+    const handlerWithPromise = Promise.wrap(handler);
+
+    // Invoke the handler function & then invoke it again to simulate Lambda replaying the batch
+    invocation = 1;
+    handlerWithPromise(event, awsContext)
+      .then(response => {
+        t.deepEqual(response, {batchItemFailures: [{itemIdentifier: records[1].kinesis.sequenceNumber}]},
+          `1st response must report the incomplete record's sequence number`);
+        invocation = 2;
+        return handlerWithPromise(event, awsContext);
+      })
+      .then(response => {
+        t.deepEqual(response, {batchItemFailures: []}, `2nd response must not report any batch item failures`);
+        t.deepEqual(executed.filter(e => e.startsWith('1:')).sort(),
+          ['1:Task1:1', '1:Task1:2', '1:Task1:3', '1:Task2:1', '1:Task2:2', '1:Task2:3'], `1st invocation must execute every task`);
+        t.deepEqual(executed.filter(e => e.startsWith('2:')), ['2:Task2:2'], `2nd invocation must only re-run the unfinished task`);
+        // Clean up environment
+        setRegionStageAndDeleteCachedInstances(undefined, undefined);
+        t.end();
+      })
+      .catch(err => {
+        t.fail(`handler should not have failed - ${err.stack}`);
+        // Clean up environment
+        setRegionStageAndDeleteCachedInstances(undefined, undefined);
+        t.end();
+      });
+
+  } catch (err) {
+    t.fail(`handler should not have failed in try-catch - ${err.stack}`);
+    // Clean up environment
+    setRegionStageAndDeleteCachedInstances(undefined, undefined);
+    t.end();
+  }
+});
+
+function dummyKinesisFailingPartitionKey(putRecords, failingPartitionKey) {
+  return {
+    putRecords(request) {
+      return {
+        promise() {
+          putRecords.push(request);
+          const records = request.Records.map((r, i) => r.PartitionKey === failingPartitionKey ?
+            {ErrorCode: 'InternalFailure', ErrorMessage: 'Planned entry failure'} : {SequenceNumber: `${i}`, ShardId: 'shardId-000000000000'});
+          return Promise.resolve({FailedRecordCount: records.filter(r => r.ErrorCode).length, Records: records});
+        }
+      }
+    }
+  };
+}
+
+function configureResubmitByPartitionKeyHandler(kinesis, reportBatchItemFailures) {
+  // Task1 always fails, so that every message must be resubmitted
+  const taskDef1 = TaskDef.defineTask('Task1', (message, context) => Promise.reject(new Error('Planned task failure')));
+
+  const settings = {
+    streamProcessingSettings: {
+      handleIncompleteMessages: streamProcessing.DEFAULTS.resubmitIncompleteMessagesToKinesisByPartitionKey,
+      loadTaskTrackingState: noOpLoadTaskTrackingState,
+      saveTaskTrackingState: noOpSaveTaskTrackingState
+    }
+  };
+  const options = JSON.parse(JSON.stringify(require('../default-kinesis-options.json')));
+  options.streamProcessingOptions.reportBatchItemFailures = reportBatchItemFailures;
+  // Allow enough time to finalise for all of the backoff delays between retries of the failing entries
+  options.streamProcessingOptions.finalisingTimeoutMs = 3000;
+
+  const handler = streamConsumer.generateHandlerFunction({kinesis: kinesis}, settings, options, [taskDef1], [], logging.INFO,
+    'Failed to process test stream event', 'Processed test stream event');
+
+  // Wrap the callback-based AWS Lambda handler function as a Promise returning function purely for testing purposes
+  return Promise.wrap(handler);
+}
+
+test('generateHandlerFunction resubmitting by partition key & reporting batch item failures must only report the unsent message', t => {
+  try {
+    // Set up environment for testing
+    setRegionStageAndDeleteCachedInstances('us-west-2', 'dev99');
+
+    // Generate a sample Kinesis stream event with 3 records with different partition keys
+    const region = process.env.AWS_REGION;
+    const eventSourceArn = samples.sampleKinesisEventSourceArn(region, 'TestStream_DEV2');
+    const records = [1, 2, 3].map(id => samples.sampleKinesisRecord(`pk${id}`, {id: id}, eventSourceArn, region));
+    const event = samples.sampleKinesisEventWithRecords(records);
+
+    const awsContext = sampleAwsContext('1.0.1', 'dev1', 5000);
+
+    // Simulate every putRecords entry with partition key pk2 failing
+    const putRecords = [];
+    const handlerWithPromise = configureResubmitByPartitionKeyHandler(dummyKinesisFailingPartitionKey(putRecords, 'pk2'), true);
+
+    handlerWithPromise(event, awsContext)
+      .then(response => {
+        t.deepEqual(response, {batchItemFailures: [{itemIdentifier: records[1].kinesis.sequenceNumber}]},
+          `response must only report the unsent record's sequence number`);
+        const resubmitted = putRecords.map(request => request.Records.filter(r => r.PartitionKey !== 'pk2'))
+          .reduce((acc, rs) => acc.concat(rs), []).map(r => JSON.parse(r.Data).id).sort();
+        t.deepEqual(resubmitted, [1, 3], `messages 1 & 3 must be resubmitted exactly once`);
+        // Clean up environment
+        setRegionStageAndDeleteCachedInstances(undefined, undefined);
+        t.end();
+      })
+      .catch(err => {
+        t.fail(`handler should not have failed - ${err.stack}`);
+        // Clean up environment
+        setRegionStageAndDeleteCachedInstances(undefined, undefined);
+        t.end();
+      });
+
+  } catch (err) {
+    t.fail(`handler should not have failed in try-catch - ${err.stack}`);
+    // Clean up environment
+    setRegionStageAndDeleteCachedInstances(undefined, undefined);
+    t.end();
+  }
+});
+
+test('generateHandlerFunction resubmitting by partition key without reporting batch item failures must fail with only the unsent message unhandled', t => {
+  try {
+    // Set up environment for testing
+    setRegionStageAndDeleteCachedInstances('us-west-2', 'dev99');
+
+    // Generate a sample Kinesis stream event with 3 records with different partition keys
+    const region = process.env.AWS_REGION;
+    const eventSourceArn = samples.sampleKinesisEventSourceArn(region, 'TestStream_DEV2');
+    const records = [1, 2, 3].map(id => samples.sampleKinesisRecord(`pk${id}`, {id: id}, eventSourceArn, region));
+    const event = samples.sampleKinesisEventWithRecords(records);
+
+    const awsContext = sampleAwsContext('1.0.1', 'dev1', 5000);
+
+    // Simulate every putRecords entry with partition key pk2 failing
+    const putRecords = [];
+    const handlerWithPromise = configureResubmitByPartitionKeyHandler(dummyKinesisFailingPartitionKey(putRecords, 'pk2'), false);
+
+    handlerWithPromise(event, awsContext)
+      .then(response => {
+        t.fail(`handler should have failed - response (${stringify(response)})`);
+        // Clean up environment
+        setRegionStageAndDeleteCachedInstances(undefined, undefined);
+        t.end();
+      })
+      .catch(err => {
+        t.deepEqual(err.handledIncompleteMessages.map(m => m.id).sort(), [1, 3], `messages 1 & 3 must be handled`);
+        t.deepEqual(err.unhandledIncompleteMessages.map(m => m.id), [2], `only message 2 must be unhandled`);
+        // Clean up environment
+        setRegionStageAndDeleteCachedInstances(undefined, undefined);
+        t.end();
+      });
+
+  } catch (err) {
+    t.fail(`handler should not have failed in try-catch - ${err.stack}`);
+    // Clean up environment
+    setRegionStageAndDeleteCachedInstances(undefined, undefined);
+    t.end();
+  }
+});
+
+test('generateHandlerFunction reporting SQS batch item failures must respond with the message ID of every incomplete record', t => {
+  try {
+    // Set up environment for testing
+    setRegionStageAndDeleteCachedInstances('us-west-2', 'dev99');
+
+    // Generate a sample SQS event with 3 records, 1 of which wraps its message in an SNS notification
+    const region = process.env.AWS_REGION;
+    const eventSourceArn = samples.sampleSQSEventSourceArn(region, 'TestQueue_DEV2');
+    const records = [
+      samples.sampleSQSRecord({id: 1}, eventSourceArn, region),
+      samples.sampleSQSRecord(samples.sampleSNSNotification({id: 2}), eventSourceArn, region),
+      samples.sampleSQSRecord({id: 3}, eventSourceArn, region)
+    ];
+    const event = {Records: records};
+
+    // Generate a sample AWS context
+    const maxTimeInMillis = 1000;
+    const awsContext = sampleAwsContext('1.0.1', 'dev1', maxTimeInMillis);
+
+    // Setup the task definitions, which fail on the message with id 2
+    const executed = [];
+    const taskDef1 = TaskDef.defineTask('Task1', (message, context) => {
+      executed.push(message.id);
+      return message.id === 2 ? Promise.reject(new Error('Planned task failure')) : Promise.resolve(message);
+    });
+    const processOneTaskDefs = [taskDef1];
+
+    // Use no-op (but not skipping) task tracking functions to avoid the need for a DynamoDB task tracking table
+    const settings = {
+      streamProcessingSettings: {
+        loadTaskTrackingState: noOpLoadTaskTrackingState,
+        saveTaskTrackingState: noOpSaveTaskTrackingState
+      }
+    };
+    const options = JSON.parse(JSON.stringify(require('../default-sqs-options.json')));
+    options.streamProcessingOptions.reportBatchItemFailures = true;
+    options.streamProcessingOptions.unwrapSNSNotifications = true;
+
+    // Create a sample AWS Lambda handler function
+    const handler = streamConsumer.generateHandlerFunction({}, settings, options, processOneTaskDefs, [], logging.INFO,
+      'Failed to process test stream event', 'Processed test stream event');
+
+    // Wrap the callback-based AWS Lambda handler function as a Promise returning function purely for testing purposes
+    const handlerWithPromise = Promise.wrap(handler);
+
+    // Invoke the handler function
+    handlerWithPromise(event, awsContext)
+      .then(response => {
+        t.deepEqual(executed.sort(), [1, 2, 3], `Task1 must be executed on every message`);
+        t.deepEqual(response, {batchItemFailures: [{itemIdentifier: records[1].messageId}]},
+          `response must report the incomplete record's message ID`);
+        // Clean up environment
+        setRegionStageAndDeleteCachedInstances(undefined, undefined);
+        t.end();
+      })
+      .catch(err => {
+        t.fail(`handler should not have failed - ${err.stack}`);
+        // Clean up environment
+        setRegionStageAndDeleteCachedInstances(undefined, undefined);
+        t.end();
+      });
+
+  } catch (err) {
+    t.fail(`handler should not have failed in try-catch - ${err.stack}`);
+    // Clean up environment
+    setRegionStageAndDeleteCachedInstances(undefined, undefined);
+    t.end();
+  }
+});
+
+test('generateHandlerFunction transforming Firehose records must respond with each record\'s transformation result', t => {
+  try {
+    // Set up environment for testing
+    setRegionStageAndDeleteCachedInstances('us-west-2', 'dev99');
+
+    // Generate a sample Firehose data transformation event with 4 records, the last of which is unparseable
+    const region = process.env.AWS_REGION;
+    const deliveryStreamArn = samples.sampleFirehoseDeliveryStreamArn(region, 'TestDeliveryStream_DEV2');
+    const records = [{id: 1}, {id: 2}, {id: 3}, '{not json'].map(data =>
+      samples.sampleFirehoseRecord(typeof data === 'object' ? data : new Buffer(data).toString('base64')));
+    const event = samples.sampleFirehoseEvent(deliveryStreamArn, records, region);
+
+    // Generate a sample AWS context
+    const maxTimeInMillis = 1000;
+    const awsContext = sampleAwsContext('1.0.1', 'dev1', maxTimeInMillis);
+
+    // Setup the task definitions, which transform message 1, reject message 2 and fail on message 3
+    const taskDef1 = TaskDef.defineTask('Transform', function (message, context) {
+      if (message.id === 2) {
+        this.reject('Planned task rejection');
+        return Promise.resolve(undefined);
+      }
+      return message.id === 3 ? Promise.reject(new Error('Planned task failure')) :
+        Promise.resolve(`${JSON.stringify({id: message.id, transformed: true})}\n`);
+    });
+    const processOneTaskDefs = [taskDef1];
+
+    // Capture discarded unusable records & rejected messages to avoid the need for a DRQ & DMQ
+    const discardedUnusableRecords = [];
+    const discardedRejectedMessages = [];
+    const settings = {
+      streamProcessingSettings: {
+        discardUnusableRecords: (unusableRecords, context) => {
+          unusableRecords.forEach(record => discardedUnusableRecords.push(record));
+          return Promise.resolve(unusableRecords);
+        },
+        discardRejectedMessages: (rejectedMessages, context) => {
+          rejectedMessages.forEach(message => discardedRejectedMessages.push(message));
+          return Promise.resolve(rejectedMessages);
+        }
+      }
+    };
+    const options = JSON.parse(JSON.stringify(require('../default-firehose-options.json')));
+
+    // Create a sample AWS Lambda handler function
+    const handler = streamConsumer.generateHandlerFunction({}, settings, options, processOneTaskDefs, [], logging.INFO,
+      'Failed to process test stream event', 'Processed test stream event');
+
+    // Wrap the callback-based AWS Lambda handler function as a Promise returning function purely for testing purposes
+    const handlerWithPromise = Promise.wrap(handler);
+
+    // Invoke the handler function
+    handlerWithPromise(event, awsContext)
+      .then(response => {
+        const transformed = new Buffer(JSON.stringify({id: 1, transformed: true}) + '\n').toString('base64');
+        t.deepEqual(response, {
+          records: [
+            {recordId: records[0].recordId, result: 'Ok', data: transformed},
+            {recordId: records[1].recordId, result: 'Dropped', data: records[1].data},
+            {recordId: records[2].recordId, result: 'ProcessingFailed', data: records[2].data},
+            {recordId: records[3].recordId, result: 'Dropped', data: records[3].data}
+          ]
+        }, `response must contain each record's transformation result`);
+        t.deepEqual(discardedRejectedMessages.map(m => m.id), [2], `rejected message must be discarded`);
+        t.deepEqual(discardedUnusableRecords, [records[3]], `unusable record must be discarded`);
+        // Clean up environment
+        setRegionStageAndDeleteCachedInstances(undefined, undefined);
+        t.end();
+      })
+      .catch(err => {
+        t.fail(`handler should not have failed - ${err.stack}`);
+        // Clean up environment
+        setRegionStageAndDeleteCachedInstances(undefined, undefined);
+        t.end();
+      });
+
+  } catch (err) {
+    t.fail(`handler should not have failed in try-catch - ${err.stack}`);
+    // Clean up environment
+    setRegionStageAndDeleteCachedInstances(undefined, undefined);
+    t.end();
+  }
+});
+
+test('generateHandlerFunction transforming Firehose records with multiple messages must delimit their transformed data with newlines', t => {
+  try {
+    // Set up environment for testing
+    setRegionStageAndDeleteCachedInstances('us-west-2', 'dev99');
+
+    // Generate a sample Firehose data transformation event with 2 records, each containing an array of 2 messages
+    const region = process.env.AWS_REGION;
+    const deliveryStreamArn = samples.sampleFirehoseDeliveryStreamArn(region, 'TestDeliveryStream_DEV2');
+    const records = [[{id: 1}, {id: 2}], [{id: 3, newline: true}, {id: 4, newline: true}]].map(data =>
+      samples.sampleFirehoseRecord(new Buffer(JSON.stringify(data)).toString('base64')));
+    const event = samples.sampleFirehoseEvent(deliveryStreamArn, records, region);
+
+    // Generate a sample AWS context
+    const maxTimeInMillis = 1000;
+    const awsContext = sampleAwsContext('1.0.1', 'dev1', maxTimeInMillis);
+
+    // Setup the task definitions, which transform each message with or without its own trailing newline
+    const taskDef1 = TaskDef.defineTask('Transform', function (message, context) {
+      return Promise.resolve(`${JSON.stringify({id: message.id})}${message.newline ? '\n' : ''}`);
+    });
+
+    const settings = {
+      streamProcessingSettings: {
+        // Extract an array of messages from each record
+        extractMessageFromRecord: (record, context) => JSON.parse(new Buffer(record.data, 'base64').toString('utf8'))
+      }
+    };
+    const options = JSON.parse(JSON.stringify(require('../default-firehose-options.json')));
+
+    // Create a sample AWS Lambda handler function
+    const handler = streamConsumer.generateHandlerFunction({}, settings, options, [taskDef1], [], logging.INFO,
+      'Failed to process test stream event', 'Processed test stream event');
+
+    // Wrap the callback-based AWS Lambda handler function as a Promise returning function purely for testing purposes
+    const handlerWithPromise = Promise.wrap(handler);
+
+    // Invoke the handler function
+    handlerWithPromise(event, awsContext)
+      .then(response => {
+        const toData = s => new Buffer(s).toString('base64');
+        t.deepEqual(response, {
+          records: [
+            {recordId: records[0].recordId, result: 'Ok', data: toData('{"id":1}\n{"id":2}')},
+            {recordId: records[1].recordId, result: 'Ok', data: toData('{"id":3}\n{"id":4}\n')}
+          ]
+        }, `response must contain each record's transformed data delimited by single newlines`);
+        // Clean up environment
+        setRegionStageAndDeleteCachedInstances(undefined, undefined);
+        t.end();
+      })
+      .catch(err => {
+        t.fail(`handler should not have failed - ${err.stack}`);
+        // Clean up environment
+        setRegionStageAndDeleteCachedInstances(undefined, undefined);
+        t.end();
+      });
+
+  } catch (err) {
+    t.fail(`handler should not have failed in try-catch - ${err.stack}`);
+    // Clean up environment
+    setRegionStageAndDeleteCachedInstances(undefined, undefined);
+    t.end();
+  }
+});
@@ -67,6 +67,10 @@ function configureDefaults(t, context, kinesisError) {
   const options = require('../default-kinesis-options.json');
   logging.configureDefaultLogging(context, options.loggingOptions);
   stages.configureDefaultStageHandling(context, options.stageHandlingOptions);
+  if (kinesisError) {
+    // Simulate a non-retryable error (e.g. from a disabled stream), which must fail each putRecords call without retries
+    kinesisError.retryable = false;
+  }
   context.kinesis = dummyKinesis(t, 'Stream consumer', kinesisError);
   //kinesisCache.configureKinesis(context, config.kinesisOptions);
   streamProcessing.configureDefaultKinesisStreamProcessing(context, options.streamProcessingOptions);
@@ -86,6 +90,20 @@ function dummyKinesis(t, prefix, error) {
           })
         }
       }
+    },
+
+    putRecords(request) {
+      return {
+        promise() {
+          return new Promise((resolve, reject) => {
+            t.pass(`${prefix} simulated putRecords of ${request.Records.length} records to Kinesis stream (${request.StreamName})`);
+            if (error)
+              reject(error);
+            else
+              resolve({FailedRecordCount: 0, Records: request.Records.map((r, i) => ({SequenceNumber: `${i}`}))});
+          })
+        }
+      }
     }
   };
 }
@@ -2055,3 +2073,1107 @@ test('processStreamEvent with 1 message and triggered timeout promise, must fail
     process.env.STAGE = undefined;
   }
 });
+
+// =====================================================================================================================
+// processStreamEvent must load task tracking state before starting any tasks
+// =====================================================================================================================
+
+test('processStreamEvent with 1 message must load its previous task tracking state before executing its tasks', t => {
+  try {
+    // Simulate a region in AWS_REGION for testing (if none already exists)
+    const region = setRegionStageAndDeleteCachedInstances('us-west-2', undefined);
+
+    const context = {};
+
+    // Simulate ideal conditions - everything meant to be configured beforehand has been configured
+    configureDefaults(t, context, undefined);
+
+    const maxNumberOfAttempts = streamProcessing.getMaxNumberOfAttempts(context);
+
+    // Simulate previously saved task tracking state, which has pushed both tasks' attempts to max - 1
+    const task1Before = Task.createTask(TaskDef.defineTask('Task1', execute1));
+    const task2Before = Task.createTask(TaskDef.defineTask('Task2', execute2));
+    for (let a = 0; a < maxNumberOfAttempts - 1; ++a) {
+      task1Before.incrementAttempts();
+      task2Before.incrementAttempts();
+    }
+    task1Before.fail(new Error('Previously failed Task1'));
+    task2Before.fail(new Error('Previously failed Task2'));
+    const savedTaskTracking = JSON.parse(JSON.stringify({ones: {'Task1': task1Before}, alls: {'Task2': task2Before}}));
+
+    let loadCount = 0;
+    context.streamProcessing.loadTaskTrackingState = (messages, context) => {
+      ++loadCount;
+      t.equal(messages[0].taskTracking.ones, undefined, `processOne tasks must not have started before load`);
+      messages.forEach(message => {
+        message.taskTracking.ones = savedTaskTracking.ones;
+        message.taskTracking.alls = savedTaskTracking.alls;
+      });
+      return Promise.resolve(messages);
+    };
+
+    // Generate a sample AWS event
+    const streamName = 'TestStream_DEV2';
+    const event = sampleKinesisEvent(streamName, undefined, sampleMessage(1), false);
+
+    // Generate a sample AWS context
+    const maxTimeInMillis = 1000;
+    const awsContext = sampleAwsContext('1.0.1', 'dev1', maxTimeInMillis);
+
+    // Setup the task definitions
+    const taskDef1 = TaskDef.defineTask('Task1', sampleExecuteOneAsync(5, new Error('Final failure')));
+    const taskDef2 = TaskDef.defineTask('Task2', sampleExecuteAllAsync(5, new Error('Final failure')));
+    const processOneTaskDefs = [taskDef1];
+    const processAllTaskDefs = [taskDef2];
+
+    // Process the event
+    try {
+      streamConsumer.configureStreamConsumer(context, undefined, undefined, event, awsContext);
+      const promise = streamConsumer.processStreamEvent(event, processOneTaskDefs, processAllTaskDefs, context);
+
+      t.equal(context.region, region, `context.region must be ${region}`);
+
+      promise
+        .then(results => {
+          t.pass(`processStreamEvent must resolve`);
+          t.equal(loadCount, 1, `loadTaskTrackingState must be called once`);
+          const messages = results.messages;
+          t.equal(messages.length, 1, `processStreamEvent results must have ${1} messages`);
+          t.equal(messages[0].taskTracking.ones.Task1.attempts, maxNumberOfAttempts, `Task1 attempts must be ${maxNumberOfAttempts}`);
+          t.equal(messages[0].taskTracking.alls.Task2.attempts, maxNumberOfAttempts, `Task2 attempts must be ${maxNumberOfAttempts}`);
+          checkMessagesTasksStates(t, messages, taskStates.Discarded, taskStates.Discarded, context);
+
+          t.ok(results.processing.completed, `processStreamEvent processing must be completed`);
+          t.equal(results.handledIncompleteMessages.length, 0, `processStreamEvent results must have ${0} handled incomplete records`);
+          t.equal(results.discardedRejectedMessages.length, 1, `processStreamEvent results must have ${1} discarded rejected messages`);
+
+          t.end();
+        })
+        .catch(err => {
+          t.fail(`processStreamEvent should NOT have failed (${stringify(err)})`, err.stack);
+          t.end(err);
+        });
+
+    } catch (err) {
+      t.fail(`processStreamEvent should NOT have failed in try-catch (${stringify(err)})`, err.stack);
+      t.end(err);
+    }
+
+  } finally {
+    process.env.AWS_REGION = undefined;
+    process.env.STAGE = undefined;
+  }
+});
+
+test('processStreamEvent with 1 message must fail without executing any tasks if it cannot load task tracking state', t => {
+  try {
+    // Simulate a region in AWS_REGION for testing (if none already exists)
+    setRegionStageAndDeleteCachedInstances('us-west-2', undefined);
+
+    const context = {};
+
+    // Simulate ideal conditions - everything meant to be configured beforehand has been configured
+    configureDefaults(t, context, undefined);
+
+    const fatalError = new Error('Planned failure to load task tracking state');
+    context.streamProcessing.loadTaskTrackingState = (messages, context) => Promise.reject(fatalError);
+
+    // Generate a sample AWS event
+    const streamName = 'TestStream_DEV2';
+    const event = sampleKinesisEvent(streamName, undefined, sampleMessage(1), false);
+
+    // Generate a sample AWS context
+    const maxTimeInMillis = 1000;
+    const awsContext = sampleAwsContext('1.0.1', 'dev1', maxTimeInMillis);
+
+    // Setup the task definitions
+    let executeCount = 0;
+    const taskDef1 = TaskDef.defineTask('Task1', sampleExecuteOneAsync(5, undefined, () => ++executeCount));
+    const processOneTaskDefs = [taskDef1];
+
+    // Process the event
+    try {
+      streamConsumer.configureStreamConsumer(context, undefined, undefined, event, awsContext);
+      const promise = streamConsumer.processStreamEvent(event, processOneTaskDefs, [], context);
+
+      promise
+        .then(results => {
+          t.fail(`processStreamEvent must NOT resolve with results (${stringify(results)})`);
+          t.end();
+        })
+        .catch(err => {
+          t.pass(`processStreamEvent must reject with error (${stringify(err)})`);
+          t.equal(err, fatalError, `processStreamEvent error must be ${fatalError}`);
+          // Wait long enough for any tasks that were wrongly started to have executed
+          Promise.delay(20).then(() => {
+            t.equal(executeCount, 0, `Task1 must not have been executed`);
+            t.end();
+          });
+        });
+
+    } catch (err) {
+      t.fail(`processStreamEvent should NOT have failed in try-catch (${stringify(err)})`, err.stack);
+      t.end(err);
+    }
+
+  } finally {
+    process.env.AWS_REGION = undefined;
+    process.env.STAGE = undefined;
+  }
+});
+
+// =====================================================================================================================
+// calculateProcessingTimeoutMs
+// =====================================================================================================================
+
+test('calculateProcessingTimeoutMs must always leave the finalising reserve', t => {
+  function check(remainingTimeInMillis, finalisingTimeoutMs, finalisingReserveMs, expected) {
+    const context = {
+      awsContext: {getRemainingTimeInMillis: () => remainingTimeInMillis},
+      streamProcessing: {
+        timeoutAtPercentageOfRemainingTime: 0.9,
+        finalisingTimeoutMs: finalisingTimeoutMs,
+        finalisingReserveMs: finalisingReserveMs
+      }
+    };
+    logging.configureDefaultLogging(context);
+    const timeoutMs = streamConsumer.FOR_TESTING_ONLY.calculateProcessingTimeoutMs(context);
+    t.equal(timeoutMs, expected, `calculateProcessingTimeoutMs with ${remainingTimeInMillis} ms remaining, finalisingTimeoutMs (${finalisingTimeoutMs}) & finalisingReserveMs (${finalisingReserveMs}) must be ${expected}`);
+  }
+
+  // Percentage of the remaining time leaves more than the reserve
+  check(10000, 500, undefined, 9000);
+  check(10000, 500, 1000, 9000);
+  // Reserve is larger than the time left by the percentage of the remaining time
+  check(10000, 2000, undefined, 8000);
+  check(10000, 500, 3000, 7000);
+  // No reserve
+  check(10000, 2000, 0, 9000);
+  // Reserve exceeds the remaining time
+  check(300, 500, undefined, 0);
+  t.end();
+});
+
+// =====================================================================================================================
+// Per-task timeouts
+// =====================================================================================================================
+
+test('setTaskTimeoutMs & getTaskTimeoutMs', t => {
+  const taskDef = TaskDef.defineTask('Task1', sampleExecuteOneAsync(5, undefined));
+  t.equal(streamConsumer.getTaskTimeoutMs(taskDef), undefined, `getTaskTimeoutMs must be undefined if not set`);
+
+  t.equal(streamConsumer.setTaskTimeoutMs(taskDef, 100), taskDef, `setTaskTimeoutMs must return the task definition`);
+  t.equal(streamConsumer.getTaskTimeoutMs(taskDef), 100, `getTaskTimeoutMs must be 100`);
+  t.notOk(Object.keys(taskDef).includes('timeoutMs'), `timeoutMs must not be enumerable`);
+
+  streamConsumer.setTaskTimeoutMs(taskDef, undefined);
+  t.equal(streamConsumer.getTaskTimeoutMs(taskDef), undefined, `getTaskTimeoutMs must be undefined after removal`);
+
+  t.throws(() => streamConsumer.setTaskTimeoutMs(taskDef, 0), /invalid task timeout/, `setTaskTimeoutMs with 0 must fail`);
+  t.throws(() => streamConsumer.setTaskTimeoutMs(taskDef, -1), /invalid task timeout/, `setTaskTimeoutMs with -1 must fail`);
+  t.throws(() => streamConsumer.setTaskTimeoutMs(taskDef, '100'), /invalid task timeout/, `setTaskTimeoutMs with '100' must fail`);
+  t.throws(() => streamConsumer.setTaskTimeoutMs({name: 'Task1'}, 100), /invalid task definition/, `setTaskTimeoutMs on a non-TaskDef must fail`);
+
+  // Directly assigned invalid timeouts must be rejected by validateTaskDefinitions
+  const context = {};
+  logging.configureDefaultLogging(context);
+  const taskDef2 = TaskDef.defineTask('Task2', sampleExecuteOneAsync(5, undefined));
+  taskDef2.timeoutMs = -5;
+  t.throws(() => streamConsumer.validateTaskDefinitions([taskDef2], undefined, context), /task timeouts that are positive/, `validateTaskDefinitions with an invalid task timeout must fail`);
+  taskDef2.timeoutMs = 50;
+  t.doesNotThrow(() => streamConsumer.validateTaskDefinitions([taskDef2], undefined, context), `validateTaskDefinitions with a valid task timeout must pass`);
+  t.end();
+});
+
+test('processStreamEvent with 1 message with a processOne task that exceeds its task timeout, must timeout only that task', t => {
+  try {
+    setRegionStageAndDeleteCachedInstances('us-west-2', undefined);
+
+    const context = {};
+
+    const streamName = 'TestStream_DEV2';
+    const event = sampleKinesisEvent(streamName, undefined, sampleMessage(1), false);
+    const awsContext = sampleAwsContext('1.0.1', 'dev1', 1000);
+
+    configureDefaults(t, context, undefined);
+
+    // Setup the task definitions with a hanging processOne task that has a per-task timeout
+    const taskDef1 = streamConsumer.setTaskTimeoutMs(TaskDef.defineTask('Task1', sampleExecuteOneAsync(500, undefined)), 20);
+    const taskDef2 = TaskDef.defineTask('Task2', sampleExecuteAllAsync(5, undefined));
+    const taskDef3 = TaskDef.defineTask('Task3', sampleExecuteOneAsync(5, undefined));
+
+    streamConsumer.configureStreamConsumer(context, undefined, undefined, event, awsContext);
+    const startMs = Date.now();
+    streamConsumer.processStreamEvent(event, [taskDef1, taskDef3], [taskDef2], context)
+      .then(results => {
+        t.ok(Date.now() - startMs < 500, `processStreamEvent must not wait for the timed out task`);
+        const message = results.messages[0];
+        const task1 = streamConsumer.getProcessOneTask(message, 'Task1', context);
+        const task3 = streamConsumer.getProcessOneTask(message, 'Task3', context);
+        const task2 = streamConsumer.getProcessAllTask(message, 'Task2', context);
+        t.ok(task1.state instanceof taskStates.TimedOut, `Task1 must be timed out`);
+        t.equal(task1.attempts, 1, `Task1 attempts must be 1`);
+        t.ok(task3.state instanceof taskStates.CompletedState, `Task3 must be completed`);
+        t.ok(task2.state instanceof taskStates.CompletedState, `Task2 must be completed`);
+
+        t.ok(results.processing.completed, `processStreamEvent processing must be completed`);
+        t.notOk(results.processing.timedOut, `processStreamEvent processing must not be timed-out`);
+        t.equal(results.handledIncompleteMessages.length, 1, `processStreamEvent results must have 1 handled incomplete message`);
+        t.end();
+      })
+      .catch(err => {
+        t.fail(`processStreamEvent should NOT have failed (${stringify(err)})`, err.stack);
+        t.end(err);
+      });
+  } finally {
+    process.env.AWS_REGION = undefined;
+    process.env.STAGE = undefined;
+  }
+});
+
+test('processStreamEvent with 1 message with a processOne task that exceeds its task timeout, must ignore any late state changes of that task', t => {
+  try {
+    setRegionStageAndDeleteCachedInstances('us-west-2', undefined);
+
+    const context = {};
+
+    const streamName = 'TestStream_DEV2';
+    const event = sampleKinesisEvent(streamName, undefined, sampleMessage(1), false);
+    const awsContext = sampleAwsContext('1.0.1', 'dev1', 1000);
+
+    configureDefaults(t, context, undefined);
+
+    // Setup the task definitions with a slow processOne task that rejects itself after its per-task timeout
+    let lateExecution = undefined;
+    function executeOneLate(message, context) {
+      const task = this;
+      lateExecution = Promise.delay(60).then(() => {
+        task.reject('Too late to reject', new Error('Too late to fail'));
+        return message;
+      });
+      return lateExecution;
+    }
+    const taskDef1 = streamConsumer.setTaskTimeoutMs(TaskDef.defineTask('Task1', executeOneLate), 20);
+
+    streamConsumer.configureStreamConsumer(context, undefined, undefined, event, awsContext);
+    streamConsumer.processStreamEvent(event, [taskDef1], [], context)
+      .then(results => {
+        const message = results.messages[0];
+        const task1 = streamConsumer.getProcessOneTask(message, 'Task1', context);
+        t.ok(task1.state instanceof taskStates.TimedOut, `Task1 must be timed out`);
+        return lateExecution.then(() => {
+          t.ok(task1.state instanceof taskStates.TimedOut, `Task1 must still be timed out after its late execution`);
+          t.notOk(task1.rejected, `Task1 must not be rejected by its late execution`);
+          t.end();
+        });
+      })
+      .catch(err => {
+        t.fail(`processStreamEvent should NOT have failed (${stringify(err)})`, err.stack);
+        t.end(err);
+      });
+  } finally {
+    process.env.AWS_REGION = undefined;
+    process.env.STAGE = undefined;
+  }
+});
+
+test('processStreamEvent with 2 messages with a processAll task that exceeds its task timeout, must timeout only that task', t => {
+  try {
+    setRegionStageAndDeleteCachedInstances('us-west-2', undefined);
+
+    const context = {};
+
+    const streamName = 'TestStream_DEV2';
+    const event = sampleKinesisEvent(streamName, undefined, sampleMessage(1), false);
+    event.Records.push(sampleKinesisEvent(streamName, undefined, sampleMessage(2), false).Records[0]);
+    const awsContext = sampleAwsContext('1.0.1', 'dev1', 1000);
+
+    configureDefaults(t, context, undefined);
+
+    // Setup the task definitions with a hanging processAll task that has a per-task timeout
+    const taskDef1 = TaskDef.defineTask('Task1', sampleExecuteOneAsync(5, undefined));
+    const taskDef2 = streamConsumer.setTaskTimeoutMs(TaskDef.defineTask('Task2', sampleExecuteAllAsync(500, undefined)), 20);
+    const taskDef3 = TaskDef.defineTask('Task3', sampleExecuteAllAsync(5, undefined));
+
+    streamConsumer.configureStreamConsumer(context, undefined, undefined, event, awsContext);
+    streamConsumer.processStreamEvent(event, [taskDef1], [taskDef2, taskDef3], context)
+      .then(results => {
+        const messages = results.messages;
+        t.equal(messages.length, 2, `processStreamEvent results must have 2 messages`);
+        messages.forEach(message => {
+          const task2 = streamConsumer.getProcessAllTask(message, 'Task2', context);
+          t.ok(task2.state instanceof taskStates.TimedOut, `message ${message.id} Task2 must be timed out`);
+          t.equal(task2.attempts, 1, `message ${message.id} Task2 attempts must be 1`);
+          t.ok(streamConsumer.getProcessAllTask(message, 'Task3', context).state instanceof taskStates.CompletedState, `message ${message.id} Task3 must be completed`);
+          t.ok(streamConsumer.getProcessOneTask(message, 'Task1', context).state instanceof taskStates.CompletedState, `message ${message.id} Task1 must be completed`);
+        });
+        t.notOk(results.processing.timedOut, `processStreamEvent processing must not be timed-out`);
+        t.equal(results.handledIncompleteMessages.length, 2, `processStreamEvent results must have 2 handled incomplete messages`);
+        t.end();
+      })
+      .catch(err => {
+        t.fail(`processStreamEvent should NOT have failed (${stringify(err)})`, err.stack);
+        t.end(err);
+      });
+  } finally {
+    process.env.AWS_REGION = undefined;
+    process.env.STAGE = undefined;
+  }
+});
+
+// =====================================================================================================================
+// Bounded concurrency
+// =====================================================================================================================
+
+function sampleConcurrencyTracker() {
+  const tracker = {running: 0, maxRunning: 0, runningByName: {}, maxRunningByName: {}};
+  tracker.track = (name, ms) => {
+    ++tracker.running;
+    tracker.runningByName[name] = (tracker.runningByName[name] || 0) + 1;
+    tracker.maxRunning = Math.max(tracker.maxRunning, tracker.running);
+    tracker.maxRunningByName[name] = Math.max(tracker.maxRunningByName[name] || 0, tracker.runningByName[name]);
+    return Promise.delay(ms).then(() => {
+      --tracker.running;
+      --tracker.runningByName[name];
+      return name;
+    });
+  };
+  return tracker;
+}
+
+test('setTaskMaxConcurrency & getTaskMaxConcurrency', t => {
+  const taskDef = TaskDef.defineTask('Task1', sampleExecuteOneAsync(5, undefined));
+  t.equal(streamConsumer.getTaskMaxConcurrency(taskDef), undefined, `getTaskMaxConcurrency must be undefined if not set`);
+
+  t.equal(streamConsumer.setTaskMaxConcurrency(taskDef, 5), taskDef, `setTaskMaxConcurrency must return the task definition`);
+  t.equal(streamConsumer.getTaskMaxConcurrency(taskDef), 5, `getTaskMaxConcurrency must be 5`);
+
+  t.throws(() => streamConsumer.setTaskMaxConcurrency(taskDef, 0), /invalid task maximum concurrency/, `setTaskMaxConcurrency with 0 must fail`);
+  t.throws(() => streamConsumer.setTaskMaxConcurrency(taskDef, 1.5), /invalid task maximum concurrency/, `setTaskMaxConcurrency with 1.5 must fail`);
+
+  const context = {};
+  logging.configureDefaultLogging(context);
+  const taskDef2 = TaskDef.defineTask('Task2', sampleExecuteOneAsync(5, undefined));
+  taskDef2.maxConcurrency = -1;
+  t.throws(() => streamConsumer.validateTaskDefinitions([taskDef2], undefined, context), /maximum concurrencies that are positive integers/, `validateTaskDefinitions with an invalid task maximum concurrency must fail`);
+  t.end();
+});
+
+test('createWorkQueue must bound the overall and per-name concurrency', t => {
+  const context = {};
+  logging.configureDefaultLogging(context);
+
+  const workQueue = streamConsumer.FOR_TESTING_ONLY.createWorkQueue(3, context);
+  const tracker = sampleConcurrencyTracker();
+
+  const promises = [];
+  for (let i = 0; i < 4; ++i) {
+    promises.push(workQueue.enqueue('A', 1, () => tracker.track('A', 10)));
+    promises.push(workQueue.enqueue('B', undefined, () => tracker.track('B', 10)));
+  }
+  t.equal(workQueue.runningCount, 3, `runningCount must be 3`);
+  t.equal(workQueue.queuedCount, 5, `queuedCount must be 5`);
+
+  Promise.all(promises)
+    .then(results => {
+      t.equal(results.length, 8, `results must have 8 results`);
+      t.equal(tracker.maxRunning, 3, `maximum overall concurrency must be 3`);
+      t.equal(tracker.maxRunningByName.A, 1, `maximum concurrency of A must be 1`);
+      t.equal(tracker.maxRunningByName.B, 2, `maximum concurrency of B must be 2`);
+      t.equal(workQueue.runningCount, 0, `runningCount must be 0`);
+      t.equal(workQueue.queuedCount, 0, `queuedCount must be 0`);
+      t.end();
+    })
+    .catch(err => {
+      t.fail(`createWorkQueue should NOT have failed (${stringify(err)})`, err.stack);
+      t.end(err);
+    });
+});
+
+test('createWorkQueue must not start queued work once closed', t => {
+  const context = {};
+  logging.configureDefaultLogging(context);
+
+  const workQueue = streamConsumer.FOR_TESTING_ONLY.createWorkQueue(1, context);
+  const started = [];
+  const promises = [1, 2, 3].map(i => workQueue.enqueue('A', undefined, () => {
+    started.push(i);
+    return Promise.delay(10).then(() => i);
+  }));
+  t.equal(workQueue.close(), 2, `close must return 2 never started units of work`);
+
+  Promise.all(promises)
+    .then(results => {
+      t.deepEqual(results, [1, undefined, undefined], `results must be [1, undefined, undefined]`);
+      t.deepEqual(started, [1], `only the first unit of work must have started`);
+      t.end();
+    })
+    .catch(err => {
+      t.fail(`createWorkQueue should NOT have failed (${stringify(err)})`, err.stack);
+      t.end(err);
+    });
+});
+
+test('processStreamEvent with 6 messages and maxConcurrency must bound the concurrency of processOne tasks', t => {
+  try {
+    setRegionStageAndDeleteCachedInstances('us-west-2', undefined);
+
+    const context = {};
+
+    const streamName = 'TestStream_DEV2';
+    const event = sampleKinesisEvent(streamName, undefined, sampleMessage(1), false);
+    for (let i = 2; i <= 6; ++i) {
+      event.Records.push(sampleKinesisEvent(streamName, undefined, sampleMessage(i), false).Records[0]);
+    }
+    const awsContext = sampleAwsContext('1.0.1', 'dev1', 1000);
+
+    configureDefaults(t, context, undefined);
+
+    const tracker = sampleConcurrencyTracker();
+    const taskDef1 = TaskDef.defineTask('Task1', (message, context) => tracker.track('Task1', 10));
+    const taskDef2 = streamConsumer.setTaskMaxConcurrency(TaskDef.defineTask('Task2', (message, context) => tracker.track('Task2', 10)), 1);
+    const taskDef3 = TaskDef.defineTask('Task3', sampleExecuteAllAsync(5, undefined));
+
+    streamConsumer.configureStreamConsumer(context, undefined, undefined, event, awsContext);
+    context.streamProcessing.maxConcurrency = 3;
+
+    streamConsumer.processStreamEvent(event, [taskDef1, taskDef2], [taskDef3], context)
+      .then(results => {
+        const messages = results.messages;
+        t.equal(messages.length, 6, `processStreamEvent results must have 6 messages`);
+        checkMessagesTasksStates(t, messages, taskStates.CompletedState, taskStates.CompletedState, context);
+        t.equal(tracker.maxRunning, 3, `maximum overall concurrency must be 3`);
+        t.equal(tracker.maxRunningByName.Task2, 1, `maximum concurrency of Task2 must be 1`);
+        t.ok(results.processing.completed, `processStreamEvent processing must be completed`);
+        t.equal(results.handledIncompleteMessages.length, 0, `processStreamEvent results must have 0 handled incomplete messages`);
+        t.end();
+      })
+      .catch(err => {
+        t.fail(`processStreamEvent should NOT have failed (${stringify(err)})`, err.stack);
+        t.end(err);
+      });
+  } finally {
+    process.env.AWS_REGION = undefined;
+    process.env.STAGE = undefined;
+  }
+});
+
+test('processStreamEvent with 3 messages and maxConcurrency of 1 that times out, must leave never started tasks incomplete', t => {
+  try {
+    setRegionStageAndDeleteCachedInstances('us-west-2', undefined);
+
+    const context = {};
+
+    const streamName = 'TestStream_DEV2';
+    const event = sampleKinesisEvent(streamName, undefined, sampleMessage(1), false);
+    for (let i = 2; i <= 3; ++i) {
+      event.Records.push(sampleKinesisEvent(streamName, undefined, sampleMessage(i), false).Records[0]);
+    }
+    // Processing will time out after 500 ms, since the default finalising reserve is 500 ms
+    const awsContext = sampleAwsContext('1.0.1', 'dev1', 1000);
+
+    configureDefaults(t, context, undefined);
+
+    const taskDef1 = TaskDef.defineTask('Task1', sampleExecuteOneAsync(300, undefined));
+
+    streamConsumer.configureStreamConsumer(context, undefined, undefined, event, awsContext);
+    context.streamProcessing.maxConcurrency = 1;
+
+    streamConsumer.processStreamEvent(event, [taskDef1], [], context)
+      .then(results => {
+        const messages = results.messages;
+        t.equal(messages.length, 3, `processStreamEvent results must have 3 messages`);
+        t.ok(results.processing.timedOut, `processStreamEvent processing must be timed-out`);
+
+        const tasks = messages.map(message => streamConsumer.getProcessOneTask(message, 'Task1', context));
+        t.ok(tasks[0].state instanceof taskStates.CompletedState, `message 1 Task1 must be completed`);
+        t.equal(tasks[0].attempts, 1, `message 1 Task1 attempts must be 1`);
+        t.ok(tasks[1].state instanceof taskStates.TimedOut, `message 2 Task1 must be timed out`);
+        t.equal(tasks[1].attempts, 1, `message 2 Task1 attempts must be 1`);
+        t.notOk(tasks[2].isFullyFinalised(), `message 3 Task1 must be incomplete`);
+        t.notOk(tasks[2].failed, `message 3 Task1 must not be failed`);
+        t.equal(tasks[2].attempts, 0, `message 3 Task1 attempts must be 0, since it never started`);
+
+        t.equal(results.handledIncompleteMessages.length, 2, `processStreamEvent results must have 2 handled incomplete messages`);
+        t.end();
+      })
+      .catch(err => {
+        t.fail(`processStreamEvent should NOT have failed (${stringify(err)})`, err.stack);
+        t.end(err);
+      });
+  } finally {
+    process.env.AWS_REGION = undefined;
+    process.env.STAGE = undefined;
+  }
+});
+
+// =====================================================================================================================
+// Ordered processing
+// =====================================================================================================================
+
+test('processStreamEvent with orderedProcessing must process messages with the same partition key in sequence and hold back later messages after a failure', t => {
+  try {
+    setRegionStageAndDeleteCachedInstances('us-west-2', undefined);
+
+    const context = {};
+
+    const streamName = 'TestStream_DEV2';
+    const region = process.env.AWS_REGION;
+    const eventSourceArn = samples.sampleKinesisEventSourceArn(region, streamName);
+    const toRecord = (key, n, fail) => {
+      const message = sampleMessage(n);
+      message.key = key;
+      message.n = n;
+      message.fail = fail;
+      return samples.sampleKinesisRecord(key, message, eventSourceArn, region);
+    };
+    // Generate the records in sequence number order
+    const a1 = toRecord('A', 1, true);
+    const b1 = toRecord('B', 1, false);
+    const a2 = toRecord('A', 2, false);
+    const b2 = toRecord('B', 2, false);
+    const a3 = toRecord('A', 3, false);
+    // ... but deliver B's records out of sequence number order
+    const event = samples.sampleKinesisEventWithRecords([a1, b2, a2, b1, a3]);
+    const awsContext = sampleAwsContext('1.0.1', 'dev1', 1000);
+
+    configureDefaults(t, context, undefined);
+
+    const executions = [];
+    const taskDef1 = TaskDef.defineTask('Task1', (message, context) => {
+      executions.push(`start ${message.key}${message.n}`);
+      return Promise.delay(10).then(() => {
+        executions.push(`end ${message.key}${message.n}`);
+        if (message.fail) {
+          throw new Error(`Planned failure of ${message.key}${message.n}`);
+        }
+        return message;
+      });
+    });
+
+    streamConsumer.configureStreamConsumer(context, undefined, undefined, event, awsContext);
+    context.streamProcessing.orderedProcessing = true;
+
+    streamConsumer.processStreamEvent(event, [taskDef1], [], context)
+      .then(results => {
+        const messages = results.messages;
+        t.equal(messages.length, 5, `processStreamEvent results must have 5 messages`);
+
+        const byName = {};
+        messages.forEach(m => byName[`${m.key}${m.n}`] = streamConsumer.getProcessOneTask(m, 'Task1', context));
+
+        t.ok(byName.A1.failed, `A1 Task1 must be failed`);
+        t.equal(byName.A1.attempts, 1, `A1 Task1 attempts must be 1`);
+        ['A2', 'A3'].forEach(name => {
+          t.ok(byName[name].unstarted, `${name} Task1 must be held back as unstarted`);
+          t.equal(byName[name].attempts, 0, `${name} Task1 attempts must be 0`);
+        });
+        ['B1', 'B2'].forEach(name => {
+          t.ok(byName[name].state instanceof taskStates.CompletedState, `${name} Task1 must be completed`);
+        });
+
+        t.deepEqual(executions.filter(e => e.endsWith('A1') || e.endsWith('A2') || e.endsWith('A3')),
+          ['start A1', 'end A1'], `only A1 must have been executed`);
+        t.deepEqual(executions.filter(e => e.endsWith('B1') || e.endsWith('B2')),
+          ['start B1', 'end B1', 'start B2', 'end B2'], `B1 must complete before B2 starts`);
+
+        t.equal(results.handledIncompleteMessages.length, 3, `processStreamEvent results must have 3 handled incomplete messages`);
+        t.end();
+      })
+      .catch(err => {
+        t.fail(`processStreamEvent should NOT have failed (${stringify(err)})`, err.stack);
+        t.end(err);
+      });
+  } finally {
+    process.env.AWS_REGION = undefined;
+    process.env.STAGE = undefined;
+  }
+});
+
+// =====================================================================================================================
+// KPL aggregated records
+// =====================================================================================================================
+
+test('processStreamEvent with a KPL aggregated record must de-aggregate it into multiple messages', t => {
+  try {
+    setRegionStageAndDeleteCachedInstances('us-west-2', undefined);
+
+    const context = {};
+
+    const streamName = 'TestStream_DEV2';
+    const region = process.env.AWS_REGION;
+    const eventSourceArn = samples.sampleKinesisEventSourceArn(region, streamName);
+
+    const aggregatedRecord = samples.sampleKplAggregatedRecord([
+      {partitionKey: 'pkA', data: sampleMessage(1)},
+      {partitionKey: 'pkA', data: 'not json'},
+      {partitionKey: 'pkB', explicitHashKey: '12345', data: sampleMessage(3)}
+    ], eventSourceArn, region);
+    const plainRecord = samples.sampleKinesisRecord('pkC', sampleMessage(4), eventSourceArn, region);
+    const event = samples.sampleKinesisEventWithRecords([aggregatedRecord, plainRecord]);
+    const awsContext = sampleAwsContext('1.0.1', 'dev1', 1000);
+
+    configureDefaults(t, context, undefined);
+
+    // Capture the requests put to Kinesis
+    const putRequests = [];
+    context.kinesis = {
+      putRecord(request) {
+        putRequests.push(request);
+        return {promise: () => Promise.resolve({SequenceNumber: '1'})};
+      },
+      putRecords(request) {
+        request.Records.forEach(r => putRequests.push(Object.assign({StreamName: request.StreamName}, r)));
+        return {promise: () => Promise.resolve({FailedRecordCount: 0, Records: request.Records.map((r, i) => ({SequenceNumber: `${i}`}))})};
+      }
+    };
+
+    // Fail the processOne task on the message with partition key pkB, so that it gets resubmitted
+    const taskDef1 = TaskDef.defineTask('Task1', (message, context) => {
+      const record = streamConsumer.getRecord(message, context);
+      return record.kinesis.partitionKey === 'pkB' ? Promise.reject(new Error('Planned failure')) : Promise.resolve(message);
+    });
+
+    streamConsumer.configureStreamConsumer(context, undefined, undefined, event, awsContext);
+
+    streamConsumer.processStreamEvent(event, [taskDef1], [], context)
+      .then(results => {
+        const messages = results.messages;
+        t.equal(messages.length, 3, `processStreamEvent results must have 3 messages`);
+        const records = messages.map(message => streamConsumer.getRecord(message, context));
+        t.deepEqual(records.map(r => r.kinesis.partitionKey), ['pkA', 'pkB', 'pkC'], `messages' partition keys must be [pkA, pkB, pkC]`);
+        t.deepEqual(records.map(r => r.kinesis.subSequenceNumber), [0, 2, undefined], `messages' sub-sequence numbers must be [0, 2, undefined]`);
+        t.equal(records[0].parentRecord, aggregatedRecord, `de-aggregated message's record must link to its parent record`);
+
+        t.equal(results.unusableRecords.length, 1, `processStreamEvent results must have 1 unusable record`);
+        t.equal(results.unusableRecords[0].kinesis.subSequenceNumber, 1, `unusable record must be sub-record 1`);
+
+        const resubmitRequest = putRequests.find(r => r.StreamName === streamName);
+        t.ok(resubmitRequest, `must have resubmitted the incomplete message`);
+        t.equal(resubmitRequest.PartitionKey, 'pkB', `resubmitted PartitionKey must be pkB`);
+        t.equal(resubmitRequest.ExplicitHashKey, '12345', `resubmitted ExplicitHashKey must be 12345`);
+        t.equal(resubmitRequest.SequenceNumberForOrdering, aggregatedRecord.kinesis.sequenceNumber, `resubmitted SequenceNumberForOrdering must be the parent's sequence number`);
+
+        const drqRequest = putRequests.find(r => r.StreamName.indexOf('DeadRecordQueue') === 0);
+        t.ok(drqRequest, `must have discarded the unusable sub-record to the DRQ`);
+        t.equal(JSON.parse(drqRequest.Data).kinesis.subSequenceNumber, 1, `DRQ record must be sub-record 1`);
+        t.end();
+      })
+      .catch(err => {
+        t.fail(`processStreamEvent should NOT have failed (${stringify(err)})`, err.stack);
+        t.end(err);
+      });
+  } finally {
+    process.env.AWS_REGION = undefined;
+    process.env.STAGE = undefined;
+  }
+});
+
+// =====================================================================================================================
+// Multiple messages per record
+// =====================================================================================================================
+
+test('processStreamEvent with records that each contain multiple messages must track, resubmit & discard each message separately', t => {
+  try {
+    setRegionStageAndDeleteCachedInstances('us-west-2', undefined);
+
+    const context = {};
+
+    const streamName = 'TestStream_DEV2';
+    const region = process.env.AWS_REGION;
+    const eventSourceArn = samples.sampleKinesisEventSourceArn(region, streamName);
+
+    const toMessage = (n, outcome) => {
+      const message = sampleMessage(n);
+      message.n = n;
+      message.outcome = outcome;
+      return message;
+    };
+    const batchRecord = samples.sampleKinesisRecord('pkA', [toMessage(1, 'succeed'), toMessage(2, 'fail'), toMessage(3, 'reject')],
+      eventSourceArn, region);
+    const emptyRecord = samples.sampleKinesisRecord('pkB', [], eventSourceArn, region);
+    const badRecord = samples.sampleKinesisRecord('pkC', 'not json', eventSourceArn, region);
+    const event = samples.sampleKinesisEventWithRecords([batchRecord, emptyRecord, badRecord]);
+    const awsContext = sampleAwsContext('1.0.1', 'dev1', 1000);
+
+    configureDefaults(t, context, undefined);
+
+    // Capture the requests put to Kinesis
+    const putRequests = [];
+    context.kinesis = {
+      putRecord(request) {
+        putRequests.push(request);
+        return {promise: () => Promise.resolve({SequenceNumber: '1'})};
+      },
+      putRecords(request) {
+        request.Records.forEach(r => putRequests.push(Object.assign({StreamName: request.StreamName}, r)));
+        return {promise: () => Promise.resolve({FailedRecordCount: 0, Records: request.Records.map((r, i) => ({SequenceNumber: `${i}`}))})};
+      }
+    };
+
+    const taskDef1 = TaskDef.defineTask('Task1', (message, context) => {
+      if (message.outcome === 'fail') {
+        return Promise.reject(new Error(`Planned failure of message ${message.n}`));
+      }
+      if (message.outcome === 'reject') {
+        streamConsumer.getProcessOneTask(message, 'Task1', context).reject(`Planned rejection of message ${message.n}`, undefined, true);
+      }
+      return Promise.resolve(message);
+    });
+
+    streamConsumer.configureStreamConsumer(context, undefined, undefined, event, awsContext);
+
+    // Extract an array of messages from each record
+    context.streamProcessing.extractMessageFromRecord = function extractMessagesFromRecord(record) {
+      return JSON.parse(new Buffer(record.kinesis.data, 'base64').toString('utf8'));
+    };
+
+    streamConsumer.processStreamEvent(event, [taskDef1], [], context)
+      .then(results => {
+        const messages = results.messages;
+        t.equal(messages.length, 3, `processStreamEvent results must have 3 messages`);
+        t.deepEqual(messages.map(m => m.n), [1, 2, 3], `messages must be [1, 2, 3]`);
+        t.deepEqual(messages.map(m => streamConsumer.getMessageIndex(m, context)), [0, 1, 2], `message indexes must be [0, 1, 2]`);
+        messages.forEach(m => t.equal(streamConsumer.getRecord(m, context), batchRecord, `message ${m.n} record must be the batch record`));
+
+        const tasks = messages.map(m => streamConsumer.getProcessOneTask(m, 'Task1', context));
+        t.ok(tasks[0] !== tasks[1] && tasks[1] !== tasks[2], `each message must have its own Task1`);
+        t.ok(tasks[0].state instanceof taskStates.CompletedState, `message 1 Task1 must be completed`);
+        t.ok(tasks[1].failed, `message 2 Task1 must be failed`);
+        t.ok(tasks[2].rejected, `message 3 Task1 must be rejected`);
+
+        t.equal(results.unusableRecords.length, 1, `processStreamEvent results must have 1 unusable record`);
+        t.equal(results.unusableRecords[0], badRecord, `unusable record must be the bad record`);
+
+        const resubmitRequests = putRequests.filter(r => r.StreamName === streamName);
+        t.equal(resubmitRequests.length, 1, `must have resubmitted 1 incomplete message`);
+        t.equal(JSON.parse(resubmitRequests[0].Data).n, 2, `resubmitted message must be message 2`);
+
+        const dmqRequests = putRequests.filter(r => r.StreamName.indexOf('DeadMessageQueue') === 0);
+        t.equal(dmqRequests.length, 1, `must have discarded 1 rejected message to the DMQ`);
+        const rejectedMessage = JSON.parse(dmqRequests[0].Data);
+        t.equal(rejectedMessage.message.n, 3, `rejected message must be message 3`);
+        t.equal(rejectedMessage.source.messageIndex, 2, `rejected message source messageIndex must be 2`);
+        t.end();
+      })
+      .catch(err => {
+        t.fail(`processStreamEvent should NOT have failed (${stringify(err)})`, err.stack);
+        t.end(err);
+      });
+  } finally {
+    process.env.AWS_REGION = undefined;
+    process.env.STAGE = undefined;
+  }
+});
+
+test('processStreamEvent with a messageSchema must reject all tasks of invalid messages without executing them & discard them', t => {
+  try {
+    setRegionStageAndDeleteCachedInstances('us-west-2', undefined);
+
+    const context = {};
+
+    const streamName = 'TestStream_DEV2';
+    const region = process.env.AWS_REGION;
+    const eventSourceArn = samples.sampleKinesisEventSourceArn(region, streamName);
+
+    const validMessage = {type: 'Order', id: 'ord-1', qty: 1};
+    const invalidMessage = {type: 'Order', id: 1, qty: 0};
+    const unknownMessage = {type: 'Refund', id: 'ref-1'};
+    const event = samples.sampleKinesisEventWithRecords([validMessage, invalidMessage, unknownMessage]
+      .map((m, i) => samples.sampleKinesisRecord(`pk${i}`, m, eventSourceArn, region)));
+    const awsContext = sampleAwsContext('1.0.1', 'dev1', 1000);
+
+    configureDefaults(t, context, undefined);
+
+    // Capture the requests put to Kinesis
+    const putRequests = [];
+    context.kinesis = {
+      putRecord(request) {
+        putRequests.push(request);
+        return {promise: () => Promise.resolve({SequenceNumber: '1'})};
+      },
+      putRecords(request) {
+        request.Records.forEach(r => putRequests.push(Object.assign({StreamName: request.StreamName}, r)));
+        return {promise: () => Promise.resolve({FailedRecordCount: 0, Records: request.Records.map((r, i) => ({SequenceNumber: `${i}`}))})};
+      }
+    };
+
+    const executedOnes = [];
+    const executedAlls = [];
+    const taskDef1 = TaskDef.defineTask('Task1', (message, context) => {
+      executedOnes.push(message.id);
+      return Promise.resolve(message);
+    });
+    const taskDef2 = TaskDef.defineTask('Task2', (messages, context) => {
+      messages.forEach(m => executedAlls.push(m.id));
+      return Promise.resolve(messages);
+    });
+
+    streamConsumer.configureStreamConsumer(context, undefined, undefined, event, awsContext);
+
+    context.streamProcessing.messageSchema = {
+      discriminator: 'type',
+      schemas: {
+        Order: {
+          type: 'object',
+          required: ['type', 'id', 'qty'],
+          properties: {id: {type: 'string'}, qty: {type: 'integer', minimum: 1}},
+          additionalProperties: {type: 'string'}
+        }
+      }
+    };
+
+    streamConsumer.processStreamEvent(event, [taskDef1], [taskDef2], context)
+      .then(results => {
+        const messages = results.messages;
+        t.equal(messages.length, 3, `processStreamEvent results must have 3 messages`);
+
+        t.equal(streamConsumer.getValidationErrors(messages[0], context), undefined, `valid message must have no validation errors`);
+        t.deepEqual(streamConsumer.getValidationErrors(messages[1], context), ['message.id must be of type string', 'message.qty must be >= 1'],
+          `invalid message must have its validation errors`);
+        t.deepEqual(streamConsumer.getValidationErrors(messages[2], context), ['message has no schema for its type ("Refund")'],
+          `unknown message must have a validation error`);
+
+        t.deepEqual(executedOnes, ['ord-1'], `Task1 must only be executed on the valid message`);
+        t.deepEqual(executedAlls, ['ord-1'], `Task2 must only be executed on the valid message`);
+
+        t.ok(streamConsumer.getProcessOneTask(messages[0], 'Task1', context).state instanceof taskStates.CompletedState, `valid message Task1 must be completed`);
+        t.ok(streamConsumer.getProcessAllTask(messages[0], 'Task2', context).state instanceof taskStates.CompletedState, `valid message Task2 must be completed`);
+        [messages[1], messages[2]].forEach(m => {
+          const task1 = streamConsumer.getProcessOneTask(m, 'Task1', context);
+          const task2 = streamConsumer.getProcessAllTask(m, 'Task2', context);
+          t.ok(task1.rejected, `invalid message ${m.id} Task1 must be rejected`);
+          t.ok(task2.rejected, `invalid message ${m.id} Task2 must be rejected`);
+          t.equal(task1.attempts, 0, `invalid message ${m.id} Task1 must not have been attempted`);
+          t.ok(task1.state.reason.indexOf('Invalid message - ') === 0, `invalid message ${m.id} Task1 reason must start with "Invalid message - "`);
+          t.deepEqual(task1.error.validationErrors, streamConsumer.getValidationErrors(m, context), `invalid message ${m.id} Task1 error must have the validation errors`);
+        });
+
+        t.equal(results.handledIncompleteMessages.length, 0, `processStreamEvent results must have 0 handled incomplete messages`);
+        t.equal(results.discardedRejectedMessages.length, 2, `processStreamEvent results must have 2 discarded rejected messages`);
+
+        const dmqRequests = putRequests.filter(r => r.StreamName.indexOf('DeadMessageQueue') === 0);
+        t.equal(dmqRequests.length, 2, `must have discarded 2 invalid messages to the DMQ`);
+        t.deepEqual(dmqRequests.map(r => JSON.parse(r.Data).message.id).sort(), [1, 'ref-1'], `discarded messages must be the invalid messages`);
+        t.ok(dmqRequests.every(r => r.Data.indexOf('Invalid message - ') !== -1), `discarded messages must carry their rejection reasons`);
+        t.end();
+      })
+      .catch(err => {
+        t.fail(`processStreamEvent should NOT have failed (${stringify(err)})`, err.stack);
+        t.end(err);
+      });
+  } finally {
+    process.env.AWS_REGION = undefined;
+    process.env.STAGE = undefined;
+  }
+});
+
+test('processStreamEvent with idempotencyEnabled must not re-execute processOne tasks that already succeeded', t => {
+  try {
+    setRegionStageAndDeleteCachedInstances('us-west-2', undefined);
+
+    const streamName = 'TestStream_DEV2';
+    const region = process.env.AWS_REGION;
+    const eventSourceArn = samples.sampleKinesisEventSourceArn(region, streamName);
+
+    const records = [{id: 'm1'}, {id: 'm2'}].map((m, i) => samples.sampleKinesisRecord(`pk${i}`, m, eventSourceArn, region));
+    const event = samples.sampleKinesisEventWithRecords(records);
+    const messageIds = records.map(r => `${streamName}|${r.kinesis.sequenceNumber}`);
+
+    // An in-memory idempotency store, in which m2's Task1 already succeeded
+    const succeeded = new Set([`${messageIds[1]}|Task1`]);
+    const saved = [];
+    function loadSucceededTaskNames(ids, taskNames, context) {
+      const result = {};
+      ids.forEach(id => {
+        const names = taskNames.filter(taskName => succeeded.has(`${id}|${taskName}`));
+        if (names.length > 0) result[id] = names;
+      });
+      return Promise.resolve(result);
+    }
+    function saveSucceededTaskName(messageId, taskName, context) {
+      saved.push(`${messageId}|${taskName}`);
+      succeeded.add(`${messageId}|${taskName}`);
+      return Promise.resolve(true);
+    }
+
+    const executed = [];
+    const taskDef1 = TaskDef.defineTask('Task1', (message, context) => {
+      executed.push(message.id);
+      return Promise.resolve(message);
+    });
+
+    // Configure a context for the first run & another for the replay of the same event
+    const contexts = [{}, {}];
+    contexts.forEach(context => {
+      configureDefaults(t, context, undefined);
+      streamConsumer.configureStreamConsumer(context, undefined, undefined, event, sampleAwsContext('1.0.1', 'dev1', 1000));
+      context.streamProcessing.idempotencyEnabled = true;
+      context.streamProcessing.loadSucceededTaskNames = loadSucceededTaskNames;
+      context.streamProcessing.saveSucceededTaskName = saveSucceededTaskName;
+    });
+
+    function processEvent(context) {
+      return streamConsumer.processStreamEvent(event, [taskDef1], [], context).then(results => [results, context]);
+    }
+
+    processEvent(contexts[0])
+      .then(resultsAndContext => {
+        const messages = resultsAndContext[0].messages;
+        const context = resultsAndContext[1];
+        t.equal(messages.length, 2, `processStreamEvent results must have 2 messages`);
+        t.deepEqual(messages.map(m => streamConsumer.getMessageId(m, context)), messageIds, `message IDs must be the stream name & sequence numbers`);
+        t.deepEqual(executed, ['m1'], `Task1 must only be executed on m1`);
+        messages.forEach(m => t.ok(streamConsumer.getProcessOneTask(m, 'Task1', context).completed, `${m.id} Task1 must be completed`));
+        t.equal(streamConsumer.getProcessOneTask(messages[1], 'Task1', context).attempts, 0, `m2 Task1 must not have been attempted`);
+        t.deepEqual(saved, [`${messageIds[0]}|Task1`], `only m1's Task1 success must be saved`);
+
+        // Replay the same event
+        return processEvent(contexts[1]);
+      })
+      .then(resultsAndContext => {
+        const messages = resultsAndContext[0].messages;
+        const context = resultsAndContext[1];
+        t.deepEqual(executed, ['m1'], `Task1 must not be re-executed on replay`);
+        messages.forEach(m => t.ok(streamConsumer.getProcessOneTask(m, 'Task1', context).completed, `replayed ${m.id} Task1 must be completed`));
+        t.equal(saved.length, 1, `no successes must be saved on replay`);
+        t.end();
+      })
+      .catch(err => {
+        t.fail(`processStreamEvent should NOT have failed (${stringify(err)})`, err.stack);
+        t.end(err);
+      });
+  } finally {
+    process.env.AWS_REGION = undefined;
+    process.env.STAGE = undefined;
+  }
+});
+
+test('deferMessagesNotYetDueForRetry with a jittered retryPolicy must make the same decision on every check', t => {
+  try {
+    setRegionStageAndDeleteCachedInstances('us-west-2', undefined);
+
+    const context = {};
+    const streamName = 'TestStream_DEV2';
+    const event = sampleKinesisEvent(streamName, undefined, sampleMessage(1), false);
+    const awsContext = sampleAwsContext('1.0.1', 'dev1', 1000);
+
+    configureDefaults(t, context, undefined);
+    streamConsumer.configureStreamConsumer(context, undefined, undefined, event, awsContext);
+    context.streamProcessing.retryPolicy = {baseDelayMs: 10000, jitter: 1};
+
+    // Give messages the "history" of a failed Task1 that was last executed 5 seconds ago, which is within the jittered
+    // delay range of (0, 10] seconds
+    const taskDef1 = TaskDef.defineTask('Task1', execute1);
+    const lastExecutedAt = new Date(Date.now() - 5000);
+    const messages = [];
+    for (let i = 0; i < 20; ++i) {
+      const task = Task.createTask(taskDef1);
+      task.fail(new Error('Previously failed'));
+      task.incrementAttempts();
+      task.updateLastExecutedAt(new Date(lastExecutedAt.getTime() + i));
+      messages.push({id: `m${i}`, taskTracking: JSON.parse(JSON.stringify({ones: {Task1: task}}))});
+    }
+
+    const deferred = streamConsumer.FOR_TESTING_ONLY.deferMessagesNotYetDueForRetry(messages, [taskDef1], [], context).map(m => m.id);
+    for (let i = 0; i < 5; ++i) {
+      t.deepEqual(streamConsumer.FOR_TESTING_ONLY.deferMessagesNotYetDueForRetry(messages, [taskDef1], [], context).map(m => m.id), deferred,
+        `check ${i + 2} must defer the same messages as the first check`);
+    }
+    t.ok(deferred.length > 0 && deferred.length < messages.length, `some, but not all, messages (${deferred.length}) must be deferred`);
+    t.end();
+  } finally {
+    process.env.AWS_REGION = undefined;
+    process.env.STAGE = undefined;
+  }
+});
+
+test('processStreamEvent with a retryPolicy must defer messages that are not yet due for retry & resubmit them untouched', t => {
+  try {
+    setRegionStageAndDeleteCachedInstances('us-west-2', undefined);
+
+    const context = {};
+
+    const streamName = 'TestStream_DEV2';
+    const region = process.env.AWS_REGION;
+    const eventSourceArn = samples.sampleKinesisEventSourceArn(region, streamName);
+
+    // Give a message the "history" of a failed Task1 & Task2 that were last executed 10 seconds ago
+    const lastExecutedAt = new Date(Date.now() - 10000);
+    function withFailedTasks(message, attempts) {
+      const tasks = [Task.createTask(TaskDef.defineTask('Task1', execute1)), Task.createTask(TaskDef.defineTask('Task2', execute1))];
+      tasks.forEach(task => {
+        task.fail(new Error('Previously failed'));
+        for (let i = 0; i < attempts; ++i) {
+          task.incrementAttempts();
+        }
+        task.updateLastExecutedAt(lastExecutedAt);
+      });
+      message.taskTracking = JSON.parse(JSON.stringify({ones: {Task1: tasks[0]}, alls: {Task2: tasks[1]}}));
+      return message;
+    }
+    // m1 is new, m2 is due (i.e. its 5 second delay has passed) & m3 is NOT due (i.e. its 20 second delay has not passed)
+    const event = samples.sampleKinesisEventWithRecords([{id: 'm1'}, withFailedTasks({id: 'm2'}, 1), withFailedTasks({id: 'm3'}, 3)]
+      .map((m, i) => samples.sampleKinesisRecord(`pk${i}`, m, eventSourceArn, region)));
+    const awsContext = sampleAwsContext('1.0.1', 'dev1', 1000);
+
+    configureDefaults(t, context, undefined);
+
+    // Capture the requests put to Kinesis
+    const putRequests = [];
+    context.kinesis = {
+      putRecord(request) {
+        putRequests.push(request);
+        return {promise: () => Promise.resolve({SequenceNumber: '1'})};
+      }
+    };
+
+    const executedOnes = [];
+    const executedAlls = [];
+    const taskDef1 = TaskDef.defineTask('Task1', (message, context) => {
+      executedOnes.push(message.id);
+      return Promise.resolve(message);
+    });
+    const taskDef2 = TaskDef.defineTask('Task2', (messages, context) => {
+      messages.forEach(m => executedAlls.push(m.id));
+      return Promise.resolve(messages);
+    });
+
+    streamConsumer.configureStreamConsumer(context, undefined, undefined, event, awsContext);
+    context.streamProcessing.retryPolicy = {baseDelayMs: 5000, multiplier: 2, maxDelayMs: 60000};
+
+    streamConsumer.processStreamEvent(event, [taskDef1], [taskDef2], context)
+      .then(results => {
+        const messages = results.messages;
+        t.equal(messages.length, 3, `processStreamEvent results must have 3 messages`);
+
+        t.deepEqual(executedOnes, ['m1', 'm2'], `Task1 must only be executed on the due messages`);
+        t.deepEqual(executedAlls, ['m1', 'm2'], `Task2 must only be executed on the due messages`);
+
+        t.equal(streamConsumer.getProcessOneTask(messages[1], 'Task1', context).attempts, 2, `m2 Task1 attempts must be 2`);
+        t.ok(streamConsumer.getProcessOneTask(messages[1], 'Task1', context).completed, `m2 Task1 must be completed`);
+
+        const task1 = streamConsumer.getProcessOneTask(messages[2], 'Task1', context);
+        const task2 = streamConsumer.getProcessAllTask(messages[2], 'Task2', context);
+        t.equal(task1.attempts, 3, `m3 Task1 attempts must still be 3`);
+        t.equal(task2.attempts, 3, `m3 Task2 attempts must still be 3`);
+        t.equal(task1.lastExecutedAt, lastExecutedAt.toISOString(), `m3 Task1 lastExecutedAt must be untouched`);
+        t.ok(task1.incomplete, `m3 Task1 must still be incomplete`);
+
+        t.deepEqual(results.handledIncompleteMessages.map(m => m.id), ['m3'], `only m3 must be handled as an incomplete message`);
+        t.equal(putRequests.length, 1, `must have resubmitted 1 message`);
+        const resubmitted = JSON.parse(putRequests[0].Data);
+        t.equal(resubmitted.id, 'm3', `resubmitted message must be m3`);
+        t.equal(resubmitted.taskTracking.ones.Task1.attempts, 3, `resubmitted m3 Task1 attempts must still be 3`);
+        t.equal(resubmitted.taskTracking.alls.Task2.attempts, 3, `resubmitted m3 Task2 attempts must still be 3`);
+        t.end();
+      })
+      .catch(err => {
+        t.fail(`processStreamEvent should NOT have failed (${stringify(err)})`, err.stack);
+        t.end(err);
+      });
+  } finally {
+    process.env.AWS_REGION = undefined;
+    process.env.STAGE = undefined;
+  }
+});
@@ -20,6 +20,11 @@ const configureDefaultKinesisStreamProcessing = streamProcessing.configureDefaul
 const getDefaultDynamoDBStreamProcessingSettings = streamProcessing.getDefaultDynamoDBStreamProcessingSettings;
 const configureDefaultDynamoDBStreamProcessing = streamProcessing.configureDefaultDynamoDBStreamProcessing;
 
+const getDefaultSQSStreamProcessingSettings = streamProcessing.getDefaultSQSStreamProcessingSettings;
+const configureDefaultSQSStreamProcessing = streamProcessing.configureDefaultSQSStreamProcessing;
+
+const configureDefaultFirehoseStreamProcessing = streamProcessing.configureDefaultFirehoseStreamProcessing;
+
 const configureStreamProcessingWithSettings = streamProcessing.configureStreamProcessingWithSettings;
 
 const getStreamProcessingSetting = streamProcessing.getStreamProcessingSetting;
@@ -35,7 +40,11 @@ const getHandleIncompleteMessagesFunction = streamProcessing.getHandleIncomplete
 
 // Default extractMessageFromRecord functions
 const extractJsonMessageFromKinesisRecord = streamProcessing.DEFAULTS.extractJsonMessageFromKinesisRecord;
+const extractLogEventMessagesFromCloudWatchLogsRecord = streamProcessing.DEFAULTS.extractLogEventMessagesFromCloudWatchLogsRecord;
 const useStreamEventRecordAsMessage = streamProcessing.DEFAULTS.useStreamEventRecordAsMessage;
+const extractUnmarshalledMessageFromDynamoDBRecord = streamProcessing.DEFAULTS.extractUnmarshalledMessageFromDynamoDBRecord;
+const extractJsonMessageFromSQSRecord = streamProcessing.DEFAULTS.extractJsonMessageFromSQSRecord;
+const extractJsonMessageFromFirehoseRecord = streamProcessing.DEFAULTS.extractJsonMessageFromFirehoseRecord;
 
 // Default loadTaskTrackingState functions
 const skipLoadTaskTrackingState = streamProcessing.DEFAULTS.skipLoadTaskTrackingState;
@@ -47,13 +56,25 @@ const saveTaskTrackingStateToDynamoDB = streamProcessing.DEFAULTS.saveTaskTracki
 
 // Default handleIncompleteMessages functions
 const resubmitIncompleteMessagesToKinesis = streamProcessing.DEFAULTS.resubmitIncompleteMessagesToKinesis;
+const resubmitIncompleteMessagesToKinesisByPartitionKey = streamProcessing.DEFAULTS.resubmitIncompleteMessagesToKinesisByPartitionKey;
 const replayAllMessagesIfIncomplete = streamProcessing.DEFAULTS.replayAllMessagesIfIncomplete;
+const reportBatchItemFailuresIfIncomplete = streamProcessing.DEFAULTS.reportBatchItemFailuresIfIncomplete;
+const changeVisibilityOfIncompleteSQSMessages = streamProcessing.DEFAULTS.changeVisibilityOfIncompleteSQSMessages;
+const reportIncompleteFirehoseRecordsAsProcessingFailed = streamProcessing.DEFAULTS.reportIncompleteFirehoseRecordsAsProcessingFailed;
 
 // Default discardUnusableRecords functions
 const discardUnusableRecordsToDRQ = streamProcessing.DEFAULTS.discardUnusableRecordsToDRQ;
 // Default discardRejectedMessages functions
 const discardRejectedMessagesToDMQ = streamProcessing.DEFAULTS.discardRejectedMessagesToDMQ;
 
+// Alternative SQS discardUnusableRecords & discardRejectedMessages functions
+const discardUnusableRecordsToSQSDRQ = streamProcessing.DEFAULTS.discardUnusableRecordsToSQSDRQ;
+const discardRejectedMessagesToSQSDMQ = streamProcessing.DEFAULTS.discardRejectedMessagesToSQSDMQ;
+
+const toMessageIdFromSourceStreamAndSequenceNumber = streamProcessing.DEFAULTS.toMessageIdFromSourceStreamAndSequenceNumber;
+const loadSucceededTaskNamesFromDynamoDB = streamProcessing.DEFAULTS.loadSucceededTaskNamesFromDynamoDB;
+const saveSucceededTaskNameToDynamoDB = streamProcessing.DEFAULTS.saveSucceededTaskNameToDynamoDB;
+
 // Generic settings names
 const STREAM_TYPE_SETTING = streamProcessing.STREAM_TYPE_SETTING;
 const TASK_TRACKING_NAME_SETTING = streamProcessing.TASK_TRACKING_NAME_SETTING;
@@ -76,10 +97,14 @@ const DEAD_MESSAGE_QUEUE_NAME_SETTING = streamProcessing.DEAD_MESSAGE_QUEUE_NAME
 // Valid stream types
 const KINESIS_STREAM_TYPE = streamProcessing.KINESIS_STREAM_TYPE;
 const DYNAMODB_STREAM_TYPE = streamProcessing.DYNAMODB_STREAM_TYPE;
+const SQS_STREAM_TYPE = streamProcessing.SQS_STREAM_TYPE;
+const FIREHOSE_STREAM_TYPE = streamProcessing.FIREHOSE_STREAM_TYPE;
+const AUTO_STREAM_TYPE = streamProcessing.AUTO_STREAM_TYPE;
 
 // External dependencies
 const logging = require("logging-utils");
 const base64 = require("core-functions/base64");
+const zlib = require("zlib");
 const regions = require("aws-core-utils/regions");
 const stages = require("aws-core-utils/stages");
 const kinesisCache = require("aws-core-utils/kinesis-cache");
@@ -102,7 +127,9 @@ function sampleAwsContext(functionVersion, functionAlias) {
   return samples.sampleAwsContext(functionName, functionVersion, invokedFunctionArn);
 }
 
-function dummyKinesis(t, prefix, error) {
+function dummyKinesis(t, prefix, error, failLastRecordCount, errorCount) {
+  let remainingFailures = failLastRecordCount ? failLastRecordCount : 0;
+  let remainingErrors = errorCount !== undefined ? errorCount : Number.POSITIVE_INFINITY;
   return {
     putRecord(request) {
       return {
@@ -116,6 +143,177 @@ function dummyKinesis(t, prefix, error) {
           })
         }
       }
+    },
+
+    putRecords(request) {
+      return {
+        promise() {
+          return new Promise((resolve, reject) => {
+            t.pass(`${prefix} simulated putRecords of ${request.Records.length} records to Kinesis stream (${request.StreamName})`);
+            if (error && remainingErrors > 0) {
+              --remainingErrors;
+              reject(error);
+            } else {
+              // Simulate failure of the last record of the request (if any failures remain)
+              const failLast = remainingFailures > 0;
+              if (failLast) --remainingFailures;
+              const records = request.Records.map((r, i) => failLast && i === request.Records.length - 1 ?
+                {ErrorCode: 'ProvisionedThroughputExceededException', ErrorMessage: 'Simulated failure'} :
+                {SequenceNumber: `${i}`, ShardId: 'shardId-000000000000'});
+              resolve({FailedRecordCount: failLast ? 1 : 0, Records: records});
+            }
+          })
+        }
+      }
+    }
+  };
+}
+
+function dummySQS(t, prefix, error, failLastEntryCount, senderFault) {
+  let remainingFailures = failLastEntryCount ? failLastEntryCount : 0;
+  const sent = [];
+  const changed = [];
+  const deleted = [];
+
+  function batchOperation(operation, done) {
+    return request => ({
+      promise() {
+        return new Promise((resolve, reject) => {
+          t.pass(`${prefix} simulated ${operation} of ${request.Entries.length} messages on SQS queue (${request.QueueUrl})`);
+          if (error) {
+            reject(error);
+          } else {
+            request.Entries.forEach(e => done.push(Object.assign({QueueUrl: request.QueueUrl}, e)));
+            resolve({Successful: request.Entries.map(e => ({Id: e.Id})), Failed: []});
+          }
+        })
+      }
+    });
+  }
+
+  return {
+    sent: sent,
+    changed: changed,
+    deleted: deleted,
+
+    changeMessageVisibilityBatch: batchOperation('changeMessageVisibilityBatch', changed),
+
+    deleteMessageBatch: batchOperation('deleteMessageBatch', deleted),
+
+    getQueueUrl(params) {
+      return {
+        promise() {
+          return new Promise((resolve, reject) => {
+            t.pass(`${prefix} simulated getQueueUrl for SQS queue (${params.QueueName})`);
+            if (error)
+              reject(error);
+            else
+              resolve({QueueUrl: `https://sqs.us-west-1.amazonaws.com/123456789012/${params.QueueName}`});
+          })
+        }
+      }
+    },
+
+    sendMessageBatch(request) {
+      return {
+        promise() {
+          return new Promise((resolve, reject) => {
+            t.pass(`${prefix} simulated sendMessageBatch of ${request.Entries.length} messages to SQS queue (${request.QueueUrl})`);
+            if (error) {
+              reject(error);
+            } else {
+              // Simulate failure of the last entry of the request (if any failures remain)
+              const failLast = remainingFailures > 0;
+              if (failLast) --remainingFailures;
+              const last = request.Entries.length - 1;
+              const entries = failLast ? request.Entries.slice(0, last) : request.Entries;
+              entries.forEach(e => sent.push(e));
+              resolve({
+                Successful: entries.map(e => ({Id: e.Id, MessageId: `msg-${e.Id}`})),
+                Failed: failLast ?
+                  [{Id: request.Entries[last].Id, SenderFault: !!senderFault, Code: 'InternalError', Message: 'Simulated failure'}] : []
+              });
+            }
+          })
+        }
+      }
+    }
+  };
+}
+
+function dummyS3(t, prefix, error) {
+  const objects = {};
+  return {
+    objects: objects,
+
+    putObject(request) {
+      return {
+        promise() {
+          return new Promise((resolve, reject) => {
+            t.pass(`${prefix} simulated putObject of ${request.Body.length} bytes to S3 (${request.Bucket}/${request.Key})`);
+            if (!/^[a-z0-9][a-z0-9.-]{1,61}[a-z0-9]$/.test(request.Bucket)) {
+              const err = new Error(`The specified bucket is not valid (${request.Bucket})`);
+              err.code = 'InvalidBucketName';
+              reject(err);
+            } else if (error) {
+              reject(error);
+            } else {
+              objects[`${request.Bucket}/${request.Key}`] = request.Body;
+              resolve({ETag: 'etag'});
+            }
+          })
+        }
+      }
+    }
+  };
+}
+
+function dummyDynamoDBDocClient(t, prefix, store, error, unprocessedCount) {
+  let remainingUnprocessed = unprocessedCount ? unprocessedCount : 0;
+  return {
+    batchGet(params) {
+      return {
+        promise() {
+          return new Promise((resolve, reject) => {
+            t.pass(`${prefix} simulated batchGet from DynamoDB with request (${stringify(params)})`);
+            if (error) {
+              reject(error);
+              return;
+            }
+            const tableName = Object.getOwnPropertyNames(params.RequestItems)[0];
+            const responses = {};
+            responses[tableName] = params.RequestItems[tableName].Keys
+              .map(key => store.get(`${key.streamName}|${key.recordKey}`))
+              .filter(item => !!item);
+            resolve({Responses: responses, UnprocessedKeys: {}});
+          })
+        }
+      }
+    },
+    batchWrite(params) {
+      return {
+        promise() {
+          return new Promise((resolve, reject) => {
+            t.pass(`${prefix} simulated batchWrite to DynamoDB with request (${stringify(params)})`);
+            if (error) {
+              reject(error);
+              return;
+            }
+            const tableName = Object.getOwnPropertyNames(params.RequestItems)[0];
+            const requests = params.RequestItems[tableName];
+            // Simulate DynamoDB leaving some of the requested items unprocessed
+            const unprocessed = requests.slice(0, remainingUnprocessed);
+            remainingUnprocessed -= unprocessed.length;
+            requests.slice(unprocessed.length).forEach(request => {
+              const item = request.PutRequest.Item;
+              store.set(`${item.streamName}|${item.recordKey}`, JSON.parse(JSON.stringify(item)));
+            });
+            const unprocessedItems = {};
+            if (unprocessed.length > 0) unprocessedItems[tableName] = unprocessed;
+            resolve({UnprocessedItems: unprocessedItems});
+          })
+        }
+      }
     }
   };
 }
@@ -1008,6 +1206,176 @@ test('getStreamProcessingSetting and getStreamProcessingFunction', t => {
 // extractJsonMessageFromKinesisRecord
 // =====================================================================================================================
 
+test('validateStreamProcessingConfiguration with finalisingTimeoutMs & finalisingReserveMs', t => {
+  setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
+
+  function check(options, mustPass) {
+    const context = {};
+    const prefix = `configureDefaultKinesisStreamProcessing with options (${stringify(options)})`;
+    try {
+      configureDefaultKinesisStreamProcessing(context, options, undefined, undefined, undefined, undefined, true);
+      if (mustPass) {
+        t.pass(`${prefix} should have passed`);
+        return context;
+      }
+      t.fail(`${prefix} should NOT have passed`);
+    } catch (err) {
+      if (mustPass) {
+        t.fail(`${prefix} should NOT have failed (${err})`);
+      } else {
+        t.ok(err.message.indexOf('FATAL') !== -1, `${prefix} should have failed with a FATAL error`);
+      }
+    }
+    return undefined;
+  }
+
+  const defaultContext = check(undefined, true);
+  t.equal(streamProcessing.getFinalisingTimeoutMs(defaultContext), 500, `default finalisingTimeoutMs must be 500`);
+  t.equal(streamProcessing.getFinalisingReserveMs(defaultContext), 500, `default finalisingReserveMs must be finalisingTimeoutMs`);
+
+  const context = check({finalisingTimeoutMs: 3000, finalisingReserveMs: 0}, true);
+  t.equal(streamProcessing.getFinalisingTimeoutMs(context), 3000, `finalisingTimeoutMs must be 3000`);
+  t.equal(streamProcessing.getFinalisingReserveMs(context), 0, `finalisingReserveMs must be 0`);
+
+  check({finalisingTimeoutMs: 0}, false);
+  check({finalisingTimeoutMs: -1}, false);
+  check({finalisingTimeoutMs: '500'}, false);
+  check({finalisingReserveMs: -1}, false);
+  check({finalisingReserveMs: Infinity}, false);
+
+  process.env.AWS_REGION = undefined;
+  process.env.STAGE = undefined;
+  t.end();
+});
+
+test('validateStreamProcessingConfiguration with maxConcurrency', t => {
+  setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
+
+  function check(options, mustPass) {
+    const context = {};
+    const prefix = `configureDefaultKinesisStreamProcessing with options (${stringify(options)})`;
+    try {
+      configureDefaultKinesisStreamProcessing(context, options, undefined, undefined, undefined, undefined, true);
+      if (mustPass) {
+        t.pass(`${prefix} should have passed`);
+        return context;
+      }
+      t.fail(`${prefix} should NOT have passed`);
+    } catch (err) {
+      if (mustPass) {
+        t.fail(`${prefix} should NOT have failed (${err})`);
+      } else {
+        t.ok(err.message.indexOf('FATAL') !== -1, `${prefix} should have failed with a FATAL error`);
+      }
+    }
+    return undefined;
+  }
+
+  const defaultContext = check(undefined, true);
+  t.equal(streamProcessing.getMaxConcurrency(defaultContext), undefined, `default maxConcurrency must be undefined`);
+
+  const context = check({maxConcurrency: 25}, true);
+  t.equal(streamProcessing.getMaxConcurrency(context), 25, `maxConcurrency must be 25`);
+
+  check({maxConcurrency: 0}, false);
+  check({maxConcurrency: -1}, false);
+  check({maxConcurrency: 2.5}, false);
+  check({maxConcurrency: '10'}, false);
+
+  process.env.AWS_REGION = undefined;
+  process.env.STAGE = undefined;
+  t.end();
+});
+
+test('validateStreamProcessingConfiguration with orderedProcessing', t => {
+  setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
+
+  const context = {};
+  configureDefaultKinesisStreamProcessing(context, undefined, undefined, undefined, undefined, undefined, true);
+  t.notOk(streamProcessing.isOrderedProcessing(context), `default orderedProcessing must be false`);
+
+  configureDefaultKinesisStreamProcessing(context, {orderedProcessing: true}, undefined, undefined, undefined, undefined, true);
+  t.ok(streamProcessing.isOrderedProcessing(context), `orderedProcessing must be true`);
+
+  t.throws(() => configureDefaultKinesisStreamProcessing({}, {orderedProcessing: 'yes'}, undefined, undefined, undefined, undefined, true),
+    /FATAL/, `orderedProcessing of 'yes' must fail with a FATAL error`);
+
+  process.env.AWS_REGION = undefined;
+  process.env.STAGE = undefined;
+  t.end();
+});
+
+test('validateStreamProcessingConfiguration with compression', t => {
+  setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
+
+  const context = {};
+  configureDefaultKinesisStreamProcessing(context, undefined, undefined, undefined, undefined, undefined, true);
+  t.equal(streamProcessing.getCompression(context), undefined, `default compression must be undefined`);
+
+  ['gzip', 'deflate'].forEach(compression => {
+    configureDefaultKinesisStreamProcessing(context, {compression: compression}, undefined, undefined, undefined, undefined, true);
+    t.equal(streamProcessing.getCompression(context), compression, `compression must be ${compression}`);
+  });
+
+  configureDefaultKinesisStreamProcessing(context, {compression: 'none'}, undefined, undefined, undefined, undefined, true);
+  t.equal(streamProcessing.getCompression(context), undefined, `compression of 'none' must be undefined`);
+
+  t.throws(() => configureDefaultKinesisStreamProcessing({}, {compression: 'zip'}, undefined, undefined, undefined, undefined, true),
+    /FATAL/, `compression of 'zip' must fail with a FATAL error`);
+
+  process.env.AWS_REGION = undefined;
+  process.env.STAGE = undefined;
+  t.end();
+});
+
+test('validateStreamProcessingConfiguration with messageSchema', t => {
+  setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
+
+  const context = {};
+  configureDefaultKinesisStreamProcessing(context, undefined, undefined, undefined, undefined, undefined, true);
+  t.equal(streamProcessing.getMessageSchema(context), undefined, `default messageSchema must be undefined`);
+
+  const schema = {type: 'object', required: ['id']};
+  configureDefaultKinesisStreamProcessing(context, {messageSchema: schema}, undefined, undefined, undefined, undefined, true);
+  t.deepEqual(streamProcessing.getMessageSchema(context), schema, `messageSchema must be the JSON Schema`);
+
+  const discriminated = {discriminator: 'type', schemas: {A: schema}};
+  configureDefaultKinesisStreamProcessing(context, {messageSchema: discriminated}, undefined, undefined, undefined, undefined, true);
+  t.deepEqual(streamProcessing.getMessageSchema(context), discriminated, `messageSchema must be the discriminated message schema`);
+
+  [[schema], 'schema', {discriminator: '', schemas: {A: schema}}, {discriminator: 'type', schemas: {A: 'schema'}}].forEach(messageSchema =>
+    t.throws(() => configureDefaultKinesisStreamProcessing({}, {messageSchema: messageSchema}, undefined, undefined, undefined, undefined, true),
+      /FATAL/, `messageSchema of ${stringify(messageSchema)} must fail with a FATAL error`));
+
+  [{type: 'string', format: 'email'}, {properties: {n: {exclusiveMinimum: true, minimum: 0}}}, {$ref: 'other.json#/a'},
+    {discriminator: 'type', schemas: {A: {patternProperties: {'^x': {}}}}}].forEach(messageSchema =>
+    t.throws(() => configureDefaultKinesisStreamProcessing({}, {messageSchema: messageSchema}, undefined, undefined, undefined, undefined, true),
+      /FATAL.*unsupported JSON Schema keywords/, `messageSchema with unsupported keywords ${stringify(messageSchema)} must fail with a FATAL error`));
+
+  process.env.AWS_REGION = undefined;
+  process.env.STAGE = undefined;
+  t.end();
+});
+
+test('toRecordOrderingKey, getRecordSequenceNumber & compareSequenceNumbers', t => {
+  const kinesisRecord = {kinesis: {partitionKey: 'pk1', sequenceNumber: '49545115243490985018280067714973144582180062593244200961'}};
+  t.equal(streamProcessing.toRecordOrderingKey(kinesisRecord), 'pk1', `Kinesis record ordering key must be its partition key`);
+  t.equal(streamProcessing.getRecordSequenceNumber(kinesisRecord), kinesisRecord.kinesis.sequenceNumber, `Kinesis record sequence number must match`);
+
+  const dynamoDBRecord1 = {dynamodb: {Keys: {k2: {N: '2'}, k1: {S: 'one'}}, SequenceNumber: '300'}};
+  const dynamoDBRecord2 = {dynamodb: {Keys: {k1: {S: 'one'}, k2: {N: '2'}}, SequenceNumber: '1000'}};
+  t.equal(streamProcessing.toRecordOrderingKey(dynamoDBRecord1), streamProcessing.toRecordOrderingKey(dynamoDBRecord2),
+    `DynamoDB records with the same keys must have the same ordering key regardless of key order`);
+  t.equal(streamProcessing.getRecordSequenceNumber(dynamoDBRecord2), '1000', `DynamoDB record sequence number must be 1000`);
+
+  t.equal(streamProcessing.toRecordOrderingKey({}), undefined, `record without keys must have no ordering key`);
+
+  t.ok(streamProcessing.compareSequenceNumbers('300', '1000') < 0, `300 must be before 1000`);
+  t.ok(streamProcessing.compareSequenceNumbers('1000', '999') > 0, `1000 must be after 999`);
+  t.equal(streamProcessing.compareSequenceNumbers('42', '42'), 0, `42 must equal 42`);
+  t.end();
+});
+
 test('extractJsonMessageFromKinesisRecord', t => {
   try {
     setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
@@ -1037,6 +1405,97 @@ test('extractJsonMessageFromKinesisRecord', t => {
   t.end();
 });
 
+test('extractJsonMessageFromKinesisRecord with compressed data', t => {
+  try {
+    setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
+
+    const context = {};
+    logging.configureDefaultLogging(context);
+    configureDefaultKinesisStreamProcessing(context, undefined, undefined, undefined, undefined, undefined, true);
+
+    const eventSourceARN = samples.sampleKinesisEventSourceArn('eventSourceArnRegion', 'TestStream_DEV');
+    const record = samples.sampleKinesisRecord(undefined, undefined, eventSourceARN, 'eventAwsRegion');
+    const msg = sampleMessage();
+    const json = JSON.stringify(msg);
+
+    record.kinesis.data = zlib.gzipSync(json).toString('base64');
+    t.deepEqual(extractJsonMessageFromKinesisRecord(record, context), msg, 'gzip compressed JSON message must match original');
+
+    record.kinesis.data = zlib.deflateSync(json).toString('base64');
+    t.deepEqual(extractJsonMessageFromKinesisRecord(record, context), msg, 'deflate compressed JSON message must match original');
+
+    const envelope = {contentEncoding: 'gzip', data: zlib.gzipSync(json).toString('base64')};
+    record.kinesis.data = base64.toBase64(envelope);
+    t.deepEqual(extractJsonMessageFromKinesisRecord(record, context), msg, 'content-encoding enveloped JSON message must match original');
+
+    // A message that merely has contentEncoding & data properties amongst others must not be unwrapped
+    const lookalike = {contentEncoding: 'gzip', data: 'abc', other: 1};
+    record.kinesis.data = base64.toBase64(lookalike);
+    t.deepEqual(extractJsonMessageFromKinesisRecord(record, context), lookalike, 'non-envelope message must not be unwrapped');
+
+    // Corrupt gzip data must fail
+    const corrupt = zlib.gzipSync(json);
+    record.kinesis.data = Buffer.concat([corrupt.slice(0, 10), new Buffer('garbage')]).toString('base64');
+    t.throws(() => extractJsonMessageFromKinesisRecord(record, context), Error, `corrupt gzip data must throw an error`);
+
+  } finally {
+    process.env.AWS_REGION = undefined;
+    process.env.STAGE = undefined;
+  }
+  t.end();
+});
+
+test('extractLogEventMessagesFromCloudWatchLogsRecord', t => {
+  try {
+    setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
+
+    const context = {};
+    logging.configureDefaultLogging(context);
+    configureDefaultKinesisStreamProcessing(context, undefined, undefined, undefined, undefined, undefined, true);
+
+    const eventSourceARN = samples.sampleKinesisEventSourceArn('eventSourceArnRegion', 'TestStream_DEV');
+    const payload = samples.sampleCloudWatchLogsPayload('/aws/lambda/test', '2016/12/01/[$LATEST]abc', ['Log 1', 'Log 2']);
+    payload.logEvents[1].extractedFields = {level: 'INFO'};
+    const record = samples.sampleCloudWatchLogsRecord(payload, eventSourceARN, 'eventAwsRegion');
+
+    const messages = extractLogEventMessagesFromCloudWatchLogsRecord(record, context);
+    t.equal(messages.length, 2, `must extract 2 log event messages`);
+    messages.forEach((message, i) => {
+      t.equal(message.logGroup, payload.logGroup, `message ${i} logGroup must match`);
+      t.equal(message.logStream, payload.logStream, `message ${i} logStream must match`);
+      t.equal(message.owner, payload.owner, `message ${i} owner must match`);
+      t.deepEqual(message.subscriptionFilters, payload.subscriptionFilters, `message ${i} subscriptionFilters must match`);
+      t.equal(message.id, payload.logEvents[i].id, `message ${i} id must match`);
+      t.equal(message.timestamp, payload.logEvents[i].timestamp, `message ${i} timestamp must match`);
+      t.equal(message.message, `Log ${i + 1}`, `message ${i} message must be Log ${i + 1}`);
+    });
+    t.notOk(messages[0].hasOwnProperty('extractedFields'), `message 0 must not have extractedFields`);
+    t.deepEqual(messages[1].extractedFields, {level: 'INFO'}, `message 1 extractedFields must match`);
+
+    // Control messages must be dropped
+    const controlRecord = samples.sampleCloudWatchLogsRecord(samples.sampleCloudWatchLogsPayload('', '',
+      ['CWL CONTROL MESSAGE: Checking health of destination Kinesis stream.'], 'CONTROL_MESSAGE'), eventSourceARN, 'eventAwsRegion');
+    t.deepEqual(extractLogEventMessagesFromCloudWatchLogsRecord(controlRecord, context), [], `control message must be dropped`);
+
+    // A resubmitted log event message must be returned as is
+    const resubmittedRecord = samples.sampleKinesisRecord(undefined, messages[0], eventSourceARN, 'eventAwsRegion');
+    t.deepEqual(extractLogEventMessagesFromCloudWatchLogsRecord(resubmittedRecord, context), messages[0], `resubmitted log event message must be returned as is`);
+
+    // Invalid payloads must fail
+    const invalidRecord = samples.sampleCloudWatchLogsRecord({messageType: 'OTHER', logEvents: []}, eventSourceARN, 'eventAwsRegion');
+    t.throws(() => extractLogEventMessagesFromCloudWatchLogsRecord(invalidRecord, context), /not a valid CloudWatch Logs payload/,
+      `invalid messageType must throw an error`);
+    const noEventsRecord = samples.sampleCloudWatchLogsRecord({messageType: 'DATA_MESSAGE'}, eventSourceARN, 'eventAwsRegion');
+    t.throws(() => extractLogEventMessagesFromCloudWatchLogsRecord(noEventsRecord, context), /not a valid CloudWatch Logs payload/,
+      `missing logEvents must throw an error`);
+
+  } finally {
+    process.env.AWS_REGION = undefined;
+    process.env.STAGE = undefined;
+  }
+  t.end();
+});
+
 // =====================================================================================================================
 // extractJsonMessageFromKinesisRecord
 // =====================================================================================================================
@@ -1074,6 +1533,58 @@ test('useStreamEventRecordAsMessage', t => {
   t.end();
 });
 
+test('extractUnmarshalledMessageFromDynamoDBRecord', t => {
+  try {
+    setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
+
+    const context = {};
+    configureDefaultDynamoDBStreamProcessing(context, undefined, undefined, require('../default-dynamodb-options.json'), undefined, undefined, true);
+
+    // Use invalid records and expect errors
+    t.throws(() => extractUnmarshalledMessageFromDynamoDBRecord(undefined, context), /invalid DynamoDB stream event record/, `undefined record must throw an error`);
+    t.throws(() => extractUnmarshalledMessageFromDynamoDBRecord({}, context), /invalid DynamoDB stream event record/, `record without dynamodb must throw an error`);
+
+    const eventSourceARN = samples.sampleDynamoDBEventSourceArn('eventSourceArnRegion', 'TestTable_DEV');
+    const records = samples.awsDynamoDBUpdateSampleEvent(eventSourceARN).Records;
+    const before = JSON.stringify(records);
+
+    // INSERT
+    const message0 = extractUnmarshalledMessageFromDynamoDBRecord(records[0], context);
+    t.deepEqual(message0, {eventID: '1', eventName: 'INSERT', tableName: 'TestTable_DEV', keys: {Id: 101},
+      newImage: {Message: 'New item!', Id: 101}}, `INSERT message must match`);
+
+    // MODIFY
+    const message1 = extractUnmarshalledMessageFromDynamoDBRecord(records[1], context);
+    t.deepEqual(message1.keys, {Id: 101}, `MODIFY message keys must match`);
+    t.deepEqual(message1.newImage, {Message: 'This item has changed', Id: 101}, `MODIFY message newImage must match`);
+    t.deepEqual(message1.oldImage, {Message: 'New item!', Id: 101}, `MODIFY message oldImage must match`);
+    t.deepEqual(message1.changes, {Message: {oldValue: 'New item!', newValue: 'This item has changed'}}, `MODIFY message changes must only contain Message`);
+
+    // REMOVE
+    const message2 = extractUnmarshalledMessageFromDynamoDBRecord(records[2], context);
+    t.equal(message2.eventName, 'REMOVE', `REMOVE message eventName must be REMOVE`);
+    t.notOk(message2.hasOwnProperty('newImage'), `REMOVE message must not have a newImage`);
+    t.notOk(message2.hasOwnProperty('changes'), `REMOVE message must not have changes`);
+
+    t.equal(JSON.stringify(records), before, `records must not be changed`);
+
+    // Added, removed & nested modified attributes
+    const record3 = JSON.parse(before)[1];
+    record3.dynamodb.OldImage = {Id: {N: '101'}, Gone: {S: 'x'}, Tags: {L: [{S: 'a'}]}, Info: {M: {n: {N: '1'}}}};
+    record3.dynamodb.NewImage = {Id: {N: '101'}, Added: {BOOL: true}, Tags: {L: [{S: 'a'}]}, Info: {M: {n: {N: '2'}}}};
+    t.deepEqual(extractUnmarshalledMessageFromDynamoDBRecord(record3, context).changes, {
+      Gone: {oldValue: 'x', newValue: undefined},
+      Info: {oldValue: {n: 1}, newValue: {n: 2}},
+      Added: {oldValue: undefined, newValue: true}
+    }, `changes must contain added, removed & modified attributes`);
+
+  } finally {
+    process.env.AWS_REGION = undefined;
+    process.env.STAGE = undefined;
+  }
+  t.end();
+});
+
 // =====================================================================================================================
 // discardUnusableRecordsToDRQ
 // =====================================================================================================================
@@ -1167,7 +1678,7 @@ test('discardUnusableRecordsToDRQ with 2 records', t => {
 
     configureDefaultKinesisStreamProcessing(context, undefined, undefined, undefined, event, awsContext, true);
 
-    t.plan(3);
+    t.plan(2);
     discardUnusableRecordsToDRQ(records, context)
       .then(results => {
         t.equal(results.length, 2, `discardUnusableRecordsToDRQ results (${results.length}) must be 2`);
@@ -1202,7 +1713,8 @@ test('discardUnusableRecordsToDRQ with 1 record and failure', t => {
 
     configureDefaultKinesisStreamProcessing(context, undefined, undefined, undefined, event, awsContext, true);
 
-    t.plan(2);
+    // 5 attempts of the failed putRecords call
+    t.plan(6);
     discardUnusableRecordsToDRQ([record], context)
       .then(() => {
         t.fail(`discardUnusableRecordsToDRQ expected a failure`);
@@ -1217,36 +1729,35 @@ test('discardUnusableRecordsToDRQ with 1 record and failure', t => {
   }
 });
 
-// =====================================================================================================================
-// discardRejectedMessagesToDMQ
-// =====================================================================================================================
-
-test('discardRejectedMessagesToDMQ with 0 messages', t => {
+test('discardUnusableRecordsToDRQ with 501 records must use 2 putRecords calls', t => {
   try {
     setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
 
     const context = {
-      kinesis: dummyKinesis(t, 'discardRejectedMessagesToDMQ', undefined)
+      kinesis: dummyKinesis(t, 'discardUnusableRecordsToDRQ', undefined)
     };
     logging.configureDefaultLogging(context);
 
     const eventSourceARN = samples.sampleKinesisEventSourceArn('eventSourceArnRegion', 'TestStream_DEV');
-    const record = samples.sampleKinesisRecord(undefined, undefined, eventSourceARN, 'eventAwsRegion');
+    const records = [];
+    for (let i = 0; i < 501; ++i) {
+      records.push(samples.sampleKinesisRecord(undefined, undefined, eventSourceARN, 'eventAwsRegion'));
+    }
 
     const awsContext = samples.sampleAwsContext('functionName', '1.0.1', samples.sampleInvokedFunctionArn('invokedFunctionArnRegion', 'functionName', '1.0.1'));
-    const event = samples.sampleKinesisEventWithRecords([record]);
+    const event = samples.sampleKinesisEventWithRecords(records);
     stages.configureDefaultStageHandling(context, false);
     stages.configureStage(context, event, awsContext, true);
 
     configureDefaultKinesisStreamProcessing(context, undefined, undefined, undefined, event, awsContext, true);
 
-    t.plan(1);
-    discardRejectedMessagesToDMQ([], context)
+    t.plan(3);
+    discardUnusableRecordsToDRQ(records, context)
       .then(results => {
-        t.equal(results.length, 0, `discardRejectedMessagesToDMQ results (${results.length}) must be 0`);
+        t.equal(results.length, 501, `discardUnusableRecordsToDRQ results (${results.length}) must be 501`);
       })
       .catch(err => {
-        t.fail(`discardRejectedMessagesToDMQ expected no failure - error: ${err.stack}`);
+        t.fail(`discardUnusableRecordsToDRQ expected no failure - error: ${err.stack}`);
       });
 
   } finally {
@@ -1255,34 +1766,35 @@ test('discardRejectedMessagesToDMQ with 0 messages', t => {
   }
 });
 
-test('discardRejectedMessagesToDMQ with 1 message', t => {
+test('discardUnusableRecordsToDRQ with 2 records and 1 failed entry must retry only the failed entry', t => {
   try {
     setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
 
     const context = {
-      kinesis: dummyKinesis(t, 'discardRejectedMessagesToDMQ', undefined)
+      kinesis: dummyKinesis(t, 'discardUnusableRecordsToDRQ', undefined, 1)
     };
     logging.configureDefaultLogging(context);
 
     const eventSourceARN = samples.sampleKinesisEventSourceArn('eventSourceArnRegion', 'TestStream_DEV');
     const record = samples.sampleKinesisRecord(undefined, undefined, eventSourceARN, 'eventAwsRegion');
-    const message = sampleMessage();
-    message.taskTracking = {record: record};
+    const record2 = samples.sampleKinesisRecord(undefined, undefined, eventSourceARN, 'eventAwsRegion');
 
     const awsContext = samples.sampleAwsContext('functionName', '1.0.1', samples.sampleInvokedFunctionArn('invokedFunctionArnRegion', 'functionName', '1.0.1'));
-    const event = samples.sampleKinesisEventWithRecords([record]);
+    const records = [record, record2];
+    const event = samples.sampleKinesisEventWithRecords(records);
     stages.configureDefaultStageHandling(context, false);
     stages.configureStage(context, event, awsContext, true);
 
     configureDefaultKinesisStreamProcessing(context, undefined, undefined, undefined, event, awsContext, true);
 
-    t.plan(2);
-    discardRejectedMessagesToDMQ([message], context)
+    t.plan(4);
+    discardUnusableRecordsToDRQ(records, context)
       .then(results => {
-        t.equal(results.length, 1, `discardRejectedMessagesToDMQ results (${results.length}) must be 1`);
+        t.equal(results.length, 2, `discardUnusableRecordsToDRQ results (${results.length}) must be 2`);
+        t.deepEqual(results, [record, record2], `discardUnusableRecordsToDRQ results must be both records`);
       })
       .catch(err => {
-        t.fail(`discardRejectedMessagesToDMQ expected no failure - error: ${err.stack}`);
+        t.fail(`discardUnusableRecordsToDRQ expected no failure - error: ${err.stack}`);
       });
 
   } finally {
@@ -1291,40 +1803,37 @@ test('discardRejectedMessagesToDMQ with 1 message', t => {
   }
 });
 
-test('discardRejectedMessagesToDMQ with 2 messages', t => {
+test('discardUnusableRecordsToDRQ with 2 records and 1 persistently failing entry must report exactly which were discarded', t => {
   try {
     setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
 
     const context = {
-      kinesis: dummyKinesis(t, 'discardRejectedMessagesToDMQ', undefined)
+      kinesis: dummyKinesis(t, 'discardUnusableRecordsToDRQ', undefined, 100)
     };
     logging.configureDefaultLogging(context);
 
     const eventSourceARN = samples.sampleKinesisEventSourceArn('eventSourceArnRegion', 'TestStream_DEV');
     const record = samples.sampleKinesisRecord(undefined, undefined, eventSourceARN, 'eventAwsRegion');
-    const message = sampleMessage();
-    message.taskTracking = {record: record};
-
     const record2 = samples.sampleKinesisRecord(undefined, undefined, eventSourceARN, 'eventAwsRegion');
-    const message2 = sampleMessage();
-    message2.taskTracking = {record: record2};
 
     const awsContext = samples.sampleAwsContext('functionName', '1.0.1', samples.sampleInvokedFunctionArn('invokedFunctionArnRegion', 'functionName', '1.0.1'));
     const records = [record, record2];
-    const messages = [message, message2];
     const event = samples.sampleKinesisEventWithRecords(records);
     stages.configureDefaultStageHandling(context, false);
     stages.configureStage(context, event, awsContext, true);
 
     configureDefaultKinesisStreamProcessing(context, undefined, undefined, undefined, event, awsContext, true);
 
-    t.plan(3);
-    discardRejectedMessagesToDMQ(messages, context)
-      .then(results => {
-        t.equal(results.length, 2, `discardRejectedMessagesToDMQ results (${results.length}) must be 2`);
+    // 1 call with 2 records + 4 retries with the 1 failed record
+    t.plan(8);
+    discardUnusableRecordsToDRQ(records, context)
+      .then(() => {
+        t.fail(`discardUnusableRecordsToDRQ expected a failure`);
       })
       .catch(err => {
-        t.fail(`discardRejectedMessagesToDMQ expected no failure - error: ${err.stack}`);
+        t.ok(err.message.indexOf('ProvisionedThroughputExceededException') !== -1, `discardUnusableRecordsToDRQ error (${err}) must describe the failure`);
+        t.deepEqual(err.discardedUnusableRecords, [record], `discardUnusableRecordsToDRQ error must have discarded only the 1st record`);
+        t.deepEqual(err.undiscardedUnusableRecords, [record2], `discardUnusableRecordsToDRQ error must have undiscarded only the 2nd record`);
       });
 
   } finally {
@@ -1333,35 +1842,38 @@ test('discardRejectedMessagesToDMQ with 2 messages', t => {
   }
 });
 
-test('discardRejectedMessagesToDMQ with 1 record and failure', t => {
+// =====================================================================================================================
+// discardRejectedMessagesToDMQ
+// =====================================================================================================================
+
+test('discardUnusableRecordsToDRQ with 2 records and 1 failed putRecords call must retry the entire call', t => {
   try {
     setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
 
-    const error = new Error('Planned failure');
+    const error = new Error('Planned transient failure');
     const context = {
-      kinesis: dummyKinesis(t, 'discardRejectedMessagesToDMQ', error)
+      kinesis: dummyKinesis(t, 'discardUnusableRecordsToDRQ', error, 0, 1)
     };
     logging.configureDefaultLogging(context);
 
     const eventSourceARN = samples.sampleKinesisEventSourceArn('eventSourceArnRegion', 'TestStream_DEV');
-    const record = samples.sampleKinesisRecord(undefined, undefined, eventSourceARN, 'eventAwsRegion');
-    const message = sampleMessage();
-    message.taskTracking = {record: record};
+    const records = [1, 2].map(i => samples.sampleKinesisRecord(undefined, undefined, eventSourceARN, 'eventAwsRegion'));
 
     const awsContext = samples.sampleAwsContext('functionName', '1.0.1', samples.sampleInvokedFunctionArn('invokedFunctionArnRegion', 'functionName', '1.0.1'));
-    const event = samples.sampleKinesisEventWithRecords([record]);
+    const event = samples.sampleKinesisEventWithRecords(records);
     stages.configureDefaultStageHandling(context, false);
     stages.configureStage(context, event, awsContext, true);
 
     configureDefaultKinesisStreamProcessing(context, undefined, undefined, undefined, event, awsContext, true);
 
-    t.plan(2);
-    discardRejectedMessagesToDMQ([message], context)
-      .then(() => {
-        t.fail(`discardRejectedMessagesToDMQ expected a failure`);
+    // 1 failed putRecords call and 1 retry of the entire call
+    t.plan(3);
+    discardUnusableRecordsToDRQ(records, context)
+      .then(results => {
+        t.deepEqual(results, records, `discardUnusableRecordsToDRQ must resolve with both records`);
       })
       .catch(err => {
-        t.equal(err, error, `discardRejectedMessagesToDMQ error (${err}) must be ${error}`);
+        t.fail(`discardUnusableRecordsToDRQ expected no failure - error: ${err.stack}`);
       });
 
   } finally {
@@ -1370,21 +1882,54 @@ test('discardRejectedMessagesToDMQ with 1 record and failure', t => {
   }
 });
 
-// =====================================================================================================================
-// resubmitIncompleteMessagesToKinesis
-// =====================================================================================================================
+test('discardUnusableRecordsToDRQ with 2 records and 1 oversized record must only fail the oversized record', t => {
+  try {
+    setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
 
-test('resubmitIncompleteMessagesToKinesis with 0 messages', t => {
+    const context = {
+      kinesis: dummyKinesis(t, 'discardUnusableRecordsToDRQ', undefined)
+    };
+    logging.configureDefaultLogging(context);
+
+    const eventSourceARN = samples.sampleKinesisEventSourceArn('eventSourceArnRegion', 'TestStream_DEV');
+    const records = [1, 2].map(i => samples.sampleKinesisRecord(undefined, undefined, eventSourceARN, 'eventAwsRegion'));
+    records[1].kinesis.data = new Buffer('x'.repeat(1024 * 1024)).toString('base64');
+
+    const awsContext = samples.sampleAwsContext('functionName', '1.0.1', samples.sampleInvokedFunctionArn('invokedFunctionArnRegion', 'functionName', '1.0.1'));
+    const event = samples.sampleKinesisEventWithRecords(records);
+    stages.configureDefaultStageHandling(context, false);
+    stages.configureStage(context, event, awsContext, true);
+
+    configureDefaultKinesisStreamProcessing(context, undefined, undefined, undefined, event, awsContext, true);
+
+    // 1 putRecords call with only the 1st record
+    t.plan(4);
+    discardUnusableRecordsToDRQ(records, context)
+      .then(() => {
+        t.fail(`discardUnusableRecordsToDRQ expected a failure`);
+      })
+      .catch(err => {
+        t.deepEqual(err.discardedUnusableRecords, [records[0]], `discardUnusableRecordsToDRQ must have discarded the 1st record`);
+        t.deepEqual(err.undiscardedUnusableRecords, [records[1]], `discardUnusableRecordsToDRQ must NOT have discarded the oversized record`);
+        t.ok(err.message.indexOf('maximum record size') !== -1, `discardUnusableRecordsToDRQ error (${err}) must describe the oversized record`);
+      });
+
+  } finally {
+    process.env.AWS_REGION = undefined;
+    process.env.STAGE = undefined;
+  }
+});
+
+test('discardRejectedMessagesToDMQ with 0 messages', t => {
   try {
     setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
 
     const context = {
-      kinesis: dummyKinesis(t, 'resubmitIncompleteMessagesToKinesis', undefined)
+      kinesis: dummyKinesis(t, 'discardRejectedMessagesToDMQ', undefined)
     };
     logging.configureDefaultLogging(context);
 
-    const streamName = 'TestStream_DEV';
-    const eventSourceARN = samples.sampleKinesisEventSourceArn('eventSourceArnRegion', streamName);
+    const eventSourceARN = samples.sampleKinesisEventSourceArn('eventSourceArnRegion', 'TestStream_DEV');
     const record = samples.sampleKinesisRecord(undefined, undefined, eventSourceARN, 'eventAwsRegion');
 
     const awsContext = samples.sampleAwsContext('functionName', '1.0.1', samples.sampleInvokedFunctionArn('invokedFunctionArnRegion', 'functionName', '1.0.1'));
@@ -1395,12 +1940,12 @@ test('resubmitIncompleteMessagesToKinesis with 0 messages', t => {
     configureDefaultKinesisStreamProcessing(context, undefined, undefined, undefined, event, awsContext, true);
 
     t.plan(1);
-    resubmitIncompleteMessagesToKinesis([], [], context)
+    discardRejectedMessagesToDMQ([], context)
       .then(results => {
-        t.equal(results.length, 0, `resubmitIncompleteMessagesToKinesis results (${results.length}) must be 0`);
+        t.equal(results.length, 0, `discardRejectedMessagesToDMQ results (${results.length}) must be 0`);
       })
       .catch(err => {
-        t.fail(`resubmitIncompleteMessagesToKinesis expected no failure - error: ${err.stack}`);
+        t.fail(`discardRejectedMessagesToDMQ expected no failure - error: ${err.stack}`);
       });
 
   } finally {
@@ -1409,17 +1954,16 @@ test('resubmitIncompleteMessagesToKinesis with 0 messages', t => {
   }
 });
 
-test('resubmitIncompleteMessagesToKinesis with 1 message', t => {
+test('discardRejectedMessagesToDMQ with 1 message', t => {
   try {
     setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
 
     const context = {
-      kinesis: dummyKinesis(t, 'resubmitIncompleteMessagesToKinesis', undefined)
+      kinesis: dummyKinesis(t, 'discardRejectedMessagesToDMQ', undefined)
     };
     logging.configureDefaultLogging(context);
 
-    const streamName = 'TestStream_DEV';
-    const eventSourceARN = samples.sampleKinesisEventSourceArn('eventSourceArnRegion', streamName);
+    const eventSourceARN = samples.sampleKinesisEventSourceArn('eventSourceArnRegion', 'TestStream_DEV');
     const record = samples.sampleKinesisRecord(undefined, undefined, eventSourceARN, 'eventAwsRegion');
     const message = sampleMessage();
     message.taskTracking = {record: record};
@@ -1432,12 +1976,12 @@ test('resubmitIncompleteMessagesToKinesis with 1 message', t => {
     configureDefaultKinesisStreamProcessing(context, undefined, undefined, undefined, event, awsContext, true);
 
     t.plan(2);
-    resubmitIncompleteMessagesToKinesis([message], [message], context)
+    discardRejectedMessagesToDMQ([message], context)
       .then(results => {
-        t.equal(results.length, 1, `resubmitIncompleteMessagesToKinesis results (${results.length}) must be 1`);
+        t.equal(results.length, 1, `discardRejectedMessagesToDMQ results (${results.length}) must be 1`);
       })
       .catch(err => {
-        t.fail(`resubmitIncompleteMessagesToKinesis expected no failure - error: ${err.stack}`);
+        t.fail(`discardRejectedMessagesToDMQ expected no failure - error: ${err.stack}`);
       });
 
   } finally {
@@ -1446,17 +1990,16 @@ test('resubmitIncompleteMessagesToKinesis with 1 message', t => {
   }
 });
 
-test('resubmitIncompleteMessagesToKinesis with 2 messages', t => {
+test('discardRejectedMessagesToDMQ with 2 messages', t => {
   try {
     setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
 
     const context = {
-      kinesis: dummyKinesis(t, 'resubmitIncompleteMessagesToKinesis', undefined)
+      kinesis: dummyKinesis(t, 'discardRejectedMessagesToDMQ', undefined)
     };
     logging.configureDefaultLogging(context);
 
-    const streamName = 'TestStream_DEV';
-    const eventSourceARN = samples.sampleKinesisEventSourceArn('eventSourceArnRegion', streamName);
+    const eventSourceARN = samples.sampleKinesisEventSourceArn('eventSourceArnRegion', 'TestStream_DEV');
     const record = samples.sampleKinesisRecord(undefined, undefined, eventSourceARN, 'eventAwsRegion');
     const message = sampleMessage();
     message.taskTracking = {record: record};
@@ -1474,13 +2017,13 @@ test('resubmitIncompleteMessagesToKinesis with 2 messages', t => {
 
     configureDefaultKinesisStreamProcessing(context, undefined, undefined, undefined, event, awsContext, true);
 
-    t.plan(3);
-    resubmitIncompleteMessagesToKinesis(messages, messages, context)
+    t.plan(2);
+    discardRejectedMessagesToDMQ(messages, context)
       .then(results => {
-        t.equal(results.length, 2, `resubmitIncompleteMessagesToKinesis results (${results.length}) must be 2`);
+        t.equal(results.length, 2, `discardRejectedMessagesToDMQ results (${results.length}) must be 2`);
       })
       .catch(err => {
-        t.fail(`resubmitIncompleteMessagesToKinesis expected no failure - error: ${err.stack}`);
+        t.fail(`discardRejectedMessagesToDMQ expected no failure - error: ${err.stack}`);
       });
 
   } finally {
@@ -1489,18 +2032,17 @@ test('resubmitIncompleteMessagesToKinesis with 2 messages', t => {
   }
 });
 
-test('resubmitIncompleteMessagesToKinesis with 1 record and failure', t => {
+test('discardRejectedMessagesToDMQ with 1 record and failure', t => {
   try {
     setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
 
     const error = new Error('Planned failure');
     const context = {
-      kinesis: dummyKinesis(t, 'resubmitIncompleteMessagesToKinesis', error)
+      kinesis: dummyKinesis(t, 'discardRejectedMessagesToDMQ', error)
     };
     logging.configureDefaultLogging(context);
 
-    const streamName = 'TestStream_DEV';
-    const eventSourceARN = samples.sampleKinesisEventSourceArn('eventSourceArnRegion', streamName);
+    const eventSourceARN = samples.sampleKinesisEventSourceArn('eventSourceArnRegion', 'TestStream_DEV');
     const record = samples.sampleKinesisRecord(undefined, undefined, eventSourceARN, 'eventAwsRegion');
     const message = sampleMessage();
     message.taskTracking = {record: record};
@@ -1512,13 +2054,260 @@ test('resubmitIncompleteMessagesToKinesis with 1 record and failure', t => {
 
     configureDefaultKinesisStreamProcessing(context, undefined, undefined, undefined, event, awsContext, true);
 
-    t.plan(2);
-    resubmitIncompleteMessagesToKinesis([message], [message], context)
+    // 5 attempts of the failed putRecords call
+    t.plan(6);
+    discardRejectedMessagesToDMQ([message], context)
       .then(() => {
-        t.fail(`resubmitIncompleteMessagesToKinesis expected a failure`);
+        t.fail(`discardRejectedMessagesToDMQ expected a failure`);
       })
       .catch(err => {
-        t.equal(err, error, `resubmitIncompleteMessagesToKinesis error (${err}) must be ${error}`);
+        t.equal(err, error, `discardRejectedMessagesToDMQ error (${err}) must be ${error}`);
+      });
+
+  } finally {
+    process.env.AWS_REGION = undefined;
+    process.env.STAGE = undefined;
+  }
+});
+
+test('discardRejectedMessagesToDMQ with 2 messages and 1 persistently failing entry must report exactly which were discarded', t => {
+  try {
+    setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
+
+    const context = {
+      kinesis: dummyKinesis(t, 'discardRejectedMessagesToDMQ', undefined, 100)
+    };
+    logging.configureDefaultLogging(context);
+
+    const eventSourceARN = samples.sampleKinesisEventSourceArn('eventSourceArnRegion', 'TestStream_DEV');
+    const record = samples.sampleKinesisRecord(undefined, undefined, eventSourceARN, 'eventAwsRegion');
+    const message = sampleMessage();
+    message.taskTracking = {record: record};
+
+    const record2 = samples.sampleKinesisRecord(undefined, undefined, eventSourceARN, 'eventAwsRegion');
+    const message2 = sampleMessage();
+    message2.taskTracking = {record: record2};
+
+    const awsContext = samples.sampleAwsContext('functionName', '1.0.1', samples.sampleInvokedFunctionArn('invokedFunctionArnRegion', 'functionName', '1.0.1'));
+    const records = [record, record2];
+    const messages = [message, message2];
+    const event = samples.sampleKinesisEventWithRecords(records);
+    stages.configureDefaultStageHandling(context, false);
+    stages.configureStage(context, event, awsContext, true);
+
+    configureDefaultKinesisStreamProcessing(context, undefined, undefined, undefined, event, awsContext, true);
+
+    // 1 call with 2 messages + 4 retries with the 1 failed message
+    t.plan(7);
+    discardRejectedMessagesToDMQ(messages, context)
+      .then(() => {
+        t.fail(`discardRejectedMessagesToDMQ expected a failure`);
+      })
+      .catch(err => {
+        t.deepEqual(err.discardedRejectedMessages, [message], `discardRejectedMessagesToDMQ error must have discarded only the 1st message`);
+        t.deepEqual(err.undiscardedRejectedMessages, [message2], `discardRejectedMessagesToDMQ error must have undiscarded only the 2nd message`);
+      });
+
+  } finally {
+    process.env.AWS_REGION = undefined;
+    process.env.STAGE = undefined;
+  }
+});
+
+// =====================================================================================================================
+// discardUnusableRecordsToSQSDRQ & discardRejectedMessagesToSQSDMQ
+// =====================================================================================================================
+
+function configureSQSContext(t, prefix, options, error, failLastEntryCount, senderFault, records) {
+  const context = {
+    sqs: dummySQS(t, prefix, error, failLastEntryCount, senderFault)
+  };
+  logging.configureDefaultLogging(context);
+
+  const awsContext = samples.sampleAwsContext('functionName', '1.0.1', samples.sampleInvokedFunctionArn('invokedFunctionArnRegion', 'functionName', '1.0.1'));
+  const event = samples.sampleKinesisEventWithRecords(records);
+  stages.configureDefaultStageHandling(context, false);
+  stages.configureStage(context, event, awsContext, true);
+
+  configureDefaultKinesisStreamProcessing(context, options, undefined, undefined, event, awsContext, true);
+  return context;
+}
+
+test('deadLetterQueueType of "sqs" must select the SQS discardUnusableRecords & discardRejectedMessages functions', t => {
+  const kinesisSettings = getDefaultKinesisStreamProcessingSettings({deadLetterQueueType: 'sqs'});
+  t.equal(kinesisSettings.discardUnusableRecords, discardUnusableRecordsToSQSDRQ, `Kinesis discardUnusableRecords must be discardUnusableRecordsToSQSDRQ`);
+  t.equal(kinesisSettings.discardRejectedMessages, discardRejectedMessagesToSQSDMQ, `Kinesis discardRejectedMessages must be discardRejectedMessagesToSQSDMQ`);
+
+  const dynamoDBSettings = getDefaultDynamoDBStreamProcessingSettings({deadLetterQueueType: 'SQS'});
+  t.equal(dynamoDBSettings.discardUnusableRecords, discardUnusableRecordsToSQSDRQ, `DynamoDB discardUnusableRecords must be discardUnusableRecordsToSQSDRQ`);
+  t.equal(dynamoDBSettings.discardRejectedMessages, discardRejectedMessagesToSQSDMQ, `DynamoDB discardRejectedMessages must be discardRejectedMessagesToSQSDMQ`);
+
+  const defaultSettings = getDefaultKinesisStreamProcessingSettings(undefined);
+  t.equal(defaultSettings.discardUnusableRecords, discardUnusableRecordsToDRQ, `default discardUnusableRecords must be discardUnusableRecordsToDRQ`);
+  t.equal(defaultSettings.discardRejectedMessages, discardRejectedMessagesToDMQ, `default discardRejectedMessages must be discardRejectedMessagesToDMQ`);
+  t.end();
+});
+
+test('discardUnusableRecordsToSQSDRQ with 12 records and a configured queue URL must use 2 sendMessageBatch calls', t => {
+  try {
+    setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
+
+    const eventSourceARN = samples.sampleKinesisEventSourceArn('eventSourceArnRegion', 'TestStream_DEV');
+    const records = [];
+    for (let i = 0; i < 12; ++i) {
+      records.push(samples.sampleKinesisRecord(undefined, undefined, eventSourceARN, 'eventAwsRegion'));
+    }
+    const queueUrl = 'https://sqs.us-west-1.amazonaws.com/123456789012/MyDRQ';
+    const context = configureSQSContext(t, 'discardUnusableRecordsToSQSDRQ', {deadLetterQueueType: 'sqs', deadRecordQueueUrl: queueUrl}, undefined, 0, false, records);
+
+    t.plan(6);
+    discardUnusableRecordsToSQSDRQ(records, context)
+      .then(results => {
+        t.equal(results.length, 12, `discardUnusableRecordsToSQSDRQ results (${results.length}) must be 12`);
+        const sent = context.sqs.sent;
+        t.equal(sent.length, 12, `sent messages (${sent.length}) must be 12`);
+        t.deepEqual(JSON.parse(sent[0].MessageBody), records[0], `1st sent message body must be the 1st record`);
+        t.equal(sent[0].MessageAttributes.eventSourceARN.StringValue, eventSourceARN, `1st sent message eventSourceARN attribute must be ${eventSourceARN}`);
+      })
+      .catch(err => {
+        t.fail(`discardUnusableRecordsToSQSDRQ expected no failure - error: ${err.stack}`);
+      });
+
+  } finally {
+    process.env.AWS_REGION = undefined;
+    process.env.STAGE = undefined;
+  }
+});
+
+test('discardUnusableRecordsToSQSDRQ with 1 oversized record and no claim check bucket must NOT discard it', t => {
+  try {
+    setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
+
+    const eventSourceARN = samples.sampleKinesisEventSourceArn('eventSourceArnRegion', 'TestStream_DEV');
+    const record = samples.sampleKinesisRecord(undefined, undefined, eventSourceARN, 'eventAwsRegion');
+    record.kinesis.data = new Buffer(new Array(300 * 1024).join('x')).toString('base64');
+    const record2 = samples.sampleKinesisRecord(undefined, undefined, eventSourceARN, 'eventAwsRegion');
+    const context = configureSQSContext(t, 'discardUnusableRecordsToSQSDRQ', {deadLetterQueueType: 'sqs'}, undefined, 0, false, [record, record2]);
+    const errors = [];
+    const error = context.error;
+    context.error = function () {
+      errors.push(Array.prototype.join.call(arguments, ' '));
+      return error.apply(context, arguments);
+    };
+
+    t.plan(8);
+    discardUnusableRecordsToSQSDRQ([record, record2], context)
+      .then(() => {
+        t.fail(`discardUnusableRecordsToSQSDRQ expected a failure`);
+      })
+      .catch(err => {
+        t.deepEqual(err.discardedUnusableRecords, [record2], `only the 2nd record must be discarded`);
+        t.deepEqual(err.undiscardedUnusableRecords, [record], `the oversized record must NOT be discarded, so that its payload is never lost`);
+        t.ok(err.message.indexOf('claimCheckBucketName') !== -1, `error (${err}) must suggest configuring a claim check bucket`);
+        t.ok(errors.length > 0 && errors.every(e => e.indexOf(record.kinesis.data) === -1), `oversized record data must not be logged`);
+        const sent = context.sqs.sent;
+        t.equal(sent.length, 1, `only 1 message must be sent`);
+        const sequenceNumberProperty = `"sequenceNumber":"${record.kinesis.sequenceNumber}"`;
+        t.ok(sent.every(entry => entry.MessageBody.indexOf(sequenceNumberProperty) === -1), `no summary of the oversized record must be sent`);
+      });
+
+  } finally {
+    process.env.AWS_REGION = undefined;
+    process.env.STAGE = undefined;
+  }
+});
+
+test('discardRejectedMessagesToSQSDMQ with 2 messages and a stage-qualified queue name', t => {
+  try {
+    setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
+
+    const eventSourceARN = samples.sampleKinesisEventSourceArn('eventSourceArnRegion', 'TestStream_DEV');
+    const record = samples.sampleKinesisRecord(undefined, undefined, eventSourceARN, 'eventAwsRegion');
+    const message = sampleMessage();
+    message.taskTracking = {record: record};
+
+    const record2 = samples.sampleKinesisRecord(undefined, undefined, eventSourceARN, 'eventAwsRegion');
+    const message2 = sampleMessage();
+    message2.taskTracking = {record: record2};
+
+    const context = configureSQSContext(t, 'discardRejectedMessagesToSQSDMQ', {deadLetterQueueType: 'sqs'}, undefined, 0, false, [record, record2]);
+
+    t.plan(6);
+    discardRejectedMessagesToSQSDMQ([message, message2], context)
+      .then(results => {
+        t.equal(results.length, 2, `discardRejectedMessagesToSQSDMQ results (${results.length}) must be 2`);
+        const sent = context.sqs.sent[0];
+        const envelope = JSON.parse(sent.MessageBody);
+        t.deepEqual(envelope.message, JSON.parse(JSON.stringify(message)), `sent message body envelope must contain the message`);
+        t.equal(envelope.source.sequenceNumber, record.kinesis.sequenceNumber, `sent message body envelope must contain the source`);
+        t.equal(sent.MessageAttributes.sourceSequenceNumber.StringValue, record.kinesis.sequenceNumber, `sent message attributes must contain the source sequence number`);
+      })
+      .catch(err => {
+        t.fail(`discardRejectedMessagesToSQSDMQ expected no failure - error: ${err.stack}`);
+      });
+
+  } finally {
+    process.env.AWS_REGION = undefined;
+    process.env.STAGE = undefined;
+  }
+});
+
+test('discardRejectedMessagesToSQSDMQ with 2 messages and 1 failed entry must retry only the failed entry', t => {
+  try {
+    setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
+
+    const eventSourceARN = samples.sampleKinesisEventSourceArn('eventSourceArnRegion', 'TestStream_DEV');
+    const record = samples.sampleKinesisRecord(undefined, undefined, eventSourceARN, 'eventAwsRegion');
+    const message = sampleMessage();
+    message.taskTracking = {record: record};
+
+    const record2 = samples.sampleKinesisRecord(undefined, undefined, eventSourceARN, 'eventAwsRegion');
+    const message2 = sampleMessage();
+    message2.taskTracking = {record: record2};
+
+    const queueUrl = 'https://sqs.us-west-1.amazonaws.com/123456789012/MyDMQ';
+    const context = configureSQSContext(t, 'discardRejectedMessagesToSQSDMQ', {deadLetterQueueType: 'sqs', deadMessageQueueUrl: queueUrl}, undefined, 1, false, [record, record2]);
+
+    t.plan(4);
+    discardRejectedMessagesToSQSDMQ([message, message2], context)
+      .then(results => {
+        t.equal(results.length, 2, `discardRejectedMessagesToSQSDMQ results (${results.length}) must be 2`);
+        t.equal(context.sqs.sent.length, 2, `sent messages (${context.sqs.sent.length}) must be 2`);
+      })
+      .catch(err => {
+        t.fail(`discardRejectedMessagesToSQSDMQ expected no failure - error: ${err.stack}`);
+      });
+
+  } finally {
+    process.env.AWS_REGION = undefined;
+    process.env.STAGE = undefined;
+  }
+});
+
+test('discardRejectedMessagesToSQSDMQ with 2 messages and 1 sender fault entry must not retry & must report exactly which were discarded', t => {
+  try {
+    setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
+
+    const eventSourceARN = samples.sampleKinesisEventSourceArn('eventSourceArnRegion', 'TestStream_DEV');
+    const record = samples.sampleKinesisRecord(undefined, undefined, eventSourceARN, 'eventAwsRegion');
+    const message = sampleMessage();
+    message.taskTracking = {record: record};
+
+    const record2 = samples.sampleKinesisRecord(undefined, undefined, eventSourceARN, 'eventAwsRegion');
+    const message2 = sampleMessage();
+    message2.taskTracking = {record: record2};
+
+    const queueUrl = 'https://sqs.us-west-1.amazonaws.com/123456789012/MyDMQ';
+    const context = configureSQSContext(t, 'discardRejectedMessagesToSQSDMQ', {deadLetterQueueType: 'sqs', deadMessageQueueUrl: queueUrl}, undefined, 100, true, [record, record2]);
+
+    t.plan(3);
+    discardRejectedMessagesToSQSDMQ([message, message2], context)
+      .then(() => {
+        t.fail(`discardRejectedMessagesToSQSDMQ expected a failure`);
+      })
+      .catch(err => {
+        t.deepEqual(err.discardedRejectedMessages, [message], `discardRejectedMessagesToSQSDMQ error must have discarded only the 1st message`);
+        t.deepEqual(err.undiscardedRejectedMessages, [message2], `discardRejectedMessagesToSQSDMQ error must have undiscarded only the 2nd message`);
       });
 
   } finally {
@@ -1526,3 +2315,1810 @@ test('resubmitIncompleteMessagesToKinesis with 1 record and failure', t => {
     process.env.STAGE = undefined;
   }
 });
+
+// =====================================================================================================================
+// S3 claim checks for oversized unusable records and rejected messages
+// =====================================================================================================================
+
+function configureClaimCheckContext(t, prefix, options, s3Error, records) {
+  const putRecordsRequests = [];
+  const kinesis = dummyKinesis(t, prefix, undefined);
+  const putRecords = kinesis.putRecords;
+  kinesis.putRecords = request => {
+    putRecordsRequests.push(request);
+    return putRecords(request);
+  };
+  const context = {
+    kinesis: kinesis,
+    sqs: dummySQS(t, prefix, undefined),
+    s3: dummyS3(t, prefix, s3Error),
+    putRecordsRequests: putRecordsRequests
+  };
+  logging.configureDefaultLogging(context);
+
+  const awsContext = samples.sampleAwsContext('functionName', '1.0.1', samples.sampleInvokedFunctionArn('invokedFunctionArnRegion', 'functionName', '1.0.1'));
+  const event = samples.sampleKinesisEventWithRecords(records);
+  stages.configureDefaultStageHandling(context, false);
+  stages.configureStage(context, event, awsContext, true);
+
+  configureDefaultKinesisStreamProcessing(context, options, undefined, undefined, event, awsContext, true);
+  return context;
+}
+
+function sampleRejectedMessages(n, eventSourceARN, bigMessageIndex) {
+  const messages = [];
+  for (let i = 0; i < n; ++i) {
+    const record = samples.sampleKinesisRecord(undefined, undefined, eventSourceARN, 'eventAwsRegion');
+    const message = sampleMessage();
+    if (i === bigMessageIndex) {
+      message.big = new Array(1024).join('x');
+    }
+    message.taskTracking = {record: record};
+    messages.push(message);
+  }
+  return messages;
+}
+
+test('discardRejectedMessagesToDMQ with claim checks must check in only the oversized message to S3', t => {
+  try {
+    setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
+
+    const eventSourceARN = samples.sampleKinesisEventSourceArn('eventSourceArnRegion', 'TestStream_DEV');
+    const messages = sampleRejectedMessages(2, eventSourceARN, 1);
+    const records = messages.map(m => m.taskTracking.record);
+    const options = {claimCheckBucketName: 'claim-checks-dev', claimCheckThresholdInBytes: 1000};
+    const context = configureClaimCheckContext(t, 'discardRejectedMessagesToDMQ', options, undefined, records);
+
+    t.plan(10);
+    discardRejectedMessagesToDMQ(messages, context)
+      .then(results => {
+        t.equal(results.length, 2, `discardRejectedMessagesToDMQ results (${results.length}) must be 2`);
+
+        const keys = Object.getOwnPropertyNames(context.s3.objects);
+        t.equal(keys.length, 1, `S3 objects (${keys.length}) must be 1`);
+        const record2 = records[1];
+        const expectedKey = `dmq/TestStream_DEV/shardId-000000000000/${record2.kinesis.sequenceNumber}.json`;
+        t.ok(keys[0].endsWith(`/${expectedKey}`), `S3 object key (${keys[0]}) must end with ${expectedKey}`);
+        t.deepEqual(JSON.parse(context.s3.objects[keys[0]]).message, JSON.parse(JSON.stringify(messages[1])), `S3 object must contain the rejected message envelope`);
+
+        const data = context.putRecordsRequests[0].Records.map(r => JSON.parse(r.Data));
+        t.deepEqual(data[0].message, JSON.parse(JSON.stringify(messages[0])), `1st DMQ record must contain the 1st message`);
+        t.notOk(data[1].message, `2nd DMQ record must not contain the 2nd message`);
+        t.equal(data[1].source.sequenceNumber, record2.kinesis.sequenceNumber, `2nd DMQ record must contain the source metadata`);
+        t.equal(`${data[1].claimCheck.bucket}/${data[1].claimCheck.key}`, keys[0], `2nd DMQ record must contain a claim check pointer to the S3 object`);
+      })
+      .catch(err => {
+        t.fail(`discardRejectedMessagesToDMQ expected no failure - error: ${err.stack}`);
+      });
+
+  } finally {
+    process.env.AWS_REGION = undefined;
+    process.env.STAGE = undefined;
+  }
+});
+
+test('discardRejectedMessagesToDMQ with claim checks and default stage handling must stage-qualify the bucket name with an S3-safe suffix', t => {
+  try {
+    setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
+
+    const eventSourceARN = samples.sampleKinesisEventSourceArn('eventSourceArnRegion', 'TestStream_DEV');
+    const messages = sampleRejectedMessages(1, eventSourceARN, 0);
+    const records = messages.map(m => m.taskTracking.record);
+    const options = {claimCheckBucketName: ' my-claim-bucket ', claimCheckThresholdInBytes: 1000};
+    const context = configureClaimCheckContext(t, 'discardRejectedMessagesToDMQ', options, undefined, records);
+    t.ok(context.stageHandling && context.stage, `default stage handling must be configured with a stage (${context.stage})`);
+
+    t.plan(5);
+    discardRejectedMessagesToDMQ(messages, context)
+      .then(results => {
+        const keys = Object.getOwnPropertyNames(context.s3.objects);
+        t.ok(keys.length === 1 && keys[0].startsWith('my-claim-bucket-dev99/'), `S3 object (${keys[0]}) must be in bucket my-claim-bucket-dev99`);
+        const data = JSON.parse(context.putRecordsRequests[0].Records[0].Data);
+        t.equal(data.claimCheck.bucket, 'my-claim-bucket-dev99', `DMQ record claim check bucket must be my-claim-bucket-dev99`);
+      })
+      .catch(err => {
+        t.fail(`discardRejectedMessagesToDMQ expected no failure - error: ${err.stack}`);
+      });
+
+  } finally {
+    process.env.AWS_REGION = undefined;
+    process.env.STAGE = undefined;
+  }
+});
+
+test('validateStreamProcessingConfiguration with claimCheckBucketName', t => {
+  setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
+
+  const context = {stage: 'DEV_1'};
+  configureDefaultKinesisStreamProcessing(context, {claimCheckBucketName: 'claim-checks'}, undefined, undefined, undefined, undefined, true);
+  t.equal(context.streamProcessing.claimCheckBucketName, 'claim-checks', `claimCheckBucketName must be claim-checks`);
+
+  t.throws(() => configureDefaultKinesisStreamProcessing({stage: 'dev'}, {claimCheckBucketName: 'Claim_Checks'}, undefined, undefined, undefined, undefined, true),
+    /FATAL/, `claimCheckBucketName of Claim_Checks must fail with a FATAL error`);
+  t.throws(() => configureDefaultKinesisStreamProcessing({stage: 'dev'}, {claimCheckBucketName: new Array(62).join('x')}, undefined, undefined, undefined, undefined, true),
+    /FATAL/, `claimCheckBucketName that is too long once stage-qualified must fail with a FATAL error`);
+  t.throws(() => configureDefaultKinesisStreamProcessing({stage: 'dev'}, {claimCheckBucketName: 123}, undefined, undefined, undefined, undefined, true),
+    /FATAL/, `claimCheckBucketName of 123 must fail with a FATAL error`);
+
+  t.end();
+});
+
+test('discardRejectedMessagesToDMQ with claim checks and a stage with uppercase letters & underscores must use an S3-safe bucket name', t => {
+  try {
+    setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
+
+    const eventSourceARN = samples.sampleKinesisEventSourceArn('eventSourceArnRegion', 'TestStream_DEV');
+    const messages = sampleRejectedMessages(1, eventSourceARN, 0);
+    const records = messages.map(m => m.taskTracking.record);
+    const options = {claimCheckBucketName: 'claim-checks', claimCheckThresholdInBytes: 1000};
+    const context = configureClaimCheckContext(t, 'discardRejectedMessagesToDMQ', options, undefined, records);
+    context.stage = 'DEV_1';
+
+    t.plan(3);
+    discardRejectedMessagesToDMQ(messages, context)
+      .then(results => {
+        const keys = Object.getOwnPropertyNames(context.s3.objects);
+        t.ok(keys.length === 1 && keys[0].startsWith('claim-checks-dev-1/'), `S3 object (${keys[0]}) must be in bucket claim-checks-dev-1`);
+      })
+      .catch(err => {
+        t.fail(`discardRejectedMessagesToDMQ expected no failure - error: ${err.stack}`);
+      });
+
+  } finally {
+    process.env.AWS_REGION = undefined;
+    process.env.STAGE = undefined;
+  }
+});
+
+test('discardRejectedMessagesToDMQ with claim checks and S3 failure must not discard the oversized message', t => {
+  try {
+    setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
+
+    const eventSourceARN = samples.sampleKinesisEventSourceArn('eventSourceArnRegion', 'TestStream_DEV');
+    const messages = sampleRejectedMessages(2, eventSourceARN, 1);
+    const records = messages.map(m => m.taskTracking.record);
+    const options = {claimCheckBucketName: 'claim-checks-dev', claimCheckThresholdInBytes: 1000};
+    const error = new Error('Planned S3 failure');
+    const context = configureClaimCheckContext(t, 'discardRejectedMessagesToDMQ', options, error, records);
+
+    t.plan(5);
+    discardRejectedMessagesToDMQ(messages, context)
+      .then(() => {
+        t.fail(`discardRejectedMessagesToDMQ expected a failure`);
+      })
+      .catch(err => {
+        t.equal(err, error, `discardRejectedMessagesToDMQ error (${err}) must be ${error}`);
+        t.deepEqual(err.discardedRejectedMessages, [messages[0]], `discardRejectedMessagesToDMQ error must have discarded only the 1st message`);
+        t.deepEqual(err.undiscardedRejectedMessages, [messages[1]], `discardRejectedMessagesToDMQ error must have undiscarded only the 2nd message`);
+      });
+
+  } finally {
+    process.env.AWS_REGION = undefined;
+    process.env.STAGE = undefined;
+  }
+});
+
+test('discardUnusableRecordsToSQSDRQ with claim checks must check in the oversized record to S3', t => {
+  try {
+    setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
+
+    const eventSourceARN = samples.sampleKinesisEventSourceArn('eventSourceArnRegion', 'TestStream_DEV');
+    const record = samples.sampleKinesisRecord(undefined, undefined, eventSourceARN, 'eventAwsRegion');
+    record.kinesis.data = new Buffer(new Array(300 * 1024).join('x')).toString('base64');
+    const queueUrl = 'https://sqs.us-west-1.amazonaws.com/123456789012/MyDRQ';
+    const options = {deadLetterQueueType: 'sqs', deadRecordQueueUrl: queueUrl, claimCheckBucketName: 'claim-checks-dev'};
+    const context = configureClaimCheckContext(t, 'discardUnusableRecordsToSQSDRQ', options, undefined, [record]);
+
+    t.plan(6);
+    discardUnusableRecordsToSQSDRQ([record], context)
+      .then(results => {
+        t.equal(results.length, 1, `discardUnusableRecordsToSQSDRQ results (${results.length}) must be 1`);
+        const body = JSON.parse(context.sqs.sent[0].MessageBody);
+        t.notOk(body.oversized, `sent message body must not be a summary`);
+        t.equal(body.kinesis.sequenceNumber, record.kinesis.sequenceNumber, `sent message body must contain the source key information`);
+        t.deepEqual(JSON.parse(context.s3.objects[`${body.claimCheck.bucket}/${body.claimCheck.key}`]), record, `S3 object must contain the unusable record`);
+      })
+      .catch(err => {
+        t.fail(`discardUnusableRecordsToSQSDRQ expected no failure - error: ${err.stack}`);
+      });
+
+  } finally {
+    process.env.AWS_REGION = undefined;
+    process.env.STAGE = undefined;
+  }
+});
+
+// =====================================================================================================================
+// resubmitIncompleteMessagesToKinesis
+// =====================================================================================================================
+
+test('resubmitIncompleteMessagesToKinesis with 0 messages', t => {
+  try {
+    setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
+
+    const context = {
+      kinesis: dummyKinesis(t, 'resubmitIncompleteMessagesToKinesis', undefined)
+    };
+    logging.configureDefaultLogging(context);
+
+    const streamName = 'TestStream_DEV';
+    const eventSourceARN = samples.sampleKinesisEventSourceArn('eventSourceArnRegion', streamName);
+    const record = samples.sampleKinesisRecord(undefined, undefined, eventSourceARN, 'eventAwsRegion');
+
+    const awsContext = samples.sampleAwsContext('functionName', '1.0.1', samples.sampleInvokedFunctionArn('invokedFunctionArnRegion', 'functionName', '1.0.1'));
+    const event = samples.sampleKinesisEventWithRecords([record]);
+    stages.configureDefaultStageHandling(context, false);
+    stages.configureStage(context, event, awsContext, true);
+
+    configureDefaultKinesisStreamProcessing(context, undefined, undefined, undefined, event, awsContext, true);
+
+    t.plan(1);
+    resubmitIncompleteMessagesToKinesis([], [], context)
+      .then(results => {
+        t.equal(results.length, 0, `resubmitIncompleteMessagesToKinesis results (${results.length}) must be 0`);
+      })
+      .catch(err => {
+        t.fail(`resubmitIncompleteMessagesToKinesis expected no failure - error: ${err.stack}`);
+      });
+
+  } finally {
+    process.env.AWS_REGION = undefined;
+    process.env.STAGE = undefined;
+  }
+});
+
+test('resubmitIncompleteMessagesToKinesis with 1 message', t => {
+  try {
+    setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
+
+    const context = {
+      kinesis: dummyKinesis(t, 'resubmitIncompleteMessagesToKinesis', undefined)
+    };
+    logging.configureDefaultLogging(context);
+
+    const streamName = 'TestStream_DEV';
+    const eventSourceARN = samples.sampleKinesisEventSourceArn('eventSourceArnRegion', streamName);
+    const record = samples.sampleKinesisRecord(undefined, undefined, eventSourceARN, 'eventAwsRegion');
+    const message = sampleMessage();
+    message.taskTracking = {record: record};
+
+    const awsContext = samples.sampleAwsContext('functionName', '1.0.1', samples.sampleInvokedFunctionArn('invokedFunctionArnRegion', 'functionName', '1.0.1'));
+    const event = samples.sampleKinesisEventWithRecords([record]);
+    stages.configureDefaultStageHandling(context, false);
+    stages.configureStage(context, event, awsContext, true);
+
+    configureDefaultKinesisStreamProcessing(context, undefined, undefined, undefined, event, awsContext, true);
+
+    t.plan(2);
+    resubmitIncompleteMessagesToKinesis([message], [message], context)
+      .then(results => {
+        t.equal(results.length, 1, `resubmitIncompleteMessagesToKinesis results (${results.length}) must be 1`);
+      })
+      .catch(err => {
+        t.fail(`resubmitIncompleteMessagesToKinesis expected no failure - error: ${err.stack}`);
+      });
+
+  } finally {
+    process.env.AWS_REGION = undefined;
+    process.env.STAGE = undefined;
+  }
+});
+
+test('resubmitIncompleteMessagesToKinesis with 2 messages', t => {
+  try {
+    setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
+
+    const context = {
+      kinesis: dummyKinesis(t, 'resubmitIncompleteMessagesToKinesis', undefined)
+    };
+    logging.configureDefaultLogging(context);
+
+    const streamName = 'TestStream_DEV';
+    const eventSourceARN = samples.sampleKinesisEventSourceArn('eventSourceArnRegion', streamName);
+    const record = samples.sampleKinesisRecord(undefined, undefined, eventSourceARN, 'eventAwsRegion');
+    const message = sampleMessage();
+    message.taskTracking = {record: record};
+
+    const record2 = samples.sampleKinesisRecord(undefined, undefined, eventSourceARN, 'eventAwsRegion');
+    const message2 = sampleMessage();
+    message2.taskTracking = {record: record2};
+
+    const awsContext = samples.sampleAwsContext('functionName', '1.0.1', samples.sampleInvokedFunctionArn('invokedFunctionArnRegion', 'functionName', '1.0.1'));
+    const records = [record, record2];
+    const messages = [message, message2];
+    const event = samples.sampleKinesisEventWithRecords(records);
+    stages.configureDefaultStageHandling(context, false);
+    stages.configureStage(context, event, awsContext, true);
+
+    configureDefaultKinesisStreamProcessing(context, undefined, undefined, undefined, event, awsContext, true);
+
+    t.plan(3);
+    resubmitIncompleteMessagesToKinesis(messages, messages, context)
+      .then(results => {
+        t.equal(results.length, 2, `resubmitIncompleteMessagesToKinesis results (${results.length}) must be 2`);
+      })
+      .catch(err => {
+        t.fail(`resubmitIncompleteMessagesToKinesis expected no failure - error: ${err.stack}`);
+      });
+
+  } finally {
+    process.env.AWS_REGION = undefined;
+    process.env.STAGE = undefined;
+  }
+});
+
+test('resubmitIncompleteMessagesToKinesis with 1 record and failure', t => {
+  try {
+    setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
+
+    const error = new Error('Planned failure');
+    const context = {
+      kinesis: dummyKinesis(t, 'resubmitIncompleteMessagesToKinesis', error)
+    };
+    logging.configureDefaultLogging(context);
+
+    const streamName = 'TestStream_DEV';
+    const eventSourceARN = samples.sampleKinesisEventSourceArn('eventSourceArnRegion', streamName);
+    const record = samples.sampleKinesisRecord(undefined, undefined, eventSourceARN, 'eventAwsRegion');
+    const message = sampleMessage();
+    message.taskTracking = {record: record};
+
+    const awsContext = samples.sampleAwsContext('functionName', '1.0.1', samples.sampleInvokedFunctionArn('invokedFunctionArnRegion', 'functionName', '1.0.1'));
+    const event = samples.sampleKinesisEventWithRecords([record]);
+    stages.configureDefaultStageHandling(context, false);
+    stages.configureStage(context, event, awsContext, true);
+
+    configureDefaultKinesisStreamProcessing(context, undefined, undefined, undefined, event, awsContext, true);
+
+    t.plan(2);
+    resubmitIncompleteMessagesToKinesis([message], [message], context)
+      .then(() => {
+        t.fail(`resubmitIncompleteMessagesToKinesis expected a failure`);
+      })
+      .catch(err => {
+        t.equal(err, error, `resubmitIncompleteMessagesToKinesis error (${err}) must be ${error}`);
+      });
+
+  } finally {
+    process.env.AWS_REGION = undefined;
+    process.env.STAGE = undefined;
+  }
+});
+
+// =====================================================================================================================
+// resubmitIncompleteMessagesToKinesisByPartitionKey
+// =====================================================================================================================
+
+function configureResubmitByPartitionKeyContext(t, failLastRecordCount, partitionKeys) {
+  const context = {
+    kinesis: dummyKinesis(t, 'resubmitIncompleteMessagesToKinesisByPartitionKey', undefined, failLastRecordCount)
+  };
+  logging.configureDefaultLogging(context);
+
+  const eventSourceARN = samples.sampleKinesisEventSourceArn('eventSourceArnRegion', 'TestStream_DEV');
+  const records = partitionKeys.map(pk => samples.sampleKinesisRecord(pk, undefined, eventSourceARN, 'eventAwsRegion'));
+  const messages = records.map(record => {
+    const message = sampleMessage();
+    message.taskTracking = {record: record};
+    return message;
+  });
+
+  const awsContext = samples.sampleAwsContext('functionName', '1.0.1', samples.sampleInvokedFunctionArn('invokedFunctionArnRegion', 'functionName', '1.0.1'));
+  const event = samples.sampleKinesisEventWithRecords(records);
+  stages.configureDefaultStageHandling(context, false);
+  stages.configureStage(context, event, awsContext, true);
+
+  configureDefaultKinesisStreamProcessing(context, undefined, undefined, undefined, event, awsContext, true);
+  return [context, messages];
+}
+
+test('resubmitIncompleteMessagesToKinesisByPartitionKey with 3 messages and 2 partition keys must resubmit in order', t => {
+  try {
+    setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
+
+    const contextAndMessages = configureResubmitByPartitionKeyContext(t, 0, ['PK-A', 'PK-B', 'PK-A']);
+    const context = contextAndMessages[0];
+    const messages = contextAndMessages[1];
+    // Pass the incomplete messages out of order
+    const incompleteMessages = [messages[2], messages[1], messages[0]];
+
+    // 1st round with the 1st message of each partition key, 2nd round with the 2nd message of PK-A
+    t.plan(5);
+    resubmitIncompleteMessagesToKinesisByPartitionKey(messages, incompleteMessages, context)
+      .then(outcomes => {
+        t.equal(outcomes.length, 3, `resubmitIncompleteMessagesToKinesisByPartitionKey outcomes (${outcomes.length}) must be 3`);
+        t.ok(outcomes.every(o => o.resubmitted && !o.error), `every message must be resubmitted`);
+        const resubmitted = outcomes.map(o => o.message);
+        const pkAMessages = resubmitted.filter(m => m === messages[0] || m === messages[2]);
+        t.deepEqual(pkAMessages, [messages[0], messages[2]], `PK-A messages must be resubmitted in sequence number order`);
+      })
+      .catch(err => {
+        t.fail(`resubmitIncompleteMessagesToKinesisByPartitionKey expected no failure - error: ${err.stack}`);
+      });
+
+  } finally {
+    process.env.AWS_REGION = undefined;
+    process.env.STAGE = undefined;
+  }
+});
+
+test('resubmitIncompleteMessagesToKinesisByPartitionKey with 1 persistently failing entry must hold back later messages with the same partition key', t => {
+  try {
+    setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
+
+    const contextAndMessages = configureResubmitByPartitionKeyContext(t, 100, ['PK-A', 'PK-B', 'PK-B']);
+    const context = contextAndMessages[0];
+    const messages = contextAndMessages[1];
+
+    // 1 call with 2 heads + 4 retries of the failed PK-B head, after which the 2nd PK-B message must never be sent
+    t.plan(9);
+    resubmitIncompleteMessagesToKinesisByPartitionKey(messages, messages, context)
+      .then(outcomes => {
+        t.equal(outcomes.length, 3, `must resolve with 3 resubmission outcomes despite the unsent messages`);
+        t.deepEqual(outcomes.filter(o => o.resubmitted).map(o => o.message), [messages[0]], `only the PK-A message must be resubmitted`);
+        t.deepEqual(outcomes.filter(o => !o.resubmitted).map(o => o.message), [messages[1], messages[2]], `both PK-B messages must be unsent`);
+        t.ok(outcomes.filter(o => !o.resubmitted).every(o => o.error instanceof Error), `unsent outcomes must have the error`);
+      })
+      .catch(err => {
+        t.fail(`resubmitIncompleteMessagesToKinesisByPartitionKey expected no failure - error: ${err.stack}`);
+      });
+
+  } finally {
+    process.env.AWS_REGION = undefined;
+    process.env.STAGE = undefined;
+  }
+});
+
+// =====================================================================================================================
+// saveTaskTrackingStateToDynamoDB & loadTaskTrackingStateFromDynamoDB
+// =====================================================================================================================
+
+function configureDynamoDBTaskTrackingContext(t, prefix, store, error, unprocessedCount) {
+  const context = {
+    dynamoDBDocClient: dummyDynamoDBDocClient(t, prefix, store, error, unprocessedCount)
+  };
+  logging.configureDefaultLogging(context);
+
+  const eventSourceARN = samples.sampleDynamoDBEventSourceArn('eventSourceArnRegion', 'TestTable_DEV');
+  const event = samples.awsDynamoDBUpdateSampleEvent(eventSourceARN);
+
+  const awsContext = samples.sampleAwsContext('functionName', '1.0.1', samples.sampleInvokedFunctionArn('invokedFunctionArnRegion', 'functionName', '1.0.1'));
+  stages.configureDefaultStageHandling(context, false);
+  stages.configureStage(context, event, awsContext, true);
+
+  configureDefaultDynamoDBStreamProcessing(context, undefined, undefined, undefined, event, awsContext, true);
+
+  return [context, sampleDynamoDBMessages(eventSourceARN, context)];
+}
+
+function sampleDynamoDBMessages(eventSourceARN, context) {
+  // Use each record as its own message (as per the default DynamoDB extractMessageFromRecord function)
+  return samples.awsDynamoDBUpdateSampleEvent(eventSourceARN).Records.map(record => {
+    const message = useStreamEventRecordAsMessage(record, context);
+    message.taskTracking = {};
+    Object.defineProperty(message.taskTracking, 'record', {value: record, enumerable: false});
+    return message;
+  });
+}
+
+test('saveTaskTrackingStateToDynamoDB with 0 messages', t => {
+  try {
+    setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
+
+    const store = new Map();
+    const context = configureDynamoDBTaskTrackingContext(t, 'saveTaskTrackingStateToDynamoDB', store, undefined, 0)[0];
+
+    t.plan(1);
+    saveTaskTrackingStateToDynamoDB([], context)
+      .then(results => {
+        t.equal(results.length, 0, `saveTaskTrackingStateToDynamoDB results (${results.length}) must be 0`);
+      })
+      .catch(err => {
+        t.fail(`saveTaskTrackingStateToDynamoDB expected no failure - error: ${err.stack}`);
+      });
+
+  } finally {
+    process.env.AWS_REGION = undefined;
+    process.env.STAGE = undefined;
+  }
+});
+
+test('saveTaskTrackingStateToDynamoDB with 3 messages then loadTaskTrackingStateFromDynamoDB must restore their tasks', t => {
+  try {
+    setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
+
+    const store = new Map();
+    const contextAndMessages = configureDynamoDBTaskTrackingContext(t, 'TaskTrackingToDynamoDB', store, undefined, 1);
+    const context = contextAndMessages[0];
+    const messages = contextAndMessages[1];
+
+    messages.forEach((message, i) => {
+      message.taskTracking.ones = {
+        Task1: {name: 'Task1', executable: true, state: {name: i === 0 ? 'Succeeded' : 'Failed', completed: i === 0, error: i === 0 ? undefined : 'Error: Planned'},
+          attempts: i + 1, lastExecutedAt: '2017-01-09T10:00:00.000Z', subTasks: []}
+      };
+      message.taskTracking.alls = {};
+    });
+
+    // Simulate the replay of the same records as new messages without any task tracking state
+    const eventSourceARN = samples.sampleDynamoDBEventSourceArn('eventSourceArnRegion', 'TestTable_DEV');
+    const replayedMessages = sampleDynamoDBMessages(eventSourceARN, context);
+
+    const nowInSeconds = Math.floor(Date.now() / 1000);
+
+    // 2 batchWrite calls (including 1 retry of an unprocessed item) and 1 batchGet call
+    t.plan(9);
+    saveTaskTrackingStateToDynamoDB(messages, context)
+      .then(results => {
+        t.equal(results.length, 3, `saveTaskTrackingStateToDynamoDB results (${results.length}) must be 3`);
+        t.equal(store.size, 3, `DynamoDB table must contain 3 items`);
+        t.ok(Array.from(store.values()).every(item => item.expiresAt >= nowInSeconds + 604800 && item.expiresAt <= nowInSeconds + 604801),
+          `every task tracking item must expire 7 days from now by default`);
+
+        return loadTaskTrackingStateFromDynamoDB(replayedMessages, context).then(loadedMessages => {
+          t.equal(loadedMessages, replayedMessages, `loadTaskTrackingStateFromDynamoDB must resolve with the given messages`);
+          t.equal(loadedMessages[0].taskTracking.ones.Task1.state.name, 'Succeeded', `message 1 Task1 state must be restored`);
+          t.equal(loadedMessages[2].taskTracking.ones.Task1.attempts, 3, `message 3 Task1 attempts must be restored`);
+        });
+      })
+      .catch(err => {
+        t.fail(`TaskTrackingToDynamoDB expected no failure - error: ${err.stack}`);
+      });
+
+  } finally {
+    process.env.AWS_REGION = undefined;
+    process.env.STAGE = undefined;
+  }
+});
+
+test('saveTaskTrackingStateToDynamoDB with a configured taskTrackingTtlInSeconds then loadTaskTrackingStateFromDynamoDB must ignore expired items', t => {
+  try {
+    setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
+
+    const store = new Map();
+    const contextAndMessages = configureDynamoDBTaskTrackingContext(t, 'TaskTrackingTtl', store, undefined, 0);
+    const context = contextAndMessages[0];
+    const messages = contextAndMessages[1];
+    context.streamProcessing.taskTrackingTtlInSeconds = 3600;
+
+    messages.forEach(message => {
+      message.taskTracking.ones = {
+        Task1: {name: 'Task1', executable: true, state: {name: 'Failed', completed: false, error: 'Error: Planned'},
+          attempts: 2, lastExecutedAt: '2017-01-09T10:00:00.000Z', subTasks: []}
+      };
+    });
+
+    const eventSourceARN = samples.sampleDynamoDBEventSourceArn('eventSourceArnRegion', 'TestTable_DEV');
+    const replayedMessages = sampleDynamoDBMessages(eventSourceARN, context);
+
+    const nowInSeconds = Math.floor(Date.now() / 1000);
+
+    // 1 batchWrite call and 1 batchGet call
+    t.plan(6);
+    saveTaskTrackingStateToDynamoDB(messages, context)
+      .then(() => {
+        const items = Array.from(store.values());
+        t.ok(items.every(item => item.expiresAt >= nowInSeconds + 3600 && item.expiresAt <= nowInSeconds + 3601),
+          `every task tracking item must expire 1 hour from now`);
+
+        // Simulate the 1st item having expired without yet being deleted by DynamoDB's TTL process
+        items[0].expiresAt = nowInSeconds - 1;
+
+        return loadTaskTrackingStateFromDynamoDB(replayedMessages, context).then(loadedMessages => {
+          t.notOk(loadedMessages[0].taskTracking.ones, `message 1 task tracking state must NOT be restored from an expired item`);
+          t.equal(loadedMessages[1].taskTracking.ones.Task1.attempts, 2, `message 2 Task1 attempts must be restored`);
+          t.equal(loadedMessages[2].taskTracking.ones.Task1.attempts, 2, `message 3 Task1 attempts must be restored`);
+        });
+      })
+      .catch(err => {
+        t.fail(`TaskTrackingTtl expected no failure - error: ${err.stack}`);
+      });
+
+  } finally {
+    process.env.AWS_REGION = undefined;
+    process.env.STAGE = undefined;
+  }
+});
+
+test('validateStreamProcessingConfiguration with taskTrackingTtlInSeconds', t => {
+  setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
+
+  const context = {};
+  configureDefaultDynamoDBStreamProcessing(context, undefined, undefined, undefined, undefined, undefined, true);
+  t.equal(streamProcessing.getTaskTrackingTtlInSeconds(context), 604800, `default taskTrackingTtlInSeconds must be 7 days`);
+
+  configureDefaultDynamoDBStreamProcessing(context, {taskTrackingTtlInSeconds: 3600}, undefined, undefined, undefined, undefined, true);
+  t.equal(streamProcessing.getTaskTrackingTtlInSeconds(context), 3600, `taskTrackingTtlInSeconds must be 3600`);
+
+  t.throws(() => configureDefaultDynamoDBStreamProcessing({}, {taskTrackingTtlInSeconds: 0}, undefined, undefined, undefined, undefined, true),
+    /FATAL/, `taskTrackingTtlInSeconds of 0 must fail with a FATAL error`);
+  t.throws(() => configureDefaultDynamoDBStreamProcessing({}, {taskTrackingTtlInSeconds: '3600'}, undefined, undefined, undefined, undefined, true),
+    /FATAL/, `taskTrackingTtlInSeconds of '3600' must fail with a FATAL error`);
+
+  t.end();
+});
+
+test('loadTaskTrackingStateFromDynamoDB with failure', t => {
+  try {
+    setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
+
+    const error = new Error('Planned failure');
+    const store = new Map();
+    const contextAndMessages = configureDynamoDBTaskTrackingContext(t, 'loadTaskTrackingStateFromDynamoDB', store, error, 0);
+    const context = contextAndMessages[0];
+    const messages = contextAndMessages[1];
+
+    t.plan(2);
+    loadTaskTrackingStateFromDynamoDB(messages, context)
+      .then(() => {
+        t.fail(`loadTaskTrackingStateFromDynamoDB expected a failure`);
+      })
+      .catch(err => {
+        t.equal(err, error, `loadTaskTrackingStateFromDynamoDB error (${err}) must be ${error}`);
+      });
+
+  } finally {
+    process.env.AWS_REGION = undefined;
+    process.env.STAGE = undefined;
+  }
+});
+
+// =====================================================================================================================
+// Idempotency
+// =====================================================================================================================
+
+test('validateStreamProcessingConfiguration with idempotencyEnabled', t => {
+  setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
+
+  const context = {};
+  configureDefaultKinesisStreamProcessing(context, undefined, undefined, undefined, undefined, undefined, true);
+  t.notOk(streamProcessing.isIdempotencyEnabled(context), `default idempotencyEnabled must be false`);
+  t.equal(context.streamProcessing.idempotencyTableName, 'MessageIdempotency', `default idempotencyTableName must be MessageIdempotency`);
+  t.equal(streamProcessing.getIdempotencyTtlInSeconds(context), 604800, `default idempotencyTtlInSeconds must be 7 days`);
+  t.equal(streamProcessing.getExtractMessageIdFunction(context), toMessageIdFromSourceStreamAndSequenceNumber, `default extractMessageId must be toMessageIdFromSourceStreamAndSequenceNumber`);
+  t.equal(streamProcessing.getLoadSucceededTaskNamesFunction(context), loadSucceededTaskNamesFromDynamoDB, `default loadSucceededTaskNames must be loadSucceededTaskNamesFromDynamoDB`);
+  t.equal(streamProcessing.getSaveSucceededTaskNameFunction(context), saveSucceededTaskNameToDynamoDB, `default saveSucceededTaskName must be saveSucceededTaskNameToDynamoDB`);
+
+  configureDefaultKinesisStreamProcessing(context, {idempotencyEnabled: true, idempotencyTtlInSeconds: 3600}, undefined, undefined, undefined, undefined, true);
+  t.ok(streamProcessing.isIdempotencyEnabled(context), `idempotencyEnabled must be true`);
+  t.equal(streamProcessing.getIdempotencyTtlInSeconds(context), 3600, `idempotencyTtlInSeconds must be 3600`);
+
+  t.throws(() => configureDefaultKinesisStreamProcessing({}, {idempotencyEnabled: 'yes'}, undefined, undefined, undefined, undefined, true),
+    /FATAL/, `idempotencyEnabled of 'yes' must fail with a FATAL error`);
+  t.throws(() => configureDefaultKinesisStreamProcessing({}, {idempotencyEnabled: true, idempotencyTtlInSeconds: 1.5}, undefined, undefined, undefined, undefined, true),
+    /FATAL/, `idempotencyTtlInSeconds of 1.5 must fail with a FATAL error`);
+
+  const settings = streamProcessing.getDefaultKinesisStreamProcessingSettings({idempotencyEnabled: true});
+  settings.saveSucceededTaskName = undefined;
+  t.throws(() => streamProcessing.configureStreamProcessing({}, settings, undefined, undefined, undefined, undefined, undefined, true),
+    /FATAL/, `idempotencyEnabled without a saveSucceededTaskName function must fail with a FATAL error`);
+
+  process.env.AWS_REGION = undefined;
+  process.env.STAGE = undefined;
+  t.end();
+});
+
+test('toMessageIdFromSourceStreamAndSequenceNumber', t => {
+  setRegionStageAndDeleteCachedInstances('us-west-2', "dev99");
+
+  const context = {};
+  logging.configureDefaultLogging(context);
+  configureDefaultKinesisStreamProcessing(context, undefined, undefined, undefined, undefined, undefined, true);
+
+  const kinesisArn = samples.sampleKinesisEventSourceArn('us-west-2', 'TestStream_DEV');
+  const kinesisRecord = samples.sampleKinesisRecord('pk1', {id: 1}, kinesisArn, 'us-west-2');
+  const message = {id: 1, taskTracking: {}};
+  const sequenceNumber = kinesisRecord.kinesis.sequenceNumber;
+  t.equal(toMessageIdFromSourceStreamAndSequenceNumber(message, kinesisRecord, context), `TestStream_DEV|${sequenceNumber}`,
+    `Kinesis message ID must be its stream name and sequence number`);
+
+  kinesisRecord.kinesis.subSequenceNumber = 2;
+  Object.defineProperty(message.taskTracking, 'messageIndex', {value: 1, enumerable: false});
+  t.equal(toMessageIdFromSourceStreamAndSequenceNumber(message, kinesisRecord, context), `TestStream_DEV|${sequenceNumber}|2|#1`,
+    `KPL sub-record message ID must include its sub-sequence number and message index`);
+
+  const retryArn = samples.sampleKinesisEventSourceArn('us-west-2', 'RetryStream_DEV');
+  const retryRecord = samples.sampleKinesisRecord('pk1', {id: 1}, retryArn, 'us-west-2');
+  t.equal(toMessageIdFromSourceStreamAndSequenceNumber({id: 1, taskTracking: {sourceStreamName: 'TestStream_DEV'}}, retryRecord, context),
+    `TestStream_DEV|${retryRecord.kinesis.sequenceNumber}`, `retried message ID must use its original source stream name`);
+
+  const dynamoDBArn = samples.sampleDynamoDBEventSourceArn('us-west-2', 'TestTable_DEV');
+  const dynamoDBRecord = samples.awsDynamoDBUpdateSampleEvent(dynamoDBArn).Records[1];
+  t.equal(toMessageIdFromSourceStreamAndSequenceNumber({}, dynamoDBRecord, context), 'TestTable_DEV|222',
+    `DynamoDB message ID must be its table name and sequence number`);
+
+  t.equal(toMessageIdFromSourceStreamAndSequenceNumber({}, undefined, context), undefined, `message ID without a record must be undefined`);
+  t.equal(toMessageIdFromSourceStreamAndSequenceNumber({}, {kinesis: {}}, context), undefined, `message ID without a sequence number must be undefined`);
+
+  process.env.AWS_REGION = undefined;
+  process.env.STAGE = undefined;
+  t.end();
+});
+
+function dummyIdempotencyDocClient(t, store, error) {
+  return {
+    batchGet(params) {
+      return {
+        promise() {
+          if (error) return Promise.reject(error);
+          const tableName = Object.getOwnPropertyNames(params.RequestItems)[0];
+          t.equal(params.RequestItems[tableName].ConsistentRead, true, `batchGet must be a consistent read`);
+          const responses = {};
+          responses[tableName] = params.RequestItems[tableName].Keys
+            .map(key => store.get(`${key.messageId}|${key.taskName}`))
+            .filter(item => !!item);
+          return Promise.resolve({Responses: responses, UnprocessedKeys: {}});
+        }
+      }
+    },
+    put(params) {
+      return {
+        promise() {
+          if (error) return Promise.reject(error);
+          const key = `${params.Item.messageId}|${params.Item.taskName}`;
+          const existing = store.get(key);
+          // Simulate the conditional write
+          if (existing && existing.expiresAt > params.ExpressionAttributeValues[':now']) {
+            const conditionalCheckFailed = new Error('The conditional request failed');
+            conditionalCheckFailed.code = 'ConditionalCheckFailedException';
+            return Promise.reject(conditionalCheckFailed);
+          }
+          store.set(key, params.Item);
+          return Promise.resolve({});
+        }
+      }
+    }
+  };
+}
+
+test('saveSucceededTaskNameToDynamoDB then loadSucceededTaskNamesFromDynamoDB', t => {
+  setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
+
+  const store = new Map();
+  const context = {dynamoDBDocClient: dummyIdempotencyDocClient(t, store, undefined)};
+  logging.configureDefaultLogging(context);
+  stages.configureDefaultStageHandling(context, false);
+  context.stage = 'dev99';
+  configureDefaultKinesisStreamProcessing(context, {idempotencyEnabled: true, idempotencyTtlInSeconds: 60}, undefined, undefined, undefined, undefined, true);
+
+  const nowInSeconds = Math.floor(Date.now() / 1000);
+  // An expired, but not yet deleted, record
+  store.set('m3|Task1', {messageId: 'm3', taskName: 'Task1', expiresAt: nowInSeconds - 1});
+
+  Promise.all([
+    saveSucceededTaskNameToDynamoDB('m1', 'Task1', context),
+    saveSucceededTaskNameToDynamoDB('m1', 'Task2', context),
+    saveSucceededTaskNameToDynamoDB('m2', 'Task2', context)
+  ])
+    .then(saved => {
+      t.deepEqual(saved, [true, true, true], `all 3 new records must be saved`);
+      const item = store.get('m1|Task1');
+      t.ok(item.expiresAt >= nowInSeconds + 60 && item.expiresAt <= nowInSeconds + 61, `expiresAt must be 60 seconds from now`);
+      t.ok(item.succeededAt, `succeededAt must be set`);
+      return saveSucceededTaskNameToDynamoDB('m1', 'Task1', context);
+    })
+    .then(saved => {
+      t.equal(saved, false, `existing record must not be saved again`);
+      return loadSucceededTaskNamesFromDynamoDB(['m1', 'm2', 'm3', 'm4'], ['Task1', 'Task2'], context);
+    })
+    .then(succeededTaskNamesByMessageId => {
+      t.deepEqual(succeededTaskNamesByMessageId, {m1: ['Task1', 'Task2'], m2: ['Task2']},
+        `succeeded task names must be loaded (ignoring expired records)`);
+      return saveSucceededTaskNameToDynamoDB('m3', 'Task1', context);
+    })
+    .then(saved => {
+      t.equal(saved, true, `expired record must be replaced`);
+      return loadSucceededTaskNamesFromDynamoDB([], ['Task1'], context);
+    })
+    .then(succeededTaskNamesByMessageId => {
+      t.deepEqual(succeededTaskNamesByMessageId, {}, `no message IDs must load nothing`);
+
+      const error = new Error('Planned failure');
+      context.dynamoDBDocClient = dummyIdempotencyDocClient(t, store, error);
+      return loadSucceededTaskNamesFromDynamoDB(['m1'], ['Task1'], context)
+        .then(() => t.fail(`loadSucceededTaskNamesFromDynamoDB must fail`), err => t.equal(err, error, `loadSucceededTaskNamesFromDynamoDB must fail with error`))
+        .then(() => saveSucceededTaskNameToDynamoDB('m9', 'Task1', context))
+        .then(() => t.fail(`saveSucceededTaskNameToDynamoDB must fail`), err => t.equal(err, error, `saveSucceededTaskNameToDynamoDB must fail with error`));
+    })
+    .then(() => {
+      process.env.AWS_REGION = undefined;
+      process.env.STAGE = undefined;
+      t.end();
+    })
+    .catch(err => {
+      process.env.AWS_REGION = undefined;
+      process.env.STAGE = undefined;
+      t.end(err);
+    });
+});
+
+// =====================================================================================================================
+// Retry policy
+// =====================================================================================================================
+
+test('isValidRetryPolicy', t => {
+  [{baseDelayMs: 1000}, {baseDelayMs: 500, multiplier: 3, maxDelayMs: 60000, jitter: 0.5}, {baseDelayMs: 100, multiplier: 1, maxDelayMs: 100, jitter: 1}]
+    .forEach(p => t.ok(streamProcessing.isValidRetryPolicy(p), `${stringify(p)} must be valid`));
+  [undefined, null, 1000, [], {}, {baseDelayMs: 0}, {baseDelayMs: -1}, {baseDelayMs: '1000'}, {baseDelayMs: 1000, multiplier: 0.5},
+    {baseDelayMs: 1000, maxDelayMs: 999}, {baseDelayMs: 1000, jitter: 1.5}, {baseDelayMs: 1000, jitter: -0.1}]
+    .forEach(p => t.notOk(streamProcessing.isValidRetryPolicy(p), `${stringify(p)} must NOT be valid`));
+  t.end();
+});
+
+test('toRetryDelayMs', t => {
+  const policy = {baseDelayMs: 1000, multiplier: 2, maxDelayMs: 10000};
+  t.deepEqual([0, 1, 2, 3, 4, 5, 6].map(attempts => streamProcessing.toRetryDelayMs(attempts, policy)), [0, 1000, 2000, 4000, 8000, 10000, 10000],
+    `delays must grow exponentially up to the maxDelayMs`);
+  t.deepEqual([1, 2, 3].map(attempts => streamProcessing.toRetryDelayMs(attempts, {baseDelayMs: 100})), [100, 200, 400],
+    `delays must default to a multiplier of 2 & no maximum`);
+
+  const jittered = {baseDelayMs: 1000, jitter: 0.5};
+  t.equal(streamProcessing.toRetryDelayMs(2, jittered, 0), 2000, `jittered delay with random 0 must be the full delay`);
+  t.equal(streamProcessing.toRetryDelayMs(2, jittered, 0.5), 1500, `jittered delay with random 0.5 must be reduced by 25%`);
+  for (let i = 0; i < 10; ++i) {
+    const delayMs = streamProcessing.toRetryDelayMs(2, jittered);
+    t.ok(delayMs > 1000 && delayMs <= 2000, `jittered delay (${delayMs}) must be between 1000 & 2000`);
+  }
+  t.end();
+});
+
+test('toRetryJitterRandom', t => {
+  const seed = 'Task1|2017-03-01T10:00:00.000Z|2';
+  const random = streamProcessing.toRetryJitterRandom(seed);
+  t.ok(random >= 0 && random < 1, `random (${random}) must be between 0 (inclusive) & 1 (exclusive)`);
+  t.equal(streamProcessing.toRetryJitterRandom(seed), random, `same seed must give the same random`);
+  t.notEqual(streamProcessing.toRetryJitterRandom('Task1|2017-03-01T10:00:00.000Z|3'), random, `another attempt must give another random`);
+  t.notEqual(streamProcessing.toRetryJitterRandom('Task1|2017-03-01T10:00:00.001Z|2'), random, `another last executed at must give another random`);
+
+  const randoms = [];
+  for (let i = 0; i < 100; ++i) {
+    randoms.push(streamProcessing.toRetryJitterRandom(`Task1|${i}|1`));
+  }
+  t.ok(randoms.every(r => r >= 0 && r < 1), `all randoms must be between 0 (inclusive) & 1 (exclusive)`);
+  t.ok(randoms.some(r => r < 0.5) && randoms.some(r => r >= 0.5), `randoms must be spread out`);
+  t.end();
+});
+
+test('validateStreamProcessingConfiguration with retryPolicy', t => {
+  setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
+
+  const context = {};
+  configureDefaultKinesisStreamProcessing(context, undefined, undefined, undefined, undefined, undefined, true);
+  t.equal(streamProcessing.getRetryPolicy(context), undefined, `default retryPolicy must be undefined`);
+
+  const retryPolicy = {baseDelayMs: 1000, maxDelayMs: 60000, jitter: 0.2};
+  configureDefaultKinesisStreamProcessing(context, {retryPolicy: retryPolicy}, undefined, undefined, undefined, undefined, true);
+  t.deepEqual(streamProcessing.getRetryPolicy(context), retryPolicy, `retryPolicy must be ${stringify(retryPolicy)}`);
+
+  t.throws(() => configureDefaultKinesisStreamProcessing({}, {retryPolicy: {baseDelayMs: 1000, multiplier: 0}}, undefined, undefined, undefined, undefined, true),
+    /FATAL/, `retryPolicy with a multiplier of 0 must fail with a FATAL error`);
+
+  // Handlers that replay (or fail) incomplete messages immediately cannot delay the retrying of deferred messages
+  t.throws(() => configureDefaultDynamoDBStreamProcessing({}, {retryPolicy: retryPolicy}, undefined, undefined, undefined, undefined, true),
+    /FATAL.*replayAllMessagesIfIncomplete/, `retryPolicy with replayAllMessagesIfIncomplete must fail with a FATAL error`);
+  t.throws(() => configureDefaultKinesisStreamProcessing({}, {retryPolicy: retryPolicy, reportBatchItemFailures: true}, undefined, undefined, undefined, undefined, true),
+    /FATAL.*reportBatchItemFailuresIfIncomplete/, `retryPolicy with reportBatchItemFailuresIfIncomplete must fail with a FATAL error`);
+  t.throws(() => configureDefaultFirehoseStreamProcessing({}, {retryPolicy: retryPolicy}, undefined, undefined, undefined, undefined, true),
+    /FATAL.*reportIncompleteFirehoseRecordsAsProcessingFailed/, `retryPolicy with reportIncompleteFirehoseRecordsAsProcessingFailed must fail with a FATAL error`);
+
+  const sqsContext = {};
+  configureDefaultSQSStreamProcessing(sqsContext, {retryPolicy: retryPolicy}, undefined, undefined, undefined, undefined, true);
+  t.deepEqual(streamProcessing.getRetryPolicy(sqsContext), retryPolicy, `SQS retryPolicy must be ${stringify(retryPolicy)}`);
+
+  process.env.AWS_REGION = undefined;
+  process.env.STAGE = undefined;
+  t.end();
+});
+
+// =====================================================================================================================
+// Compression of resubmitted & discarded messages
+// =====================================================================================================================
+
+function configureCompressionContext(compression, options, record) {
+  const context = {};
+  logging.configureDefaultLogging(context);
+
+  // Capture the requests put to Kinesis
+  const putRequests = [];
+  context.kinesis = {
+    putRecord(request) {
+      putRequests.push(request);
+      return {promise: () => Promise.resolve({SequenceNumber: '1'})};
+    },
+    putRecords(request) {
+      request.Records.forEach(r => putRequests.push(Object.assign({StreamName: request.StreamName}, r)));
+      return {promise: () => Promise.resolve({FailedRecordCount: 0, Records: request.Records.map((r, i) => ({SequenceNumber: `${i}`}))})};
+    }
+  };
+  context.putRequests = putRequests;
+
+  const awsContext = samples.sampleAwsContext('functionName', '1.0.1', samples.sampleInvokedFunctionArn('invokedFunctionArnRegion', 'functionName', '1.0.1'));
+  const event = samples.sampleKinesisEventWithRecords([record]);
+  stages.configureDefaultStageHandling(context, false);
+  stages.configureStage(context, event, awsContext, true);
+
+  configureDefaultKinesisStreamProcessing(context, Object.assign({compression: compression}, options), undefined, undefined, event, awsContext, true);
+  return context;
+}
+
+test('resubmitIncompleteMessagesToKinesis with compression must resubmit compressed messages that extract back to the original', t => {
+  try {
+    setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
+
+    const eventSourceARN = samples.sampleKinesisEventSourceArn('eventSourceArnRegion', 'TestStream_DEV');
+    const record = samples.sampleKinesisRecord(undefined, undefined, eventSourceARN, 'eventAwsRegion');
+
+    const compressions = ['gzip', 'deflate'];
+    t.plan(3 * compressions.length);
+
+    compressions.forEach(compression => {
+      const context = configureCompressionContext(compression, undefined, record);
+      const message = sampleMessage();
+      message.taskTracking = {record: record};
+
+      resubmitIncompleteMessagesToKinesis([message], [message], context)
+        .then(() => {
+          const data = context.putRequests[0].Data;
+          t.ok(Buffer.isBuffer(data), `${compression} resubmitted data must be a Buffer`);
+          t.equal(zlib[compression === 'gzip' ? 'gunzipSync' : 'inflateSync'](data).toString('utf8'), JSON.stringify(message),
+            `${compression} resubmitted data must decompress to the message`);
+
+          // Round trip the resubmitted data back through extraction
+          const resubmittedRecord = samples.sampleKinesisRecord(undefined, data.toString('base64'), eventSourceARN, 'eventAwsRegion');
+          t.deepEqual(extractJsonMessageFromKinesisRecord(resubmittedRecord, context), JSON.parse(JSON.stringify(message)),
+            `${compression} resubmitted message must extract back to the original`);
+        })
+        .catch(err => {
+          t.fail(`resubmitIncompleteMessagesToKinesis expected no failure - error: ${err.stack}`);
+        });
+    });
+
+  } finally {
+    process.env.AWS_REGION = undefined;
+    process.env.STAGE = undefined;
+  }
+});
+
+test('discardUnusableRecordsToDRQ & discardRejectedMessagesToDMQ with compression must put compressed data', t => {
+  try {
+    setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
+
+    const eventSourceARN = samples.sampleKinesisEventSourceArn('eventSourceArnRegion', 'TestStream_DEV');
+    const record = samples.sampleKinesisRecord(undefined, undefined, eventSourceARN, 'eventAwsRegion');
+    const message = sampleMessage();
+    message.taskTracking = {record: record};
+
+    const context = configureCompressionContext('gzip', undefined, record);
+
+    t.plan(4);
+    discardUnusableRecordsToDRQ([record], context)
+      .then(() => discardRejectedMessagesToDMQ([message], context))
+      .then(() => {
+        const drqData = context.putRequests[0].Data;
+        t.ok(Buffer.isBuffer(drqData), `DRQ data must be a Buffer`);
+        t.deepEqual(JSON.parse(zlib.gunzipSync(drqData).toString('utf8')), record, `DRQ data must decompress to the record`);
+
+        const dmqData = context.putRequests[1].Data;
+        t.ok(Buffer.isBuffer(dmqData), `DMQ data must be a Buffer`);
+        t.deepEqual(JSON.parse(zlib.gunzipSync(dmqData).toString('utf8')).message, JSON.parse(JSON.stringify(message)),
+          `DMQ data must decompress to the rejected message envelope`);
+      })
+      .catch(err => {
+        t.fail(`discardUnusableRecordsToDRQ & discardRejectedMessagesToDMQ expected no failure - error: ${err.stack}`);
+      });
+
+  } finally {
+    process.env.AWS_REGION = undefined;
+    process.env.STAGE = undefined;
+  }
+});
+
+// =====================================================================================================================
+// Batch item failures
+// =====================================================================================================================
+
+test('validateStreamProcessingConfiguration with reportBatchItemFailures', t => {
+  setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
+
+  const context = {};
+  configureDefaultDynamoDBStreamProcessing(context, undefined, undefined, undefined, undefined, undefined, true);
+  t.notOk(streamProcessing.isReportingBatchItemFailures(context), `default reportBatchItemFailures must be false`);
+  t.equal(streamProcessing.getHandleIncompleteMessagesFunction(context), replayAllMessagesIfIncomplete, `default handleIncompleteMessages must be replayAllMessagesIfIncomplete`);
+
+  configureDefaultDynamoDBStreamProcessing(context, {reportBatchItemFailures: true}, undefined, undefined, undefined, undefined, true);
+  t.ok(streamProcessing.isReportingBatchItemFailures(context), `reportBatchItemFailures must be true`);
+  t.equal(streamProcessing.getHandleIncompleteMessagesFunction(context), reportBatchItemFailuresIfIncomplete, `handleIncompleteMessages must be reportBatchItemFailuresIfIncomplete`);
+
+  t.throws(() => configureDefaultDynamoDBStreamProcessing({}, {reportBatchItemFailures: 'true'}, undefined, undefined, undefined, undefined, true),
+    /FATAL/, `reportBatchItemFailures of 'true' must fail with a FATAL error`);
+
+  const kinesisContext = {};
+  configureDefaultKinesisStreamProcessing(kinesisContext, undefined, undefined, undefined, undefined, undefined, true);
+  t.notOk(streamProcessing.isReportingBatchItemFailures(kinesisContext), `default Kinesis reportBatchItemFailures must be false`);
+  t.equal(streamProcessing.getHandleIncompleteMessagesFunction(kinesisContext), resubmitIncompleteMessagesToKinesis, `default Kinesis handleIncompleteMessages must be resubmitIncompleteMessagesToKinesis`);
+  t.equal(streamProcessing.getLoadTaskTrackingStateFunction(kinesisContext), skipLoadTaskTrackingState, `default Kinesis loadTaskTrackingState must be skipLoadTaskTrackingState`);
+
+  configureDefaultKinesisStreamProcessing(kinesisContext, {reportBatchItemFailures: true}, undefined, undefined, undefined, undefined, true);
+  t.ok(streamProcessing.isReportingBatchItemFailures(kinesisContext), `Kinesis reportBatchItemFailures must be true`);
+  t.equal(streamProcessing.getHandleIncompleteMessagesFunction(kinesisContext), reportBatchItemFailuresIfIncomplete, `Kinesis handleIncompleteMessages must be reportBatchItemFailuresIfIncomplete`);
+  t.equal(streamProcessing.getLoadTaskTrackingStateFunction(kinesisContext), loadTaskTrackingStateFromDynamoDB, `Kinesis loadTaskTrackingState must be loadTaskTrackingStateFromDynamoDB`);
+  t.equal(streamProcessing.getSaveTaskTrackingStateFunction(kinesisContext), saveTaskTrackingStateToDynamoDB, `Kinesis saveTaskTrackingState must be saveTaskTrackingStateToDynamoDB`);
+  t.equal(kinesisContext.streamProcessing.taskTrackingTableName, 'MessageTaskTracking', `Kinesis taskTrackingTableName must be defaulted to MessageTaskTracking`);
+
+  configureDefaultKinesisStreamProcessing(kinesisContext, {reportBatchItemFailures: true, taskTrackingTableName: 'MyTaskTracking'}, undefined, undefined, undefined, undefined, true);
+  t.equal(kinesisContext.streamProcessing.taskTrackingTableName, 'MyTaskTracking', `Kinesis taskTrackingTableName must be MyTaskTracking`);
+
+  // reportBatchItemFailures requires a reporting handler
+  const resubmitSettings = getDefaultKinesisStreamProcessingSettings({reportBatchItemFailures: true});
+  resubmitSettings.handleIncompleteMessages = resubmitIncompleteMessagesToKinesis;
+  t.throws(() => configureStreamProcessing({}, resubmitSettings, undefined, undefined, undefined, undefined, undefined, true),
+    /FATAL.*resubmitIncompleteMessagesToKinesis/, `reportBatchItemFailures with resubmitIncompleteMessagesToKinesis must fail with a FATAL error`);
+
+  const byPartitionKeySettings = getDefaultKinesisStreamProcessingSettings({reportBatchItemFailures: true});
+  byPartitionKeySettings.handleIncompleteMessages = resubmitIncompleteMessagesToKinesisByPartitionKey;
+  const byPartitionKeyContext = configureStreamProcessing({}, byPartitionKeySettings, undefined, undefined, undefined, undefined, undefined, true);
+  t.equal(streamProcessing.getHandleIncompleteMessagesFunction(byPartitionKeyContext), resubmitIncompleteMessagesToKinesisByPartitionKey, `Kinesis handleIncompleteMessages must be resubmitIncompleteMessagesToKinesisByPartitionKey`);
+
+  const sqsByPartitionKeySettings = getDefaultSQSStreamProcessingSettings({reportBatchItemFailures: true});
+  sqsByPartitionKeySettings.handleIncompleteMessages = resubmitIncompleteMessagesToKinesisByPartitionKey;
+  t.throws(() => configureStreamProcessing({}, sqsByPartitionKeySettings, undefined, undefined, undefined, undefined, undefined, true),
+    /FATAL.*resubmitIncompleteMessagesToKinesisByPartitionKey/, `SQS reportBatchItemFailures with resubmitIncompleteMessagesToKinesisByPartitionKey must fail with a FATAL error`);
+
+  // reportBatchItemFailures requires persistent task tracking
+  const skipSettings = getDefaultKinesisStreamProcessingSettings({reportBatchItemFailures: true});
+  skipSettings.loadTaskTrackingState = skipLoadTaskTrackingState;
+  t.throws(() => configureStreamProcessing({}, skipSettings, undefined, undefined, undefined, undefined, undefined, true),
+    /FATAL.*persistent task tracking/, `reportBatchItemFailures with skipLoadTaskTrackingState must fail with a FATAL error`);
+
+  const skipSaveSettings = getDefaultKinesisStreamProcessingSettings({reportBatchItemFailures: true});
+  skipSaveSettings.saveTaskTrackingState = skipSaveTaskTrackingState;
+  t.throws(() => configureStreamProcessing({}, skipSaveSettings, undefined, undefined, undefined, undefined, undefined, true),
+    /FATAL.*persistent task tracking/, `reportBatchItemFailures with skipSaveTaskTrackingState must fail with a FATAL error`);
+
+  t.throws(() => configureDefaultDynamoDBStreamProcessing({}, {reportBatchItemFailures: true, taskTrackingTableName: ' '}, undefined, undefined, undefined, undefined, true),
+    /FATAL.*taskTrackingTableName/, `reportBatchItemFailures with a blank taskTrackingTableName must fail with a FATAL error`);
+
+  process.env.AWS_REGION = undefined;
+  process.env.STAGE = undefined;
+  t.end();
+});
+
+test('reportBatchItemFailuresIfIncomplete & toBatchItemFailures', t => {
+  setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
+
+  const context = {};
+  logging.configureDefaultLogging(context);
+  configureDefaultDynamoDBStreamProcessing(context, {reportBatchItemFailures: true}, undefined, undefined, undefined, undefined, true);
+
+  const eventSourceArn = samples.sampleDynamoDBEventSourceArn('us-west-1', 'TestTable_DEV');
+  const messages = samples.awsDynamoDBUpdateSampleEvent(eventSourceArn).Records.map(record => {
+    const message = {id: record.dynamodb.SequenceNumber, taskTracking: {}};
+    Object.defineProperty(message.taskTracking, 'record', {value: record, enumerable: false});
+    return message;
+  });
+
+  t.deepEqual(streamProcessing.toBatchItemFailures([], context), [], `no incomplete messages must have no batch item failures`);
+  t.deepEqual(streamProcessing.toBatchItemFailures([messages[2], messages[1]], context), [{itemIdentifier: '222'}],
+    `batch item failures must only report the earliest incomplete record`);
+  t.throws(() => streamProcessing.toBatchItemFailures([{taskTracking: {}}], context), /without a resolvable record sequence number/,
+    `incomplete message without a record must throw`);
+
+  // Kinesis records from multiple shards
+  const kinesisEventSourceArn = samples.sampleKinesisEventSourceArn('us-west-1', 'TestStream_DEV');
+  const kinesisMessages = ['shardId-000000000000', 'shardId-000000000000', 'shardId-000000000001', 'shardId-000000000001']
+    .map((shardId, i) => {
+      const record = samples.sampleKinesisRecord(`pk${i}`, {id: i}, kinesisEventSourceArn, 'us-west-1');
+      record.eventID = `${shardId}:${record.kinesis.sequenceNumber}`;
+      const message = {id: i, taskTracking: {}};
+      Object.defineProperty(message.taskTracking, 'record', {value: record, enumerable: false});
+      return message;
+    });
+  const kinesisSeqNos = kinesisMessages.map(m => m.taskTracking.record.kinesis.sequenceNumber);
+  t.deepEqual(streamProcessing.toBatchItemFailures([kinesisMessages[3], kinesisMessages[1], kinesisMessages[2]], context),
+    [{itemIdentifier: kinesisSeqNos[2]}, {itemIdentifier: kinesisSeqNos[1]}],
+    `Kinesis batch item failures must report the earliest incomplete record in each shard`);
+
+  reportBatchItemFailuresIfIncomplete(messages, [messages[2]], context)
+    .then(batchItemFailures => {
+      t.deepEqual(batchItemFailures, [{itemIdentifier: '333'}], `batch item failures must report the incomplete record`);
+      return reportBatchItemFailuresIfIncomplete(messages, [], context);
+    })
+    .then(batchItemFailures => {
+      t.deepEqual(batchItemFailures, [], `no incomplete messages must have no batch item failures`);
+      process.env.AWS_REGION = undefined;
+      process.env.STAGE = undefined;
+      t.end();
+    })
+    .catch(err => {
+      process.env.AWS_REGION = undefined;
+      process.env.STAGE = undefined;
+      t.end(err);
+    });
+});
+
+// =====================================================================================================================
+// Retry stream
+// =====================================================================================================================
+
+test('resubmitIncompleteMessagesToKinesis with retryStreamName must resubmit to the retry stream with a source stream marker', t => {
+  try {
+    setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
+
+    const eventSourceARN = samples.sampleKinesisEventSourceArn('eventSourceArnRegion', 'TestStream_DEV');
+    const record = samples.sampleKinesisRecord(undefined, undefined, eventSourceARN, 'eventAwsRegion');
+
+    const context = configureCompressionContext(undefined, {retryStreamName: 'RetryStream'}, record);
+    const retryStreamName = stages.toStageQualifiedStreamName('RetryStream', context.stage, context);
+    const message = sampleMessage();
+    message.taskTracking = {record: record};
+
+    t.equal(streamProcessing.getSourceStreamName(message, context), 'TestStream_DEV', `unmarked message source stream name must be its record's stream`);
+
+    resubmitIncompleteMessagesToKinesis([message], [message], context)
+      .then(() => {
+        const request = context.putRequests[0];
+        t.equal(request.StreamName, retryStreamName, `request StreamName must be the retry stream (${retryStreamName})`);
+        t.equal(request.PartitionKey, record.kinesis.partitionKey, `request PartitionKey must be the source partition key`);
+        t.notOk(message.taskTracking.sourceStreamName, `message must not be modified`);
+
+        // Consume the resubmitted message from the retry stream
+        const retryRecord = samples.sampleKinesisRecord(record.kinesis.partitionKey, new Buffer(request.Data, 'utf8').toString('base64'),
+          samples.sampleKinesisEventSourceArn('eventSourceArnRegion', retryStreamName), 'eventAwsRegion');
+        const retriedMessage = extractJsonMessageFromKinesisRecord(retryRecord, context);
+        t.equal(retriedMessage.taskTracking.sourceStreamName, 'TestStream_DEV', `retried message must carry its source stream marker`);
+        retriedMessage.taskTracking.record = retryRecord;
+        t.equal(streamProcessing.getSourceStreamName(retriedMessage, context), 'TestStream_DEV', `retried message source stream name must be the original source stream`);
+
+        // Resubmit it again, which must keep the original source stream marker
+        return resubmitIncompleteMessagesToKinesis([retriedMessage], [retriedMessage], context)
+          .then(() => {
+            const request2 = context.putRequests[1];
+            t.equal(request2.StreamName, retryStreamName, `2nd request StreamName must be the retry stream (${retryStreamName})`);
+            t.equal(JSON.parse(request2.Data).taskTracking.sourceStreamName, 'TestStream_DEV', `2nd request must keep the original source stream marker`);
+          });
+      })
+      .then(() => t.end())
+      .catch(err => {
+        t.fail(`resubmitIncompleteMessagesToKinesis expected no failure - error: ${err.stack}`);
+        t.end();
+      });
+
+  } finally {
+    process.env.AWS_REGION = undefined;
+    process.env.STAGE = undefined;
+  }
+});
+
+test('discardRejectedMessagesToDMQ & redrive of a message from the retry stream must redrive it to its original source stream', t => {
+  try {
+    setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
+
+    const redrive = require('../redrive');
+
+    // Receive a message with a source stream marker from the retry stream
+    const retryArn = samples.sampleKinesisEventSourceArn('eventSourceArnRegion', 'RetryStream_DEV');
+    const retryRecord = samples.sampleKinesisRecord(undefined, undefined, retryArn, 'eventAwsRegion');
+    const context = configureCompressionContext(undefined, {retryStreamName: 'RetryStream'}, retryRecord);
+    const message = sampleMessage();
+    message.taskTracking = {sourceStreamName: 'TestStream_DEV'};
+    Object.defineProperty(message.taskTracking, 'record', {value: retryRecord, enumerable: false});
+
+    t.equal(streamProcessing.getSourceStreamName(message, context), 'TestStream_DEV', `source stream name must be the original source stream`);
+
+    discardRejectedMessagesToDMQ([message], context)
+      .then(() => {
+        const dmqRequest = context.putRequests[0];
+        const envelope = JSON.parse(dmqRequest.Data);
+        t.equal(envelope.source.streamName, 'TestStream_DEV', `DMQ envelope source streamName must be the original source stream`);
+
+        // Redrive the DMQ entry as dumped by `aws kinesis get-records`
+        const entry = {Data: new Buffer(dmqRequest.Data, 'utf8').toString('base64')};
+        const redriveContext = {kinesis: context.kinesis};
+        logging.configureDefaultLogging(redriveContext);
+        return redrive.redrive([entry], {sourceStreamNames: ['TestStream_DEV']}, undefined, redriveContext);
+      })
+      .then(results => {
+        t.equal(results.length, 1, `must have selected & redriven 1 item`);
+        t.ok(results[0].redriven, `item must be redriven`);
+        const redriveRequest = context.putRequests[1];
+        t.equal(redriveRequest.StreamName, 'TestStream_DEV', `redrive request StreamName must be the original source stream`);
+        t.equal(JSON.parse(redriveRequest.Data).id, message.id, `redriven message must be the rejected message`);
+      })
+      .then(() => t.end())
+      .catch(err => {
+        t.fail(`discardRejectedMessagesToDMQ & redrive expected no failure - error: ${err.stack}`);
+        t.end();
+      });
+
+  } finally {
+    process.env.AWS_REGION = undefined;
+    process.env.STAGE = undefined;
+  }
+});
+
+test('resubmitIncompleteMessagesToKinesisByPartitionKey with retryStreamName must resubmit to the retry stream', t => {
+  try {
+    setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
+
+    const eventSourceARN = samples.sampleKinesisEventSourceArn('eventSourceArnRegion', 'TestStream_DEV');
+    const records = ['PK-A', 'PK-B'].map(pk => samples.sampleKinesisRecord(pk, undefined, eventSourceARN, 'eventAwsRegion'));
+
+    const context = configureCompressionContext(undefined, {retryStreamName: 'RetryStream'}, records[0]);
+    const retryStreamName = stages.toStageQualifiedStreamName('RetryStream', context.stage, context);
+    const messages = records.map(record => {
+      const message = sampleMessage();
+      message.taskTracking = {record: record};
+      return message;
+    });
+
+    resubmitIncompleteMessagesToKinesisByPartitionKey(messages, messages, context)
+      .then(outcomes => {
+        t.deepEqual(outcomes.map(o => o.message), messages, `every message must be resubmitted`);
+        t.ok(outcomes.every(o => o.resubmitted), `every outcome must be resubmitted`);
+        t.ok(context.putRequests.every(r => r.StreamName === retryStreamName), `every request must be put to the retry stream (${retryStreamName})`);
+        t.deepEqual(context.putRequests.map(r => JSON.parse(r.Data).taskTracking.sourceStreamName), ['TestStream_DEV', 'TestStream_DEV'],
+          `every request must carry its source stream marker`);
+        t.end();
+      })
+      .catch(err => {
+        t.fail(`resubmitIncompleteMessagesToKinesisByPartitionKey expected no failure - error: ${err.stack}`);
+        t.end();
+      });
+
+  } finally {
+    process.env.AWS_REGION = undefined;
+    process.env.STAGE = undefined;
+  }
+});
+
+test('discardRejectedMessagesToSQSDMQ with compression must send content-encoding enveloped bodies', t => {
+  try {
+    setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
+
+    const eventSourceARN = samples.sampleKinesisEventSourceArn('eventSourceArnRegion', 'TestStream_DEV');
+    const record = samples.sampleKinesisRecord(undefined, undefined, eventSourceARN, 'eventAwsRegion');
+    const message = sampleMessage();
+    message.taskTracking = {record: record};
+
+    const queueUrl = 'https://sqs.us-west-1.amazonaws.com/123456789012/MyDMQ';
+    const context = configureSQSContext(t, 'discardRejectedMessagesToSQSDMQ',
+      {deadLetterQueueType: 'sqs', deadMessageQueueUrl: queueUrl, compression: 'deflate'}, undefined, 0, false, [record]);
+
+    t.plan(3);
+    discardRejectedMessagesToSQSDMQ([message], context)
+      .then(() => {
+        const body = JSON.parse(context.sqs.sent[0].MessageBody);
+        t.equal(body.contentEncoding, 'deflate', `sent message body contentEncoding must be deflate`);
+        const rejectedMessage = JSON.parse(zlib.inflateSync(new Buffer(body.data, 'base64')).toString('utf8'));
+        t.deepEqual(rejectedMessage.message, JSON.parse(JSON.stringify(message)), `sent message body must decompress to the rejected message envelope`);
+      })
+      .catch(err => {
+        t.fail(`discardRejectedMessagesToSQSDMQ expected no failure - error: ${err.stack}`);
+      });
+
+  } finally {
+    process.env.AWS_REGION = undefined;
+    process.env.STAGE = undefined;
+  }
+});
+
+// =====================================================================================================================
+// SQS stream type
+// =====================================================================================================================
+
+function sqsMessage(record, i) {
+  const message = {id: i, taskTracking: {}};
+  Object.defineProperty(message.taskTracking, 'record', {value: record, enumerable: false});
+  return message;
+}
+
+test('configureDefaultSQSStreamProcessing & validateStreamProcessingConfiguration with SQS settings', t => {
+  try {
+    setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
+
+    const context = {};
+    configureDefaultSQSStreamProcessing(context, undefined, undefined, undefined, undefined, undefined, true);
+    t.equal(context.streamProcessing.streamType, SQS_STREAM_TYPE, `streamType must be ${SQS_STREAM_TYPE}`);
+    t.ok(streamProcessing.isSQSStreamType(context), `isSQSStreamType must be true`);
+    t.notOk(streamProcessing.isKinesisStreamType(context), `isKinesisStreamType must be false`);
+    t.equal(getExtractMessageFromRecordFunction(context), extractJsonMessageFromSQSRecord, `extractMessageFromRecord must be extractJsonMessageFromSQSRecord`);
+    t.equal(getLoadTaskTrackingStateFunction(context), loadTaskTrackingStateFromDynamoDB, `loadTaskTrackingState must be loadTaskTrackingStateFromDynamoDB`);
+    t.equal(getSaveTaskTrackingStateFunction(context), saveTaskTrackingStateToDynamoDB, `saveTaskTrackingState must be saveTaskTrackingStateToDynamoDB`);
+    t.equal(getHandleIncompleteMessagesFunction(context), changeVisibilityOfIncompleteSQSMessages, `handleIncompleteMessages must be changeVisibilityOfIncompleteSQSMessages`);
+    t.equal(getDiscardUnusableRecordsFunction(context), discardUnusableRecordsToDRQ, `discardUnusableRecords must be discardUnusableRecordsToDRQ`);
+    t.equal(getDiscardRejectedMessagesFunction(context), discardRejectedMessagesToDMQ, `discardRejectedMessages must be discardRejectedMessagesToDMQ`);
+    t.notOk(streamProcessing.isUnwrappingSNSNotifications(context), `default unwrapSNSNotifications must be false`);
+    t.equal(streamProcessing.getVisibilityTimeoutInSeconds(context), 30, `default visibilityTimeoutInSeconds must be 30`);
+
+    configureDefaultSQSStreamProcessing(context, {reportBatchItemFailures: true, unwrapSNSNotifications: true, visibilityTimeoutInSeconds: 0}, undefined, undefined, undefined, undefined, true);
+    t.equal(getHandleIncompleteMessagesFunction(context), reportBatchItemFailuresIfIncomplete, `handleIncompleteMessages must be reportBatchItemFailuresIfIncomplete`);
+    t.ok(streamProcessing.isUnwrappingSNSNotifications(context), `unwrapSNSNotifications must be true`);
+    t.equal(streamProcessing.getVisibilityTimeoutInSeconds(context), 0, `visibilityTimeoutInSeconds must be 0`);
+
+    const sqsDeadLetterQueueSettings = getDefaultSQSStreamProcessingSettings({deadLetterQueueType: 'sqs'});
+    t.equal(sqsDeadLetterQueueSettings.discardUnusableRecords, discardUnusableRecordsToSQSDRQ, `SQS discardUnusableRecords must be discardUnusableRecordsToSQSDRQ`);
+    t.equal(sqsDeadLetterQueueSettings.discardRejectedMessages, discardRejectedMessagesToSQSDMQ, `SQS discardRejectedMessages must be discardRejectedMessagesToSQSDMQ`);
+
+    // configureStreamProcessing must select the SQS defaults for an SQS streamType
+    const context2 = {};
+    configureStreamProcessing(context2, undefined, {streamType: SQS_STREAM_TYPE}, undefined, undefined, undefined, undefined, true);
+    t.equal(getExtractMessageFromRecordFunction(context2), extractJsonMessageFromSQSRecord, `configureStreamProcessing extractMessageFromRecord must be extractJsonMessageFromSQSRecord`);
+
+    t.throws(() => configureDefaultSQSStreamProcessing({}, {unwrapSNSNotifications: 'true'}, undefined, undefined, undefined, undefined, true),
+      /FATAL/, `unwrapSNSNotifications of 'true' must fail with a FATAL error`);
+    t.throws(() => configureDefaultSQSStreamProcessing({}, {visibilityTimeoutInSeconds: -1}, undefined, undefined, undefined, undefined, true),
+      /FATAL/, `visibilityTimeoutInSeconds of -1 must fail with a FATAL error`);
+    t.throws(() => configureDefaultSQSStreamProcessing({}, {visibilityTimeoutInSeconds: 43201}, undefined, undefined, undefined, undefined, true),
+      /FATAL/, `visibilityTimeoutInSeconds of 43201 must fail with a FATAL error`);
+    t.throws(() => configureDefaultSQSStreamProcessing({}, {visibilityTimeoutInSeconds: 1.5}, undefined, undefined, undefined, undefined, true),
+      /FATAL/, `visibilityTimeoutInSeconds of 1.5 must fail with a FATAL error`);
+
+  } finally {
+    process.env.AWS_REGION = undefined;
+    process.env.STAGE = undefined;
+  }
+  t.end();
+});
+
+test('extractJsonMessageFromSQSRecord', t => {
+  try {
+    setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
+
+    const context = {};
+    logging.configureDefaultLogging(context);
+    configureDefaultSQSStreamProcessing(context, undefined, undefined, undefined, undefined, undefined, true);
+
+    const eventSourceARN = samples.sampleSQSEventSourceArn('us-west-1', 'TestQueue_DEV');
+    const msg = sampleMessage();
+    const json = JSON.stringify(msg);
+
+    t.deepEqual(extractJsonMessageFromSQSRecord(samples.sampleSQSRecord(msg, eventSourceARN, 'us-west-1'), context), msg,
+      'JSON message must match original');
+
+    const envelope = {contentEncoding: 'gzip', data: zlib.gzipSync(json).toString('base64')};
+    t.deepEqual(extractJsonMessageFromSQSRecord(samples.sampleSQSRecord(envelope, eventSourceARN, 'us-west-1'), context), msg,
+      'content-encoding enveloped JSON message must match original');
+
+    const notification = samples.sampleSNSNotification(msg);
+    const snsRecord = samples.sampleSQSRecord(notification, eventSourceARN, 'us-west-1');
+    t.deepEqual(extractJsonMessageFromSQSRecord(snsRecord, context), notification,
+      'SNS notification must NOT be unwrapped if not unwrapSNSNotifications');
+
+    configureDefaultSQSStreamProcessing(context, {unwrapSNSNotifications: true}, undefined, undefined, undefined, undefined, true);
+    t.deepEqual(extractJsonMessageFromSQSRecord(snsRecord, context), msg, 'SNS notification must be unwrapped if unwrapSNSNotifications');
+
+    const snsEnvelopeRecord = samples.sampleSQSRecord(samples.sampleSNSNotification(envelope), eventSourceARN, 'us-west-1');
+    t.deepEqual(extractJsonMessageFromSQSRecord(snsEnvelopeRecord, context), msg,
+      'content-encoding enveloped JSON message in SNS notification must match original');
+
+    const lookalike = {Type: 'Notification', Message: json};
+    t.deepEqual(extractJsonMessageFromSQSRecord(samples.sampleSQSRecord(lookalike, eventSourceARN, 'us-west-1'), context), lookalike,
+      'message without a TopicArn must not be unwrapped');
+
+    t.throws(() => extractJsonMessageFromSQSRecord(samples.sampleSQSRecord('{not json', eventSourceARN, 'us-west-1'), context),
+      Error, `non-JSON body must throw an error`);
+    t.throws(() => extractJsonMessageFromSQSRecord(samples.sampleSQSRecord(samples.sampleSNSNotification('{not json'), eventSourceARN, 'us-west-1'), context),
+      Error, `SNS notification with a non-JSON Message must throw an error`);
+
+  } finally {
+    process.env.AWS_REGION = undefined;
+    process.env.STAGE = undefined;
+  }
+  t.end();
+});
+
+test('validateSQSEventRecord & getSQSEventSourceQueueName', t => {
+  const eventSourceARN = samples.sampleSQSEventSourceArn('us-west-1', 'TestQueue_DEV');
+  const record = samples.sampleSQSRecord(undefined, eventSourceARN, 'us-west-1');
+
+  t.doesNotThrow(() => streamProcessing.validateSQSEventRecord(record), `valid SQS record must not throw`);
+  t.equal(streamProcessing.getSQSEventSourceQueueName(record), 'TestQueue_DEV', `queue name must be TestQueue_DEV`);
+
+  t.throws(() => streamProcessing.validateSQSEventRecord(undefined), Error, `undefined record must throw`);
+  t.throws(() => streamProcessing.validateSQSEventRecord(samples.sampleKinesisRecord(undefined, undefined, eventSourceARN, 'us-west-1')),
+    /Unexpected eventSource/, `Kinesis record must throw`);
+  t.throws(() => streamProcessing.validateSQSEventRecord(samples.sampleSQSRecord(undefined, undefined, 'us-west-1')), Error,
+    `record without an eventSourceARN must throw`);
+  t.throws(() => streamProcessing.validateSQSEventRecord(Object.assign({}, record, {messageId: ''})), Error,
+    `record without a messageId must throw`);
+  t.throws(() => streamProcessing.validateSQSEventRecord(Object.assign({}, record, {body: undefined})), Error,
+    `record without a body must throw`);
+  t.end();
+});
+
+test('discardUnusableRecordsToDRQ & discardRejectedMessagesToDMQ with SQS records', t => {
+  try {
+    setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
+
+    const kinesis = dummyKinesis(t, 'discardUnusableRecordsToDRQ', undefined);
+    const requests = [];
+    const putRecords = kinesis.putRecords;
+    kinesis.putRecords = request => {
+      requests.push(request);
+      return putRecords(request);
+    };
+    const context = {kinesis: kinesis};
+    logging.configureDefaultLogging(context);
+    configureDefaultSQSStreamProcessing(context, undefined, undefined, undefined, undefined, undefined, true);
+
+    const eventSourceARN = samples.sampleSQSEventSourceArn('us-west-1', 'TestQueue_DEV.fifo');
+    const record1 = samples.sampleSQSRecord('{not json', eventSourceARN, 'us-west-1');
+    const record2 = samples.sampleSQSRecord(undefined, eventSourceARN, 'us-west-1', 'group1');
+    const message = sqsMessage(record2, 2);
+
+    t.plan(8);
+    discardUnusableRecordsToDRQ([record1], context)
+      .then(results => {
+        t.equal(results.length, 1, `discardUnusableRecordsToDRQ results (${results.length}) must be 1`);
+        const entry = requests[0].Records[0];
+        t.equal(entry.PartitionKey, `TestQueue_DEV.fifo|${record1.messageId}`, `DRQ PartitionKey must be the queue name & message ID`);
+        t.deepEqual(JSON.parse(entry.Data), record1, `DRQ Data must be the unusable record`);
+        return discardRejectedMessagesToDMQ([message], context);
+      })
+      .then(results => {
+        t.equal(results.length, 1, `discardRejectedMessagesToDMQ results (${results.length}) must be 1`);
+        const entry = requests[1].Records[0];
+        t.equal(entry.PartitionKey, 'TestQueue_DEV.fifo|group1', `DMQ PartitionKey must be the queue name & message group ID`);
+        const envelope = JSON.parse(entry.Data);
+        t.deepEqual(envelope.source, {eventSource: 'aws:sqs', streamName: 'TestQueue_DEV.fifo', partitionKeyOrKeys: 'group1',
+          sequenceNumber: record2.attributes.SequenceNumber, messageId: record2.messageId}, `DMQ envelope source must identify the SQS message`);
+      })
+      .catch(err => {
+        t.fail(`discardUnusableRecordsToDRQ & discardRejectedMessagesToDMQ expected no failure - error: ${err.stack}`);
+      });
+
+  } finally {
+    process.env.AWS_REGION = undefined;
+    process.env.STAGE = undefined;
+  }
+});
+
+test('toBatchItemFailures with SQS records', t => {
+  setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
+
+  const context = {};
+  logging.configureDefaultLogging(context);
+  configureDefaultSQSStreamProcessing(context, {reportBatchItemFailures: true}, undefined, undefined, undefined, undefined, true);
+
+  const eventSourceARN = samples.sampleSQSEventSourceArn('us-west-1', 'TestQueue_DEV.fifo');
+  const records = [1, 1, 2].map(g => samples.sampleSQSRecord(undefined, eventSourceARN, 'us-west-1', `group${g}`));
+  const messages = records.map(sqsMessage);
+
+  t.deepEqual(streamProcessing.toBatchItemFailures([messages[2], messages[1]], context),
+    [{itemIdentifier: records[2].messageId}, {itemIdentifier: records[1].messageId}],
+    `SQS batch item failures must report every incomplete record's message ID`);
+  t.deepEqual(streamProcessing.toBatchItemFailures([messages[1], messages[1]], context),
+    [{itemIdentifier: records[1].messageId}], `SQS batch item failures must not report the same record twice`);
+
+  process.env.AWS_REGION = undefined;
+  process.env.STAGE = undefined;
+  t.end();
+});
+
+test('changeVisibilityOfIncompleteSQSMessages', t => {
+  setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
+
+  const context = {sqs: dummySQS(t, 'changeVisibilityOfIncompleteSQSMessages')};
+  logging.configureDefaultLogging(context);
+  configureDefaultSQSStreamProcessing(context, {visibilityTimeoutInSeconds: 120}, undefined, undefined, undefined, undefined, true);
+
+  const eventSourceARN = samples.sampleSQSEventSourceArn('us-west-1', 'TestQueue_DEV');
+  const queueUrl = `https://sqs.us-west-1.amazonaws.com/${samples.sampleAwsAccountId}/TestQueue_DEV`;
+  const records = [];
+  for (let i = 0; i < 13; ++i) {
+    records.push(samples.sampleSQSRecord({id: i}, eventSourceARN, 'us-west-1'));
+  }
+  const messages = records.map(sqsMessage);
+  const incompleteMessages = [messages[3], messages[7]];
+
+  changeVisibilityOfIncompleteSQSMessages(messages, [], context)
+    .then(results => {
+      t.deepEqual(results, [], `no incomplete messages must resolve`);
+      t.equal(context.sqs.changed.length, 0, `no incomplete messages must not change any visibility timeouts`);
+      t.equal(context.sqs.deleted.length, 0, `no incomplete messages must not delete any messages`);
+      return changeVisibilityOfIncompleteSQSMessages(messages, incompleteMessages, context);
+    })
+    .then(
+      () => t.fail(`changeVisibilityOfIncompleteSQSMessages with incomplete messages must fail the batch`),
+      err => {
+        t.ok(/Triggering failure of batch/.test(err.message), `incomplete messages must fail the batch (${err.message})`);
+        const changed = context.sqs.changed;
+        t.deepEqual(changed.map(e => e.ReceiptHandle), [records[3].receiptHandle, records[7].receiptHandle],
+          `visibility timeouts of the incomplete messages must be changed`);
+        t.ok(changed.every(e => e.VisibilityTimeout === 120 && e.QueueUrl === queueUrl), `visibility timeouts must be changed to 120 on ${queueUrl}`);
+        const deleted = context.sqs.deleted;
+        t.equal(deleted.length, 11, `11 completed messages must be deleted`);
+        t.ok(deleted.every(e => e.ReceiptHandle !== records[3].receiptHandle && e.ReceiptHandle !== records[7].receiptHandle),
+          `incomplete messages must not be deleted`);
+      })
+    .then(() => {
+      // Failures to change visibility or to delete must still fail the batch
+      context.sqs = dummySQS(t, 'changeVisibilityOfIncompleteSQSMessages', new Error('Simulated SQS failure'));
+      return changeVisibilityOfIncompleteSQSMessages(messages, incompleteMessages, context);
+    })
+    .then(
+      () => t.fail(`changeVisibilityOfIncompleteSQSMessages with SQS failures must fail the batch`),
+      err => t.ok(/changed the visibility timeout of 0 SQS messages/.test(err.message), `SQS failures must still fail the batch (${err.message})`))
+    .then(() => {
+      process.env.AWS_REGION = undefined;
+      process.env.STAGE = undefined;
+      t.end();
+    })
+    .catch(err => {
+      process.env.AWS_REGION = undefined;
+      process.env.STAGE = undefined;
+      t.end(err);
+    });
+});
+
+test('changeVisibilityOfIncompleteSQSMessages must use the SQS endpoint domain of the source queue\'s partition', t => {
+  setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
+
+  const context = {sqs: dummySQS(t, 'changeVisibilityOfIncompleteSQSMessages')};
+  logging.configureDefaultLogging(context);
+  configureDefaultSQSStreamProcessing(context, {visibilityTimeoutInSeconds: 120}, undefined, undefined, undefined, undefined, true);
+
+  const accountId = samples.sampleAwsAccountId;
+  const records = [
+    samples.sampleSQSRecord({id: 1}, `arn:aws-cn:sqs:cn-north-1:${accountId}:TestQueue_DEV`, 'cn-north-1'),
+    samples.sampleSQSRecord({id: 2}, `arn:aws-us-gov:sqs:us-gov-west-1:${accountId}:TestQueue_DEV`, 'us-gov-west-1'),
+    samples.sampleSQSRecord({id: 3}, `arn:aws:sqs:us-west-1:${accountId}:TestQueue_DEV`, 'us-west-1')
+  ];
+  const messages = records.map(sqsMessage);
+
+  changeVisibilityOfIncompleteSQSMessages(messages, messages, context)
+    .then(
+      () => t.fail(`changeVisibilityOfIncompleteSQSMessages with incomplete messages must fail the batch`),
+      () => {
+        const queueUrlsByReceiptHandle = {};
+        context.sqs.changed.forEach(e => queueUrlsByReceiptHandle[e.ReceiptHandle] = e.QueueUrl);
+        t.deepEqual(records.map(r => queueUrlsByReceiptHandle[r.receiptHandle]), [
+          `https://sqs.cn-north-1.amazonaws.com.cn/${accountId}/TestQueue_DEV`,
+          `https://sqs.us-gov-west-1.amazonaws.com/${accountId}/TestQueue_DEV`,
+          `https://sqs.us-west-1.amazonaws.com/${accountId}/TestQueue_DEV`
+        ], `queue URLs must use the SQS endpoint domain of each queue's partition`);
+      })
+    .then(() => {
+      process.env.AWS_REGION = undefined;
+      process.env.STAGE = undefined;
+      t.end();
+    })
+    .catch(err => {
+      process.env.AWS_REGION = undefined;
+      process.env.STAGE = undefined;
+      t.end(err);
+    });
+});
+
+// =====================================================================================================================
+// Firehose stream type
+// =====================================================================================================================
+
+function firehoseMessage(record, i) {
+  const message = {id: i, taskTracking: {}};
+  Object.defineProperty(message.taskTracking, 'record', {value: record, enumerable: false});
+  return message;
+}
+
+test('configureDefaultFirehoseStreamProcessing', t => {
+  try {
+    setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
+
+    const context = {};
+    configureDefaultFirehoseStreamProcessing(context, undefined, undefined, undefined, undefined, undefined, true);
+    t.equal(context.streamProcessing.streamType, FIREHOSE_STREAM_TYPE, `streamType must be ${FIREHOSE_STREAM_TYPE}`);
+    t.ok(streamProcessing.isFirehoseStreamType(context), `isFirehoseStreamType must be true`);
+    t.equal(getExtractMessageFromRecordFunction(context), extractJsonMessageFromFirehoseRecord, `extractMessageFromRecord must be extractJsonMessageFromFirehoseRecord`);
+    t.equal(getLoadTaskTrackingStateFunction(context), skipLoadTaskTrackingState, `loadTaskTrackingState must be skipLoadTaskTrackingState`);
+    t.equal(getSaveTaskTrackingStateFunction(context), skipSaveTaskTrackingState, `saveTaskTrackingState must be skipSaveTaskTrackingState`);
+    t.equal(getHandleIncompleteMessagesFunction(context), reportIncompleteFirehoseRecordsAsProcessingFailed, `handleIncompleteMessages must be reportIncompleteFirehoseRecordsAsProcessingFailed`);
+    t.equal(getDiscardUnusableRecordsFunction(context), discardUnusableRecordsToDRQ, `discardUnusableRecords must be discardUnusableRecordsToDRQ`);
+    t.equal(getDiscardRejectedMessagesFunction(context), discardRejectedMessagesToDMQ, `discardRejectedMessages must be discardRejectedMessagesToDMQ`);
+
+    // configureStreamProcessing must select the Firehose defaults for a Firehose streamType
+    const context2 = {};
+    configureStreamProcessing(context2, undefined, {streamType: FIREHOSE_STREAM_TYPE}, undefined, undefined, undefined, undefined, true);
+    t.equal(getExtractMessageFromRecordFunction(context2), extractJsonMessageFromFirehoseRecord, `configureStreamProcessing extractMessageFromRecord must be extractJsonMessageFromFirehoseRecord`);
+
+    t.throws(() => configureDefaultFirehoseStreamProcessing({}, {reportBatchItemFailures: true}, undefined, undefined, undefined, undefined, true),
+      /FATAL/, `reportBatchItemFailures must fail with a FATAL error`);
+    t.throws(() => configureDefaultFirehoseStreamProcessing({}, {idempotencyEnabled: true}, undefined, undefined, undefined, undefined, true),
+      /FATAL/, `idempotencyEnabled must fail with a FATAL error`);
+
+  } finally {
+    process.env.AWS_REGION = undefined;
+    process.env.STAGE = undefined;
+  }
+  t.end();
+});
+
+test('extractJsonMessageFromFirehoseRecord, validateFirehoseRecord & getFirehoseDeliveryStreamName', t => {
+  try {
+    setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
+
+    const context = {};
+    logging.configureDefaultLogging(context);
+    configureDefaultFirehoseStreamProcessing(context, undefined, undefined, undefined, undefined, undefined, true);
+
+    const msg = sampleMessage();
+    const record = samples.sampleFirehoseRecord(msg);
+    t.deepEqual(extractJsonMessageFromFirehoseRecord(record, context), msg, 'JSON message must match original');
+
+    const gzipRecord = samples.sampleFirehoseRecord(zlib.gzipSync(JSON.stringify(msg)).toString('base64'));
+    t.deepEqual(extractJsonMessageFromFirehoseRecord(gzipRecord, context), msg, 'gzip compressed JSON message must match original');
+
+    const badRecord = samples.sampleFirehoseRecord(new Buffer('{not json').toString('base64'));
+    t.throws(() => extractJsonMessageFromFirehoseRecord(badRecord, context), Error, `non-JSON data must throw an error`);
+
+    t.doesNotThrow(() => streamProcessing.validateFirehoseRecord(record), `valid Firehose record must not throw`);
+    t.throws(() => streamProcessing.validateFirehoseRecord(undefined), Error, `undefined record must throw`);
+    t.throws(() => streamProcessing.validateFirehoseRecord({data: record.data}), /recordId/, `record without a recordId must throw`);
+    t.throws(() => streamProcessing.validateFirehoseRecord({recordId: '1'}), /data/, `record without data must throw`);
+
+    t.equal(streamProcessing.getFirehoseDeliveryStreamName(context), '', `delivery stream name without an event must be empty`);
+    context.event = samples.sampleFirehoseEvent(samples.sampleFirehoseDeliveryStreamArn('us-west-1', 'TestDeliveryStream_DEV'), [record]);
+    t.equal(streamProcessing.getFirehoseDeliveryStreamName(context), 'TestDeliveryStream_DEV', `delivery stream name must be TestDeliveryStream_DEV`);
+
+    const message = firehoseMessage(record, 1);
+    t.equal(toMessageIdFromSourceStreamAndSequenceNumber(message, record, context), `TestDeliveryStream_DEV|${record.recordId}`,
+      `message ID must be the delivery stream name & record ID`);
+    t.equal(streamProcessing.getSourceStreamName(message, context), 'TestDeliveryStream_DEV', `source stream name must be TestDeliveryStream_DEV`);
+
+  } finally {
+    process.env.AWS_REGION = undefined;
+    process.env.STAGE = undefined;
+  }
+  t.end();
+});
+
+test('discardUnusableRecordsToDRQ & discardRejectedMessagesToDMQ with Firehose records', t => {
+  try {
+    setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
+
+    const kinesis = dummyKinesis(t, 'discardUnusableRecordsToDRQ', undefined);
+    const requests = [];
+    const putRecords = kinesis.putRecords;
+    kinesis.putRecords = request => {
+      requests.push(request);
+      return putRecords(request);
+    };
+    const context = {kinesis: kinesis};
+    logging.configureDefaultLogging(context);
+    configureDefaultFirehoseStreamProcessing(context, undefined, undefined, undefined, undefined, undefined, true);
+
+    const record1 = samples.sampleFirehoseRecord(new Buffer('{not json').toString('base64'));
+    const record2 = samples.sampleFirehoseRecord({id: 2});
+    context.event = samples.sampleFirehoseEvent(samples.sampleFirehoseDeliveryStreamArn('us-west-1', 'TestDeliveryStream_DEV'), [record1, record2]);
+    const message = firehoseMessage(record2, 2);
+
+    t.plan(7);
+    discardUnusableRecordsToDRQ([record1], context)
+      .then(results => {
+        t.equal(results.length, 1, `discardUnusableRecordsToDRQ results (${results.length}) must be 1`);
+        const entry = requests[0].Records[0];
+        t.equal(entry.PartitionKey, `TestDeliveryStream_DEV|${record1.recordId}`, `DRQ PartitionKey must be the delivery stream name & record ID`);
+        t.deepEqual(JSON.parse(entry.Data), record1, `DRQ Data must be the unusable record`);
+        return discardRejectedMessagesToDMQ([message], context);
+      })
+      .then(results => {
+        t.equal(results.length, 1, `discardRejectedMessagesToDMQ results (${results.length}) must be 1`);
+        const envelope = JSON.parse(requests[1].Records[0].Data);
+        t.deepEqual(envelope.source, {eventSource: 'aws:firehose', streamName: 'TestDeliveryStream_DEV', partitionKeyOrKeys: '',
+          sequenceNumber: '', recordId: record2.recordId}, `DMQ envelope source must identify the Firehose record`);
+      })
+      .catch(err => {
+        t.fail(`discardUnusableRecordsToDRQ & discardRejectedMessagesToDMQ expected no failure - error: ${err.stack}`);
+      });
+
+  } finally {
+    process.env.AWS_REGION = undefined;
+    process.env.STAGE = undefined;
+  }
+});
+
+test('reportIncompleteFirehoseRecordsAsProcessingFailed', t => {
+  setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
+
+  const context = {};
+  logging.configureDefaultLogging(context);
+  configureDefaultFirehoseStreamProcessing(context, undefined, undefined, undefined, undefined, undefined, true);
+  const warnings = [];
+  context.warn = msg => warnings.push(msg);
+
+  const records = [1, 2, 3].map(i => samples.sampleFirehoseRecord({id: i}));
+  const messages = records.map(firehoseMessage);
+  // A 2nd message extracted from the 2nd record
+  messages.push(firehoseMessage(records[1], 4));
+
+  reportIncompleteFirehoseRecordsAsProcessingFailed(messages, [], context)
+    .then(results => {
+      t.deepEqual(results, [], `no incomplete messages must have no results`);
+      return reportIncompleteFirehoseRecordsAsProcessingFailed(messages, [messages[1], messages[3], messages[2]], context);
+    })
+    .then(results => {
+      t.deepEqual(results, [], `incomplete messages must have no results, since the handler's response reports their records`);
+      t.ok(warnings.some(msg => /Reporting 2 Firehose records as ProcessingFailed/.test(msg)),
+        `every record with an incomplete message must be logged once as ProcessingFailed`);
+      process.env.AWS_REGION = undefined;
+      process.env.STAGE = undefined;
+      t.end();
+    })
+    .catch(err => {
+      process.env.AWS_REGION = undefined;
+      process.env.STAGE = undefined;
+      t.end(err);
+    });
+});
+
+// =====================================================================================================================
+// Auto stream type
+// =====================================================================================================================
+
+test('resolveEventStreamType', t => {
+  const region = 'us-west-1';
+  const kinesisEvent = sampleAwsEvent('TestStream_DEV2', 'partitionKey', '', false);
+  const sqsRecord = samples.sampleSQSRecord({id: 1}, samples.sampleSQSEventSourceArn(region, 'TestQueue_DEV2'), region);
+
+  t.equal(streamProcessing.resolveEventStreamType(undefined), undefined, `undefined event must resolve to undefined`);
+  t.equal(streamProcessing.resolveEventStreamType({}), undefined, `event without records must resolve to undefined`);
+  t.equal(streamProcessing.resolveEventStreamType(kinesisEvent), KINESIS_STREAM_TYPE, `Kinesis event must resolve to ${KINESIS_STREAM_TYPE}`);
+  t.equal(streamProcessing.resolveEventStreamType(samples.awsDynamoDBUpdateSampleEvent(samples.sampleDynamoDBEventSourceArn(region, 'TestTable_DEV2'))),
+    DYNAMODB_STREAM_TYPE, `DynamoDB stream event must resolve to ${DYNAMODB_STREAM_TYPE}`);
+  t.equal(streamProcessing.resolveEventStreamType({Records: [{}, sqsRecord, undefined]}), SQS_STREAM_TYPE,
+    `SQS event with records without event sources must resolve to ${SQS_STREAM_TYPE}`);
+  t.equal(streamProcessing.resolveEventStreamType(samples.sampleFirehoseEvent(samples.sampleFirehoseDeliveryStreamArn(region, 'TestDeliveryStream_DEV2'), [])),
+    FIREHOSE_STREAM_TYPE, `Firehose event must resolve to ${FIREHOSE_STREAM_TYPE}`);
+
+  t.throws(() => streamProcessing.resolveEventStreamType({Records: kinesisEvent.Records.concat([sqsRecord])}), /mixed event sources/,
+    `mixed event must throw an error`);
+  t.throws(() => streamProcessing.resolveEventStreamType({Records: [{eventSource: 'aws:s3'}]}), /unsupported event source/,
+    `unsupported event source must throw an error`);
+  t.end();
+});
+
+test('configureStreamProcessing with an "auto" stream type', t => {
+  try {
+    setRegionStageAndDeleteCachedInstances('us-west-1', "dev99");
+
+    // Settings with an "auto" stream type must be merged with the defaults of the event's stream type
+    const extractMessageFromRecord = (record, context) => record;
+    const event = samples.awsDynamoDBUpdateSampleEvent(samples.sampleDynamoDBEventSourceArn('us-west-1', 'TestTable_DEV2'));
+    const settings = {streamType: AUTO_STREAM_TYPE, extractMessageFromRecord: extractMessageFromRecord};
+    const context = {};
+    configureStreamProcessing(context, settings, undefined, undefined, undefined, event, undefined, true);
+    t.equal(context.streamProcessing.streamType, DYNAMODB_STREAM_TYPE, `streamType must be ${DYNAMODB_STREAM_TYPE}`);
+    t.equal(getExtractMessageFromRecordFunction(context), extractMessageFromRecord, `extractMessageFromRecord must be the given function`);
+    t.equal(getLoadTaskTrackingStateFunction(context), loadTaskTrackingStateFromDynamoDB, `loadTaskTrackingState must be loadTaskTrackingStateFromDynamoDB`);
+    t.equal(settings.streamType, AUTO_STREAM_TYPE, `given settings streamType must still be ${AUTO_STREAM_TYPE}`);
+
+    // Options with an "auto" stream type, but without an event must defer the configuration of stream processing
+    const context2 = {};
+    configureStreamProcessing(context2, undefined, {streamType: 'Auto'}, undefined, undefined, undefined, undefined, true);
+    t.notOk(isStreamProcessingConfigured(context2), `auto stream type without an event must not configure stream processing`);
+    t.ok(logging.isLoggingConfigured(context2), `auto stream type without an event must still configure the standard context`);
+
+    // ... until it is configured with an event
+    configureStreamProcessing(context2, undefined, {streamType: 'Auto'}, undefined, undefined, event, undefined, false);
+    t.equal(context2.streamProcessing.streamType, DYNAMODB_STREAM_TYPE, `deferred streamType must be ${DYNAMODB_STREAM_TYPE}`);
+
+    // An already configured context with an "auto" stream type, but without an event must be left as is
+    const configured = context2.streamProcessing;
+    configureStreamProcessing(context2, undefined, {streamType: AUTO_STREAM_TYPE}, undefined, undefined, undefined, undefined, false);
+    t.equal(context2.streamProcessing, configured, `already configured stream processing without an event must be left as is`);
+
+    // ... even with an event of another stream type, which configureStreamConsumer rejects via validateEventStreamType
+    const kinesisEvent = samples.sampleKinesisEventWithRecords([samples.sampleKinesisRecord(undefined, undefined,
+      samples.sampleKinesisEventSourceArn('us-west-1', 'TestStream_DEV2'), 'us-west-1')]);
+    configureStreamProcessing(context2, undefined, {streamType: AUTO_STREAM_TYPE}, undefined, undefined, kinesisEvent, undefined, false);
+    t.equal(context2.streamProcessing, configured, `already configured stream processing must not be re-configured`);
+
+    // Options with an "auto" stream type and an event without any records with event sources must fail fast
+    t.throws(() => configureStreamProcessing({}, undefined, {streamType: 'Auto'}, undefined, undefined, {Records: []}, undefined, true),
+      /FATAL - Cannot auto-detect the stream type/, `auto stream type with an event without records must fail`);
+
+  } finally {
+    process.env.AWS_REGION = undefined;
+    process.env.STAGE = undefined;
+  }
+  t.end();
+});
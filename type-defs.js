@@ -34,9 +34,10 @@
  *
  * @typedef {StreamProcessingOptions} StreamProcessingSettings
  *
- * @property {function(record: Record, context: StreamConsumerContext): Message} extractMessageFromRecord - a synchronous function that
- * will be used to extract a message from a given stream event record, which must accept a record and the given context
- * as arguments and return the extracted message or throw an exception if a message cannot be extracted from the record
+ * @property {function(record: Record, context: StreamConsumerContext): (Message|Message[])} extractMessageFromRecord - a synchronous function that
+ * will be used to extract a message (or an array of messages) from a given stream event record, which must accept a
+ * record and the given context as arguments and return the extracted message (or messages) or throw an exception if a
+ * message cannot be extracted from the record
  *
  * @property {function(messages: Message[], context: StreamConsumerContext): Promise.<Message[]>} loadTaskTrackingState - a function that will
  * be used to load the task tracking state of the entire batch of messages and that must accept: an array of the entire
@@ -57,13 +58,28 @@
  * @property {function(rejectedMessages: Message[], context: StreamConsumerContext): Promise} discardRejectedMessages - a function that
  * will be used to discard any rejected messages and that must accept an array of rejected messages and the context and
  * ideally return a promise
+ *
+ * @property {function(message: Message, record: Record, context: StreamConsumerContext): (string|undefined)} [extractMessageId] -
+ * a synchronous function that will be used (only if idempotencyEnabled) to resolve the unique ID of a message, which
+ * must accept a message, the record from which it was extracted and the context and return the message's ID (or
+ * undefined if it has no resolvable ID)
+ *
+ * @property {function(messageIds: string[], taskNames: string[], context: StreamConsumerContext): Promise.<Object.<string, string[]>>} [loadSucceededTaskNames] -
+ * a function that will be used (only if idempotencyEnabled) to load the names of the processOne tasks that previously
+ * succeeded for the given message IDs and that must return a promise of an object of succeeded task names keyed by
+ * message ID
+ *
+ * @property {function(messageId: string, taskName: string, context: StreamConsumerContext): Promise.<boolean>} [saveSucceededTaskName] -
+ * a function that will be used (only if idempotencyEnabled) to record that the named processOne task succeeded for the
+ * identified message and ideally return a promise
  */
 
 /**
  * Stream processing options which configure ONLY the property (i.e. non-function) settings of an AWS stream consumer
  * and are a subset of the full StreamProcessingSettings.
  * @typedef {Object} StreamProcessingOptions
- * @property {string} streamType - the type of stream being processed - valid values are "kinesis" or "dynamodb"
+ * @property {string} streamType - the type of stream being processed - valid values are "kinesis", "dynamodb", "sqs",
+ * "firehose" or "auto" (to resolve the stream type from the event sources of each event's records)
  * @property {string} taskTrackingName - the name of the task tracking object property on each message, which has or
  * will be assigned two properties: a 'ones' object property; and an 'alls' object property. The 'ones' property is a
  * map of all of the processOne tasks (i.e. the tasks for processing a single message at a time) keyed by task name.
@@ -71,13 +87,81 @@
  * were received in a batch from an AWS stream) keyed by task name
  * @property {number} timeoutAtPercentageOfRemainingTime - the percentage of the remaining time at which to timeout
  * processing (expressed as a number between 0.0 and 1.0, e.g. 0.9 would mean timeout at 90% of the remaining time)
+ * @property {number|undefined} [loadingTimeoutAtPercentageOfRemainingTime] - the percentage of the remaining time at
+ * which to timeout loading of the task tracking state of the entire batch of messages (expressed as a number between 0.0
+ * and 1.0), which defaults to timeoutAtPercentageOfRemainingTime if not configured
+ * @property {number|undefined} [finalisingTimeoutMs] - the maximum number of milliseconds that the finalising phase (i.e.
+ * saving task tracking state, handling incomplete messages and discarding unusable records and rejected messages) is
+ * allowed to take (defaults to 500 ms)
+ * @property {number|undefined} [finalisingReserveMs] - the number of milliseconds of the remaining time to always leave
+ * for the finalising phase, by timing out the processing phase earlier if necessary (defaults to finalisingTimeoutMs)
+ * @property {number|undefined} [maxConcurrency] - the maximum number of processOne task executions that are allowed to
+ * run concurrently across the batch of messages (defaults to unbounded). Any processOne tasks that are still queued when
+ * the processing phase times out are never started and are left incomplete
+ * @property {boolean|undefined} [orderedProcessing] - whether or not to execute the processOne tasks of messages that
+ * share the same Kinesis partition key or DynamoDB item key sequentially in sequence number order and to hold back all
+ * later messages with the same key once any of these messages is left incomplete (defaults to false)
+ * @property {string|undefined} [compression] - the compression (i.e. "gzip", "deflate" or "none") with which to compress
+ * the data of resubmitted messages and of unusable records and rejected messages discarded to the DRQ and DMQ (defaults
+ * to "none"), which should match the compression used by the stream's producers
+ * @property {Object|undefined} [messageSchema] - an optional JSON Schema (or a {discriminator, schemas, defaultSchema}
+ * object that selects a JSON Schema per message type by the value of the message's discriminator property) against which
+ * every extracted message is validated. All of the tasks of any invalid message are rejected with its validation errors
+ * without being executed, so that the message is discarded to the Dead Message Queue. Configuring a message schema that
+ * uses any unsupported JSON Schema keyword fails fast (see message-schema.js)
+ * @property {boolean|undefined} [idempotencyEnabled] - whether or not to record the successes of processOne tasks per
+ * message ID and to complete (without re-executing) any processOne task that already succeeded for the same message
+ * ID during a previous replay or resubmission (defaults to false), which is NOT supported for the firehose stream type
+ * @property {string|undefined} [idempotencyTableName] - the unqualified name of the Idempotency table to and from which
+ * the default DynamoDB implementations save and load succeeded task names (defaults to "MessageIdempotency"), which
+ * must have a string hash key named "messageId", a string range key named "taskName" and TTL enabled on "expiresAt"
+ * @property {number|undefined} [idempotencyTtlInSeconds] - the number of seconds for which a recorded task success
+ * suppresses re-execution of its task (defaults to 7 days)
+ * @property {RetryPolicy|undefined} [retryPolicy] - an optional exponential backoff policy with which to delay the
+ * retrying of incomplete messages. Any message with an already attempted, incomplete task that is not yet due for retry
+ * is deferred, i.e. handled as an incomplete message without executing any of its tasks (defaults to no delay). NOT
+ * supported with the replayAllMessagesIfIncomplete, reportBatchItemFailuresIfIncomplete or
+ * reportIncompleteFirehoseRecordsAsProcessingFailed handleIncompleteMessages functions, which replay deferred messages
+ * immediately
+ * @property {boolean|undefined} [reportBatchItemFailures] - whether or not to respond to each Kinesis, DynamoDB or SQS event
+ * with a Lambda partial batch response (i.e. {batchItemFailures: [{itemIdentifier: <SequenceNumber>}]} with the sequence
+ * number of the earliest record with an incomplete message in each shard or the message ID of every SQS record with an
+ * incomplete message) instead of resubmitting incomplete messages (Kinesis), failing and replaying the entire batch
+ * (DynamoDB) or changing the visibility timeout of incomplete messages (SQS) (defaults to false). Requires the event
+ * source mapping's FunctionResponseTypes to include "ReportBatchItemFailures", the reportBatchItemFailuresIfIncomplete
+ * (or, for Kinesis, resubmitIncompleteMessagesToKinesisByPartitionKey) handleIncompleteMessages function and persistent
+ * (i.e. NOT skipping) task tracking with a non-blank taskTrackingTableName for the DynamoDB task tracking functions
+ * @property {boolean|undefined} [unwrapSNSNotifications] - whether or not to unwrap messages that arrive on an SQS queue
+ * wrapped in an SNS notification from the notification's Message property (SQS only, defaults to false)
+ * @property {number|undefined} [visibilityTimeoutInSeconds] - the visibility timeout (from 0 to 43200 seconds) to which
+ * to change the visibility timeout of incomplete SQS messages, i.e. the delay before they are redelivered (SQS only,
+ * defaults to 30)
  * @property {number} maxNumberOfAttempts - the maximum number of attempts on each of a message's tasks that are allowed
  * before discarding the message and routing it to the Dead Message Queue. Note that if a message has multiple tasks, it
  * will only be discarded when all of its tasks have reached this maximum
  * @property {string} taskTrackingTableName - the unqualified name of the Task Tracking table from which to load and/or
- * to which to save the task tracking state of the entire batch of messages
- * @property {string} deadRecordQueueName - the unqualified stream name of the Dead Record Queue to which to discard unusable records
- * @property {string} deadMessageQueueName - the unqualified stream name of the Dead Message Queue to which to discard rejected messages
+ * to which to save the task tracking state of the entire batch of messages. The default DynamoDB implementations expect
+ * this table to have a string hash key named "streamName", a string range key named "recordKey" and TTL enabled on
+ * "expiresAt"
+ * @property {number|undefined} [taskTrackingTtlInSeconds] - the number of seconds for which a saved task tracking item
+ * is kept, i.e. after which the default DynamoDB implementations let it expire (defaults to 7 days)
+ * @property {string} deadRecordQueueName - the unqualified stream (or SQS queue) name of the Dead Record Queue to which to discard unusable records
+ * @property {string} deadMessageQueueName - the unqualified stream (or SQS queue) name of the Dead Message Queue to which to discard rejected messages
+ * @property {string|undefined} [retryStreamName] - the unqualified name of an optional, dedicated Kinesis retry stream to
+ * which to resubmit incomplete messages instead of their source stream. Each message resubmitted to the retry stream
+ * carries the name of its original source stream as a sourceStreamName marker on its task tracking
+ * @property {string|undefined} [deadLetterQueueType] - the type of Dead Record and Dead Message Queues to use - valid
+ * values are "kinesis" (the default) or "sqs"
+ * @property {string|undefined} [deadRecordQueueUrl] - the URL of the SQS Dead Record Queue, which, if configured, is used
+ * instead of looking up the URL of the stage-qualified deadRecordQueueName (only used with a deadLetterQueueType of "sqs")
+ * @property {string|undefined} [deadMessageQueueUrl] - the URL of the SQS Dead Message Queue, which, if configured, is used
+ * instead of looking up the URL of the stage-qualified deadMessageQueueName (only used with a deadLetterQueueType of "sqs")
+ * @property {string|undefined} [claimCheckBucketName] - the unqualified name of the S3 bucket to which to check in
+ * (i.e. archive) oversized unusable records and rejected messages, which enables claim check mode if configured. It is
+ * stage-qualified with an S3-safe suffix, i.e. a hyphen and the lowercased stage with any characters that S3 bucket
+ * names do not allow replaced by hyphens, and the result must be a valid S3 bucket name
+ * @property {number|undefined} [claimCheckThresholdInBytes] - the size in bytes above which an unusable record or rejected
+ * message must be checked in to S3, which defaults to (and is capped at) the maximum size that the DRQ or DMQ accepts
  */
 
 /**
@@ -88,9 +172,12 @@
  * @property {Task} processing - a task that tracks the state of the processing phase
  * @property {Task|undefined} [finalising] - a task that tracks the state of the finalising phase
  * @property {Message[]|undefined} [savedMessagesTaskTrackingState] - an optional list of zero or more messages that had their task tracking state successfully saved
- * @property {Message[]|undefined} [handledIncompleteMessages] - an optional list of zero or more successfully handled incomplete messages
- * @property {Record[]|undefined} [discardedUnusableRecords] - an optional list of zero or more successfully discarded unusable records
- * @property {Message[]|undefined} [discardedRejectedMessages] - an optional list of zero or more successfully discarded rejected messages
+ * @property {Message[]|undefined} [handledIncompleteMessages] - an optional list of zero or more successfully handled incomplete messages,
+ * which will also be present if handle incomplete messages failed after successfully handling some of the messages
+ * @property {Record[]|undefined} [discardedUnusableRecords] - an optional list of zero or more successfully discarded unusable records,
+ * which will also be present if discard unusable records failed after successfully discarding some of the records
+ * @property {Message[]|undefined} [discardedRejectedMessages] - an optional list of zero or more successfully discarded rejected messages,
+ * which will also be present if discard rejected messages failed after successfully discarding some of the messages
  * @property {Error|undefined} [saveMessagesTaskTrackingStateError] - an optional error with which save messages task tracking state failed
  * @property {Error|undefined} [handleIncompleteMessagesError] - an optional error with which handle incomplete records failed
  * @property {Error|undefined} [discardUnusableRecordsError] - an optional error with which discard unusable records failed
@@ -131,4 +218,39 @@
 
 /**
  * @typedef {Object} Record - represents an AWS stream event record
- */
\ No newline at end of file
+ */
+
+/**
+ * @typedef {Object} ClaimCheck - the S3 key under which to check in an oversized payload and the summary metadata that
+ * the DRQ or DMQ record must carry in its place
+ * @property {string} key - the S3 key of the checked in payload
+ * @property {Object} summary - the summary metadata of the item
+ */
+
+/**
+ * @typedef {Object} ResubmissionOutcome - the outcome of the resubmission of an incomplete message back to Kinesis
+ * @property {Message} message - the incomplete message
+ * @property {boolean} resubmitted - whether or not the message was successfully resubmitted
+ * @property {Error|undefined} [error] - the error that prevented the message's resubmission (if not resubmitted)
+ */
+
+/**
+ * @typedef {Object} RetryPolicy - an exponential backoff policy, which delays the next attempt at a task that has already
+ * been attempted N times by baseDelayMs * multiplier ^ (N - 1) milliseconds (capped at maxDelayMs) after its last execution
+ * @property {number} baseDelayMs - the delay in milliseconds after the first attempt
+ * @property {number|undefined} [multiplier] - the factor by which the delay grows with each additional attempt (defaults to 2)
+ * @property {number|undefined} [maxDelayMs] - the maximum delay in milliseconds (defaults to no maximum)
+ * @property {number|undefined} [jitter] - the fraction (between 0 and 1) by which each delay may be pseudo-randomly
+ * reduced in order to spread out retries (defaults to 0), which is derived deterministically per attempt
+ */
+
+/**
+ * @typedef {Object} WorkQueue - a bounded work queue through which processOne task executions are scheduled
+ * @property {function(name: string, maxConcurrency: number|undefined, start: Function): Promise} enqueue - enqueues a
+ * unit of work with the given name and optional per-name maximum concurrency, which will be started via the given start
+ * function as soon as the queue's concurrency limits allow, and returns a promise of its result
+ * @property {function(): number} close - stops starting any more queued work, resolves all still queued work with
+ * undefined and returns the number of units of work that never started
+ * @property {number} queuedCount - the number of units of work still queued
+ * @property {number} runningCount - the number of units of work currently running
+ */